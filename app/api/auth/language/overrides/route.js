@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import User from '@/lib/models/User';
+import Room from '@/lib/models/Room';
+import { authenticate } from '@/lib/auth';
+import { isValidLanguage } from '@/lib/messageTranslations';
+import { NO_TRANSLATION } from '@/server/utils/languageOverrides';
+import languageOverrideStore from '@/server/utils/languageOverrideStore';
+
+const MAX_OVERRIDES = 200;
+
+const handleError = (err, fallback) => {
+  console.error(`${fallback}:`, err);
+  if (err.message.includes('authorization')) {
+    return NextResponse.json({ msg: err.message }, { status: 401 });
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// { roomId } or { contactId } -> the matching override filter, or { error }
+const parseConversation = ({ roomId, contactId }) => {
+  if (Boolean(roomId) === Boolean(contactId)) {
+    return { error: 'Exactly one of roomId or contactId is required' };
+  }
+  const id = roomId || contactId;
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: `Invalid ${roomId ? 'roomId' : 'contactId'}` };
+  }
+  return { conversation: roomId ? { room: String(roomId) } : { contact: String(contactId) } };
+};
+
+const matches = (override, conversation) => (conversation.room
+  ? String(override.room) === conversation.room
+  : String(override.contact) === conversation.contact);
+
+/**
+ * GET /api/auth/language/overrides
+ * { language, overrides: [{ room | contact, language }] }
+ */
+export async function GET(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const user = await User.findById(decoded.userId).select('preferredLanguage languageOverrides');
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ language: user.preferredLanguage, overrides: user.languageOverrides });
+  } catch (err) {
+    return handleError(err, 'Failed to get language overrides');
+  }
+}
+
+/**
+ * PUT /api/auth/language/overrides
+ * Set the language of one conversation: { roomId | contactId, language }.
+ * language 'original' leaves the conversation untranslated.
+ */
+export async function PUT(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+    const body = await request.json();
+
+    const { conversation, error } = parseConversation(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    if (body.language !== NO_TRANSLATION && !isValidLanguage(body.language)) {
+      return NextResponse.json({ error: `language must be a language code or '${NO_TRANSLATION}'` }, { status: 400 });
+    }
+
+    const exists = conversation.room
+      ? await Room.exists({ _id: conversation.room, participants: decoded.userId })
+      : await User.exists({ _id: conversation.contact });
+    if (!exists) {
+      return NextResponse.json(
+        { error: conversation.room ? 'You are not a member of this room' : 'Contact not found' },
+        { status: 404 }
+      );
+    }
+
+    const user = await User.findById(decoded.userId).select('languageOverrides');
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const existing = user.languageOverrides.find(override => matches(override, conversation));
+    if (existing) {
+      existing.language = body.language;
+    } else {
+      if (user.languageOverrides.length >= MAX_OVERRIDES) {
+        return NextResponse.json({ error: `At most ${MAX_OVERRIDES} language overrides` }, { status: 400 });
+      }
+      user.languageOverrides.push({ ...conversation, language: body.language });
+    }
+    await user.save();
+    languageOverrideStore.invalidate(decoded.userId);
+
+    return NextResponse.json({ overrides: user.languageOverrides });
+  } catch (err) {
+    return handleError(err, 'Failed to update language override');
+  }
+}
+
+/**
+ * DELETE /api/auth/language/overrides?roomId=|contactId=
+ * Go back to the preferred language for a conversation
+ */
+export async function DELETE(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+    const { searchParams } = new URL(request.url);
+
+    const { conversation, error } = parseConversation({
+      roomId: searchParams.get('roomId'),
+      contactId: searchParams.get('contactId')
+    });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const user = await User.findById(decoded.userId).select('languageOverrides');
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    user.languageOverrides = user.languageOverrides.filter(override => !matches(override, conversation));
+    await user.save();
+    languageOverrideStore.invalidate(decoded.userId);
+
+    return NextResponse.json({ overrides: user.languageOverrides });
+  } catch (err) {
+    return handleError(err, 'Failed to remove language override');
+  }
+}
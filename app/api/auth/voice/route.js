@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { getVoices } from '@/server/utils/textToSpeechModule';
+import { EMPTY_PREFERENCES, parseVoicePreferences } from '@/server/utils/voicePreferences';
+import voicePreferenceStore from '@/server/utils/voicePreferenceStore';
+
+const handleError = (err, fallback) => {
+  console.error(`${fallback}:`, err);
+  if (err.message.includes('authorization')) {
+    return NextResponse.json({ msg: err.message }, { status: 401 });
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// The first chosen voice the provider doesn't have for its language, if any
+const findUnknownVoice = async (voices) => {
+  for (const { language, voice, style } of voices) {
+    if (!voice && !style) continue;
+    // Names are taken as given when the provider can't list voices
+    const available = await getVoices(language).catch(() => []);
+    if (!available.length) continue;
+    const match = voice ? available.find(v => v.name === voice) : null;
+    if (voice && !match) return `Unknown voice ${voice} for ${language}`;
+    if (style && match && !match.styles.includes(style)) return `${voice} has no style ${style}`;
+  }
+  return null;
+};
+
+/**
+ * GET /api/auth/voice
+ * The user's text-to-speech preferences: { voices: [{ language, voice?, gender?, style? }], rate, pitch }
+ */
+export async function GET(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const user = await User.findById(decoded.userId).select('ttsPreferences');
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(user.ttsPreferences || EMPTY_PREFERENCES);
+  } catch (err) {
+    return handleError(err, 'Failed to get voice preferences');
+  }
+}
+
+/**
+ * PUT /api/auth/voice
+ * Replace the user's text-to-speech preferences (same shape as GET)
+ */
+export async function PUT(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const { preferences, error } = parseVoicePreferences(await request.json());
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    const unknown = await findUnknownVoice(preferences.voices);
+    if (unknown) {
+      return NextResponse.json({ error: unknown }, { status: 400 });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      decoded.userId,
+      { ttsPreferences: preferences },
+      { new: true }
+    ).select('ttsPreferences');
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+    voicePreferenceStore.invalidate(decoded.userId);
+
+    return NextResponse.json(user.ttsPreferences);
+  } catch (err) {
+    return handleError(err, 'Failed to update voice preferences');
+  }
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import Chat from '@/lib/models/Chat';
+import { authenticate } from '@/lib/auth';
+import { canAccessMessage } from '@/lib/messageTranslations';
+import { getStorage, isImageType, verifyAttachmentSignature } from '@/lib/storage';
+
+// The uploader, or whoever may read the message it was sent with (a thumbnail goes with its image)
+const canReadAttachment = async (key, metadata, userId) => {
+  if (metadata.uploadedBy === String(userId)) return true;
+  await connectDB();
+  const message = await Chat.findOne({ 'attachments.key': metadata.parentKey || key })
+    .select('sender receiver room isGroupMessage');
+  return Boolean(message) && canAccessMessage(message, userId);
+};
+
+/**
+ * GET /api/chat/attachments/[key]?expires=&sig=&download=1
+ * Serve an uploaded attachment through a signed URL (see signAttachmentUrl;
+ * how <img> tags load them), or with the auth header to the uploader and the
+ * participants of the conversation it was sent in.
+ * Images are served inline; everything else (or ?download=1) as a download.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { key } = await params;
+    const { searchParams } = new URL(request.url);
+    const storage = getStorage();
+
+    const expiresAt = verifyAttachmentSignature(key, searchParams.get('expires'), searchParams.get('sig'));
+    const decoded = expiresAt ? null : authenticate(request);
+
+    let metadata;
+    try {
+      metadata = await storage.getMetadata(key);
+    } catch (keyErr) {
+      return NextResponse.json({ error: 'Attachment not found' }, { status: 404 });
+    }
+    if (!metadata || (decoded && !(await canReadAttachment(key, metadata, decoded.userId)))) {
+      return NextResponse.json({ error: 'Attachment not found' }, { status: 404 });
+    }
+
+    const buffer = await storage.read(key);
+    const inline = isImageType(metadata.mimeType) && searchParams.get('download') !== '1';
+    const fileName = encodeURIComponent(metadata.name || key);
+
+    return new Response(buffer, {
+      status: 200,
+      headers: {
+        'Content-Type': metadata.mimeType || 'application/octet-stream',
+        'Content-Length': String(buffer.length),
+        'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${fileName}`,
+        'X-Content-Type-Options': 'nosniff',
+        // A signed URL may be reused until it expires, a header-authenticated response not at all
+        'Cache-Control': expiresAt
+          ? `private, max-age=${Math.floor((expiresAt - Date.now()) / 1000)}`
+          : 'private, no-cache'
+      }
+    });
+  } catch (err) {
+    console.error('Error serving attachment:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to load attachment' }, { status: 500 });
+  }
+}
@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import Chat from '@/lib/models/Chat';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { getStorage } from '@/lib/storage';
+import { MAX_TRANSLATABLE_SIZE, isTranslatableDocument, translateDocument } from '@/lib/documentTranslation';
+import { canAccessMessage, isValidLanguage } from '@/lib/messageTranslations';
+
+// report.md -> report.hi.md
+const translatedFileName = (name, lang) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.slice(0, dot)}.${lang}${name.slice(dot)}` : `${name}.${lang}`;
+};
+
+/**
+ * GET /api/chat/attachments/[key]/translation?lang=hi
+ * Download a text attachment (plain text, markdown, SRT/WebVTT subtitles)
+ * translated into `lang`, or the current user's preferred language.
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { key } = await params;
+
+    const message = await Chat.findOne({ 'attachments.key': key }).select('sender receiver room isGroupMessage attachments');
+    if (!message || !(await canAccessMessage(message, decoded.userId))) {
+      return NextResponse.json({ error: 'Attachment not found' }, { status: 404 });
+    }
+
+    const attachment = message.attachments.find(a => a.key === key);
+    if (!isTranslatableDocument(attachment.mimeType)) {
+      return NextResponse.json({ error: `Attachments of type ${attachment.mimeType} cannot be translated` }, { status: 415 });
+    }
+    if (attachment.size > MAX_TRANSLATABLE_SIZE) {
+      return NextResponse.json({ error: 'Attachment is too large to translate' }, { status: 413 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    let targetLang = searchParams.get('lang');
+    if (!targetLang) {
+      const user = await User.findById(decoded.userId).select('preferredLanguage');
+      targetLang = user?.preferredLanguage || 'en';
+    }
+    if (!isValidLanguage(targetLang)) {
+      return NextResponse.json({ error: 'Invalid target language' }, { status: 400 });
+    }
+
+    const storage = getStorage();
+    if (!(await storage.getMetadata(key))) {
+      return NextResponse.json({ error: 'Attachment not found' }, { status: 404 });
+    }
+    const original = await storage.read(key);
+
+    let translated;
+    try {
+      translated = await translateDocument(original, attachment.mimeType, targetLang);
+    } catch (translateErr) {
+      if (translateErr.code === 'TRANSLATOR_NOT_CONFIGURED') {
+        return NextResponse.json({ error: 'Translation service not configured' }, { status: 500 });
+      }
+      throw translateErr;
+    }
+
+    const body = Buffer.from(translated.content, 'utf8');
+    const fileName = encodeURIComponent(translatedFileName(attachment.name, targetLang));
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': `${attachment.mimeType}; charset=utf-8`,
+        'Content-Length': String(body.length),
+        'Content-Disposition': `attachment; filename*=UTF-8''${fileName}`,
+        'Content-Language': targetLang,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-cache'
+      }
+    });
+  } catch (err) {
+    console.error('Error translating attachment:', err.response?.data || err.message);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to translate attachment' }, { status: 500 });
+  }
+}
@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import {
+  attachmentConfig,
+  createAttachmentKey,
+  getStorage,
+  isImageType,
+  matchesSignature,
+  resolveMimeType,
+  signAttachmentUrl
+} from '@/lib/storage';
+
+export const dynamic = 'force-dynamic';
+
+// Keep the display name but drop path components and control characters
+const sanitizeFileName = (name) => {
+  const base = String(name || 'file').split(/[\\/]/).pop();
+  return base.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 255) || 'file';
+};
+
+// Room for the thumbnail, the other fields and the multipart boundaries next to the file
+const MULTIPART_ALLOWANCE = attachmentConfig.maxThumbnailSize + 64 * 1024;
+const maxRequestSize = () => attachmentConfig.maxFileSize + MULTIPART_ALLOWANCE;
+
+const tooLarge = () => NextResponse.json({
+  error: `File is too large. Maximum size is ${Math.round(attachmentConfig.maxFileSize / (1024 * 1024))} MB`
+}, { status: 413 });
+
+// Read the request body, giving up (null) as soon as it exceeds `limit` bytes
+const readBody = async (request, limit) => {
+  if (!request.body) return Buffer.alloc(0);
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+};
+
+const toDimension = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 && n < 100000 ? n : undefined;
+};
+
+/**
+ * POST /api/chat/attachments
+ * Upload a file to attach to a chat message (multipart/form-data).
+ * Fields: file (required), thumbnail (optional image preview generated by the client), width, height.
+ * Returns the attachment descriptor to send with POST /api/chat/message.
+ */
+export async function POST(request) {
+  try {
+    const decoded = authenticate(request);
+
+    // Refuse oversized uploads before buffering them
+    const contentLength = parseInt(request.headers.get('content-length'), 10);
+    if (contentLength > maxRequestSize()) {
+      return tooLarge();
+    }
+    const body = await readBody(request, maxRequestSize());
+    if (!body) {
+      return tooLarge();
+    }
+
+    let formData;
+    try {
+      formData = await new Response(body, {
+        headers: { 'Content-Type': request.headers.get('content-type') || '' }
+      }).formData();
+    } catch (parseErr) {
+      return NextResponse.json({ error: 'Expected multipart/form-data with a file field' }, { status: 400 });
+    }
+
+    const file = formData.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'file is required' }, { status: 400 });
+    }
+
+    if (file.size === 0) {
+      return NextResponse.json({ error: 'File is empty' }, { status: 400 });
+    }
+    if (file.size > attachmentConfig.maxFileSize) {
+      return tooLarge();
+    }
+
+    const mimeType = resolveMimeType(file);
+    if (!attachmentConfig.allowedTypes.includes(mimeType)) {
+      return NextResponse.json({ error: `File type ${mimeType} is not allowed` }, { status: 415 });
+    }
+
+    const buffer = Buffer.from(await file.arrayBuffer());
+    if (!matchesSignature(buffer, mimeType)) {
+      return NextResponse.json({ error: `File content does not match type ${mimeType}` }, { status: 415 });
+    }
+
+    const storage = getStorage();
+    const name = sanitizeFileName(file.name);
+    const key = createAttachmentKey(name);
+    const uploadedAt = new Date().toISOString();
+
+    await storage.save(key, buffer, {
+      name,
+      mimeType,
+      uploadedBy: String(decoded.userId),
+      uploadedAt
+    });
+
+    const attachment = {
+      key,
+      name,
+      size: buffer.length,
+      mimeType,
+      url: signAttachmentUrl(key)
+    };
+
+    if (isImageType(mimeType)) {
+      attachment.width = toDimension(formData.get('width'));
+      attachment.height = toDimension(formData.get('height'));
+
+      const thumbnail = formData.get('thumbnail');
+      if (thumbnail && typeof thumbnail !== 'string' && thumbnail.size > 0) {
+        const thumbType = resolveMimeType(thumbnail);
+        const thumbBuffer = Buffer.from(await thumbnail.arrayBuffer());
+        // A bad thumbnail is not worth failing the upload for; the full image is used instead
+        if (isImageType(thumbType) && thumbnail.size <= attachmentConfig.maxThumbnailSize && matchesSignature(thumbBuffer, thumbType)) {
+          const thumbnailKey = createAttachmentKey(thumbType === 'image/png' ? 'thumb.png' : 'thumb.jpg');
+          await storage.save(thumbnailKey, thumbBuffer, {
+            name: `thumb-${name}`,
+            mimeType: thumbType,
+            uploadedBy: String(decoded.userId),
+            uploadedAt,
+            parentKey: key
+          });
+          attachment.thumbnailKey = thumbnailKey;
+          attachment.thumbnailUrl = signAttachmentUrl(thumbnailKey);
+        }
+      }
+    }
+
+    return NextResponse.json(attachment, { status: 201 });
+  } catch (err) {
+    console.error('Error uploading attachment:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to upload attachment' }, { status: 500 });
+  }
+}
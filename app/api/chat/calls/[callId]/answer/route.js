@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallSession from '@/lib/models/CallSession';
+import { authenticate } from '@/lib/auth';
+import { markCallNotificationDelivered, resolveCallNotifications } from '@/lib/callNotifications';
+
+/**
+ * POST /api/chat/calls/[callId]/answer
+ * Mark a ringing 1:1 call as answered (receiver only)
+ */
+export async function POST(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+
+    const callSession = await CallSession.findById(callId);
+    if (!callSession) {
+      return NextResponse.json(
+        { message: 'Call not found' },
+        { status: 404 }
+      );
+    }
+
+    if (String(callSession.receiver) !== String(userId)) {
+      return NextResponse.json(
+        { message: 'Only the receiver can answer this call' },
+        { status: 403 }
+      );
+    }
+
+    if (callSession.status === 'answered') {
+      return NextResponse.json({
+        message: 'Call already answered',
+        call: callSession
+      }, { status: 200 });
+    }
+
+    if (callSession.status !== 'ringing') {
+      return NextResponse.json(
+        { message: `Call is already ${callSession.status}` },
+        { status: 409 }
+      );
+    }
+
+    callSession.answer();
+    await callSession.save();
+    await markCallNotificationDelivered(userId, callSession._id);
+    await resolveCallNotifications({ callSession: callSession._id }, 'answered');
+
+    return NextResponse.json({
+      message: 'Call answered',
+      call: callSession
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error answering call:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
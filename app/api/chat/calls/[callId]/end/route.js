@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallSession from '@/lib/models/CallSession';
+import { authenticate } from '@/lib/auth';
+import { resolveCallNotifications } from '@/lib/callNotifications';
+
+const END_REASONS = ['hangup', 'unavailable', 'timeout'];
+
+/**
+ * POST /api/chat/calls/[callId]/end
+ * End a 1:1 call. Ending a call that was never answered records it as missed.
+ * Body: { reason?: 'hangup' | 'unavailable' | 'timeout' }
+ */
+export async function POST(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+    const body = await req.json().catch(() => ({}));
+    const reason = END_REASONS.includes(body.reason) ? body.reason : 'hangup';
+
+    const callSession = await CallSession.findById(callId);
+    if (!callSession) {
+      return NextResponse.json(
+        { message: 'Call not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!callSession.isParticipant(userId)) {
+      return NextResponse.json(
+        { message: 'You are not a participant of this call' },
+        { status: 403 }
+      );
+    }
+
+    // Both peers report the hang-up; the first one wins
+    if (callSession.isFinished()) {
+      return NextResponse.json({
+        message: 'Call already finished',
+        call: callSession
+      }, { status: 200 });
+    }
+
+    callSession.endCall(userId, reason);
+    await callSession.save();
+
+    if (callSession.status === 'missed') {
+      await resolveCallNotifications({ callSession: callSession._id }, 'missed');
+    }
+
+    return NextResponse.json({
+      message: 'Call ended',
+      call: callSession
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error ending call:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
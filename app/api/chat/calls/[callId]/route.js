@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallSession from '@/lib/models/CallSession';
+import { authenticate } from '@/lib/auth';
+
+/**
+ * GET /api/chat/calls/[callId]
+ * Get 1:1 call details
+ */
+export async function GET(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+
+    const callSession = await CallSession.findById(callId)
+      .populate('caller', 'username')
+      .populate('receiver', 'username');
+
+    if (!callSession) {
+      return NextResponse.json(
+        { message: 'Call not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!callSession.isParticipant(userId)) {
+      return NextResponse.json(
+        { message: 'You are not a participant of this call' },
+        { status: 403 }
+      );
+    }
+
+    return NextResponse.json({
+      call: callSession
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error fetching call:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,19 @@
+import { handleTranscriptGet, handleTranscriptPut } from '@/lib/callTranscripts';
+
+/**
+ * GET /api/chat/calls/[callId]/transcript?format=txt|srt|vtt&lang=hi
+ * Caption transcript of a 1:1 call. Without `format` it is returned as JSON;
+ * with it, as a file download, using the `lang` translation where available.
+ */
+export async function GET(req, { params }) {
+  return handleTranscriptGet('direct', req, params);
+}
+
+/**
+ * PUT /api/chat/calls/[callId]/transcript
+ * Switch caption recording on or off while the call is in progress.
+ * Body: { recording: boolean }
+ */
+export async function PUT(req, { params }) {
+  return handleTranscriptPut('direct', req, params);
+}
@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallSession from '@/lib/models/CallSession';
+import CallTranscript from '@/lib/models/CallTranscript';
+import GroupCall from '@/lib/models/GroupCall';
+import { authenticate } from '@/lib/auth';
+import { expireStaleDirectCalls } from '@/lib/callNotifications';
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+const formatDirectCall = (call, userId) => {
+  const isOutgoing = String(call.caller?._id || call.caller) === String(userId);
+  return {
+    _id: call._id,
+    kind: 'direct',
+    callType: call.callType,
+    status: call.status,
+    direction: isOutgoing ? 'outgoing' : 'incoming',
+    peer: isOutgoing ? call.receiver : call.caller,
+    startedAt: call.startedAt,
+    answeredAt: call.answeredAt,
+    endedAt: call.endedAt,
+    duration: call.duration || 0,
+    endReason: call.endReason
+  };
+};
+
+const formatGroupCall = (call, userId) => {
+  const isOutgoing = String(call.initiator?._id || call.initiator) === String(userId);
+  const me = call.participants.find(p => String(p.userId) === String(userId));
+  return {
+    _id: call._id,
+    kind: 'group',
+    callType: call.callType,
+    status: call.status,
+    // The current user's own outcome: joined, declined, missed, ...
+    participantStatus: me?.status,
+    direction: isOutgoing ? 'outgoing' : 'incoming',
+    initiator: call.initiator,
+    room: call.roomId,
+    participantCount: call.participants.length,
+    startedAt: call.startedAt,
+    endedAt: call.endedAt,
+    duration: call.duration || 0
+  };
+};
+
+/**
+ * GET /api/chat/calls/history?limit=30&before=<ISO date>&type=all|direct|group&userId=<contact>
+ * Call log for the current user: 1:1 calls and group calls, newest first
+ */
+export async function GET(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { searchParams } = new URL(req.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const before = searchParams.get('before');
+    const withUser = searchParams.get('userId');
+    // Filtering by contact only makes sense for 1:1 calls
+    const type = withUser ? 'direct' : (searchParams.get('type') || 'all');
+
+    if (!['all', 'direct', 'group'].includes(type)) {
+      return NextResponse.json(
+        { message: "type must be 'all', 'direct' or 'group'" },
+        { status: 400 }
+      );
+    }
+
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return NextResponse.json(
+        { message: 'Invalid before date' },
+        { status: 400 }
+      );
+    }
+
+    let calls = [];
+
+    if (type !== 'group') {
+      await expireStaleDirectCalls(userId);
+
+      const query = withUser
+        ? {
+          $or: [
+            { caller: userId, receiver: withUser },
+            { caller: withUser, receiver: userId }
+          ]
+        }
+        : { $or: [{ caller: userId }, { receiver: userId }] };
+      if (beforeDate) query.startedAt = { $lt: beforeDate };
+
+      const directCalls = await CallSession.find(query)
+        .populate('caller', 'username')
+        .populate('receiver', 'username')
+        .sort({ startedAt: -1 })
+        .limit(limit + 1);
+
+      calls = calls.concat(directCalls.map(c => formatDirectCall(c, userId)));
+    }
+
+    if (type !== 'direct') {
+      const query = { 'participants.userId': userId };
+      if (beforeDate) query.startedAt = { $lt: beforeDate };
+
+      const groupCalls = await GroupCall.find(query)
+        .populate('initiator', 'username')
+        .populate('roomId', 'name')
+        .sort({ startedAt: -1 })
+        .limit(limit + 1);
+
+      calls = calls.concat(groupCalls.map(c => formatGroupCall(c, userId)));
+    }
+
+    calls.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    const hasMore = calls.length > limit;
+    calls = calls.slice(0, limit);
+
+    // Flag calls with a caption transcript so the log can offer to open it
+    const ids = calls.map(c => c._id);
+    const transcripts = await CallTranscript.find({
+      $or: [{ callSession: { $in: ids } }, { groupCall: { $in: ids } }],
+      'segments.0': { $exists: true }
+    }).select('callSession groupCall');
+    const withTranscript = new Set(transcripts.map(t => String(t.callSession || t.groupCall)));
+    calls.forEach(c => { c.hasTranscript = withTranscript.has(String(c._id)); });
+
+    return NextResponse.json({
+      calls,
+      hasMore
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error fetching call history:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
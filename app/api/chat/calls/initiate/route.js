@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallSession from '@/lib/models/CallSession';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { notifyDirectCall, resolveCallNotifications } from '@/lib/callNotifications';
+
+/**
+ * POST /api/chat/calls/initiate
+ * Record the start of a 1:1 call. The returned call id travels with the
+ * `callUser` signal so both sides can report answer/reject/end.
+ */
+export async function POST(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { receiverId, callType = 'video' } = await req.json();
+
+    if (!receiverId) {
+      return NextResponse.json(
+        { message: 'Receiver ID is required' },
+        { status: 400 }
+      );
+    }
+    if (String(receiverId) === String(userId)) {
+      return NextResponse.json(
+        { message: 'You cannot call yourself' },
+        { status: 400 }
+      );
+    }
+    if (!['audio', 'video'].includes(callType)) {
+      return NextResponse.json(
+        { message: "callType must be 'audio' or 'video'" },
+        { status: 400 }
+      );
+    }
+
+    const receiver = await User.findById(receiverId).select('_id');
+    if (!receiver) {
+      return NextResponse.json(
+        { message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    // A new outgoing call supersedes any of our calls that are still ringing
+    const superseded = await CallSession.find({ caller: userId, status: 'ringing' }).select('_id');
+    if (superseded.length) {
+      const supersededIds = superseded.map(c => c._id);
+      await CallSession.updateMany(
+        { _id: { $in: supersededIds } },
+        { $set: { status: 'missed', endReason: 'cancelled', endedAt: new Date(), endedBy: userId } }
+      );
+      await resolveCallNotifications({ callSessions: supersededIds }, 'missed');
+    }
+
+    const callSession = new CallSession({
+      caller: userId,
+      receiver: receiverId,
+      callType,
+      status: 'ringing'
+    });
+
+    await callSession.save();
+    await notifyDirectCall(callSession);
+
+    await callSession.populate('caller', 'username');
+    await callSession.populate('receiver', 'username');
+
+    return NextResponse.json({
+      message: 'Call initiated',
+      call: callSession
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Error initiating call:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallNotification from '@/lib/models/CallNotification';
+import { authenticate } from '@/lib/auth';
+
+const handleError = (error, action) => {
+  console.error(`Error ${action} call notification:`, error);
+  if (error.message.includes('authorization')) {
+    return NextResponse.json({ message: error.message }, { status: 401 });
+  }
+  if (error.name === 'CastError') {
+    return NextResponse.json({ message: 'Invalid notification id' }, { status: 400 });
+  }
+  return NextResponse.json(
+    { message: 'Internal server error', error: error.message },
+    { status: 500 }
+  );
+};
+
+/**
+ * PATCH /api/chat/calls/notifications/[notificationId]
+ * Mark a notification read or unread. Body: { read: boolean }
+ */
+export async function PATCH(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { notificationId } = await params;
+    const { read = true } = await req.json().catch(() => ({}));
+
+    const notification = await CallNotification.findOne({ _id: notificationId, recipient: userId });
+    if (!notification) {
+      return NextResponse.json(
+        { message: 'Notification not found' },
+        { status: 404 }
+      );
+    }
+
+    notification.read = Boolean(read);
+    notification.readAt = notification.read ? new Date() : undefined;
+    await notification.save();
+
+    const unreadCount = await CallNotification.countUnread(userId);
+
+    return NextResponse.json({
+      notification,
+      unreadCount
+    }, { status: 200 });
+
+  } catch (error) {
+    return handleError(error, 'updating');
+  }
+}
+
+/**
+ * DELETE /api/chat/calls/notifications/[notificationId]
+ * Dismiss a notification from the inbox (the call itself stays in the call history)
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { notificationId } = await params;
+
+    const notification = await CallNotification.findOneAndUpdate(
+      { _id: notificationId, recipient: userId },
+      { $set: { dismissed: true, dismissedAt: new Date(), read: true, readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return NextResponse.json(
+        { message: 'Notification not found' },
+        { status: 404 }
+      );
+    }
+
+    const unreadCount = await CallNotification.countUnread(userId);
+
+    return NextResponse.json({
+      message: 'Notification dismissed',
+      unreadCount
+    }, { status: 200 });
+
+  } catch (error) {
+    return handleError(error, 'dismissing');
+  }
+}
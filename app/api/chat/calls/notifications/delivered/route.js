@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import { authenticate } from '@/lib/auth';
+import { markCallNotificationDelivered } from '@/lib/callNotifications';
+
+/**
+ * POST /api/chat/calls/notifications/delivered
+ * Acknowledge that an incoming call reached this client. Body: { callId }
+ * where callId is a CallSession (1:1) or GroupCall id.
+ */
+export async function POST(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await req.json();
+    if (!callId) {
+      return NextResponse.json(
+        { message: 'Call ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const notification = await markCallNotificationDelivered(userId, callId);
+    if (!notification) {
+      return NextResponse.json(
+        { message: 'Notification not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      message: 'Notification delivered',
+      notification
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error acknowledging call notification:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    if (error.name === 'CastError') {
+      return NextResponse.json({ message: 'Invalid call id' }, { status: 400 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
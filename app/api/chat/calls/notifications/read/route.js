@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallNotification from '@/lib/models/CallNotification';
+import { authenticate } from '@/lib/auth';
+
+/**
+ * POST /api/chat/calls/notifications/read
+ * Mark call notifications as read. Body: { ids?: [] } — without ids, marks all as read.
+ */
+export async function POST(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const body = await req.json().catch(() => ({}));
+    const query = { recipient: userId, read: false };
+    if (Array.isArray(body.ids) && body.ids.length) {
+      query._id = { $in: body.ids };
+    }
+
+    const result = await CallNotification.updateMany(query, {
+      $set: { read: true, readAt: new Date() }
+    });
+
+    const unreadCount = await CallNotification.countUnread(userId);
+
+    return NextResponse.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error marking call notifications read:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    if (error.name === 'CastError') {
+      return NextResponse.json({ message: 'Invalid notification id' }, { status: 400 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallNotification from '@/lib/models/CallNotification';
+import { authenticate } from '@/lib/auth';
+import { expireStaleDirectCalls, populateNotification } from '@/lib/callNotifications';
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+/**
+ * GET /api/chat/calls/notifications?limit=30&before=<ISO date>&filter=missed|all&unread=true
+ * Missed-call inbox for the current user (dismissed notifications are excluded)
+ */
+export async function GET(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { searchParams } = new URL(req.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const before = searchParams.get('before');
+    const filter = searchParams.get('filter') || 'missed';
+    const unreadOnly = searchParams.get('unread') === 'true';
+
+    if (!['missed', 'all'].includes(filter)) {
+      return NextResponse.json(
+        { message: "filter must be 'missed' or 'all'" },
+        { status: 400 }
+      );
+    }
+
+    await expireStaleDirectCalls(userId);
+
+    const query = { recipient: userId, dismissed: false };
+    if (filter === 'missed') query.status = 'missed';
+    if (unreadOnly) query.read = false;
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return NextResponse.json(
+          { message: 'Invalid before date' },
+          { status: 400 }
+        );
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const notifications = await populateNotification(CallNotification.find(query))
+      .sort({ createdAt: -1 })
+      .limit(limit + 1);
+
+    const unreadCount = await CallNotification.countUnread(userId);
+
+    return NextResponse.json({
+      notifications: notifications.slice(0, limit),
+      hasMore: notifications.length > limit,
+      unreadCount
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error fetching call notifications:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,16 +1,87 @@
 import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import CallNotification from '@/lib/models/CallNotification';
+import GroupCall from '@/lib/models/GroupCall';
+import { authenticate } from '@/lib/auth';
+import {
+  expireStaleDirectCalls,
+  populateNotification,
+  resolveCallNotifications,
+  syncGroupCallDelivery
+} from '@/lib/callNotifications';
 
 /**
- * This endpoint is deprecated. Use /api/chat/group-call/pending instead
- * Keeping stub to prevent 405 errors from old code
+ * GET /api/chat/calls/pending
+ * Call notifications that are still ringing for the current user (1:1 and group),
+ * plus the unread missed-call count. Called on (re)connect: everything returned
+ * is marked delivered.
  */
 export async function GET(req) {
-  return NextResponse.json(
-    { 
-      message: 'This endpoint is deprecated. Please use /api/chat/group-call/pending',
-      redirectTo: '/api/chat/group-call/pending',
-      notifications: []
-    },
-    { status: 410 } // Gone
-  );
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    await expireStaleDirectCalls(userId);
+
+    // Group calls that ended while we were away are missed, not pending
+    const ringingGroup = await CallNotification.find({
+      recipient: userId,
+      kind: 'group',
+      status: 'ringing'
+    }).select('groupCall');
+    if (ringingGroup.length) {
+      const endedCalls = await GroupCall.find({
+        _id: { $in: ringingGroup.map(n => n.groupCall) },
+        status: 'ended'
+      }).select('_id');
+      for (const call of endedCalls) {
+        await resolveCallNotifications({ groupCall: call._id, recipient: userId }, 'missed');
+      }
+    }
+
+    const notifications = await populateNotification(CallNotification.find({
+      recipient: userId,
+      status: 'ringing',
+      dismissed: false
+    }))
+      .sort({ createdAt: -1 });
+
+    const undelivered = notifications.filter(n => !n.delivered);
+    if (undelivered.length) {
+      const now = new Date();
+      await CallNotification.updateMany(
+        { _id: { $in: undelivered.map(n => n._id) } },
+        { $set: { delivered: true, deliveredAt: now, sent: true } }
+      );
+      undelivered.forEach(n => {
+        n.delivered = true;
+        n.deliveredAt = now;
+        n.sent = true;
+      });
+
+      const groupCallIds = [...new Set(undelivered.filter(n => n.kind === 'group').map(n => String(n.groupCall)))];
+      for (const groupCallId of groupCallIds) {
+        await syncGroupCallDelivery(groupCallId, [userId]);
+      }
+    }
+
+    const unreadCount = await CallNotification.countUnread(userId);
+
+    return NextResponse.json({
+      notifications,
+      unreadCount
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error fetching pending calls:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
 }
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { searchTranscripts } from '@/lib/callTranscripts';
+import { parseQuery } from '@/lib/messageSearch';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * GET /api/chat/calls/transcripts?q=&before=<ISO date>&limit=20
+ * Search the caption transcripts of the current user's calls, matching what was
+ * said and its translations. Results are newest first with a highlighted snippet.
+ */
+export async function GET(req) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { searchParams } = new URL(req.url);
+    const query = searchParams.get('q') || '';
+    const terms = parseQuery(query);
+    if (query.trim().length < MIN_QUERY_LENGTH || !terms.length) {
+      return NextResponse.json(
+        { message: `Search query must be at least ${MIN_QUERY_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const before = searchParams.get('before');
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return NextResponse.json(
+        { message: 'Invalid before date' },
+        { status: 400 }
+      );
+    }
+
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const user = await User.findById(userId).select('preferredLanguage');
+    const { results, hasMore } = await searchTranscripts({
+      userId,
+      terms,
+      language: user?.preferredLanguage,
+      before: beforeDate,
+      limit
+    });
+
+    return NextResponse.json({ results, hasMore }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error searching call transcripts:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { authenticate } from '@/lib/auth';
+import { deleteGlossary, findGlossary, parseGlossary, saveGlossary } from '@/lib/glossary';
+import { EMPTY_GLOSSARY } from '@/server/utils/glossary';
+
+const handleError = (err, fallback) => {
+  console.error(`${fallback}:`, err);
+  if (err.message.includes('authorization')) {
+    return NextResponse.json({ msg: err.message }, { status: 401 });
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+/**
+ * GET /api/chat/glossary
+ * The current user's personal glossary: { terms, doNotTranslate, updatedAt }
+ */
+export async function GET(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const glossary = await findGlossary('user', decoded.userId);
+    return NextResponse.json({
+      ...(glossary ? glossary.toGlossary() : EMPTY_GLOSSARY),
+      updatedAt: glossary?.updatedAt || null
+    });
+  } catch (err) {
+    return handleError(err, 'Failed to get glossary');
+  }
+}
+
+/**
+ * PUT /api/chat/glossary
+ * Replace the current user's glossary. Same body as the room glossary.
+ * Stored translations of the user's messages containing changed terms are cleared.
+ */
+export async function PUT(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const { glossary, error } = parseGlossary(await request.json());
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const result = await saveGlossary('user', decoded.userId, glossary, decoded.userId);
+    return NextResponse.json(result);
+  } catch (err) {
+    return handleError(err, 'Failed to update glossary');
+  }
+}
+
+/**
+ * DELETE /api/chat/glossary
+ * Remove the current user's glossary
+ */
+export async function DELETE(request) {
+  try {
+    await connectDB();
+    const decoded = authenticate(request);
+
+    const result = await deleteGlossary('user', decoded.userId);
+    return NextResponse.json(result);
+  } catch (err) {
+    return handleError(err, 'Failed to delete glossary');
+  }
+}
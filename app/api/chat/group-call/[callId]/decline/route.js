@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/db';
 import GroupCall from '@/lib/models/GroupCall';
 import { authenticate } from '@/lib/auth';
+import { markCallNotificationDelivered, resolveCallNotifications } from '@/lib/callNotifications';
 
 /**
  * POST /api/chat/group-call/[callId]/decline
@@ -40,6 +41,8 @@ export async function POST(req, { params }) {
     participant.status = 'declined';
 
     await groupCall.save();
+    await markCallNotificationDelivered(userId, groupCall._id);
+    await resolveCallNotifications({ groupCall: groupCall._id, recipient: userId }, 'declined');
 
     return NextResponse.json({
       message: 'Group call declined'
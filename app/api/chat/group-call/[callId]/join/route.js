@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/db';
 import GroupCall from '@/lib/models/GroupCall';
 import { authenticate } from '@/lib/auth';
+import { markCallNotificationDelivered, resolveCallNotifications } from '@/lib/callNotifications';
 
 /**
  * POST /api/chat/group-call/[callId]/join
@@ -52,6 +53,8 @@ export async function POST(req, { params }) {
     }
 
     await groupCall.save();
+    await markCallNotificationDelivered(userId, groupCall._id);
+    await resolveCallNotifications({ groupCall: groupCall._id, recipient: userId }, 'answered');
 
     // Notify other participants
     try {
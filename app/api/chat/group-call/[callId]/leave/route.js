@@ -2,6 +2,8 @@ import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/db';
 import GroupCall from '@/lib/models/GroupCall';
 import { authenticate } from '@/lib/auth';
+import { resolveCallNotifications } from '@/lib/callNotifications';
+import { queueGroupCallSummary } from '@/lib/callSummaries';
 
 /**
  * POST /api/chat/group-call/[callId]/leave
@@ -85,6 +87,8 @@ export async function POST(req, { params }) {
       });
       
       await groupCall.save();
+      await resolveCallNotifications({ groupCall: groupCall._id }, 'missed');
+      queueGroupCallSummary(groupCall._id);
     }
 
     // Notify other participants
@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { findTranscript, loadTranscriptCall, setTranscriptRecording } from '@/lib/callTranscripts';
+import { setSummaryRequested } from '@/lib/callSummaries';
+
+/**
+ * GET /api/chat/group-call/[callId]/summary
+ * Whether a post-call summary was requested, and the summary once the call has ended
+ */
+export async function GET(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+    const loaded = await loadTranscriptCall('group', callId, userId);
+    if (!loaded.call) {
+      return NextResponse.json({ message: loaded.message }, { status: loaded.status });
+    }
+
+    const transcript = await findTranscript('group', callId);
+    return NextResponse.json({
+      summarize: Boolean(transcript?.summarize),
+      recording: Boolean(transcript?.recording),
+      summary: transcript?.summary?.language ? transcript.summary : null
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error fetching group call summary:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/chat/group-call/[callId]/summary
+ * Ask for (or cancel) a summary to be posted into the room when the call ends.
+ * The summary is made from the caption transcript, so asking for one also
+ * switches transcript recording on.
+ * Body: { enabled: boolean }
+ */
+export async function PUT(req, { params }) {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+    const body = await req.json().catch(() => ({}));
+    if (typeof body.enabled !== 'boolean') {
+      return NextResponse.json({ message: 'enabled must be true or false' }, { status: 400 });
+    }
+
+    const loaded = await loadTranscriptCall('group', callId, userId);
+    if (!loaded.call) {
+      return NextResponse.json({ message: loaded.message }, { status: loaded.status });
+    }
+    if (!loaded.live) {
+      return NextResponse.json({ message: 'A summary can only be requested during the call' }, { status: 409 });
+    }
+
+    const user = await User.findById(userId).select('username');
+    let transcript = await setSummaryRequested({
+      loaded,
+      userId,
+      username: user?.username,
+      enabled: body.enabled
+    });
+    if (body.enabled && !transcript.recording) {
+      transcript = await setTranscriptRecording({
+        kind: 'group',
+        loaded,
+        userId,
+        username: user?.username,
+        recording: true
+      });
+    }
+
+    return NextResponse.json({
+      summarize: transcript.summarize,
+      recording: transcript.recording
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Error updating group call summary request:', error);
+    if (error.message.includes('authorization')) {
+      return NextResponse.json({ message: error.message }, { status: 401 });
+    }
+    return NextResponse.json(
+      { message: 'Internal server error', error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,19 @@
+import { handleTranscriptGet, handleTranscriptPut } from '@/lib/callTranscripts';
+
+/**
+ * GET /api/chat/group-call/[callId]/transcript?format=txt|srt|vtt&lang=hi
+ * Caption transcript of a group call. Without `format` it is returned as JSON;
+ * with it, as a file download, using the `lang` translation where available.
+ */
+export async function GET(req, { params }) {
+  return handleTranscriptGet('group', req, params);
+}
+
+/**
+ * PUT /api/chat/group-call/[callId]/transcript
+ * Switch caption recording on or off while the group call is active.
+ * Body: { recording: boolean }
+ */
+export async function PUT(req, { params }) {
+  return handleTranscriptPut('group', req, params);
+}
@@ -4,6 +4,8 @@ import GroupCall from '@/lib/models/GroupCall';
 import Room from '@/lib/models/Room';
 import User from '@/lib/models/User';
 import { authenticate } from '@/lib/auth';
+import { notifyGroupCall, resolveCallNotifications } from '@/lib/callNotifications';
+import { queueGroupCallSummary } from '@/lib/callSummaries';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -66,6 +68,8 @@ export async function POST(req) {
         console.log(`   - Status: ${existingCall.status}, Age: ${Math.floor(callAge / 1000)}s`);
         existingCall.endCall();
         await existingCall.save();
+        await resolveCallNotifications({ groupCall: existingCall._id }, 'missed');
+        queueGroupCallSummary(existingCall._id);
         // Clear the variable so we proceed to create a new call
         existingCall = null;
         console.log('✅ Abandoned call ended, proceeding to create new call');
@@ -119,61 +123,39 @@ export async function POST(req) {
 
     // Emit socket event to notify all participants (single event with participant IDs)
     try {
+      // Build participant id list (strings)
+      const participantIds = participants.map(p => {
+        try { return p.userId.toString(); } catch (e) { return String(p.userId || p); }
+      });
+
+      const initiatorUser = await User.findById(userId).select('username');
+
+      const payload = {
+        callId: groupCall._id,
+        callRoomId,
+        roomId,
+        roomName: room.name,
+        initiator: {
+          id: userId,
+          username: initiatorUser?.username || 'Unknown'
+        },
+        callType,
+        participants: participantIds
+      };
+
       if (global.__io) {
         const io = global.__io;
 
-        // Build participant id list (strings)
-        const participantIds = participants.map(p => {
-          try { return p.userId.toString(); } catch (e) { return String(p.userId || p); }
-        });
-
-        const initiatorUser = await User.findById(userId).select('username');
-
-        const payload = {
-          callId: groupCall._id,
-          callRoomId,
-          roomId,
-          roomName: room.name,
-          initiator: {
-            id: userId,
-            username: initiatorUser?.username || 'Unknown'
-          },
-          callType,
-          participants: participantIds
-        };
-
         // Broadcast as a fallback
         io.emit('groupCallIncoming', payload);
-
-        // Also try delivering individually to connected participant sockets and mark delivered
-        const sockets = Array.from(io.sockets.sockets.values());
-        for (const participantUserId of participantIds) {
-          if (String(participantUserId) === String(userId)) continue; // skip initiator
-          const targetSocket = sockets.find(s => {
-            try {
-              return s.user && String(s.user.userId) === String(participantUserId);
-            } catch (e) { return false; }
-          });
-
-          if (!targetSocket) continue;
-
-          try {
-            io.to(targetSocket.id).emit('groupCallIncoming', payload);
-
-            // Mark participant delivery flags in DB
-            const part = groupCall.participants.find(p => String(p.userId) === String(participantUserId));
-            if (part) {
-              part.notificationSent = true;
-              part.notificationDelivered = true;
-            }
-          } catch (e) {
-            console.warn('Failed to emit direct groupCallIncoming to socket', targetSocket.id, e.message || e);
-          }
-        }
-
-        // Save any updated notification flags
-        await groupCall.save();
       }
+
+      // Persist a notification per invited participant and push it to those who are
+      // connected (Socket.IO or long-polling); offline users get it on reconnect
+      await notifyGroupCall(groupCall, payload);
+
+      // Save any updated notification flags
+      await groupCall.save();
     } catch (err) {
       console.error('Error emitting group call notification:', err);
     }
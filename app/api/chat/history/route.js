@@ -1,8 +1,32 @@
 import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
 import connectDB from '@/lib/db';
 import Chat from '@/lib/models/Chat';
 import User from '@/lib/models/User';
 import { authenticate } from '@/lib/auth';
+import { localizeMessages, translateMessages } from '@/lib/messageTranslations';
+import { resolveConversationLanguage } from '@/server/utils/languageOverrides';
+import { withSignedAttachmentUrls } from '@/lib/storage';
+
+const populateSenders = (query) => query
+  .populate('sender', 'username preferredLanguage')
+  .populate('receiver', 'username preferredLanguage');
+
+/**
+ * Messages on both sides of `around` (e.g. a search hit), in chronological order
+ */
+const loadAround = async (query, target, limit) => {
+  const half = Math.max(Math.floor(limit / 2), 1);
+  const [older, newer] = await Promise.all([
+    populateSenders(Chat.find({ ...query, timestamp: { $lt: target.timestamp } }).sort({ timestamp: -1 }).limit(half)),
+    populateSenders(Chat.find({ ...query, timestamp: { $gt: target.timestamp } }).sort({ timestamp: 1 }).limit(half))
+  ]);
+  return {
+    messages: [...older.reverse(), target, ...newer],
+    hasMore: older.length === half,
+    hasNewer: newer.length === half
+  };
+};
 
 export async function GET(request) {
   try {
@@ -15,6 +39,7 @@ export async function GET(request) {
     // Pagination params
     const limit = parseInt(searchParams.get('limit') || '30', 10);
     const before = searchParams.get('before'); // ISO timestamp or number
+    const around = searchParams.get('around'); // message id to center the page on
 
     let query = {};
 
@@ -32,26 +57,59 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Either userId or roomId is required' }, { status: 400 });
     }
 
-    // Apply pagination: fetch messages older than `before` if provided.
-    // We'll query for newest first then reverse to keep chronological order.
-    const queryCursor = { ...query };
-    if (before) {
-      const beforeDate = new Date(before);
-      if (!isNaN(beforeDate.getTime())) {
-        queryCursor.timestamp = { $lt: beforeDate };
+    let chronological;
+    let hasMore;
+    let hasNewer = false;
+
+    if (around) {
+      const target = mongoose.isValidObjectId(around)
+        ? await populateSenders(Chat.findOne({ ...query, _id: around }))
+        : null;
+      if (!target) {
+        return NextResponse.json({ error: 'Message not found in this conversation' }, { status: 404 });
       }
-    }
+      ({ messages: chronological, hasMore, hasNewer } = await loadAround(query, target, limit));
+    } else {
+      // Apply pagination: fetch messages older than `before` if provided.
+      // We'll query for newest first then reverse to keep chronological order.
+      const queryCursor = { ...query };
+      if (before) {
+        const beforeDate = new Date(before);
+        if (!isNaN(beforeDate.getTime())) {
+          queryCursor.timestamp = { $lt: beforeDate };
+        }
+      }
+
+      const found = await populateSenders(Chat.find(queryCursor)
+        .sort({ timestamp: -1 })
+        .limit(limit));
 
-    const found = await Chat.find(queryCursor)
-      .sort({ timestamp: -1 })
-      .limit(limit)
-      .populate('sender', 'username preferredLanguage')
-      .populate('receiver', 'username preferredLanguage');
+      hasMore = found.length === limit;
+      // Reverse to chronological order (oldest -> newest)
+      chronological = found.reverse();
+    }
 
-    // Reverse to chronological order (oldest -> newest)
-    const messages = found.reverse();
+    // Return messages in the requester's language for this conversation (a
+    // per-conversation override, else their preferred language); translations
+    // are persisted on first use. language is null when the conversation is
+    // left untranslated.
+    const requester = await User.findById(decoded.userId).select('preferredLanguage languageOverrides');
+    const language = resolveConversationLanguage(
+      requester?.languageOverrides,
+      roomId ? { roomId } : { contactId: userId },
+      requester?.preferredLanguage
+    );
+    let translations = new Map();
+    if (language) {
+      try {
+        translations = await translateMessages(chronological, language);
+      } catch (translateErr) {
+        console.warn('Failed to translate chat history, returning original messages:', translateErr.message);
+      }
+    }
+    const messages = localizeMessages(chronological, translations, language).map(withSignedAttachmentUrls);
 
-    return NextResponse.json({ messages, hasMore: found.length === limit });
+    return NextResponse.json({ messages, hasMore, hasNewer, language });
   } catch (err) {
     console.error('Error getting chat history:', err);
     if (err.message.includes('authorization')) {
@@ -0,0 +1,129 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Chat from '@/lib/models/Chat';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { emitToRoom, emitToUser } from '@/lib/realtime';
+import { getStorage, withSignedAttachmentUrls } from '@/lib/storage';
+import { detectMessageLanguage } from '@/lib/messageTranslations';
+
+const populateMessage = (id) => Chat.findById(id)
+  .populate('sender', 'username preferredLanguage')
+  .populate('receiver', 'username preferredLanguage');
+
+// Push the change to the room, or to both sides of a 1:1 conversation (the sender may have other tabs open)
+const notifyMessageChange = async (message, event, payload) => {
+  if (message.isGroupMessage && message.room) {
+    await emitToRoom(message.room, event, payload);
+    return;
+  }
+  await Promise.all([
+    emitToUser(message.sender?._id || message.sender, event, payload),
+    message.receiver && emitToUser(message.receiver?._id || message.receiver, event, payload)
+  ]);
+};
+
+const loadOwnMessage = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: NextResponse.json({ error: 'Message not found' }, { status: 404 }) };
+  }
+  const message = await Chat.findById(id);
+  if (!message) {
+    return { error: NextResponse.json({ error: 'Message not found' }, { status: 404 }) };
+  }
+  const check = message.canModify(userId);
+  if (!check.allowed) {
+    return { error: NextResponse.json({ error: check.error }, { status: check.status }) };
+  }
+  return { message };
+};
+
+/**
+ * PATCH /api/chat/message/[id]
+ * Edit a message (sender only, within the edit window). Body: { content }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { id } = await params;
+    const { content } = await request.json();
+
+    if (typeof content !== 'string') {
+      return NextResponse.json({ error: 'content is required' }, { status: 400 });
+    }
+
+    const { message, error } = await loadOwnMessage(id, decoded.userId);
+    if (error) return error;
+
+    if (!content.trim() && message.attachments.length === 0) {
+      return NextResponse.json({ error: 'Message content is required' }, { status: 400 });
+    }
+
+    if (content !== message.originalContent) {
+      message.edit(content);
+      // The new text may be in another language
+      const sender = await User.findById(decoded.userId).select('preferredLanguage');
+      await detectMessageLanguage(message, sender?.preferredLanguage || 'en');
+      await message.save();
+    }
+
+    const updated = withSignedAttachmentUrls(await populateMessage(message._id));
+    await notifyMessageChange(updated, 'messageEdited', updated);
+
+    return NextResponse.json(updated);
+  } catch (err) {
+    console.error('Error editing message:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to edit message' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/chat/message/[id]
+ * Delete a message (sender only, within the edit window). The message stays
+ * in the conversation as a "message deleted" tombstone.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { id } = await params;
+
+    const { message, error } = await loadOwnMessage(id, decoded.userId);
+    if (error) return error;
+
+    const attachmentKeys = message.attachments.flatMap(a => [a.key, a.thumbnailKey].filter(Boolean));
+    message.softDelete();
+    await message.save();
+
+    // The files are no longer reachable from any message
+    if (attachmentKeys.length) {
+      const storage = getStorage();
+      await Promise.all(attachmentKeys.map(key => storage.remove(key).catch(removeErr => {
+        console.warn(`Failed to remove attachment ${key}:`, removeErr);
+      })));
+    }
+
+    const payload = {
+      _id: message._id,
+      room: message.room,
+      isDeleted: true,
+      deletedAt: message.deletedAt
+    };
+    await notifyMessageChange(message, 'messageDeleted', payload);
+
+    return NextResponse.json(payload);
+  } catch (err) {
+    console.error('Error deleting message:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to delete message' }, { status: 500 });
+  }
+}
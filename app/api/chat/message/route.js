@@ -3,28 +3,104 @@ import connectDB from '@/lib/db';
 import Chat from '@/lib/models/Chat';
 import User from '@/lib/models/User';
 import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
+import { getStorage, getAttachmentUrl, withSignedAttachmentUrls } from '@/lib/storage';
+import { buildReceipts } from '@/lib/messageReceipts';
+import { detectMessageLanguage } from '@/lib/messageTranslations';
+
+const MAX_ATTACHMENTS = 10;
+
+const toDimension = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+/**
+ * Build the stored attachment entries from what the client sent back after
+ * uploading. Name, size and type come from the server-side metadata, and only
+ * the uploader may attach a file. Returns { attachments } or { error }.
+ */
+const resolveAttachments = async (requested, userId) => {
+  if (!Array.isArray(requested)) {
+    return { error: 'attachments must be an array' };
+  }
+  if (requested.length > MAX_ATTACHMENTS) {
+    return { error: `A message can have at most ${MAX_ATTACHMENTS} attachments` };
+  }
+
+  const storage = getStorage();
+  const attachments = [];
+
+  for (const item of requested) {
+    const key = typeof item === 'string' ? item : item?.key;
+    let metadata = null;
+    try {
+      metadata = key ? await storage.getMetadata(key) : null;
+    } catch (keyErr) {
+      metadata = null;
+    }
+    if (!metadata || metadata.parentKey || metadata.uploadedBy !== String(userId)) {
+      return { error: 'Invalid attachment' };
+    }
+
+    const attachment = {
+      key,
+      name: metadata.name,
+      size: metadata.size,
+      mimeType: metadata.mimeType,
+      url: getAttachmentUrl(key),
+      width: toDimension(item.width),
+      height: toDimension(item.height)
+    };
+
+    if (item.thumbnailKey) {
+      let thumbnail = null;
+      try {
+        thumbnail = await storage.getMetadata(item.thumbnailKey);
+      } catch (keyErr) {
+        thumbnail = null;
+      }
+      if (thumbnail && thumbnail.parentKey === key) {
+        attachment.thumbnailKey = item.thumbnailKey;
+        attachment.thumbnailUrl = getAttachmentUrl(item.thumbnailKey);
+      }
+    }
+
+    attachments.push(attachment);
+  }
+
+  return { attachments };
+};
 
 export async function POST(request) {
   try {
     await connectDB();
 
   const decoded = authenticate(request);
-  const { receiverId, content, roomId, clientTempId } = await request.json();
+  const { receiverId, content, roomId, clientTempId, attachments: requestedAttachments } = await request.json();
+
+    let attachments = [];
+    if (requestedAttachments) {
+      const resolved = await resolveAttachments(requestedAttachments, decoded.userId);
+      if (resolved.error) {
+        return NextResponse.json({ error: resolved.error }, { status: 400 });
+      }
+      attachments = resolved.attachments;
+    }
 
-    if (!content) {
-      return NextResponse.json({ error: 'Message content is required' }, { status: 400 });
+    if (!content && attachments.length === 0) {
+      return NextResponse.json({ error: 'Message content or an attachment is required' }, { status: 400 });
     }
 
     const sender = await User.findById(decoded.userId);
-    const originalLanguage = sender.preferredLanguage || 'en';
 
     const newMessage = new Chat({
       sender: decoded.userId,
-      originalContent: content,
-      content: content,
-      originalLanguage,
+      originalContent: content || '',
+      content: content || '',
       timestamp: new Date(),
-      translations: new Map()
+      translations: new Map(),
+      attachments
     });
 
     if (roomId) {
@@ -36,6 +112,11 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Either receiverId or roomId is required' }, { status: 400 });
     }
 
+    // Bilingual users don't always write in their preferred language
+    await detectMessageLanguage(newMessage, sender.preferredLanguage || 'en');
+
+    newMessage.receipts = await buildReceipts({ senderId: decoded.userId, receiverId, roomId });
+
     await newMessage.save();
 
     let populatedMessage = await Chat.findById(newMessage._id)
@@ -44,7 +125,8 @@ export async function POST(request) {
 
     // Attach clientTempId to the emitted/returned object so clients can correlate optimistic sends
     try {
-      populatedMessage = populatedMessage.toObject();
+      // Only the conversation receives it, so attachment URLs can be signed
+      populatedMessage = withSignedAttachmentUrls(populatedMessage.toObject());
       if (clientTempId) populatedMessage.clientTempId = clientTempId;
     } catch (e) {
       // If toObject isn't available, set directly
@@ -73,6 +155,13 @@ export async function POST(request) {
       console.warn('Failed to emit saved message via Socket.IO:', emitErr);
     }
 
+    // Clients on the long-polling fallback transport
+    if (roomId) {
+      await pollingManager.emitToRoom(roomId, 'receiveMessage', populatedMessage);
+    } else {
+      await pollingManager.emitToUser(receiverId, 'receiveMessage', populatedMessage);
+    }
+
     return NextResponse.json(populatedMessage, { status: 201 });
   } catch (err) {
     console.error('Error saving message:', err);
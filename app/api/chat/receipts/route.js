@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { authenticate } from '@/lib/auth';
+import { markMessages } from '@/lib/messageReceipts';
+
+const MAX_MESSAGE_IDS = 500;
+
+/**
+ * POST /api/chat/receipts
+ * Acknowledge messages addressed to the current user.
+ * Body: { status: 'delivered' | 'read', messageIds?, userId?, roomId? }
+ * With userId/roomId (and no messageIds) the whole conversation is marked.
+ */
+export async function POST(request) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { status, messageIds, userId, roomId } = await request.json();
+
+    if (!['delivered', 'read'].includes(status)) {
+      return NextResponse.json({ error: "status must be 'delivered' or 'read'" }, { status: 400 });
+    }
+
+    let scope;
+    if (Array.isArray(messageIds)) {
+      if (messageIds.length > MAX_MESSAGE_IDS) {
+        return NextResponse.json({ error: `At most ${MAX_MESSAGE_IDS} messageIds per request` }, { status: 400 });
+      }
+      scope = { messageIds };
+    } else if (userId) {
+      scope = { withUser: userId };
+    } else if (roomId) {
+      scope = { roomId };
+    } else {
+      return NextResponse.json({ error: 'messageIds, userId or roomId is required' }, { status: 400 });
+    }
+
+    const updated = await markMessages(decoded.userId, scope, status);
+
+    return NextResponse.json({ updated: updated.length, messageIds: updated });
+  } catch (err) {
+    console.error('Error updating message receipts:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to update message receipts' }, { status: 500 });
+  }
+}
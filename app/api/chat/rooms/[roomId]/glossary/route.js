@@ -0,0 +1,116 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import Room from '@/lib/models/Room';
+import { authenticate } from '@/lib/auth';
+import { deleteGlossary, findGlossary, parseGlossary, saveGlossary } from '@/lib/glossary';
+import { EMPTY_GLOSSARY } from '@/server/utils/glossary';
+
+// Helpers shared by the handlers below
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+const hasId = (list, id) => (list || []).some(item => sameId(item, id));
+const isAdminOf = (room, userId) => hasId(room.admins, userId);
+
+const loadRoom = async (roomId) => {
+  const room = await Room.findById(roomId);
+  if (!room || !room.isActive) return null;
+  return room;
+};
+
+const handleError = (err, fallback) => {
+  console.error(`${fallback}:`, err);
+  if (err.message.includes('authorization')) {
+    return NextResponse.json({ msg: err.message }, { status: 401 });
+  }
+  if (err.name === 'CastError') {
+    return NextResponse.json({ error: 'Invalid id' }, { status: 400 });
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+/**
+ * GET /api/chat/rooms/[roomId]/glossary
+ * The room's glossary (members only): { terms, doNotTranslate, updatedAt }
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!hasId(room.participants, decoded.userId) && !isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'You are not a member of this room' }, { status: 403 });
+    }
+
+    const glossary = await findGlossary('room', room._id);
+    return NextResponse.json({
+      ...(glossary ? glossary.toGlossary() : EMPTY_GLOSSARY),
+      updatedAt: glossary?.updatedAt || null
+    });
+  } catch (err) {
+    return handleError(err, 'Failed to get room glossary');
+  }
+}
+
+/**
+ * PUT /api/chat/rooms/[roomId]/glossary
+ * Replace the room's glossary (admins only).
+ * Body: { terms: [{ term, translations: { [lang]: text }, caseSensitive? }], doNotTranslate: [term] }
+ * Stored translations of room messages containing changed terms are cleared.
+ */
+export async function PUT(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'Only group admins can edit the glossary' }, { status: 403 });
+    }
+
+    const { glossary, error } = parseGlossary(await request.json());
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const result = await saveGlossary('room', room._id, glossary, decoded.userId);
+    return NextResponse.json(result);
+  } catch (err) {
+    return handleError(err, 'Failed to update room glossary');
+  }
+}
+
+/**
+ * DELETE /api/chat/rooms/[roomId]/glossary
+ * Remove the room's glossary (admins only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'Only group admins can edit the glossary' }, { status: 403 });
+    }
+
+    const result = await deleteGlossary('room', room._id);
+    return NextResponse.json(result);
+  } catch (err) {
+    return handleError(err, 'Failed to delete room glossary');
+  }
+}
@@ -0,0 +1,290 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import Room from '@/lib/models/Room';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
+
+// Helpers shared by the handlers below
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+const hasId = (list, id) => (list || []).some(item => sameId(item, id));
+const isAdminOf = (room, userId) => hasId(room.admins, userId);
+
+const populateRoom = (roomId) => Room.findById(roomId)
+  .populate('participants', 'username')
+  .populate('createdBy', 'username')
+  .populate('admins', 'username');
+
+// Emit an event to every connected socket that belongs to userId
+const emitToUser = (io, userId, event, payload) => {
+  const sockets = Array.from(io.of('/').sockets.values());
+  sockets.forEach(s => {
+    if (s.user && sameId(s.user.userId, userId)) {
+      io.to(s.id).emit(event, payload);
+    }
+  });
+};
+
+// Keep Socket.IO room membership in sync so room broadcasts reach the right sockets
+const syncSocketRoom = (io, userId, roomId, join) => {
+  const sockets = Array.from(io.of('/').sockets.values());
+  sockets.forEach(s => {
+    if (s.user && sameId(s.user.userId, userId)) {
+      if (join) s.join(String(roomId));
+      else s.leave(String(roomId));
+    }
+  });
+};
+
+/**
+ * Notify remaining members about the updated room and, optionally,
+ * tell a removed user that they are no longer part of it.
+ */
+const notifyRoomChange = async (room, { removedUserId, addedUserIds = [], reason } = {}) => {
+  const removedPayload = { roomId: room._id, roomName: room.name, reason };
+
+  // Clients on the long-polling fallback transport
+  await Promise.all(room.participants.map(p => pollingManager.emitToUser(p._id || p, 'roomUpdated', room)));
+  if (removedUserId) {
+    try {
+      const clients = await pollingManager.getClientsForUser(removedUserId);
+      await Promise.all(clients.map(c => pollingManager.leaveRoom(c.clientId, room._id)));
+    } catch (pollingErr) {
+      console.warn('Failed to remove polling clients from room:', pollingErr.message);
+    }
+    await pollingManager.emitToUser(removedUserId, 'removedFromRoom', removedPayload);
+  }
+
+  try {
+    const io = global.__io;
+    if (!io) return;
+
+    addedUserIds.forEach(id => syncSocketRoom(io, id, room._id, true));
+
+    room.participants.forEach(p => {
+      emitToUser(io, p._id || p, 'roomUpdated', room);
+    });
+
+    if (removedUserId) {
+      syncSocketRoom(io, removedUserId, room._id, false);
+      emitToUser(io, removedUserId, 'removedFromRoom', removedPayload);
+    }
+  } catch (emitErr) {
+    console.warn('Failed to emit room membership event:', emitErr);
+  }
+};
+
+const loadRoom = async (roomId) => {
+  const room = await Room.findById(roomId);
+  if (!room || !room.isActive) return null;
+  return room;
+};
+
+const handleError = (err, fallback) => {
+  console.error(`${fallback}:`, err);
+  if (err.message.includes('authorization')) {
+    return NextResponse.json({ msg: err.message }, { status: 401 });
+  }
+  if (err.name === 'CastError') {
+    return NextResponse.json({ error: 'Invalid id' }, { status: 400 });
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+/**
+ * GET /api/chat/rooms/[roomId]/members
+ * List members and admins of a room (members only)
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+
+    const room = await populateRoom(roomId);
+    if (!room || !room.isActive) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!hasId(room.participants, decoded.userId) && !isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'You are not a member of this room' }, { status: 403 });
+    }
+
+    return NextResponse.json({
+      participants: room.participants,
+      admins: room.admins
+    });
+  } catch (err) {
+    return handleError(err, 'Failed to get room members');
+  }
+}
+
+/**
+ * POST /api/chat/rooms/[roomId]/members
+ * Add a member to a room (admins only). Body: { userId } or { userIds: [] }
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+    const { userId, userIds } = await request.json();
+
+    const idsToAdd = [...new Set((userIds && userIds.length ? userIds : [userId]).filter(Boolean).map(String))];
+    if (!idsToAdd.length) {
+      return NextResponse.json({ error: 'userId is required' }, { status: 400 });
+    }
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'Only group admins can add members' }, { status: 403 });
+    }
+
+    const validUsers = await User.find({ _id: { $in: idsToAdd } }).select('_id');
+    if (validUsers.length !== idsToAdd.length) {
+      return NextResponse.json({ error: 'Some users not found' }, { status: 400 });
+    }
+
+    const newIds = idsToAdd.filter(id => !hasId(room.participants, id));
+    if (!newIds.length) {
+      return NextResponse.json({ error: 'User is already a member of this group' }, { status: 409 });
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        $addToSet: { participants: { $each: newIds } },
+        $set: { lastActivity: new Date() }
+      }
+    );
+
+    const populatedRoom = await populateRoom(room._id);
+    await notifyRoomChange(populatedRoom, { addedUserIds: newIds });
+
+    return NextResponse.json(populatedRoom);
+  } catch (err) {
+    return handleError(err, 'Failed to add member');
+  }
+}
+
+/**
+ * PATCH /api/chat/rooms/[roomId]/members
+ * Promote or demote a member (admins only). Body: { userId, action: 'promote' | 'demote' }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+    const { userId, action } = await request.json();
+
+    if (!userId || !['promote', 'demote'].includes(action)) {
+      return NextResponse.json({ error: "userId and action ('promote' or 'demote') are required" }, { status: 400 });
+    }
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'Only group admins can change admin rights' }, { status: 403 });
+    }
+    if (!hasId(room.participants, userId)) {
+      return NextResponse.json({ error: 'User is not a member of this group' }, { status: 404 });
+    }
+
+    let update;
+    if (action === 'promote') {
+      if (isAdminOf(room, userId)) {
+        return NextResponse.json({ error: 'User is already an admin' }, { status: 409 });
+      }
+      update = { $addToSet: { admins: userId } };
+    } else {
+      if (!isAdminOf(room, userId)) {
+        return NextResponse.json({ error: 'User is not an admin' }, { status: 409 });
+      }
+      if (room.admins.length <= 1) {
+        return NextResponse.json({ error: 'A group must keep at least one admin' }, { status: 400 });
+      }
+      update = { $pull: { admins: userId } };
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      { ...update, $set: { lastActivity: new Date() } }
+    );
+
+    const populatedRoom = await populateRoom(room._id);
+    await notifyRoomChange(populatedRoom);
+
+    return NextResponse.json(populatedRoom);
+  } catch (err) {
+    return handleError(err, 'Failed to update member role');
+  }
+}
+
+/**
+ * DELETE /api/chat/rooms/[roomId]/members
+ * Remove a member (admins only) or leave the group yourself. Body: { userId }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { roomId } = await params;
+    const body = await request.json().catch(() => ({}));
+    const userId = body.userId || decoded.userId;
+    const isLeaving = sameId(userId, decoded.userId);
+
+    const room = await loadRoom(roomId);
+    if (!room) {
+      return NextResponse.json({ error: 'Room not found' }, { status: 404 });
+    }
+    if (!isLeaving && !isAdminOf(room, decoded.userId)) {
+      return NextResponse.json({ error: 'Only group admins can remove members' }, { status: 403 });
+    }
+    if (!hasId(room.participants, userId) && !isAdminOf(room, userId)) {
+      return NextResponse.json({ error: 'User is not a member of this group' }, { status: 404 });
+    }
+
+    const remainingParticipants = room.participants.filter(p => !sameId(p, userId));
+    const remainingAdmins = room.admins.filter(a => !sameId(a, userId));
+
+    // Protect the last admin: the group would otherwise be unmanageable
+    if (isAdminOf(room, userId) && remainingAdmins.length === 0 && remainingParticipants.length > 0) {
+      return NextResponse.json({
+        error: isLeaving
+          ? 'You are the last admin. Promote another member before leaving.'
+          : 'Cannot remove the last admin of the group'
+      }, { status: 400 });
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        $pull: { participants: userId, admins: userId },
+        $set: {
+          lastActivity: new Date(),
+          // Nobody left: archive the room instead of deleting its history
+          isActive: remainingParticipants.length > 0
+        }
+      }
+    );
+
+    const populatedRoom = await populateRoom(room._id);
+    await notifyRoomChange(populatedRoom, {
+      removedUserId: userId,
+      reason: isLeaving ? 'left' : 'removed'
+    });
+
+    return NextResponse.json(populatedRoom);
+  } catch (err) {
+    return handleError(err, 'Failed to remove member');
+  }
+}
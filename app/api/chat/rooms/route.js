@@ -3,6 +3,7 @@ import connectDB from '@/lib/db';
 import Room from '@/lib/models/Room';
 import User from '@/lib/models/User';
 import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
 
 export async function GET(request) {
   try {
@@ -97,6 +98,10 @@ export async function POST(request) {
       console.warn('Failed to emit roomCreated event:', emitErr);
     }
 
+    await Promise.all(populatedRoom.participants.map(p => (
+      pollingManager.emitToUser(p._id, 'roomCreated', populatedRoom)
+    )));
+
     return NextResponse.json(populatedRoom, { status: 201 });
   } catch (err) {
     console.error('Error creating room:', err);
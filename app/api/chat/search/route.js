@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import { buildSearchScope, parseQuery, searchMessages } from '@/lib/messageSearch';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * GET /api/chat/search?q=&roomId=&userId=&senderId=&from=&to=&before=&limit=
+ * Search messages in the caller's conversations, matching the original text and
+ * stored translations. Results are newest first with a highlighted snippet;
+ * open one with GET /api/chat/history?around=<messageId>.
+ */
+export async function GET(request) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+    const { searchParams } = new URL(request.url);
+
+    const query = searchParams.get('q') || '';
+    const terms = parseQuery(query);
+    if (query.trim().length < MIN_QUERY_LENGTH || !terms.length) {
+      return NextResponse.json({ error: `Search query must be at least ${MIN_QUERY_LENGTH} characters` }, { status: 400 });
+    }
+
+    const from = parseDate(searchParams.get('from'));
+    const to = parseDate(searchParams.get('to'));
+    const before = parseDate(searchParams.get('before'));
+    if (from === undefined || to === undefined || before === undefined) {
+      return NextResponse.json({ error: 'Invalid date' }, { status: 400 });
+    }
+
+    const ids = {
+      roomId: searchParams.get('roomId'),
+      userId: searchParams.get('userId'),
+      senderId: searchParams.get('senderId')
+    };
+    const invalidId = Object.keys(ids).find(name => ids[name] && !mongoose.isValidObjectId(ids[name]));
+    if (invalidId) {
+      return NextResponse.json({ error: `Invalid ${invalidId}` }, { status: 400 });
+    }
+
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const scope = await buildSearchScope(decoded.userId, {
+      roomId: ids.roomId,
+      withUser: ids.userId,
+      senderId: ids.senderId,
+      from,
+      to
+    });
+    if (!scope) {
+      return NextResponse.json({ error: 'Not a member of this room' }, { status: 403 });
+    }
+
+    const user = await User.findById(decoded.userId).select('preferredLanguage');
+    const { results, hasMore } = await searchMessages({
+      scope,
+      terms,
+      language: user?.preferredLanguage,
+      before,
+      limit
+    });
+
+    return NextResponse.json({ results, hasMore });
+  } catch (err) {
+    console.error('Error searching messages:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to search messages' }, { status: 500 });
+  }
+}
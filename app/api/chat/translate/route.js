@@ -1,18 +1,59 @@
 import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
 import { authenticate } from '@/lib/auth';
-import axios from 'axios';
-import { v4 as uuidv4 } from 'uuid';
-import translationCache from '@/lib/translationCache';
+import connectDB from '@/lib/db';
+import Chat from '@/lib/models/Chat';
+import Room from '@/lib/models/Room';
+import { detectLanguages, translateTexts } from '@/lib/translator';
+import {
+  MIN_DETECTION_CONFIDENCE,
+  filterReadableMessages,
+  isSameLanguage,
+  isValidLanguage,
+  translateMessages
+} from '@/lib/messageTranslations';
+import { getGlossaryFor } from '@/lib/glossary';
+
+const MAX_MESSAGE_IDS = 100;
+
+/**
+ * Translate stored messages by id. Translations are persisted on the messages,
+ * so each message is only sent to the translator once per language.
+ * Returns { translations: { [messageId]: text } }.
+ */
+const translateStoredMessages = async (userId, messageIds, targetLang) => {
+  if (!isValidLanguage(targetLang)) {
+    return NextResponse.json({ error: 'Invalid target language' }, { status: 400 });
+  }
+  if (messageIds.length > MAX_MESSAGE_IDS) {
+    return NextResponse.json({ error: `At most ${MAX_MESSAGE_IDS} messageIds per request` }, { status: 400 });
+  }
+
+  await connectDB();
+  const ids = messageIds.filter(id => mongoose.isValidObjectId(id));
+  const found = await Chat.find({ _id: { $in: ids } });
+  const messages = await filterReadableMessages(found, userId);
 
-// Azure Translator configuration
-const AZURE_TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-const AZURE_TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-const AZURE_TRANSLATOR_ENDPOINT = process.env.AZURE_TRANSLATOR_ENDPOINT;
+  const translations = await translateMessages(messages, targetLang);
+  return NextResponse.json({ translations: Object.fromEntries(translations) });
+};
 
 export async function POST(request) {
   try {
-    authenticate(request);
-    const { text, texts, targetLang, sourceLang } = await request.json();
+    const decoded = authenticate(request);
+    const { text, texts, targetLang, sourceLang, messageIds, roomId } = await request.json();
+
+    if (Array.isArray(messageIds)) {
+      try {
+        return await translateStoredMessages(decoded.userId, messageIds, targetLang);
+      } catch (translateErr) {
+        if (translateErr.code === 'TRANSLATOR_NOT_CONFIGURED') {
+          console.error('❌ Translation provider not configured');
+          return NextResponse.json({ error: 'Translation service not configured' }, { status: 500 });
+        }
+        throw translateErr;
+      }
+    }
 
     // Support both single text and batch texts
     const isBatch = texts && Array.isArray(texts);
@@ -28,8 +69,17 @@ export async function POST(request) {
       return NextResponse.json(isBatch ? { translations: [] } : { translation: '' });
     }
 
-    // If source and target are the same, return original texts
+    // If source and target are the same, return original texts. The given source
+    // is often just the sender's preferred language, so check it against detection.
+    let effectiveSourceLang = sourceLang;
     if (sourceLang && sourceLang === targetLang) {
+      const detected = await detectLanguages(validTexts);
+      const otherLanguage = detected.some(d => (
+        d && d.score >= MIN_DETECTION_CONFIDENCE && !isSameLanguage(d.language, targetLang)
+      ));
+      if (otherLanguage) effectiveSourceLang = undefined;
+    }
+    if (sourceLang && effectiveSourceLang === targetLang) {
       console.log('💬 Same language, skipping translation for', validTexts.length, 'texts');
       if (isBatch) {
         return NextResponse.json({ translations: validTexts });
@@ -38,79 +88,37 @@ export async function POST(request) {
       }
     }
 
-    // Prepare cache keys and check cache for batch
-    const keys = validTexts.map(t => translationCache.makeKey(t, targetLang, sourceLang));
-    const cachedMap = translationCache.getMany(keys);
-    if (cachedMap.size === validTexts.length) {
-      // console.log('♻️ Returning fully cached batch translations');
-      const cachedTranslations = keys.map(k => cachedMap.get(k));
-      if (isBatch) {
-        return NextResponse.json({ translations: cachedTranslations, detectedLanguages: keys.map(() => sourceLang || null) });
-      } else {
-        return NextResponse.json({ translation: cachedTranslations[0], detectedLanguage: sourceLang });
+    // The user's glossary, plus the room's when translating within a room they belong to
+    await connectDB();
+    let glossaryRoomId = null;
+    if (roomId) {
+      if (!mongoose.isValidObjectId(roomId)) {
+        return NextResponse.json({ error: 'Invalid roomId' }, { status: 400 });
       }
+      if (!(await Room.exists({ _id: roomId, participants: decoded.userId }))) {
+        return NextResponse.json({ error: 'You are not a member of this room' }, { status: 403 });
+      }
+      glossaryRoomId = roomId;
     }
+    const glossary = await getGlossaryFor({ roomId: glossaryRoomId, userId: decoded.userId });
 
-    // Validate Azure credentials
-    if (!AZURE_TRANSLATOR_KEY || !AZURE_TRANSLATOR_ENDPOINT) {
-      console.error('❌ Azure Translator credentials not configured');
-      return NextResponse.json({ error: 'Translation service not configured' }, { status: 500 });
-    }
-
-    console.log(`💬 Translating ${validTexts.length} chat message(s):`, {
-      sample: validTexts[0]?.substring(0, 50) + (validTexts[0]?.length > 50 ? '...' : ''),
-      from: sourceLang || 'auto-detect',
-      to: targetLang
-    });
-
-    // Call Azure Translator API with batch support
-    const url = `${AZURE_TRANSLATOR_ENDPOINT}/translate`;
-    const params = {
-      'api-version': '3.0',
-      'to': targetLang
-    };
-
-    // Add source language if provided
-    if (sourceLang) {
-      params.from = sourceLang;
-    }
-
-    const response = await axios({
-      method: 'post',
-      url: url,
-      params: params,
-      headers: {
-        'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-        'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION,
-        'Content-Type': 'application/json',
-        'X-ClientTraceId': uuidv4()
-      },
-      data: validTexts.map(text => ({ text }))
-    });
-
-    // Handle batch response
-    const translations = response.data.map((item, index) => ({
-      text: item.translations[0].text,
-      detectedLanguage: item.detectedLanguage?.language
-    }));
-
-    // Store any uncached translations into cache
+    // Cached per text; only uncached texts go to the translation provider
+    let translations;
     try {
-      const toSet = new Map();
-      translations.forEach((t, idx) => {
-        const key = translationCache.makeKey(validTexts[idx], targetLang, sourceLang);
-        toSet.set(key, t.text);
-      });
-      translationCache.setMany(toSet);
-    } catch (e) {
-      // ignore cache set errors
+      translations = await translateTexts(validTexts, targetLang, effectiveSourceLang, { glossary });
+    } catch (translateErr) {
+      if (translateErr.code === 'TRANSLATOR_NOT_CONFIGURED') {
+        console.error('❌ Translation provider not configured');
+        return NextResponse.json({ error: 'Translation service not configured' }, { status: 500 });
+      }
+      throw translateErr;
     }
 
     console.log(`✅ Chat translation successful for ${translations.length} text(s):`, {
       sample: {
         original: validTexts[0]?.substring(0, 50) + (validTexts[0]?.length > 50 ? '...' : ''),
         translated: translations[0]?.text?.substring(0, 50) + (translations[0]?.text?.length > 50 ? '...' : ''),
-        from: translations[0]?.detectedLanguage || sourceLang || 'auto',
+        from: translations[0]?.detectedLanguage || effectiveSourceLang || 'auto',
         to: targetLang
       }
     });
@@ -124,7 +132,7 @@ export async function POST(request) {
     } else {
       return NextResponse.json({ 
         translation: translations[0].text,
-        detectedLanguage: translations[0].detectedLanguage || sourceLang
+        detectedLanguage: translations[0].detectedLanguage || effectiveSourceLang
       });
     }
   } catch (err) {
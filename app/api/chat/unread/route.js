@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { authenticate } from '@/lib/auth';
+import { getUnreadCounts, markMessages } from '@/lib/messageReceipts';
+
+/**
+ * GET /api/chat/unread
+ * Unread message counts per contact and per room. Called when the client
+ * (re)connects, so any messages still waiting for delivery are marked delivered.
+ */
+export async function GET(request) {
+  try {
+    await connectDB();
+
+    const decoded = authenticate(request);
+
+    await markMessages(decoded.userId, {}, 'delivered');
+    const counts = await getUnreadCounts(decoded.userId);
+
+    return NextResponse.json(counts);
+  } catch (err) {
+    console.error('Error getting unread counts:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to get unread counts' }, { status: 500 });
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import Room from '@/lib/models/Room';
+import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/polling/room
+ * Join or leave a chat room on the long-polling transport.
+ * Body: { clientId, roomId, action: 'join' | 'leave' }
+ */
+export async function POST(request) {
+  try {
+    const decoded = authenticate(request);
+    const { clientId, roomId, action = 'join' } = await request.json();
+
+    if (!clientId || !roomId) {
+      return NextResponse.json({ error: 'clientId and roomId are required' }, { status: 400 });
+    }
+    if (!['join', 'leave'].includes(action)) {
+      return NextResponse.json({ error: "action must be 'join' or 'leave'" }, { status: 400 });
+    }
+
+    const client = await pollingManager.getClient(clientId);
+    if (!client) {
+      return NextResponse.json({ error: 'Unknown polling client, poll /api/polling/updates first' }, { status: 409 });
+    }
+    if (client.userId !== String(decoded.userId)) {
+      return NextResponse.json({ error: 'clientId belongs to another user' }, { status: 403 });
+    }
+
+    const payload = { userId: decoded.userId, username: client.username, roomId };
+    const event = action === 'join' ? 'userJoinedRoom' : 'userLeftRoom';
+
+    if (action === 'leave') {
+      await pollingManager.leaveRoom(clientId, roomId);
+    } else {
+      // Only members may subscribe to a chat room. Call rooms (e.g. group-call-*) are
+      // not Room documents and are left to the caller, mirroring socket 'joinRoom'.
+      if (/^[a-f0-9]{24}$/i.test(String(roomId))) {
+        await connectDB();
+        const room = await Room.findOne({
+          _id: roomId,
+          $or: [{ participants: decoded.userId }, { admins: decoded.userId }]
+        }).select('_id');
+        if (!room) {
+          return NextResponse.json({ error: 'You are not a member of this room' }, { status: 403 });
+        }
+      }
+      await pollingManager.joinRoom(clientId, roomId);
+    }
+
+    await pollingManager.emitToRoom(roomId, event, payload, { exceptClientId: clientId });
+    try {
+      if (global.__io) global.__io.to(String(roomId)).emit(event, payload);
+    } catch (emitErr) {
+      console.warn(`Failed to emit ${event} via Socket.IO:`, emitErr);
+    }
+
+    return NextResponse.json({ success: true, roomId, action });
+  } catch (err) {
+    console.error('Error updating polling room membership:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to update room membership' }, { status: 500 });
+  }
+}
@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
+import { emitToUser } from '@/lib/realtime';
+
+export const dynamic = 'force-dynamic';
+
+// Deliver to everyone in a room except the sending client (like socket.to(roomId))
+const deliverToRoom = async (roomId, event, payload, client) => {
+  await pollingManager.emitToRoom(roomId, event, payload, { exceptClientId: client.clientId });
+  try {
+    if (global.__io) global.__io.to(String(roomId)).emit(event, payload);
+  } catch (emitErr) {
+    console.warn(`Failed to emit ${event} to room via Socket.IO:`, emitErr);
+  }
+};
+
+/**
+ * Handlers mirror the socket handlers in server.js. `reply` queues an event
+ * back to the sending client, the equivalent of `socket.emit`.
+ */
+const handlers = {
+  updateLanguagePreference: async (client, { language } = {}, reply) => {
+    if (!language) return { success: false, error: 'language is required' };
+    await pollingManager.setPreferredLanguage(client.clientId, language);
+    await reply('languagePreferenceUpdated', { language, success: true });
+    return { success: true };
+  },
+
+  sendMessage: async (client, { receiverId, content, roomId } = {}, reply) => {
+    const message = {
+      senderId: client.userId,
+      senderName: client.username,
+      content,
+      timestamp: new Date(),
+      roomId
+    };
+
+    if (receiverId) {
+      await emitToUser(receiverId, 'receiveMessage', message);
+    } else if (roomId) {
+      await deliverToRoom(roomId, 'receiveMessage', message, client);
+    }
+
+    await reply('messageSent', { success: true, message });
+    return { success: true };
+  },
+
+  typing: async (client, { receiverId, roomId, isTyping } = {}) => {
+    const payload = { userId: client.userId, username: client.username, isTyping, roomId };
+    if (receiverId) {
+      await emitToUser(receiverId, 'userTyping', payload);
+    } else if (roomId) {
+      await deliverToRoom(roomId, 'userTyping', payload, client);
+    }
+    return { success: true };
+  },
+
+  callUser: async (client, { to, offer, callType, roomId, callId } = {}, reply) => {
+    const payload = { from: client.userId, fromName: client.username, offer, callType };
+
+    if (roomId) {
+      await deliverToRoom(roomId, 'incomingCall', { ...payload, roomId }, client);
+      return { success: true };
+    }
+
+    const delivered = await emitToUser(to, 'incomingCall', { ...payload, callId });
+    if (delivered > 0) {
+      await reply('incomingCallDelivered', { to });
+    } else {
+      await reply('userUnavailable', { to });
+    }
+    return { success: true, delivered: delivered > 0 };
+  },
+
+  answerCall: async (client, { to, answer, roomId } = {}) => {
+    if (roomId) {
+      await deliverToRoom(roomId, 'callAnswered', { from: client.userId, answer, roomId }, client);
+    } else {
+      await emitToUser(to, 'callAnswered', { from: client.userId, answer });
+    }
+    return { success: true };
+  },
+
+  iceCandidate: async (client, { to, candidate, roomId } = {}) => {
+    if (roomId) {
+      await deliverToRoom(roomId, 'iceCandidate', { from: client.userId, candidate, roomId }, client);
+    } else {
+      await emitToUser(to, 'iceCandidate', { from: client.userId, candidate });
+    }
+    return { success: true };
+  },
+
+  incomingCallAck: async (client, { from, callSessionId } = {}) => {
+    await emitToUser(from, 'incomingCallAck', { from: client.userId, callSessionId });
+    return { success: true };
+  },
+
+  endCall: async (client, { to, roomId } = {}) => {
+    if (roomId) {
+      await deliverToRoom(roomId, 'callEnded', { from: client.userId, roomId }, client);
+    } else {
+      await emitToUser(to, 'callEnded', { from: client.userId });
+    }
+    return { success: true };
+  }
+};
+
+/**
+ * POST /api/polling/send
+ * Send a client event over the long-polling transport.
+ * Body: { clientId, event, data }
+ */
+export async function POST(request) {
+  try {
+    const decoded = authenticate(request);
+    const { clientId, event, data } = await request.json();
+
+    if (!clientId || !event) {
+      return NextResponse.json({ error: 'clientId and event are required' }, { status: 400 });
+    }
+
+    const client = await pollingManager.getClient(clientId);
+    if (!client) {
+      return NextResponse.json({ error: 'Unknown polling client, poll /api/polling/updates first' }, { status: 409 });
+    }
+    if (client.userId !== String(decoded.userId)) {
+      return NextResponse.json({ error: 'clientId belongs to another user' }, { status: 403 });
+    }
+
+    const handler = handlers[event];
+    if (!handler) {
+      return NextResponse.json({ error: `Event '${event}' is not supported over long-polling` }, { status: 400 });
+    }
+
+    const reply = (replyEvent, payload) => pollingManager.enqueue(client, replyEvent, payload);
+    const result = await handler(client, data, reply);
+
+    return NextResponse.json(result, { status: result.success ? 200 : 400 });
+  } catch (err) {
+    console.error('Error handling polling send:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to send event' }, { status: 500 });
+  }
+}
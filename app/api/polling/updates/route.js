@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import User from '@/lib/models/User';
+import { authenticate } from '@/lib/auth';
+import pollingManager from '@/lib/pollingManager';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/polling/updates?clientId=...&cursor=...&wait=...
+ * Long-poll for real-time events. The first request for a clientId registers
+ * the client and returns immediately so the caller can treat it as "connected".
+ * `cursor` acknowledges every event up to and including that id.
+ */
+export async function GET(request) {
+  try {
+    const decoded = authenticate(request);
+    const { searchParams } = new URL(request.url);
+    const clientId = searchParams.get('clientId');
+    const cursor = searchParams.get('cursor');
+    const wait = searchParams.get('wait');
+
+    if (!clientId) {
+      return NextResponse.json({ error: 'clientId is required' }, { status: 400 });
+    }
+
+    const existing = await pollingManager.getClient(clientId);
+    if (existing && existing.userId !== String(decoded.userId)) {
+      return NextResponse.json({ error: 'clientId belongs to another user' }, { status: 403 });
+    }
+
+    if (!existing) {
+      await connectDB();
+      const user = await User.findById(decoded.userId).select('username preferredLanguage');
+      if (!user) {
+        return NextResponse.json({ error: 'User not found' }, { status: 404 });
+      }
+
+      const { client, isNewUser } = await pollingManager.registerClient(clientId, {
+        userId: decoded.userId,
+        username: user.username,
+        preferredLanguage: user.preferredLanguage || 'en'
+      });
+
+      if (isNewUser) {
+        await pollingManager.announcePresence(decoded.userId, 'online');
+      }
+
+      return NextResponse.json({
+        events: [],
+        cursor: client.lastEventId,
+        hasMore: false,
+        resync: false,
+        connected: true
+      });
+    }
+
+    const result = await pollingManager.poll(clientId, cursor, {
+      waitMs: wait,
+      signal: request.signal
+    });
+
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error('Error polling for updates:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to poll for updates' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/polling/updates?clientId=...
+ * Explicitly disconnect a polling client (e.g. on logout or when upgrading back to WebSocket).
+ */
+export async function DELETE(request) {
+  try {
+    const decoded = authenticate(request);
+    const { searchParams } = new URL(request.url);
+    const clientId = searchParams.get('clientId');
+
+    const client = clientId ? await pollingManager.getClient(clientId) : null;
+    if (!client) {
+      return NextResponse.json({ success: true });
+    }
+    if (client.userId !== String(decoded.userId)) {
+      return NextResponse.json({ error: 'clientId belongs to another user' }, { status: 403 });
+    }
+
+    const userGone = await pollingManager.removeClient(clientId);
+    if (userGone) {
+      await pollingManager.announcePresence(decoded.userId, 'offline');
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (err) {
+    console.error('Error disconnecting polling client:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to disconnect' }, { status: 500 });
+  }
+}
@@ -1,16 +1,36 @@
 import { NextResponse } from 'next/server';
 import { authenticate } from '@/lib/auth';
+import { getTranslationProvider } from '@/server/utils/translationProviders';
 
-// Azure Translator configuration
-const AZURE_TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-const AZURE_TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-const AZURE_TRANSLATOR_ENDPOINT = process.env.AZURE_TRANSLATOR_ENDPOINT;
-
-// Cache for languages to avoid hitting Azure API on every request
+// Cache for languages to avoid hitting the translation provider on every request
 let cachedLanguages = null;
 let cacheTimestamp = null;
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
+const FALLBACK_LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', dir: 'ltr' },
+  es: { name: 'Spanish', nativeName: 'Español', dir: 'ltr' },
+  fr: { name: 'French', nativeName: 'Français', dir: 'ltr' },
+  de: { name: 'German', nativeName: 'Deutsch', dir: 'ltr' },
+  it: { name: 'Italian', nativeName: 'Italiano', dir: 'ltr' },
+  pt: { name: 'Portuguese', nativeName: 'Português', dir: 'ltr' },
+  ru: { name: 'Russian', nativeName: 'Русский', dir: 'ltr' },
+  ja: { name: 'Japanese', nativeName: '日本語', dir: 'ltr' },
+  ko: { name: 'Korean', nativeName: '한국어', dir: 'ltr' },
+  'zh-Hans': { name: 'Chinese Simplified', nativeName: '中文 (简体)', dir: 'ltr' },
+  ar: { name: 'Arabic', nativeName: 'العربية', dir: 'rtl' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', dir: 'ltr' },
+  bn: { name: 'Bengali', nativeName: 'বাংলা', dir: 'ltr' },
+  pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', dir: 'ltr' },
+  mr: { name: 'Marathi', nativeName: 'मराठी', dir: 'ltr' },
+  gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', dir: 'ltr' },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்', dir: 'ltr' },
+  te: { name: 'Telugu', nativeName: 'తెలుగు', dir: 'ltr' },
+  kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', dir: 'ltr' },
+  ml: { name: 'Malayalam', nativeName: 'മലയാളം', dir: 'ltr' },
+  ur: { name: 'Urdu', nativeName: 'اردو', dir: 'rtl' }
+};
+
 export async function GET(request) {
   try {
     authenticate(request);
@@ -21,29 +41,13 @@ export async function GET(request) {
       return NextResponse.json(cachedLanguages);
     }
 
-    // Fetch languages from Azure Translator API
-    // console.log('🌐 Fetching languages from Azure Translator API');
-    
-    const response = await fetch(
-      `${AZURE_TRANSLATOR_ENDPOINT}/languages?api-version=3.0&scope=translation`,
-      {
-        method: 'GET',
-        headers: {
-          'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-          'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Azure API error: ${response.status} ${response.statusText}`);
+    // Providers without a language list (e.g. the offline one) use the fallback list
+    const provider = getTranslationProvider();
+    if (!provider.getLanguages || !provider.isConfigured()) {
+      return NextResponse.json(FALLBACK_LANGUAGES);
     }
 
-    const data = await response.json();
-    
-    // Extract translation languages
-    const translationLanguages = data.translation || {};
+    const translationLanguages = await provider.getLanguages();
     
     // Filter and format languages (prioritize popular ones)
     const priorityLanguages = ['en', 'hi', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh-Hans', 'ar', 'bn', 'pa', 'mr', 'gu', 'ta', 'te', 'kn', 'ml', 'ur', 'nl', 'pl', 'tr', 'th', 'vi', 'id'];
@@ -68,7 +72,7 @@ export async function GET(request) {
     cachedLanguages = formattedLanguages;
     cacheTimestamp = Date.now();
 
-    // console.log(`✅ Successfully fetched ${Object.keys(formattedLanguages).length} languages from Azure`);
+    // console.log(`✅ Successfully fetched ${Object.keys(formattedLanguages).length} languages`);
     
     return NextResponse.json(formattedLanguages);
   } catch (err) {
@@ -77,31 +81,8 @@ export async function GET(request) {
       return NextResponse.json({ msg: err.message }, { status: 401 });
     }
     
-    // Return fallback languages if Azure API fails
+    // Return fallback languages if the provider request fails
     console.log('⚠️ Returning fallback language list');
-    const fallbackLanguages = {
-      en: { name: 'English', nativeName: 'English', dir: 'ltr' },
-      es: { name: 'Spanish', nativeName: 'Español', dir: 'ltr' },
-      fr: { name: 'French', nativeName: 'Français', dir: 'ltr' },
-      de: { name: 'German', nativeName: 'Deutsch', dir: 'ltr' },
-      it: { name: 'Italian', nativeName: 'Italiano', dir: 'ltr' },
-      pt: { name: 'Portuguese', nativeName: 'Português', dir: 'ltr' },
-      ru: { name: 'Russian', nativeName: 'Русский', dir: 'ltr' },
-      ja: { name: 'Japanese', nativeName: '日本語', dir: 'ltr' },
-      ko: { name: 'Korean', nativeName: '한국어', dir: 'ltr' },
-      'zh-Hans': { name: 'Chinese Simplified', nativeName: '中文 (简体)', dir: 'ltr' },
-      ar: { name: 'Arabic', nativeName: 'العربية', dir: 'rtl' },
-      hi: { name: 'Hindi', nativeName: 'हिन्दी', dir: 'ltr' },
-      bn: { name: 'Bengali', nativeName: 'বাংলা', dir: 'ltr' },
-      pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', dir: 'ltr' },
-      mr: { name: 'Marathi', nativeName: 'मराठी', dir: 'ltr' },
-      gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', dir: 'ltr' },
-      ta: { name: 'Tamil', nativeName: 'தமிழ்', dir: 'ltr' },
-      te: { name: 'Telugu', nativeName: 'తెలుగు', dir: 'ltr' },
-      kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', dir: 'ltr' },
-      ml: { name: 'Malayalam', nativeName: 'മലയാളം', dir: 'ltr' },
-      ur: { name: 'Urdu', nativeName: 'اردو', dir: 'rtl' }
-    };
-    return NextResponse.json(fallbackLanguages);
+    return NextResponse.json(FALLBACK_LANGUAGES);
   }
 }
\ No newline at end of file
@@ -1,13 +1,6 @@
 import { NextResponse } from 'next/server';
 import { authenticate } from '@/lib/auth';
-import axios from 'axios';
-import { v4 as uuidv4 } from 'uuid';
-import translationCache from '@/lib/translationCache';
-
-// Azure Translator configuration
-const AZURE_TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-const AZURE_TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-const AZURE_TRANSLATOR_ENDPOINT = process.env.AZURE_TRANSLATOR_ENDPOINT;
+import { translateTexts } from '@/lib/translator';
 
 export async function POST(request) {
   try {
@@ -27,49 +20,14 @@ export async function POST(request) {
       });
     }
 
-    // Try cache
-    const cacheKey = translationCache.makeKey(text, targetLanguage, sourceLanguage);
-    const cached = translationCache.get(cacheKey);
-    if (cached) {
-      console.log('♻️ Returning cached translation');
-      return NextResponse.json({ text: cached, to: targetLanguage, from: sourceLanguage });
-    }
-
     console.log('🌐 Translating text:', {
       text: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
       from: sourceLanguage || 'auto',
       to: targetLanguage
     });
 
-    // Call Azure Translator API
-    const url = `${AZURE_TRANSLATOR_ENDPOINT}/translate`;
-    const params = {
-      'api-version': '3.0',
-      'to': targetLanguage
-    };
-
-    // Add source language if provided
-    if (sourceLanguage) {
-      params.from = sourceLanguage;
-    }
-
-    const response = await axios({
-      method: 'post',
-      url: url,
-      params: params,
-      headers: {
-        'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-        'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION,
-        'Content-Type': 'application/json',
-        'X-ClientTraceId': uuidv4()
-      },
-      data: [{
-        text: text
-      }]
-    });
-
-  const translatedText = response.data[0].translations[0].text;
-    const detectedLanguage = response.data[0].detectedLanguage?.language;
+    // Cached per text in lib/translationCache
+    const [{ text: translatedText, detectedLanguage }] = await translateTexts([text], targetLanguage, sourceLanguage);
 
     console.log('✅ Translation successful:', {
       original: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
@@ -78,9 +36,6 @@ export async function POST(request) {
       to: targetLanguage
     });
 
-    // Store in cache
-    try { translationCache.set(cacheKey, translatedText); } catch (e) {}
-
     return NextResponse.json({
       text: translatedText,
       to: targetLanguage,
@@ -91,9 +46,12 @@ export async function POST(request) {
     if (err.message.includes('authorization')) {
       return NextResponse.json({ msg: err.message }, { status: 401 });
     }
+    if (err.code === 'TRANSLATOR_NOT_CONFIGURED') {
+      return NextResponse.json({ error: 'Translation service not configured' }, { status: 500 });
+    }
     return NextResponse.json({ 
       error: 'Failed to translate text',
       details: err.response?.data || err.message 
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { isValidLanguage } from '@/lib/messageTranslations';
+import { translateTexts } from '@/lib/translator';
+import { textToSpeech } from '@/server/utils/textToSpeechModule';
+import { parseVoicePreferences, resolveVoiceOptions } from '@/server/utils/voicePreferences';
+
+const PREVIEW_TEXT = 'Hello! This is how translated speech will sound to you.';
+
+/**
+ * POST /api/translator/voices/preview
+ * { language, voice?, gender?, style?, rate?, pitch? } -> a short sample of
+ * translated speech with these settings (MP3, or WAV from the mock provider)
+ */
+export async function POST(request) {
+  try {
+    authenticate(request);
+    const body = await request.json();
+    if (!isValidLanguage(body.language)) {
+      return NextResponse.json({ error: 'A valid language is required' }, { status: 400 });
+    }
+    const { preferences, error } = parseVoicePreferences({
+      voices: [{ language: body.language, voice: body.voice, gender: body.gender, style: body.style }],
+      rate: body.rate,
+      pitch: body.pitch
+    });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    let text = PREVIEW_TEXT;
+    try {
+      [{ text }] = await translateTexts([PREVIEW_TEXT], body.language, 'en');
+    } catch (translateErr) {
+      // Preview the voice reading English
+    }
+
+    const audio = await textToSpeech(text, body.language, resolveVoiceOptions(preferences, body.language), 1);
+    const isWav = audio.slice(0, 4).toString('ascii') === 'RIFF';
+    return new Response(audio, {
+      status: 200,
+      headers: {
+        'Content-Type': isWav ? 'audio/wav' : 'audio/mpeg',
+        'Content-Length': String(audio.length),
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (err) {
+    console.error('Error previewing voice:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to preview voice' }, { status: 500 });
+  }
+}
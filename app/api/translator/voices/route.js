@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { isValidLanguage } from '@/lib/messageTranslations';
+import { getVoices } from '@/server/utils/textToSpeechModule';
+import { languageKey } from '@/server/utils/voicePreferences';
+
+/**
+ * GET /api/translator/voices?language=es
+ * { language, voices: [{ name, displayName, locale, gender, styles }] }, the
+ * speech provider's voices for a language (none when it can't list them)
+ */
+export async function GET(request) {
+  try {
+    authenticate(request);
+    const { searchParams } = new URL(request.url);
+    const language = searchParams.get('language');
+    if (!isValidLanguage(language)) {
+      return NextResponse.json({ error: 'A valid language is required' }, { status: 400 });
+    }
+
+    const voices = await getVoices(language);
+    return NextResponse.json({ language: languageKey(language), voices });
+  } catch (err) {
+    console.error('Error listing voices:', err);
+    if (err.message.includes('authorization')) {
+      return NextResponse.json({ msg: err.message }, { status: 401 });
+    }
+    return NextResponse.json({ error: 'Failed to list voices' }, { status: 500 });
+  }
+}
@@ -1,6 +1,6 @@
 'use client'
 
-import React, { useState, useEffect, useContext, useRef } from 'react';
+import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import axios from 'axios';
 import { AuthContext } from '../../src/contexts/AuthContext';
@@ -8,6 +8,8 @@ import { useTranslation } from '../../src/contexts/TranslationContext';
 import socketManager from '../../src/utils/socketManager';
 import { getIceServers } from '../../src/utils/webrtcConfig';
 import callSoundPlayer from '../../src/utils/callSounds';
+import { createImageThumbnail } from '../../src/utils/attachments';
+import { applyReceiptEvent } from '../../src/utils/messageStatus';
 import Header from '../../src/components/Header';
 import ContactList from '../../src/components/ContactList';
 import MessageSection from '../../src/components/MessageSection';
@@ -25,12 +27,15 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
 const Dashboard = () => {
   const router = useRouter();
   const { user, isAuthenticated, loading: authLoading } = useContext(AuthContext);
-  const { currentLanguage, changeLanguage, translateText, translateTexts } = useTranslation();
+  const { currentLanguage, changeLanguage, translateTexts, translateMessages } = useTranslation();
   
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [messagesPageHasMore, setMessagesPageHasMore] = useState(false);
   const [messagesLoadingMore, setMessagesLoadingMore] = useState(false);
+  // Set when the loaded page was centered on a search hit and newer messages exist
+  const [messagesHasNewer, setMessagesHasNewer] = useState(false);
+  const [highlightMessageId, setHighlightMessageId] = useState(null);
   const [users, setUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [rooms, setRooms] = useState([]);
@@ -61,19 +66,42 @@ const Dashboard = () => {
   const [groupCallData, setGroupCallData] = useState(null);
   const [pendingGroupCalls, setPendingGroupCalls] = useState([]);
   const [incomingGroupCall, setIncomingGroupCall] = useState(null);
+  const [missedCallCount, setMissedCallCount] = useState(0);
+  const [missedCallRefreshKey, setMissedCallRefreshKey] = useState(0);
+  // Files uploaded and waiting to be sent with the next message
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+  // Unread message counts keyed by contact id and room id
+  const [unreadCounts, setUnreadCounts] = useState({ contacts: {}, rooms: {} });
+  // Per-conversation languages (see /api/auth/language/overrides)
+  const [languageOverrides, setLanguageOverrides] = useState([]);
 
   const socketInstance = socketManager.getSocket();
 
   // Refs to hold latest selection for socket handlers (avoid stale closures)
   const selectedUserRef = useRef(selectedUser);
+  // Message id to center the next conversation load on (set by jumpToMessage)
+  const pendingJumpRef = useRef(null);
   const selectedRoomRef = useRef(selectedRoom);
   const roomsRef = useRef([]);
 
+  // Language of the open conversation: undefined follows currentLanguage, null leaves it untranslated
+  const selectedContactId = selectedUser?.id || selectedUser?._id;
+  const conversationOverride = languageOverrides.find(o => (selectedRoom
+    ? String(o.room) === String(selectedRoom._id)
+    : Boolean(selectedContactId) && String(o.contact) === String(selectedContactId)));
+  const conversationLanguage = conversationOverride
+    ? (conversationOverride.language === 'original' ? null : conversationOverride.language)
+    : undefined;
+  const conversationLanguageRef = useRef(conversationLanguage);
+  conversationLanguageRef.current = conversationLanguage;
+
   // Refs
   const localVideoRef = useRef(null);
   const remoteVideoRef = useRef(null);
   const peerConnectionRef = useRef(null);
   const initiatorOfferSentRef = useRef(new Set()); // track callSessionIds we've sent offers for
+  const callRecordIdRef = useRef(null); // persisted CallSession id of the current 1:1 call
 
   // Check authentication
   useEffect(() => {
@@ -106,7 +134,7 @@ const Dashboard = () => {
   };
 
   // Fetch rooms
-  const fetchRooms = async () => {
+  const fetchRooms = useCallback(async () => {
     try {
       const token = localStorage.getItem('token');
       const res = await axios.get(`${API_URL}/chat/rooms`, {
@@ -145,15 +173,16 @@ const Dashboard = () => {
       console.error('Error fetching rooms:', err);
       setRooms([]);
     }
-  };
+  }, []);
 
-  // Fetch messages (supports pagination options: { before, limit, append })
-  const fetchMessages = async (userId, roomId, opts = {}) => {
+  // Fetch messages (supports pagination options: { before, limit, append, around })
+  const fetchMessages = useCallback(async (userId, roomId, opts = {}) => {
     try {
       const token = localStorage.getItem('token');
-      const params = userId ? { userId } : { roomId: selectedRoom._id };
+      const params = userId ? { userId } : { roomId: roomId || selectedRoom._id };
       params.limit = opts.limit || 30;
       if (opts.before) params.before = opts.before;
+      if (opts.around) params.around = opts.around;
       const res = await axios.get(`${API_URL}/chat/history`, {
         headers: { 'x-auth-token': token },
         params
@@ -165,13 +194,14 @@ const Dashboard = () => {
         setMessages(prev => [...data.messages, ...prev]);
       } else {
         setMessages(data.messages || []);
+        setMessagesHasNewer(Boolean(data.hasNewer));
       }
       setMessagesPageHasMore(Boolean(data.hasMore));
     } catch (err) {
       console.error('Error fetching messages:', err);
       setMessages([]);
     }
-  };
+  }, [selectedRoom]);
 
   // Load older messages (pagination) when called
   const fetchMoreMessages = async () => {
@@ -190,6 +220,41 @@ const Dashboard = () => {
     }
   };
 
+  // Fetch the user's per-conversation language overrides
+  const fetchLanguageOverrides = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`${API_URL}/auth/language/overrides`, {
+        headers: { 'x-auth-token': token }
+      });
+      setLanguageOverrides(res.data.overrides || []);
+    } catch (err) {
+      console.error('Error fetching language overrides:', err);
+    }
+  };
+
+  // Set the open conversation's language ('original' = don't translate, '' = back to the preferred language)
+  const changeConversationLanguage = async (language) => {
+    const conversation = selectedRoom ? { roomId: selectedRoom._id } : { contactId: selectedContactId };
+    try {
+      const token = localStorage.getItem('token');
+      const res = language
+        ? await axios.put(`${API_URL}/auth/language/overrides`, { ...conversation, language }, {
+          headers: { 'x-auth-token': token }
+        })
+        : await axios.delete(`${API_URL}/auth/language/overrides`, {
+          headers: { 'x-auth-token': token },
+          params: conversation
+        });
+      setLanguageOverrides(res.data.overrides || []);
+      // Reload the conversation in its new language
+      fetchMessages(selectedRoom ? null : selectedContactId, selectedRoom?._id || null, { append: false });
+    } catch (err) {
+      console.error('Error updating conversation language:', err);
+      alert(err.response?.data?.error || 'Failed to change the conversation language.');
+    }
+  };
+
   // Fetch pending group calls
   const fetchPendingGroupCalls = async () => {
     try {
@@ -203,6 +268,64 @@ const Dashboard = () => {
     }
   };
 
+  // Fetch call notifications still ringing for us (marks them delivered) and the missed-call count
+  const fetchCallNotifications = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`${API_URL}/chat/calls/pending`, {
+        headers: { 'x-auth-token': token }
+      });
+      setMissedCallCount(res.data.unreadCount || 0);
+    } catch (err) {
+      console.error('Error fetching call notifications:', err);
+    }
+  };
+
+  // Fetch unread message counts; this also marks messages that arrived while offline as delivered
+  const fetchUnreadCounts = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`${API_URL}/chat/unread`, {
+        headers: { 'x-auth-token': token }
+      });
+      setUnreadCounts({ contacts: res.data.contacts || {}, rooms: res.data.rooms || {} });
+    } catch (err) {
+      console.error('Error fetching unread counts:', err);
+    }
+  };
+
+  // Send delivery/read receipts: { status, messageIds } or { status, userId | roomId }
+  const sendReceipt = useCallback((body) => {
+    const token = localStorage.getItem('token');
+    axios.post(`${API_URL}/chat/receipts`, body, {
+      headers: { 'x-auth-token': token }
+    }).catch(err => {
+      console.warn('Failed to send message receipt:', err.response?.data?.error || err.message);
+    });
+  }, []);
+
+  // Mark everything in the open conversation as read
+  const markConversationRead = useCallback((selUser, selRoom) => {
+    if (selUser) {
+      sendReceipt({ status: 'read', userId: selUser.id });
+      setUnreadCounts(prev => ({ ...prev, contacts: { ...prev.contacts, [selUser.id]: 0 } }));
+    } else if (selRoom) {
+      sendReceipt({ status: 'read', roomId: selRoom._id });
+      setUnreadCounts(prev => ({ ...prev, rooms: { ...prev.rooms, [selRoom._id]: 0 } }));
+    }
+  }, [sendReceipt]);
+
+  // Acknowledge that an incoming call (1:1 or group) reached this client
+  const acknowledgeCallNotification = (callId) => {
+    if (!callId) return;
+    const token = localStorage.getItem('token');
+    axios.post(`${API_URL}/chat/calls/notifications/delivered`, { callId }, {
+      headers: { 'x-auth-token': token }
+    }).catch(err => {
+      console.warn('Failed to acknowledge call notification:', err.response?.data?.message || err.message);
+    });
+  };
+
   // Initialize Socket.IO
   useEffect(() => {
     if (!isAuthenticated || !user || typeof window === 'undefined') return;
@@ -250,13 +373,40 @@ const Dashboard = () => {
         const shouldAppend = (selUser && ((msg.sender && (msg.sender._id === selUser.id || msg.sender._id === selUser._id)) || msg.senderId === selUser.id)) ||
                              (selRoom && (msg.room === selRoom._id || msg.roomId === selRoom._id));
 
+        // Receipts for messages addressed to us: read if the conversation is on screen, otherwise delivered
+        const senderId = String(msg.sender?._id || msg.sender || msg.senderId || '');
+        const fromMe = senderId === String(user.id || user._id);
+        if (msg._id && !fromMe) {
+          if (shouldAppend && document.visibilityState === 'visible') {
+            sendReceipt({ status: 'read', messageIds: [msg._id] });
+          } else {
+            sendReceipt({ status: 'delivered', messageIds: [msg._id] });
+          }
+          if (!shouldAppend) {
+            setUnreadCounts(prev => (msg.isGroupMessage && msg.room
+              ? { ...prev, rooms: { ...prev.rooms, [msg.room]: (prev.rooms[msg.room] || 0) + 1 } }
+              : { ...prev, contacts: { ...prev.contacts, [senderId]: (prev.contacts[senderId] || 0) + 1 } }));
+          }
+        }
+
         if (!shouldAppend) return;
 
+        const targetLanguage = conversationLanguageRef.current === undefined ? currentLanguage : conversationLanguageRef.current;
+        if (!targetLanguage) {
+          // This conversation is kept untranslated
+          setMessages(prev => {
+            const id = msg._id || msg.id || `${msg.timestamp}-${msg.sender}`;
+            if (prev.some(m => (m._id || m.id) === id)) return prev;
+            return [...prev, msg];
+          });
+          return;
+        }
+
         try {
-          // Translate incoming message into the user's preferred language before appending
-          const translatedContent = await translateText(msg.content, currentLanguage, null);
+          // Translate incoming message into the conversation's language before appending (persisted server-side)
+          const [translatedContent] = await translateMessages([msg], targetLanguage);
           // Attach translated content so MessageSection will display the preferred language immediately
-          const msgWithTranslated = { ...msg, content: translatedContent, _originalContent: msg.content };
+          const msgWithTranslated = { ...msg, content: translatedContent, translatedLanguage: targetLanguage, _originalContent: msg.content };
           setMessages(prev => {
             const id = msgWithTranslated._id || msgWithTranslated.id || `${msgWithTranslated.timestamp}-${msgWithTranslated.sender}`;
             if (prev.some(m => (m._id || m.id) === id)) return prev;
@@ -272,6 +422,38 @@ const Dashboard = () => {
         }
       });
 
+      // Receipts for messages we sent
+      socketManager.on('messageDelivered', (data) => {
+        setMessages(prev => applyReceiptEvent(prev, data, 'delivered'));
+      });
+
+      socketManager.on('messageRead', (data) => {
+        setMessages(prev => applyReceiptEvent(prev, data, 'read'));
+      });
+
+      // Edits and deletes update the message in place
+      socketManager.on('messageEdited', async (msg) => {
+        const id = msg._id || msg.id;
+        const targetLanguage = conversationLanguageRef.current === undefined ? currentLanguage : conversationLanguageRef.current;
+        let translatedContent = msg.content;
+        try {
+          if (targetLanguage) [translatedContent] = await translateMessages([msg], targetLanguage);
+        } catch (err) {
+          console.warn('Translation of edited message failed, showing original:', err);
+        }
+        setMessages(prev => prev.map(m => (
+          (m._id || m.id) === id
+            ? { ...m, ...msg, content: translatedContent, translatedLanguage: targetLanguage || undefined, _originalContent: msg.content }
+            : m
+        )));
+      });
+
+      socketManager.on('messageDeleted', (data) => {
+        setMessages(prev => prev.map(m => (
+          (m._id || m.id) === data._id ? { ...m, ...data, content: '', originalContent: '', _originalContent: '', attachments: [] } : m
+        )));
+      });
+
       // Listen for typing indicators
       socketManager.on('userTyping', (data) => {
         const selUser = selectedUserRef.current;
@@ -316,6 +498,30 @@ const Dashboard = () => {
         });
       });
 
+      // Listen for being removed from (or leaving) a group
+      socketManager.on('removedFromRoom', ({ roomId } = {}) => {
+        console.log('📣 Removed from room via socket:', roomId);
+        if (!roomId) return;
+        setRooms(prev => prev.filter(r => r._id !== roomId));
+        try { socketManager.emit('leaveRoom', roomId); } catch (e) {}
+        const selRoom = selectedRoomRef.current;
+        if (selRoom && selRoom._id === roomId) {
+          setSelectedRoom(null);
+          setMessages([]);
+        }
+        setManagingRoom(prev => (prev && prev._id === roomId ? null : prev));
+      });
+
+      // Missed calls (including ones that rang while we were offline)
+      socketManager.on('missedCall', ({ unreadCount } = {}) => {
+        if (typeof unreadCount === 'number') setMissedCallCount(unreadCount);
+        setMissedCallRefreshKey(k => k + 1);
+      });
+
+      // Pick up call notifications on every (re)connect
+      socketManager.on('connect', fetchCallNotifications);
+      socketManager.on('connect', fetchUnreadCounts);
+
       console.log('Socket.IO initialization attempted');
 
       const handleGroupCallIncoming = (payload = {}) => {
@@ -341,6 +547,7 @@ const Dashboard = () => {
           };
 
           console.log('📣 Received group call invitation:', invitation);
+          acknowledgeCallNotification(payload.callId);
           setIncomingGroupCall(invitation);
           callSoundPlayer.playRingtone().catch(() => {
             console.log('Ringtone not played for group call invitation');
@@ -370,12 +577,16 @@ const Dashboard = () => {
       };
 
       fetchPendingCallInvitations();
+      fetchCallNotifications();
+      fetchUnreadCounts();
     } catch (error) {
       console.warn('Socket.IO initialization failed:', error.message);
       // Continue without real-time features
     }
 
     return () => {
+      try { socketManager.off('connect', fetchCallNotifications); } catch (err) {}
+      try { socketManager.off('connect', fetchUnreadCounts); } catch (err) {}
       try { socketManager.off('groupCallIncoming', handleGroupCallIncoming); } catch (err) {
         console.warn('Failed to detach group call incoming handler:', err);
       }
@@ -390,7 +601,7 @@ const Dashboard = () => {
         console.warn('Socket cleanup error:', error);
       }
     };
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, user, sendReceipt]);
 
   // Load initial data
   useEffect(() => {
@@ -399,6 +610,7 @@ const Dashboard = () => {
         setLoadingMessage("Loading contacts...");
         await fetchUsers();
         await fetchRooms();
+        await fetchLanguageOverrides();
         await fetchPendingGroupCalls();
 
         // Join socket.io rooms for real-time updates (so receiveMessage and room events reach this client)
@@ -422,7 +634,7 @@ const Dashboard = () => {
       };
       loadData();
     }
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, user, fetchRooms]);
 
   // Listen for loadOlderMessages events from MessageSection (scroll to top)
   useEffect(() => {
@@ -437,14 +649,85 @@ const Dashboard = () => {
     return () => window.removeEventListener('loadOlderMessages', onLoadOlder);
   }, [messages, messagesPageHasMore, messagesLoadingMore, selectedUser, selectedRoom]);
 
-  // Fetch messages when user/room is selected
+  // The long-polling transport dropped events under backpressure: refetch from the API
+  useEffect(() => {
+    const onPollingResync = () => {
+      fetchRooms();
+      if (selectedUser) {
+        fetchMessages(selectedUser.id, null, { append: false });
+      } else if (selectedRoom) {
+        fetchMessages(null, selectedRoom._id, { append: false });
+      }
+    };
+    window.addEventListener('app:pollingResync', onPollingResync);
+    return () => window.removeEventListener('app:pollingResync', onPollingResync);
+  }, [selectedUser, selectedRoom, fetchRooms, fetchMessages]);
+
+  // Fetch messages when user/room is selected (centered on a search hit when jumping to one)
   useEffect(() => {
+    const around = pendingJumpRef.current;
+    pendingJumpRef.current = null;
+    if (selectedUser) {
+  fetchMessages(selectedUser.id, null, { append: false, around });
+    } else if (selectedRoom) {
+  fetchMessages(null, selectedRoom._id, { append: false, around });
+    }
+    if (document.visibilityState === 'visible') {
+      markConversationRead(selectedUser, selectedRoom);
+    }
+  }, [selectedUser, selectedRoom, fetchMessages, markConversationRead]);
+
+  // Messages that arrived while the tab was in the background are read when it comes back
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        markConversationRead(selectedUserRef.current, selectedRoomRef.current);
+      }
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, [markConversationRead]);
+
+  // Open the conversation containing a search result, loading the history around it
+  const jumpToMessage = (result) => {
+    const { message } = result;
+    const messageId = message._id;
+    setHighlightMessageId(messageId);
+
+    if (message.isGroupMessage && message.room) {
+      const room = rooms.find(r => r._id === message.room);
+      if (!room) return;
+      if (selectedRoom?._id === room._id) {
+        fetchMessages(null, room._id, { append: false, around: messageId });
+      } else {
+        pendingJumpRef.current = messageId;
+        selectRoom(room);
+      }
+      return;
+    }
+
+    const senderId = String(message.sender?._id || message.sender);
+    const myId = String(user?.id || user?._id);
+    const peerId = senderId === myId ? String(message.receiver?._id || message.receiver) : senderId;
+    const contact = users.find(u => String(u.id) === peerId);
+    if (!contact) return;
+    if (selectedUser && String(selectedUser.id) === peerId) {
+      fetchMessages(contact.id, null, { append: false, around: messageId });
+    } else {
+      pendingJumpRef.current = messageId;
+      selectUser(contact);
+    }
+  };
+
+  // Leave a search-hit page and go back to the newest messages
+  const loadLatestMessages = () => {
+    setHighlightMessageId(null);
     if (selectedUser) {
-  fetchMessages(selectedUser.id, null, { append: false });
+      fetchMessages(selectedUser.id, null, { append: false });
     } else if (selectedRoom) {
-  fetchMessages(null, selectedRoom._id, { append: false });
+      fetchMessages(null, selectedRoom._id, { append: false });
     }
-  }, [selectedUser, selectedRoom]);
+  };
 
   // Select user
   const selectUser = (u) => {
@@ -460,6 +743,8 @@ const Dashboard = () => {
 
     setSelectedUser(u);
     setSelectedRoom(null);
+    setPendingAttachments([]);
+    if (!pendingJumpRef.current) setHighlightMessageId(null);
     setShowSidebar(false);
   };
 
@@ -487,6 +772,8 @@ const Dashboard = () => {
 
     setSelectedRoom(room);
     setSelectedUser(null);
+    setPendingAttachments([]);
+    if (!pendingJumpRef.current) setHighlightMessageId(null);
     setShowSidebar(false);
   };
 
@@ -522,6 +809,18 @@ const Dashboard = () => {
 
   // Handle room updates (for group management)
   const handleRoomUpdate = (updatedRoom) => {
+    // If we are no longer a member (left the group), drop it from the list
+    const currentUserId = (user?._id || user?.id)?.toString();
+    const stillMember = updatedRoom.participants?.some(p => (p._id || p)?.toString() === currentUserId);
+    if (!stillMember) {
+      setRooms(prev => prev.filter(room => room._id !== updatedRoom._id));
+      if (selectedRoom && selectedRoom._id === updatedRoom._id) {
+        setSelectedRoom(null);
+        setMessages([]);
+      }
+      return;
+    }
+
     setRooms(prev => prev.map(room => 
       room._id === updatedRoom._id ? updatedRoom : room
     ));
@@ -536,7 +835,8 @@ const Dashboard = () => {
 
   // Send message
   const sendMessage = async () => {
-    if (!message.trim()) return;
+    if (!message.trim() && pendingAttachments.length === 0) return;
+    if (uploadingAttachment) return;
 
     try {
       const token = localStorage.getItem('token');
@@ -547,6 +847,11 @@ const Dashboard = () => {
         clientTempId,
         ...(selectedUser ? { receiverId: selectedUser.id } : { roomId: selectedRoom._id })
       };
+      if (pendingAttachments.length > 0) {
+        payload.attachments = pendingAttachments.map(({ key, thumbnailKey, width, height }) => ({
+          key, thumbnailKey, width, height
+        }));
+      }
 
       // Note: avoid emitting a pre-save socket message here.
       // The API will save the message and emit the saved/populated message to sockets.
@@ -587,6 +892,7 @@ const Dashboard = () => {
       if (savedViaSocket) {
         // Server already emitted the saved message; append it (dedupe in handler will ignore duplicates)
         setMessage('');
+        setPendingAttachments([]);
       } else {
         // Fallback: use API response
         try {
@@ -600,6 +906,7 @@ const Dashboard = () => {
           console.error('Error saving message fallback:', err);
         }
         setMessage('');
+        setPendingAttachments([]);
       }
     } catch (err) {
       console.error('Error sending message:', err);
@@ -607,6 +914,38 @@ const Dashboard = () => {
     }
   };
 
+  // Edit one of the user's own messages; the socket event updates other clients
+  const editMessage = async (messageId, content) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.patch(`${API_URL}/chat/message/${messageId}`, { content }, {
+        headers: { 'x-auth-token': token }
+      });
+      // The response is untranslated; MessageSection translates the new text
+      setMessages(prev => prev.map(m => ((m._id || m.id) === messageId ? { ...m, ...res.data, translatedLanguage: undefined } : m)));
+      return true;
+    } catch (err) {
+      console.error('Error editing message:', err);
+      alert(err.response?.data?.error || 'Failed to edit message. Please try again.');
+      return false;
+    }
+  };
+
+  const deleteMessage = async (messageId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.delete(`${API_URL}/chat/message/${messageId}`, {
+        headers: { 'x-auth-token': token }
+      });
+      setMessages(prev => prev.map(m => (
+        (m._id || m.id) === messageId ? { ...m, ...res.data, content: '', originalContent: '', attachments: [] } : m
+      )));
+    } catch (err) {
+      console.error('Error deleting message:', err);
+      alert(err.response?.data?.error || 'Failed to delete message. Please try again.');
+    }
+  };
+
   // Toggle sidebar
   const toggleSidebar = () => {
     setShowSidebar(!showSidebar);
@@ -617,9 +956,41 @@ const Dashboard = () => {
     return await changeLanguage(language);
   };
 
-  // Handle file change
-  const handleFileChange = (e) => {
-    console.log('File selected:', e.target.files[0]);
+  // Handle file change: upload the picked file and stage it for the next message
+  const handleFileChange = async (e) => {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    setUploadingAttachment(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const thumbnail = await createImageThumbnail(file);
+      if (thumbnail) {
+        formData.append('thumbnail', thumbnail.blob, 'thumbnail.jpg');
+        formData.append('width', String(thumbnail.width));
+        formData.append('height', String(thumbnail.height));
+      }
+
+      const token = localStorage.getItem('token');
+      const res = await axios.post(`${API_URL}/chat/attachments`, formData, {
+        headers: { 'x-auth-token': token }
+      });
+      setPendingAttachments(prev => [...prev, res.data]);
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
+      alert(err.response?.data?.error || 'Failed to upload file. Please try again.');
+    } finally {
+      setUploadingAttachment(false);
+      // Allow picking the same file again
+      input.value = '';
+    }
+  };
+
+  const removePendingAttachment = (key) => {
+    setPendingAttachments(prev => prev.filter(a => a.key !== key));
   };
 
   // Initialize peer connection
@@ -675,6 +1046,19 @@ const Dashboard = () => {
     return destination.stream.getAudioTracks()[0];
   };
 
+  // Report a 1:1 call state change (answer/reject/end) to the call log
+  const reportCallEvent = async (callId, action, body = {}) => {
+    if (!callId) return;
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/chat/calls/${callId}/${action}`, body, {
+        headers: { 'x-auth-token': token }
+      });
+    } catch (err) {
+      console.warn(`Failed to record call ${action}:`, err.response?.data?.message || err.message);
+    }
+  };
+
   // Start call (private or group)
   const startCall = async (type) => {
     if (!selectedUser && !selectedRoom) {
@@ -765,6 +1149,21 @@ const Dashboard = () => {
         // Private call
         callData.to = selectedUser.id;
 
+        // Persist the call for the call log; the call itself works even if this fails
+        try {
+          const token = localStorage.getItem('token');
+          const res = await axios.post(`${API_URL}/chat/calls/initiate`, {
+            receiverId: selectedUser.id,
+            callType: type
+          }, {
+            headers: { 'x-auth-token': token }
+          });
+          callRecordIdRef.current = res.data.call._id;
+          callData.callId = callRecordIdRef.current;
+        } catch (err) {
+          console.warn('Failed to record call session:', err.response?.data?.message || err.message);
+        }
+
         // Start a delivery timeout: if we don't get an `incomingCallDelivered` ack
         // within X ms, consider the user unavailable and cleanup the call attempt.
         const DELIVERY_TIMEOUT_MS = 5000;
@@ -801,6 +1200,8 @@ const Dashboard = () => {
               // Clear caller ringing state if any
               setCallerRinging(false);
               setRemoteRingingUser(null);
+              reportCallEvent(callRecordIdRef.current, 'end', { reason: 'unavailable' });
+              callRecordIdRef.current = null;
               alert('User is unavailable or offline.');
               try { socketManager.off('incomingCallDelivered', onDelivered); } catch (e) {}
               try { socketManager.off('userUnavailable', onUserUnavailable); } catch (e) {}
@@ -822,6 +1223,8 @@ const Dashboard = () => {
           // Clear caller ringing state if any
           setCallerRinging(false);
           setRemoteRingingUser(null);
+          reportCallEvent(callRecordIdRef.current, 'end', { reason: 'timeout' });
+          callRecordIdRef.current = null;
           alert('No answer from recipient (timeout).');
           try { socketManager.off('incomingCallDelivered', onDelivered); } catch (e) {}
           try { socketManager.off('userUnavailable', onUserUnavailable); } catch (e) {}
@@ -971,6 +1374,11 @@ const Dashboard = () => {
           callRoomId: incomingCall.callRoomId
         });
 
+        if (incomingCall.callId) {
+          callRecordIdRef.current = incomingCall.callId;
+          reportCallEvent(incomingCall.callId, 'answer');
+        }
+
         console.log('✓ Call answered successfully');
         
         // Play connect beep sound
@@ -1017,6 +1425,7 @@ const Dashboard = () => {
           endCallData.callRoomId = incomingCall.callRoomId;
         }
         socketManager.emit('endCall', endCallData);
+        reportCallEvent(incomingCall.callId, 'reject');
       }
     }
     setIncomingCall(null);
@@ -1066,6 +1475,11 @@ const Dashboard = () => {
       }
     }
 
+    if (callRecordIdRef.current) {
+      reportCallEvent(callRecordIdRef.current, 'end');
+      callRecordIdRef.current = null;
+    }
+
     // Reset state
     setInCall(false);
     setCallType(null);
@@ -1293,6 +1707,7 @@ const Dashboard = () => {
       } catch (e) {
         console.warn('Failed to send incomingCallAck:', e);
       }
+      acknowledgeCallNotification(data.callId);
       setIncomingCall(data);
     };
 
@@ -1515,6 +1930,11 @@ const Dashboard = () => {
             setManagingRoom(room);
           }}
           user={user}
+          missedCallCount={missedCallCount}
+          onMissedCallCountChange={setMissedCallCount}
+          missedCallRefreshKey={missedCallRefreshKey}
+          unreadCounts={unreadCounts}
+          onJumpToMessage={jumpToMessage}
         />
 
         {/* Main chat area or video call */}
@@ -1523,6 +1943,7 @@ const Dashboard = () => {
             {socketInstance ? (
               <GroupVideoCall
                 socket={socketInstance}
+                callId={groupCallData.callId}
                 callRoomId={groupCallData.callRoomId}
                 roomName={groupCallData.roomName}
                 currentUserId={user?._id || user?.id}
@@ -1549,6 +1970,7 @@ const Dashboard = () => {
               socket={socketManager.socket}
               selectedUser={selectedUser}
               activeCallSession={activeCallSession}
+              callRecordId={callRecordIdRef.current}
             />
           </div>
         ) : (selectedUser || selectedRoom) ? (
@@ -1560,6 +1982,16 @@ const Dashboard = () => {
             setMessage={setMessage}
             sendMessage={sendMessage}
             handleFileChange={handleFileChange}
+            pendingAttachments={pendingAttachments}
+            removePendingAttachment={removePendingAttachment}
+            uploadingAttachment={uploadingAttachment}
+            editMessage={editMessage}
+            deleteMessage={deleteMessage}
+            highlightMessageId={highlightMessageId}
+            hasNewerMessages={messagesHasNewer}
+            onLoadLatest={loadLatestMessages}
+            conversationLanguage={conversationLanguage}
+            onConversationLanguageChange={changeConversationLanguage}
             isTyping={isTyping}
             user={user}
             startCall={startCall}
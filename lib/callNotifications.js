@@ -0,0 +1,149 @@
+import CallNotification from '@/lib/models/CallNotification';
+import CallSession from '@/lib/models/CallSession';
+import GroupCall from '@/lib/models/GroupCall';
+import { emitToUser, isUserOnline } from '@/lib/realtime';
+
+/**
+ * Persisted call notifications (1:1 and group) backing the missed-call inbox.
+ *
+ * A notification is created 'ringing' when a call starts and is resolved to
+ * 'answered', 'declined' or 'missed' when the call's outcome is known for that
+ * recipient. `sent` means it was pushed to a live connection, `delivered` that
+ * the recipient's client acknowledged it (live or when fetching after reconnect).
+ */
+
+export const populateNotification = (query) => query
+  .populate('caller', 'username')
+  .populate('room', 'name');
+
+/**
+ * Create the notification for the receiver of a new 1:1 call. The ring itself
+ * still travels over the `callUser` signal; this only records it.
+ */
+export const notifyDirectCall = async (callSession) => {
+  const online = await isUserOnline(callSession.receiver);
+  return CallNotification.create({
+    recipient: callSession.receiver,
+    kind: 'direct',
+    callSession: callSession._id,
+    caller: callSession.caller?._id || callSession.caller,
+    callType: callSession.callType,
+    sent: online,
+    sentAt: online ? new Date() : undefined
+  });
+};
+
+/**
+ * Create notifications for every invited participant of a group call and push
+ * `groupCallIncoming` to those who are connected. Updates (but does not save)
+ * the participants' notificationSent flags on groupCall.
+ */
+export const notifyGroupCall = async (groupCall, payload) => {
+  const initiatorId = String(groupCall.initiator?._id || groupCall.initiator);
+  // participants.userId may or may not be populated
+  const invited = groupCall.participants.filter(
+    p => p.status === 'invited' && String(p.userId?._id || p.userId) !== initiatorId
+  );
+
+  const docs = await Promise.all(invited.map(async p => {
+    const recipient = p.userId?._id || p.userId;
+    const sent = (await emitToUser(recipient, 'groupCallIncoming', payload)) > 0;
+    if (sent) p.notificationSent = true;
+    return {
+      recipient,
+      kind: 'group',
+      groupCall: groupCall._id,
+      caller: groupCall.initiator?._id || groupCall.initiator,
+      room: groupCall.roomId?._id || groupCall.roomId,
+      callType: groupCall.callType,
+      sent,
+      sentAt: sent ? new Date() : undefined
+    };
+  }));
+
+  if (docs.length) await CallNotification.insertMany(docs);
+};
+
+/**
+ * Resolve still-ringing notifications of a call. Missed calls stay unread and
+ * are pushed to the recipient as `missedCall`; answered/declined ones are read.
+ * @param {Object} target - { callSession | callSessions | groupCall, recipient? }
+ * @param {'answered'|'declined'|'missed'} status
+ */
+export const resolveCallNotifications = async (target, status) => {
+  const filter = { status: 'ringing' };
+  if (target.callSessions) filter.callSession = { $in: target.callSessions };
+  else if (target.callSession) filter.callSession = target.callSession;
+  else if (target.groupCall) filter.groupCall = target.groupCall;
+  else return [];
+  if (target.recipient) filter.recipient = target.recipient;
+
+  const notifications = await CallNotification.find(filter).select('_id recipient');
+  if (!notifications.length) return [];
+
+  const update = { status };
+  if (status !== 'missed') {
+    update.read = true;
+    update.readAt = new Date();
+  }
+  await CallNotification.updateMany(
+    { _id: { $in: notifications.map(n => n._id) }, status: 'ringing' },
+    { $set: update }
+  );
+
+  if (status === 'missed') {
+    for (const n of notifications) {
+      const notification = await populateNotification(CallNotification.findById(n._id));
+      const unreadCount = await CallNotification.countUnread(n.recipient);
+      emitToUser(n.recipient, 'missedCall', { notification, unreadCount });
+    }
+  }
+
+  return notifications;
+};
+
+/**
+ * Expire 1:1 calls that rang out without an answer and record them as missed.
+ */
+export const expireStaleDirectCalls = async (userId) => {
+  const ids = await CallSession.expireStaleCalls(userId);
+  if (ids.length) await resolveCallNotifications({ callSessions: ids }, 'missed');
+  return ids;
+};
+
+/**
+ * Mark the recipient's notification for a call as delivered. For group calls
+ * the matching GroupCall participant's notification flags are updated too.
+ */
+export const markCallNotificationDelivered = async (userId, callId) => {
+  const notification = await CallNotification.findOne({
+    recipient: userId,
+    $or: [{ callSession: callId }, { groupCall: callId }]
+  });
+  if (!notification) return null;
+
+  if (!notification.delivered) {
+    notification.markDelivered();
+    await notification.save();
+  }
+
+  if (notification.kind === 'group') {
+    await syncGroupCallDelivery(notification.groupCall, [userId]);
+  }
+
+  return notification;
+};
+
+/**
+ * Mirror delivered notifications onto GroupCall.participants[].notificationSent/Delivered
+ */
+export const syncGroupCallDelivery = (groupCallId, userIds) => GroupCall.updateOne(
+  { _id: groupCallId },
+  {
+    $set: {
+      'participants.$[elem].notificationSent': true,
+      'participants.$[elem].notificationDelivered': true
+    }
+  },
+  { arrayFilters: [{ 'elem.userId': { $in: userIds } }] }
+);
@@ -0,0 +1,241 @@
+import CallTranscript from '@/lib/models/CallTranscript';
+import Chat from '@/lib/models/Chat';
+import GroupCall from '@/lib/models/GroupCall';
+import User from '@/lib/models/User';
+import { buildReceipts } from '@/lib/messageReceipts';
+import { isSameLanguage, isValidLanguage } from '@/lib/messageTranslations';
+import { emitToRoom, emitToUser } from '@/lib/realtime';
+import { translateTexts } from '@/lib/translator';
+import { getSummarizer } from '@/server/utils/summarizers';
+
+/**
+ * Post-call summaries of group calls.
+ *
+ * A participant can ask for a summary while the call is live. When the call
+ * ends, its caption transcript (lib/callTranscripts) is summarized by the
+ * summarizer selected with SUMMARIZER (server/utils/summarizers) into key
+ * points, decisions and action items, and posted as one message into the
+ * call's room. The message's stored translations hold the summary in every
+ * participant's preferred language, so each of them reads it in their own.
+ */
+
+const HEADINGS = {
+  title: 'Call summary',
+  keyPoints: 'Key points',
+  decisions: 'Decisions',
+  actionItems: 'Action items'
+};
+const HEADINGS_LANGUAGE = 'en';
+
+/**
+ * Switch the post-call summary on or off for a live group call and tell its participants.
+ * @param {Object} loaded - from loadTranscriptCall('group', ...)
+ */
+export const setSummaryRequested = async ({ loaded, userId, username, enabled }) => {
+  const { call, participants, callStartedAt } = loaded;
+  const transcript = await CallTranscript.findOneAndUpdate(
+    { groupCall: call._id },
+    {
+      $set: { summarize: enabled, summaryRequestedBy: userId, participants, callStartedAt },
+      $setOnInsert: { kind: 'group' }
+    },
+    { new: true, upsert: true }
+  );
+
+  const payload = { callId: String(call._id), summarize: enabled, changedBy: { id: String(userId), username } };
+  participants.forEach(participantId => emitToUser(participantId, 'callSummaryRequested', payload));
+
+  return transcript;
+};
+
+// The language most of the call can be read in without translating
+const mostCoveredLanguage = (segments) => {
+  const counts = new Map();
+  segments.forEach(segment => {
+    new Set([segment.language, ...segment.translations.keys()].filter(Boolean)).forEach(lang => {
+      counts.set(lang, (counts.get(lang) || 0) + 1);
+    });
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || HEADINGS_LANGUAGE;
+};
+
+/**
+ * Every segment's text in lang: what was said, a translation made during the
+ * call, or failing those a fresh translation.
+ */
+const segmentTextsIn = async (segments, lang) => {
+  const texts = segments.map(segment => {
+    if (segment.language && isSameLanguage(segment.language, lang)) return segment.text;
+    return segment.translations.get(lang);
+  });
+
+  const missing = new Map(); // source language -> segment indexes
+  texts.forEach((text, idx) => {
+    if (text !== undefined) return;
+    const source = segments[idx].language || '';
+    if (!missing.has(source)) missing.set(source, []);
+    missing.get(source).push(idx);
+  });
+
+  for (const [source, indexes] of missing) {
+    try {
+      const translated = await translateTexts(indexes.map(idx => segments[idx].text), lang, source || undefined);
+      indexes.forEach((idx, i) => { texts[idx] = translated[i].text; });
+    } catch (error) {
+      console.error(`Failed to translate call transcript to ${lang}:`, error.message);
+      indexes.forEach(idx => { texts[idx] = segments[idx].text; });
+    }
+  }
+
+  return texts;
+};
+
+const renderSummary = (headings, { keyPoints, decisions, actionItems }) => {
+  const sections = [headings.title];
+  if (keyPoints.length) sections.push(`${headings.keyPoints}:\n${keyPoints.map(point => `• ${point}`).join('\n')}`);
+  if (decisions.length) sections.push(`${headings.decisions}:\n${decisions.map(decision => `• ${decision}`).join('\n')}`);
+  if (actionItems.length) {
+    sections.push(`${headings.actionItems}:\n${actionItems.map(item => (
+      `• ${item.assigneeName ? `${item.assigneeName}: ` : ''}${item.text}`
+    )).join('\n')}`);
+  }
+  return sections.join('\n\n');
+};
+
+// The summary rendered in lang, translating its text from `from` and the headings from English
+const renderSummaryIn = async (summary, lang, from) => {
+  const headingKeys = Object.keys(HEADINGS);
+  const headings = isSameLanguage(lang, HEADINGS_LANGUAGE)
+    ? HEADINGS
+    : Object.fromEntries((await translateTexts(Object.values(HEADINGS), lang, HEADINGS_LANGUAGE))
+      .map((result, idx) => [headingKeys[idx], result.text]));
+
+  if (isSameLanguage(lang, from)) return renderSummary(headings, summary);
+
+  const texts = [...summary.keyPoints, ...summary.decisions, ...summary.actionItems.map(item => item.text)];
+  const translated = (await translateTexts(texts, lang, from)).map(result => result.text);
+  const keyPoints = translated.slice(0, summary.keyPoints.length);
+  const decisions = translated.slice(keyPoints.length, keyPoints.length + summary.decisions.length);
+  const actionTexts = translated.slice(keyPoints.length + decisions.length);
+  return renderSummary(headings, {
+    keyPoints,
+    decisions,
+    actionItems: summary.actionItems.map((item, idx) => ({ ...item, text: actionTexts[idx] }))
+  });
+};
+
+// Write the summary of a claimed transcript and post it into the call's room
+const postSummary = async (transcript, groupCall, summarizer) => {
+  const users = await User.find({ _id: { $in: transcript.participants } }).select('username preferredLanguage');
+
+  const language = summarizer.language || mostCoveredLanguage(transcript.segments);
+  const texts = await segmentTextsIn(transcript.segments, language);
+  const result = await summarizer.summarize({
+    segments: transcript.segments.map((segment, idx) => ({ speakerName: segment.speakerName, text: texts[idx] })),
+    participants: users.map(user => user.username),
+    language
+  });
+
+  const summary = {
+    keyPoints: result.keyPoints || [],
+    decisions: result.decisions || [],
+    actionItems: (result.actionItems || []).map(item => {
+      const assignee = item.assignee ? users.find(user => user.username === item.assignee) : null;
+      return { text: item.text, assignee: assignee?._id, assigneeName: assignee?.username };
+    })
+  };
+  const saveSummary = (messageId) => CallTranscript.updateOne({ _id: transcript._id }, {
+    $set: {
+      summary: { ...summary, language, summarizer: summarizer.name, message: messageId, createdAt: new Date() }
+    }
+  });
+
+  // Nothing worth posting
+  if (!summary.keyPoints.length && !summary.decisions.length && !summary.actionItems.length) {
+    await saveSummary();
+    return null;
+  }
+
+  const content = await renderSummaryIn(summary, language, language).catch(() => renderSummary(HEADINGS, summary));
+  const translations = new Map();
+  const languages = new Set(users.map(user => user.preferredLanguage).filter(isValidLanguage));
+  for (const lang of languages) {
+    if (isSameLanguage(lang, language)) continue;
+    try {
+      translations.set(lang, await renderSummaryIn(summary, lang, language));
+    } catch (error) {
+      // Readers in this language get it translated on demand instead
+      console.error(`Failed to translate call summary to ${lang}:`, error.message);
+    }
+  }
+
+  const roomId = String(groupCall.roomId);
+  const senderId = transcript.summaryRequestedBy || groupCall.initiator;
+  const message = await Chat.create({
+    sender: senderId,
+    originalContent: content,
+    content,
+    originalLanguage: language,
+    detectedLanguage: language,
+    languageConfidence: 1,
+    translations,
+    timestamp: new Date(),
+    room: roomId,
+    isGroupMessage: true,
+    receipts: await buildReceipts({ senderId, roomId }),
+    callSummary: groupCall._id
+  });
+
+  await saveSummary(message._id);
+
+  return message;
+};
+
+/**
+ * Summarize an ended group call and post the summary into its room, if a
+ * participant asked for one. Runs at most once per call, unless it fails.
+ * @returns {Promise<Object|null>} the posted message
+ */
+export const summarizeGroupCall = async (groupCallId) => {
+  const summarizer = getSummarizer();
+  if (!summarizer.isConfigured()) {
+    console.warn(`Summarizer ${summarizer.name} is not configured; skipping call summary`);
+    return null;
+  }
+
+  const groupCall = await GroupCall.findById(groupCallId).select('roomId initiator');
+  if (!groupCall) return null;
+
+  // Claim the job so that concurrent call endings don't post twice
+  const transcript = await CallTranscript.findOneAndUpdate(
+    { groupCall: groupCallId, summarize: true, summary: { $exists: false } },
+    { $set: { 'summary.createdAt': new Date(), 'summary.summarizer': summarizer.name } },
+    { new: true }
+  );
+  if (!transcript || !transcript.segments.length) return null;
+
+  let message;
+  try {
+    message = await postSummary(transcript, groupCall, summarizer);
+  } catch (error) {
+    // Release the claim so that a later call ending can try again
+    await CallTranscript.updateOne({ _id: transcript._id }, { $unset: { summary: 1 } });
+    throw error;
+  }
+  if (!message) return null;
+
+  const populatedMessage = await Chat.findById(message._id)
+    .populate('sender', 'username preferredLanguage');
+  await emitToRoom(String(groupCall.roomId), 'receiveMessage', populatedMessage.toObject());
+
+  return populatedMessage;
+};
+
+/**
+ * Start summarizeGroupCall without waiting for it, for the routes that end calls.
+ */
+export const queueGroupCallSummary = (groupCallId) => {
+  summarizeGroupCall(groupCallId).catch(error => {
+    console.error(`Failed to summarize group call ${groupCallId}:`, error);
+  });
+};
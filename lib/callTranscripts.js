@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/db';
+import { authenticate } from '@/lib/auth';
+import CallSession from '@/lib/models/CallSession';
+import CallTranscript from '@/lib/models/CallTranscript';
+import GroupCall from '@/lib/models/GroupCall';
+import User from '@/lib/models/User';
+import { buildSnippet } from '@/lib/messageSearch';
+import { isValidLanguage } from '@/lib/messageTranslations';
+import { emitToUser } from '@/lib/realtime';
+import callTranscriptStore from '@/server/utils/callTranscriptStore';
+
+/**
+ * Opt-in caption transcripts of 1:1 and group calls.
+ *
+ * Any participant can switch recording on or off while the call is live; every
+ * participant is told with a `callTranscriptRecording` event. While it is on,
+ * the socket handlers append each recognized utterance and its translations
+ * (server/utils/callTranscriptStore). Transcripts can be read by the call's
+ * participants and exported as plain text, SRT or WebVTT.
+ */
+
+export const TRANSCRIPT_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' }
+};
+
+// Captions shorter than this are stretched so players show them at all
+const MIN_CAPTION_MS = 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Load a call for its transcript and check that the user took part in it.
+ * @param {'direct'|'group'} kind
+ * @returns {Promise<{call, participants: Array, live: boolean, callStartedAt: Date} | {status: number, message: string}>}
+ */
+export const loadTranscriptCall = async (kind, callId, userId) => {
+  const call = kind === 'group' ? await GroupCall.findById(callId) : await CallSession.findById(callId);
+  if (!call) {
+    return { status: 404, message: 'Call not found' };
+  }
+
+  const participants = kind === 'group'
+    ? call.participants.map(p => p.userId)
+    : [call.caller, call.receiver];
+  if (!participants.some(id => sameId(id, userId))) {
+    return { status: 403, message: 'You are not a participant of this call' };
+  }
+
+  return {
+    call,
+    participants,
+    live: kind === 'group' ? call.status !== 'ended' : call.status === 'answered',
+    callStartedAt: kind === 'group' ? call.startedAt : (call.answeredAt || call.startedAt)
+  };
+};
+
+const callFilter = (kind, callId) => (kind === 'group' ? { groupCall: callId } : { callSession: callId });
+
+export const findTranscript = (kind, callId) => CallTranscript.findOne(callFilter(kind, callId));
+
+/**
+ * Switch recording on or off for a live call and notify its participants.
+ * @returns {Promise<Object>} the transcript
+ */
+export const setTranscriptRecording = async ({ kind, loaded, userId, username, recording }) => {
+  const { call, participants, callStartedAt } = loaded;
+  const transcript = await CallTranscript.findOneAndUpdate(
+    callFilter(kind, call._id),
+    {
+      $set: {
+        recording,
+        recordingChangedBy: userId,
+        recordingChangedAt: new Date(),
+        participants,
+        callStartedAt
+      },
+      $setOnInsert: { kind }
+    },
+    { new: true, upsert: true }
+  );
+  callTranscriptStore.invalidate();
+
+  const payload = { kind, callId: String(call._id), recording, changedBy: { id: String(userId), username } };
+  participants.forEach(participantId => emitToUser(participantId, 'callTranscriptRecording', payload));
+
+  return transcript;
+};
+
+/**
+ * Plain transcript for the API, with segment times in ms from the call start.
+ */
+export const serializeTranscript = (transcript, callStartedAt) => {
+  const start = new Date(transcript.callStartedAt || callStartedAt || transcript.createdAt).getTime();
+  return {
+    kind: transcript.kind,
+    callId: String(transcript.callSession || transcript.groupCall),
+    recording: transcript.recording,
+    summarize: transcript.summarize,
+    callStartedAt: new Date(start),
+    segments: transcript.segments.map(segment => ({
+      _id: segment._id,
+      speaker: segment.speaker,
+      speakerName: segment.speakerName,
+      language: segment.language,
+      text: segment.text,
+      translations: Object.fromEntries(segment.translations || []),
+      startedAt: segment.startedAt,
+      endedAt: segment.endedAt,
+      startMs: Math.max(new Date(segment.startedAt).getTime() - start, 0),
+      endMs: Math.max(new Date(segment.endedAt).getTime() - start, 0)
+    }))
+  };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTimestamp = (ms, separator) => {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// The text of a segment in lang: its translation if there is one, else what was said
+const segmentText = (segment, lang) => (lang && segment.translations[lang]) || segment.text;
+
+const captionTimes = (segment) => ({
+  start: segment.startMs,
+  end: Math.max(segment.endMs, segment.startMs + MIN_CAPTION_MS)
+});
+
+const FORMATTERS = {
+  // Without a language every translation is listed under the original
+  txt: (segments, lang) => segments.map(segment => {
+    const line = `[${formatTimestamp(segment.startMs, '.').slice(0, 8)}] ${segment.speakerName || 'Unknown'}: ${segmentText(segment, lang)}`;
+    if (lang) return line;
+    const translations = Object.entries(segment.translations).map(([code, text]) => `    (${code}) ${text}`);
+    return [line, ...translations].join('\n');
+  }).join('\n') + '\n',
+
+  srt: (segments, lang) => segments.map((segment, idx) => {
+    const { start, end } = captionTimes(segment);
+    return `${idx + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${segment.speakerName || 'Unknown'}: ${segmentText(segment, lang)}\n`;
+  }).join('\n'),
+
+  vtt: (segments, lang) => 'WEBVTT\n\n' + segments.map(segment => {
+    const { start, end } = captionTimes(segment);
+    const speaker = (segment.speakerName || 'Unknown').replace(/[<>]/g, '');
+    return `${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n<v ${speaker}>${segmentText(segment, lang)}\n`;
+  }).join('\n')
+};
+
+/**
+ * Export a serialized transcript. lang picks a translation for every segment
+ * that has one; otherwise the original text is used.
+ * @param {'txt'|'srt'|'vtt'} format
+ */
+export const formatTranscript = (serialized, format, lang) => FORMATTERS[format](serialized.segments, lang);
+
+// term matches the segment's text or any of its translations
+const segmentTermCondition = (term) => {
+  const pattern = escapeRegex(term);
+  return {
+    $or: [
+      { 'segments.text': { $regex: pattern, $options: 'i' } },
+      {
+        $expr: {
+          $gt: [{
+            $size: {
+              $filter: {
+                input: { $objectToArray: { $ifNull: ['$segments.translations', {}] } },
+                cond: { $regexMatch: { input: '$$this.v', regex: pattern, options: 'i' } }
+              }
+            }
+          }, 0]
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Search the caption transcripts of the user's calls, newest segment first.
+ * Terms are matched like message search (see lib/messageSearch.js).
+ * @returns {Promise<{results: Array, hasMore: boolean}>}
+ */
+export const searchTranscripts = async ({ userId, terms, language, before, limit }) => {
+  const segmentFilter = { $and: terms.map(segmentTermCondition) };
+  if (before) segmentFilter['segments.startedAt'] = { $lt: before };
+
+  const found = await CallTranscript.aggregate([
+    { $match: { participants: new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: '$segments' },
+    { $match: segmentFilter },
+    { $sort: { 'segments.startedAt': -1 } },
+    { $limit: limit + 1 },
+    { $project: { kind: 1, callSession: 1, groupCall: 1, callStartedAt: 1, segment: '$segments' } }
+  ]);
+
+  const lowerTerms = terms.map(term => term.toLowerCase());
+  const containsAll = (text) => Boolean(text) && lowerTerms.every(term => text.toLowerCase().includes(term));
+
+  const results = found.slice(0, limit).map(hit => {
+    const { segment } = hit;
+    const translations = segment.translations || {};
+    // The reader's language first, then what was said, then any matching translation
+    let matchedLanguage = null;
+    if (language && containsAll(translations[language])) {
+      matchedLanguage = language;
+    } else if (!containsAll(segment.text)) {
+      matchedLanguage = Object.keys(translations).find(lang => containsAll(translations[lang])) || null;
+    }
+    const text = matchedLanguage ? translations[matchedLanguage] : segment.text;
+
+    return {
+      kind: hit.kind,
+      callId: hit.callSession || hit.groupCall,
+      segment: {
+        _id: segment._id,
+        speaker: segment.speaker,
+        speakerName: segment.speakerName,
+        language: segment.language,
+        startedAt: segment.startedAt,
+        startMs: Math.max(new Date(segment.startedAt) - new Date(hit.callStartedAt || segment.startedAt), 0)
+      },
+      matchedLanguage,
+      snippet: buildSnippet(text || '', terms)
+    };
+  });
+
+  return { results, hasMore: found.length > limit };
+};
+
+// What differs between the 1:1 and group call transcript routes
+const ROUTE_KINDS = {
+  direct: { label: 'call', filePrefix: 'call' },
+  group: { label: 'group call', filePrefix: 'group-call' }
+};
+
+const routeError = (error, message) => {
+  console.error(`${message}:`, error);
+  if (error.message.includes('authorization')) {
+    return NextResponse.json({ message: error.message }, { status: 401 });
+  }
+  return NextResponse.json(
+    { message: 'Internal server error', error: error.message },
+    { status: 500 }
+  );
+};
+
+/**
+ * GET handler of the transcript routes: the transcript as JSON, or with
+ * `format` as a file download, using the `lang` translation where available.
+ * @param {'direct'|'group'} kind
+ */
+export const handleTranscriptGet = async (kind, req, params) => {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+    const { searchParams } = new URL(req.url);
+    const format = searchParams.get('format');
+    const lang = searchParams.get('lang');
+
+    if (format && !TRANSCRIPT_FORMATS[format]) {
+      return NextResponse.json({ message: "format must be 'txt', 'srt' or 'vtt'" }, { status: 400 });
+    }
+    if (lang && !isValidLanguage(lang)) {
+      return NextResponse.json({ message: 'Invalid language' }, { status: 400 });
+    }
+
+    const loaded = await loadTranscriptCall(kind, callId, userId);
+    if (!loaded.call) {
+      return NextResponse.json({ message: loaded.message }, { status: loaded.status });
+    }
+
+    const transcript = await findTranscript(kind, callId);
+    if (!transcript) {
+      return NextResponse.json({ message: 'This call has no transcript' }, { status: 404 });
+    }
+
+    const serialized = serializeTranscript(transcript, loaded.callStartedAt);
+    if (!format) {
+      return NextResponse.json({ transcript: serialized, live: loaded.live }, { status: 200 });
+    }
+
+    const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
+    const fileName = `${ROUTE_KINDS[kind].filePrefix}-${callId}${lang ? `.${lang}` : ''}.${extension}`;
+    return new Response(Buffer.from(formatTranscript(serialized, format, lang), 'utf8'), {
+      headers: {
+        'Content-Type': `${mimeType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Cache-Control': 'private, no-cache'
+      }
+    });
+
+  } catch (error) {
+    return routeError(error, `Error fetching ${ROUTE_KINDS[kind].label} transcript`);
+  }
+};
+
+/**
+ * PUT handler of the transcript routes: switch caption recording on or off
+ * while the call is live. Body: { recording: boolean }
+ * @param {'direct'|'group'} kind
+ */
+export const handleTranscriptPut = async (kind, req, params) => {
+  try {
+    const decoded = authenticate(req);
+    const userId = decoded.userId || decoded.user?.id;
+
+    await dbConnect();
+
+    const { callId } = await params;
+    const body = await req.json().catch(() => ({}));
+    if (typeof body.recording !== 'boolean') {
+      return NextResponse.json({ message: 'recording must be true or false' }, { status: 400 });
+    }
+
+    const loaded = await loadTranscriptCall(kind, callId, userId);
+    if (!loaded.call) {
+      return NextResponse.json({ message: loaded.message }, { status: loaded.status });
+    }
+    if (!loaded.live) {
+      return NextResponse.json({ message: 'Recording can only be changed during the call' }, { status: 409 });
+    }
+
+    const user = await User.findById(userId).select('username');
+    const transcript = await setTranscriptRecording({
+      kind,
+      loaded,
+      userId,
+      username: user?.username,
+      recording: body.recording
+    });
+
+    return NextResponse.json({ recording: transcript.recording }, { status: 200 });
+
+  } catch (error) {
+    return routeError(error, `Error updating ${ROUTE_KINDS[kind].label} transcript recording`);
+  }
+};
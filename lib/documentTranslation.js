@@ -0,0 +1,133 @@
+import { translateTexts } from '@/lib/translator';
+
+/**
+ * Translation of text-bearing attachments (plain text, markdown, SRT/WebVTT
+ * subtitles). Documents are split into segments so structure (cue numbers,
+ * timings, markdown markers, code blocks) is kept as-is and only prose is
+ * translated; each segment is cached on its own via lib/translationCache, so
+ * re-translating a large subtitle file only costs the segments not seen yet.
+ */
+
+export const DOCUMENT_FORMATS = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'application/x-subrip': 'srt',
+  'text/vtt': 'vtt'
+};
+
+// Larger documents are refused rather than translated
+export const MAX_TRANSLATABLE_SIZE = 1024 * 1024;
+
+export const isTranslatableDocument = (mimeType) => Boolean(DOCUMENT_FORMATS[mimeType]);
+
+// Split on blank lines, keeping the separators so the document can be reassembled
+const splitBlocks = (text) => text.split(/(\n[ \t]*\n+)/);
+
+// Subtitle cue: everything up to the timing line is kept, the cue text is translated.
+// Blocks without a timing line (WEBVTT header, NOTE, STYLE, REGION) are kept.
+const parseSubtitleBlock = (block) => {
+  const lines = block.split('\n');
+  const timing = lines.findIndex(line => line.includes('-->'));
+  if (timing === -1) return [block];
+
+  const head = lines.slice(0, timing + 1).join('\n');
+  const body = lines.slice(timing + 1).join('\n');
+  if (!body.trim()) return [block];
+  return [`${head}\n`, { text: body, subtitle: true }];
+};
+
+const parseSubtitles = (text) => splitBlocks(text).flatMap((block, i) => (
+  i % 2 === 1 ? [block] : parseSubtitleBlock(block)
+));
+
+// Paragraphs are translated whole so sentences keep their context
+const parsePlainText = (text) => splitBlocks(text).map((block, i) => (
+  i % 2 === 1 || !block.trim() ? block : { text: block }
+));
+
+const MARKDOWN_FENCE = /^\s*(```|~~~)/;
+const MARKDOWN_PREFIX = /^(\s*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+|>\s*)*)(.*)$/;
+const MARKDOWN_LITERAL = /^\s*(?:[-*_]\s*){3,}$|^\s*\|?[\s:|-]+\|?\s*$/;
+
+// Line by line, keeping list/heading/quote markers, rules and fenced code untouched
+const parseMarkdown = (text) => {
+  const parts = [];
+  let inFence = false;
+
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) parts.push('\n');
+
+    if (MARKDOWN_FENCE.test(line)) {
+      inFence = !inFence;
+      parts.push(line);
+      return;
+    }
+    if (inFence || !line.trim() || MARKDOWN_LITERAL.test(line)) {
+      parts.push(line);
+      return;
+    }
+
+    const [, prefix, rest] = line.match(MARKDOWN_PREFIX);
+    if (prefix) parts.push(prefix);
+    if (rest.trim()) parts.push({ text: rest });
+    else if (rest) parts.push(rest);
+  });
+
+  return parts;
+};
+
+const PARSERS = {
+  text: parsePlainText,
+  markdown: parseMarkdown,
+  srt: parseSubtitles,
+  vtt: parseSubtitles
+};
+
+/**
+ * Split a document into literal strings and { text } segments to translate.
+ */
+export const parseDocument = (text, mimeType) => {
+  const format = DOCUMENT_FORMATS[mimeType];
+  if (!format) {
+    throw new Error(`Unsupported document type: ${mimeType}`);
+  }
+  // Surrounding whitespace (e.g. the file's final newline) stays outside the segment
+  return PARSERS[format](text).flatMap(part => {
+    if (typeof part === 'string') return [part];
+    const [, leading, core, trailing] = part.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return [leading, { ...part, text: core }, trailing].filter(p => p !== '');
+  });
+};
+
+/**
+ * Translate a text document, preserving its structure.
+ * @param {Buffer|string} content - UTF-8 document
+ * @returns {Promise<{content: string, segmentCount: number}>}
+ */
+export const translateDocument = async (content, mimeType, targetLang, sourceLang) => {
+  let text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  const hasBom = text.charCodeAt(0) === 0xfeff;
+  if (hasBom) text = text.slice(1);
+
+  const crlf = text.includes('\r\n');
+  if (crlf) text = text.replace(/\r\n/g, '\n');
+
+  const parts = parseDocument(text, mimeType);
+  const segments = parts.filter(p => typeof p !== 'string');
+  const translations = segments.length
+    ? await translateTexts(segments.map(s => s.text), targetLang, sourceLang)
+    : [];
+
+  let index = 0;
+  let output = parts.map(part => {
+    if (typeof part === 'string') return part;
+    const translated = translations[index++]?.text ?? part.text;
+    // A blank line inside a cue would end it early
+    return part.subtitle ? translated.replace(/\n[ \t]*(?=\n)/g, '').replace(/\n{2,}/g, '\n') : translated;
+  }).join('');
+
+  if (crlf) output = output.replace(/\n/g, '\r\n');
+  if (hasBom) output = `\uFEFF${output}`;
+
+  return { content: output, segmentCount: segments.length };
+};
@@ -0,0 +1,127 @@
+import Chat from '@/lib/models/Chat';
+import Glossary, { MAX_GLOSSARY_TERMS, MAX_TERM_LENGTH } from '@/lib/models/Glossary';
+import { isValidLanguage } from '@/lib/messageTranslations';
+import glossaryStore from '@/server/utils/glossaryStore';
+import { EMPTY_GLOSSARY, changedTerms, escapeRegExp } from '@/server/utils/glossary';
+
+/**
+ * Room and user glossaries (forced translations and do-not-translate terms).
+ *
+ * A room glossary applies to messages and call speech in that room; a user
+ * glossary applies to what that user writes or says, and to texts they ask to
+ * have translated. Room terms win over user terms.
+ */
+
+const MAX_TRANSLATION_LENGTH = 200;
+
+const cleanTerm = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a glossary request body: { terms: [{ term, translations: { lang: text }, caseSensitive }], doNotTranslate: [term] }
+ * @returns {{ glossary: Object } | { error: string }}
+ */
+export const parseGlossary = (body) => {
+  const terms = body?.terms ?? [];
+  const doNotTranslate = body?.doNotTranslate ?? [];
+  if (!Array.isArray(terms) || !Array.isArray(doNotTranslate)) {
+    return { error: 'terms and doNotTranslate must be arrays' };
+  }
+  if (terms.length + doNotTranslate.length > MAX_GLOSSARY_TERMS) {
+    return { error: `A glossary can hold at most ${MAX_GLOSSARY_TERMS} terms` };
+  }
+
+  const seen = new Set();
+  const addTerm = (term) => {
+    if (!term) return 'Glossary terms cannot be empty';
+    if (term.length > MAX_TERM_LENGTH) return `Glossary terms are limited to ${MAX_TERM_LENGTH} characters`;
+    const key = term.toLowerCase();
+    if (seen.has(key)) return `Duplicate glossary term: ${term}`;
+    seen.add(key);
+    return null;
+  };
+
+  const glossary = { terms: [], doNotTranslate: [] };
+
+  for (const entry of terms) {
+    const term = cleanTerm(entry?.term);
+    const termError = addTerm(term);
+    if (termError) return { error: termError };
+
+    const translations = {};
+    for (const [lang, text] of Object.entries(entry.translations || {})) {
+      if (!isValidLanguage(lang)) return { error: `Invalid language for "${term}": ${lang}` };
+      const value = cleanTerm(text);
+      if (!value || value.length > MAX_TRANSLATION_LENGTH) {
+        return { error: `Translations of "${term}" must be 1-${MAX_TRANSLATION_LENGTH} characters` };
+      }
+      translations[lang] = value;
+    }
+    if (!Object.keys(translations).length) {
+      return { error: `"${term}" needs at least one translation; use doNotTranslate to keep it as is` };
+    }
+    glossary.terms.push({ term, translations, caseSensitive: Boolean(entry.caseSensitive) });
+  }
+
+  for (const entry of doNotTranslate) {
+    const term = cleanTerm(entry);
+    const termError = addTerm(term);
+    if (termError) return { error: termError };
+    glossary.doNotTranslate.push(term);
+  }
+
+  return { glossary };
+};
+
+export const findGlossary = (scope, ownerId) => Glossary.findOne({ scope, [scope]: ownerId });
+
+/**
+ * Clear stored message translations that may contain any of the given terms,
+ * and drop the cached glossary. Translations are recomputed on next read.
+ */
+const bustTranslations = async (scope, ownerId, terms) => {
+  glossaryStore.invalidate(scope, ownerId);
+  if (!terms.length) return 0;
+
+  const filter = scope === 'room' ? { room: ownerId } : { sender: ownerId };
+  const result = await Chat.updateMany(
+    {
+      ...filter,
+      originalContent: { $regex: terms.map(escapeRegExp).join('|'), $options: 'i' },
+      isDeleted: { $ne: true }
+    },
+    { $set: { translations: {} } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Replace the glossary of a room or user.
+ * @returns {Promise<{glossary: Object, clearedTranslations: number}>}
+ */
+export const saveGlossary = async (scope, ownerId, glossary, userId) => {
+  const doc = (await findGlossary(scope, ownerId)) || new Glossary({ scope, [scope]: ownerId });
+  const before = doc.isNew ? EMPTY_GLOSSARY : doc.toGlossary();
+
+  doc.terms = glossary.terms;
+  doc.doNotTranslate = glossary.doNotTranslate;
+  doc.updatedBy = userId;
+  await doc.save();
+
+  const clearedTranslations = await bustTranslations(scope, ownerId, changedTerms(before, glossary));
+  return { glossary: doc.toGlossary(), clearedTranslations };
+};
+
+export const deleteGlossary = async (scope, ownerId) => {
+  const doc = await findGlossary(scope, ownerId);
+  if (!doc) return { clearedTranslations: 0 };
+
+  const before = doc.toGlossary();
+  await doc.deleteOne();
+  const clearedTranslations = await bustTranslations(scope, ownerId, changedTerms(before, EMPTY_GLOSSARY));
+  return { clearedTranslations };
+};
+
+/**
+ * Glossary to apply for a sender/speaker, optionally within a room.
+ */
+export const getGlossaryFor = ({ roomId, userId }) => glossaryStore.getGlossary({ roomId, userId });
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import Chat from '@/lib/models/Chat';
+import Room from '@/lib/models/Room';
+import { emitToUser } from '@/lib/realtime';
+
+/**
+ * Per-recipient delivery and read tracking for chat messages.
+ *
+ * Each message carries one receipt per recipient. `deliveredAt` is set when the
+ * recipient's client acknowledges the message (live, or when it fetches unread
+ * counts after reconnecting) and `readAt` when the conversation is open on
+ * screen. Senders are told through `messageDelivered` / `messageRead` events.
+ */
+
+const RECEIPT_FIELDS = {
+  delivered: 'deliveredAt',
+  read: 'readAt'
+};
+
+const RECEIPT_EVENTS = {
+  delivered: 'messageDelivered',
+  read: 'messageRead'
+};
+
+/**
+ * Receipts for a new message: the receiver of a 1:1 message, or every room
+ * participant except the sender.
+ */
+export const buildReceipts = async ({ senderId, receiverId, roomId }) => {
+  let recipients = [];
+  if (roomId) {
+    const room = mongoose.isValidObjectId(roomId)
+      ? await Room.findById(roomId).select('participants')
+      : null;
+    recipients = (room?.participants || []).filter(id => String(id) !== String(senderId));
+  } else if (receiverId) {
+    recipients = [receiverId];
+  }
+  return recipients.map(user => ({ user }));
+};
+
+/**
+ * Mark messages addressed to userId as delivered or read and notify their senders.
+ * Reading a message also marks it delivered.
+ * @param {string} userId - the recipient
+ * @param {Object} scope - { messageIds } | { withUser } | { roomId } | {} for everything
+ * @param {'delivered'|'read'} status
+ * @returns {Promise<Array>} ids of the messages that changed
+ */
+export const markMessages = async (userId, scope, status) => {
+  const field = RECEIPT_FIELDS[status];
+  if (!field) throw new Error(`Unknown receipt status: ${status}`);
+
+  const filter = { receipts: { $elemMatch: { user: userId, [field]: null } } };
+  if (scope.messageIds) {
+    filter._id = { $in: scope.messageIds.filter(id => mongoose.isValidObjectId(id)) };
+  } else if (scope.withUser) {
+    filter.sender = scope.withUser;
+    filter.receiver = userId;
+  } else if (scope.roomId) {
+    filter.room = String(scope.roomId);
+  }
+
+  const messages = await Chat.find(filter).select('_id sender room');
+  if (!messages.length) return [];
+
+  const ids = messages.map(m => m._id);
+  const now = new Date();
+  const fields = status === 'read' ? ['deliveredAt', 'readAt'] : ['deliveredAt'];
+  for (const f of fields) {
+    await Chat.updateMany(
+      { _id: { $in: ids } },
+      { $set: { [`receipts.$[r].${f}`]: now } },
+      { arrayFilters: [{ 'r.user': new mongoose.Types.ObjectId(String(userId)), [`r.${f}`]: null }] }
+    );
+  }
+
+  // One event per sender and conversation
+  const groups = new Map();
+  messages.forEach(m => {
+    const key = `${m.sender}:${m.room || ''}`;
+    if (!groups.has(key)) groups.set(key, { sender: m.sender, roomId: m.room || null, messageIds: [] });
+    groups.get(key).messageIds.push(m._id);
+  });
+  for (const { sender, roomId, messageIds } of groups.values()) {
+    emitToUser(sender, RECEIPT_EVENTS[status], {
+      messageIds,
+      userId: String(userId),
+      roomId,
+      at: now
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * Unread message counts for a user, per contact (1:1) and per room.
+ * @returns {Promise<{contacts: Object, rooms: Object, total: number}>}
+ */
+export const getUnreadCounts = async (userId) => {
+  const rows = await Chat.aggregate([
+    {
+      $match: {
+        receipts: { $elemMatch: { user: new mongoose.Types.ObjectId(String(userId)), readAt: null } },
+        isDeleted: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          room: { $cond: [{ $eq: ['$isGroupMessage', true] }, '$room', null] },
+          sender: { $cond: [{ $eq: ['$isGroupMessage', true] }, null, '$sender'] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = { contacts: {}, rooms: {}, total: 0 };
+  rows.forEach(({ _id, count }) => {
+    if (_id.room) counts.rooms[_id.room] = count;
+    else if (_id.sender) counts.contacts[String(_id.sender)] = count;
+    counts.total += count;
+  });
+  return counts;
+};
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import Chat from '@/lib/models/Chat';
+import Room from '@/lib/models/Room';
+
+/**
+ * Message search across the conversations a user belongs to. A query matches
+ * a message when every term appears (case-insensitively) in its original text
+ * or in one of its stored translations (Chat.translations, see
+ * lib/messageTranslations.js), so an English query finds a message written in
+ * Hindi once it has been translated to English for someone.
+ */
+
+const SNIPPET_RADIUS = 60;
+const MAX_TERMS = 8;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const parseQuery = (query) => String(query || '')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, MAX_TERMS);
+
+// term matches originalContent or any value of the translations map
+const termCondition = (term) => {
+  const pattern = escapeRegex(term);
+  return {
+    $or: [
+      { originalContent: { $regex: pattern, $options: 'i' } },
+      {
+        $expr: {
+          $gt: [{
+            $size: {
+              $filter: {
+                input: { $objectToArray: { $ifNull: ['$translations', {}] } },
+                cond: { $regexMatch: { input: '$$this.v', regex: pattern, options: 'i' } }
+              }
+            }
+          }, 0]
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Mongo filter for the messages visible to userId, narrowed by the optional filters.
+ * Returns null when the filters point outside the user's conversations.
+ */
+export const buildSearchScope = async (userId, { roomId, withUser, senderId, from, to }) => {
+  const scope = { isDeleted: { $ne: true } };
+
+  if (roomId) {
+    if (!mongoose.isValidObjectId(roomId)) return null;
+    const isMember = await Room.exists({ _id: roomId, participants: userId });
+    if (!isMember) return null;
+    scope.room = String(roomId);
+  } else if (withUser) {
+    scope.$or = [
+      { sender: userId, receiver: withUser },
+      { sender: withUser, receiver: userId }
+    ];
+    scope.room = { $exists: false };
+  } else {
+    const rooms = await Room.find({ participants: userId }).select('_id');
+    scope.$or = [
+      { sender: userId, room: { $exists: false } },
+      { receiver: userId },
+      { room: { $in: rooms.map(r => String(r._id)) } }
+    ];
+  }
+
+  if (senderId) scope.sender = senderId;
+  if (from || to) {
+    scope.timestamp = {};
+    if (from) scope.timestamp.$gte = from;
+    if (to) scope.timestamp.$lte = to;
+  }
+
+  return scope;
+};
+
+/**
+ * A short excerpt around the first match with the [start, end) ranges of every term.
+ */
+export const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(term => {
+    const index = lower.indexOf(term.toLowerCase());
+    return index === -1 ? Infinity : index;
+  }));
+  const anchor = Number.isFinite(first) ? first : 0;
+
+  const start = Math.max(0, anchor - SNIPPET_RADIUS);
+  const end = Math.min(text.length, anchor + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const excerpt = text.slice(start, end);
+
+  const highlights = [];
+  const excerptLower = excerpt.toLowerCase();
+  terms.forEach(term => {
+    const needle = term.toLowerCase();
+    let index = excerptLower.indexOf(needle);
+    while (index !== -1) {
+      highlights.push([index + prefix.length, index + prefix.length + needle.length]);
+      index = excerptLower.indexOf(needle, index + needle.length);
+    }
+  });
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  return { text: `${prefix}${excerpt}${suffix}`, highlights };
+};
+
+const containsAll = (text, terms) => {
+  const lower = (text || '').toLowerCase();
+  return terms.every(term => lower.includes(term.toLowerCase()));
+};
+
+/**
+ * Pick the text to show for a hit: the reader's language first, then the
+ * original, then any translation containing the terms.
+ * @returns {{language: string|null, text: string}}
+ */
+const pickMatchedText = (message, terms, language) => {
+  const translations = message.translations instanceof Map
+    ? Object.fromEntries(message.translations)
+    : (message.translations || {});
+
+  if (language && containsAll(translations[language], terms)) {
+    return { language, text: translations[language] };
+  }
+  if (containsAll(message.originalContent, terms)) {
+    return { language: null, text: message.originalContent };
+  }
+  const match = Object.entries(translations).find(([, text]) => containsAll(text, terms));
+  if (match) return { language: match[0], text: match[1] };
+  // Terms spread over different versions: show the original
+  return { language: null, text: message.originalContent || '' };
+};
+
+/**
+ * Search messages, newest first.
+ * @returns {Promise<{results: Array, hasMore: boolean}>}
+ */
+export const searchMessages = async ({ scope, terms, language, before, limit }) => {
+  const filter = { ...scope, $and: terms.map(termCondition) };
+  if (before) {
+    filter.timestamp = { ...(filter.timestamp || {}), $lt: before };
+  }
+
+  const found = await Chat.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(limit + 1)
+    .select('sender receiver room isGroupMessage timestamp originalContent originalLanguage translations')
+    .populate('sender', 'username')
+    .populate('receiver', 'username');
+
+  const results = found.slice(0, limit).map(message => {
+    const matched = pickMatchedText(message, terms, language);
+    return {
+      message: {
+        _id: message._id,
+        sender: message.sender,
+        receiver: message.receiver,
+        room: message.room,
+        isGroupMessage: message.isGroupMessage,
+        timestamp: message.timestamp,
+        originalLanguage: message.originalLanguage
+      },
+      matchedLanguage: matched.language,
+      snippet: buildSnippet(matched.text, terms)
+    };
+  });
+
+  return { results, hasMore: found.length > limit };
+};
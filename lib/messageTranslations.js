@@ -0,0 +1,173 @@
+import Chat from '@/lib/models/Chat';
+import Room from '@/lib/models/Room';
+import { detectLanguages, translateTexts } from '@/lib/translator';
+import glossaryStore from '@/server/utils/glossaryStore';
+
+/**
+ * Translations of chat messages, persisted on Chat.translations (language -> text).
+ *
+ * The first request for a message in a given language goes to the translator
+ * (through lib/translationCache); the result is stored on the message, so other
+ * readers with the same language, and later requests after a restart, reuse it.
+ * Edits clear Chat.translations (see Chat#edit), as do glossary changes that
+ * affect the message (see lib/glossary).
+ *
+ * The language a message is written in is detected when it is saved
+ * (Chat.detectedLanguage / languageConfidence). A confident detection is used as
+ * the source language, and messages already in the target language are not
+ * sent to the translator at all.
+ */
+
+// Below this a detection is only recorded, and the sender's preferred language is assumed
+export const MIN_DETECTION_CONFIDENCE = 0.5;
+
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// Language codes become Map keys on the document, so only accept well-formed tags
+export const isValidLanguage = (lang) => typeof lang === 'string' && LANGUAGE_PATTERN.test(lang);
+
+const sourceText = (message) => message.originalContent || message.content || '';
+
+// 'en-US' and 'en' are the same language; Chinese scripts are not
+export const isSameLanguage = (a, b) => {
+  const [baseA, baseB] = [a, b].map(lang => lang.split('-')[0].toLowerCase());
+  if (baseA !== baseB) return false;
+  return baseA !== 'zh' || a.toLowerCase() === b.toLowerCase();
+};
+
+/**
+ * The language to translate a message from: its detected language when the
+ * detection is confident, otherwise undefined so the translator detects it.
+ */
+export const messageSourceLanguage = (message) => (
+  message.detectedLanguage && message.languageConfidence >= MIN_DETECTION_CONFIDENCE
+    ? message.detectedLanguage
+    : undefined
+);
+
+/**
+ * Detect the language of a message's text and set detectedLanguage,
+ * languageConfidence and originalLanguage (does not save). originalLanguage
+ * falls back to fallbackLang, the sender's preferred language, when the text
+ * can't be detected confidently.
+ */
+export const detectMessageLanguage = async (message, fallbackLang = 'en') => {
+  const [detected] = await detectLanguages([sourceText(message)]);
+  message.detectedLanguage = detected?.language;
+  message.languageConfidence = detected?.score;
+  message.originalLanguage = messageSourceLanguage(message) || fallbackLang;
+  return message;
+};
+
+const storedTranslation = (message, lang) => {
+  const translations = message.translations;
+  if (!translations) return undefined;
+  return translations instanceof Map ? translations.get(lang) : translations[lang];
+};
+
+/**
+ * Translate messages into targetLang, reusing and filling Chat.translations.
+ * @param {Array} messages - Chat documents or lean objects
+ * @returns {Promise<Map<string, string>>} message id -> translated text (only messages with text)
+ */
+export const translateMessages = async (messages, targetLang) => {
+  const result = new Map();
+  if (!isValidLanguage(targetLang)) return result;
+
+  const pending = [];
+  messages.forEach(message => {
+    const text = sourceText(message);
+    if (message.isDeleted || !text.trim()) return;
+
+    const stored = storedTranslation(message, targetLang);
+    if (stored !== undefined) {
+      result.set(String(message._id), stored);
+    } else {
+      pending.push(message);
+    }
+  });
+
+  if (!pending.length) return result;
+
+  // Messages share a glossary when they have the same room and sender, and a
+  // translator call when they also have the same source language
+  const translations = new Array(pending.length);
+  const groups = new Map();
+  pending.forEach((message, idx) => {
+    const sourceLang = messageSourceLanguage(message);
+    if (sourceLang && isSameLanguage(sourceLang, targetLang)) {
+      translations[idx] = { text: sourceText(message) };
+      return;
+    }
+    const roomId = message.isGroupMessage && message.room ? String(message.room?._id || message.room) : null;
+    const senderId = String(message.sender?._id || message.sender);
+    const key = `${roomId}:${senderId}:${sourceLang}`;
+    if (!groups.has(key)) groups.set(key, { roomId, senderId, sourceLang, indexes: [] });
+    groups.get(key).indexes.push(idx);
+  });
+
+  for (const { roomId, senderId, sourceLang, indexes } of groups.values()) {
+    const glossary = await glossaryStore.getGlossary({ roomId, userId: senderId });
+    const results = await translateTexts(indexes.map(i => sourceText(pending[i])), targetLang, sourceLang, { glossary });
+    indexes.forEach((i, n) => { translations[i] = results[n]; });
+  }
+
+  const writes = pending.map((message, idx) => {
+    const translated = translations[idx]?.text ?? sourceText(message);
+    result.set(String(message._id), translated);
+    return {
+      updateOne: {
+        // Skip the write if the message was edited in the meantime
+        filter: { _id: message._id, originalContent: message.originalContent },
+        update: { $set: { [`translations.${targetLang}`]: translated } }
+      }
+    };
+  });
+  await Chat.bulkWrite(writes, { ordered: false });
+
+  return result;
+};
+
+/**
+ * Plain message objects with `content` replaced by the translation into lang.
+ * `translatedLanguage` tells clients which language `content` is in;
+ * `originalContent` is left untouched.
+ */
+export const localizeMessages = (messages, translations, lang) => messages.map(message => {
+  const plain = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  const id = String(message._id);
+  if (translations.has(id)) {
+    plain.content = translations.get(id);
+    plain.translatedLanguage = lang;
+  }
+  return plain;
+});
+
+/**
+ * Whether the user may read a message: its sender or receiver, or a participant of its room.
+ */
+export const canAccessMessage = async (message, userId) => {
+  if ([message.sender, message.receiver].some(id => id && String(id?._id || id) === String(userId))) {
+    return true;
+  }
+  if (message.isGroupMessage && message.room) {
+    return Boolean(await Room.exists({ _id: message.room, participants: userId }));
+  }
+  return false;
+};
+
+/**
+ * Messages the user may read: their own 1:1 conversations and rooms they belong to.
+ */
+export const filterReadableMessages = async (messages, userId) => {
+  const roomIds = [...new Set(messages.filter(m => m.isGroupMessage && m.room).map(m => String(m.room)))];
+  const memberRooms = roomIds.length
+    ? await Room.find({ _id: { $in: roomIds }, participants: userId }).select('_id')
+    : [];
+  const allowedRooms = new Set(memberRooms.map(r => String(r._id)));
+
+  return messages.filter(m => {
+    if (m.isGroupMessage && m.room) return allowedRooms.has(String(m.room));
+    return [m.sender, m.receiver].some(id => id && String(id?._id || id) === String(userId));
+  });
+};
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+const callNotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // Exactly one of callSession (1:1) or groupCall is set, depending on kind
+  callSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallSession'
+  },
+  groupCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupCall'
+  },
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  callType: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'video'
+  },
+  status: {
+    type: String,
+    enum: ['ringing', 'answered', 'declined', 'missed'],
+    default: 'ringing',
+    index: true
+  },
+  // Pushed to a live socket / polling client
+  sent: {
+    type: Boolean,
+    default: false
+  },
+  sentAt: Date,
+  // Acknowledged by the recipient's client
+  delivered: {
+    type: Boolean,
+    default: false
+  },
+  deliveredAt: Date,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  dismissed: {
+    type: Boolean,
+    default: false
+  },
+  dismissedAt: Date
+}, { timestamps: true });
+
+// Index for efficient queries
+callNotificationSchema.index({ recipient: 1, dismissed: 1, createdAt: -1 });
+callNotificationSchema.index({ recipient: 1, status: 1, read: 1 });
+callNotificationSchema.index({ callSession: 1 });
+callNotificationSchema.index({ groupCall: 1, recipient: 1 });
+
+// Method to mark as delivered
+callNotificationSchema.methods.markDelivered = function() {
+  if (!this.delivered) {
+    this.delivered = true;
+    this.deliveredAt = new Date();
+  }
+  if (!this.sent) {
+    this.sent = true;
+    this.sentAt = this.deliveredAt;
+  }
+};
+
+// Unread missed calls drive the inbox badge
+callNotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({
+    recipient: userId,
+    status: 'missed',
+    read: false,
+    dismissed: false
+  });
+};
+
+const CallNotification = mongoose.models.CallNotification || mongoose.model('CallNotification', callNotificationSchema);
+
+export default CallNotification;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// A call that is still ringing after this long was never picked up
+export const RING_TIMEOUT_MS = 60 * 1000;
+
+const callSessionSchema = new mongoose.Schema({
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  callType: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'video'
+  },
+  status: {
+    type: String,
+    enum: ['ringing', 'answered', 'missed', 'rejected', 'ended'],
+    default: 'ringing',
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: Date,
+  endedAt: Date,
+  duration: {
+    type: Number, // in seconds, counted from answeredAt
+    default: 0
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Why a call that was never answered stopped ringing
+  endReason: {
+    type: String,
+    enum: ['hangup', 'cancelled', 'unavailable', 'timeout', 'rejected']
+  }
+}, { timestamps: true });
+
+// Index for efficient queries
+callSessionSchema.index({ caller: 1, createdAt: -1 });
+callSessionSchema.index({ receiver: 1, createdAt: -1 });
+callSessionSchema.index({ status: 1, startedAt: 1 });
+
+callSessionSchema.methods.isParticipant = function(userId) {
+  return [this.caller, this.receiver].some(id => String(id?._id || id) === String(userId));
+};
+
+callSessionSchema.methods.isFinished = function() {
+  return ['missed', 'rejected', 'ended'].includes(this.status);
+};
+
+// Method to mark the call as answered
+callSessionSchema.methods.answer = function() {
+  this.status = 'answered';
+  this.answeredAt = new Date();
+};
+
+// Method to reject a ringing call
+callSessionSchema.methods.reject = function(userId) {
+  this.status = 'rejected';
+  this.endedAt = new Date();
+  this.endedBy = userId;
+  this.endReason = 'rejected';
+};
+
+// Method to end call. A call that was never answered becomes 'missed'.
+callSessionSchema.methods.endCall = function(userId, reason = 'hangup') {
+  this.endedAt = new Date();
+  this.endedBy = userId;
+
+  if (this.status === 'answered') {
+    this.status = 'ended';
+    this.duration = Math.floor((this.endedAt - this.answeredAt) / 1000);
+  } else {
+    this.status = 'missed';
+    this.endReason = reason === 'hangup' ? 'cancelled' : reason;
+  }
+};
+
+/**
+ * Mark calls that have been ringing for longer than RING_TIMEOUT_MS as missed.
+ * Runs lazily before reads, so abandoned calls (closed tab, lost connection)
+ * don't stay 'ringing' forever.
+ * @returns {Promise<Array>} ids of the calls that were expired
+ */
+callSessionSchema.statics.expireStaleCalls = async function(userId) {
+  const filter = {
+    status: 'ringing',
+    startedAt: { $lt: new Date(Date.now() - RING_TIMEOUT_MS) }
+  };
+  if (userId) {
+    filter.$or = [{ caller: userId }, { receiver: userId }];
+  }
+
+  const stale = await this.find(filter).select('_id');
+  if (!stale.length) return [];
+
+  const ids = stale.map(c => c._id);
+  await this.updateMany(
+    { _id: { $in: ids }, status: 'ringing' },
+    { $set: { status: 'missed', endReason: 'timeout', endedAt: new Date() } }
+  );
+  return ids;
+};
+
+const CallSession = mongoose.models.CallSession || mongoose.model('CallSession', callSessionSchema);
+
+export default CallSession;
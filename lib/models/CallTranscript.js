@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+// Recording stops adding captions beyond this many (a few hours of speech)
+export const MAX_TRANSCRIPT_SEGMENTS = 5000;
+
+// One recognized utterance and every translation produced for it
+const segmentSchema = new mongoose.Schema({
+  speaker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  speakerName: String,
+  language: String,
+  text: {
+    type: String,
+    default: ''
+  },
+  // language -> translated text
+  translations: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  // Client request id of the audio chunk, used to attach translations that arrive later
+  requestId: String,
+  startedAt: Date,
+  endedAt: Date
+});
+
+// Post-call summary of a group call (see lib/callSummaries)
+const summarySchema = new mongoose.Schema({
+  // Language the summary was made in; the posted message carries the translations
+  language: String,
+  summarizer: String,
+  keyPoints: [String],
+  decisions: [String],
+  actionItems: [{
+    _id: false,
+    text: String,
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assigneeName: String
+  }],
+  // The room message it was posted as
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  createdAt: Date
+}, { _id: false });
+
+/**
+ * Opt-in caption transcript of a call. Written by the socket handlers through
+ * server/utils/callTranscriptStore while `recording` is on.
+ */
+const callTranscriptSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // Exactly one of callSession (1:1) or groupCall is set, depending on kind
+  callSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallSession'
+  },
+  groupCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupCall'
+  },
+  // Who may read the transcript
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  recording: {
+    type: Boolean,
+    default: false
+  },
+  recordingChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordingChangedAt: Date,
+  // Segment times are shown relative to this (answer time / group call start)
+  callStartedAt: Date,
+  segments: {
+    type: [segmentSchema],
+    default: []
+  },
+  // Group calls only: post a summary into the room when the call ends
+  summarize: {
+    type: Boolean,
+    default: false
+  },
+  summaryRequestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  summary: summarySchema
+}, { timestamps: true, collection: 'calltranscripts' });
+
+callTranscriptSchema.index(
+  { callSession: 1 },
+  { unique: true, partialFilterExpression: { callSession: { $exists: true } } }
+);
+callTranscriptSchema.index(
+  { groupCall: 1 },
+  { unique: true, partialFilterExpression: { groupCall: { $exists: true } } }
+);
+
+const CallTranscript = mongoose.models.CallTranscript || mongoose.model('CallTranscript', callTranscriptSchema);
+
+export default CallTranscript;
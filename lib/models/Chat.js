@@ -1,5 +1,68 @@
 import mongoose from 'mongoose';
 
+// How long after sending the sender may still edit or delete a message
+export const MESSAGE_EDIT_WINDOW_MS = (parseFloat(process.env.NEXT_PUBLIC_MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// File or image attached to a message; see lib/storage
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  thumbnailUrl: String,
+  // Image dimensions, when known
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// Delivery/read state of a message for one recipient
+const receiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Previous version of an edited message
+const editSchema = new mongoose.Schema({
+  originalContent: String,
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A message needs text unless it carries attachments or was deleted
+function requiresText() {
+  return !this.isDeleted && (!this.attachments || this.attachments.length === 0);
+}
+
 const chatSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,16 +75,22 @@ const chatSchema = new mongoose.Schema({
   },
   originalContent: {
     type: String,
-    required: true
+    required: requiresText,
+    default: ''
   },
   content: {
     type: String,
-    required: true
+    required: requiresText,
+    default: ''
   },
+  // Detected language if confident, otherwise the sender's preferred language
   originalLanguage: {
     type: String,
     default: 'en'
   },
+  // What language detection found in the text, and how sure it was (0-1)
+  detectedLanguage: String,
+  languageConfidence: Number,
   translations: {
     type: Map,
     of: String,
@@ -37,9 +106,74 @@ const chatSchema = new mongoose.Schema({
   isGroupMessage: {
     type: Boolean,
     default: false
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  editedAt: Date,
+  editHistory: {
+    type: [editSchema],
+    default: []
+  },
+  // Deleted messages are kept as a tombstone with their content cleared
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  // One entry per recipient (the receiver, or every other room participant)
+  receipts: {
+    type: [receiptSchema],
+    default: []
+  },
+  // Set on the summary posted into a room after a group call
+  callSummary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupCall'
   }
 });
 
+// Only the sender may change a message, and only within MESSAGE_EDIT_WINDOW_MS
+chatSchema.methods.canModify = function(userId) {
+  if (String(this.sender?._id || this.sender) !== String(userId)) {
+    return { allowed: false, status: 403, error: 'You can only change your own messages' };
+  }
+  if (this.isDeleted) {
+    return { allowed: false, status: 410, error: 'Message has been deleted' };
+  }
+  if (Date.now() - new Date(this.timestamp).getTime() > MESSAGE_EDIT_WINDOW_MS) {
+    return { allowed: false, status: 403, error: 'Messages can no longer be changed after the edit window' };
+  }
+  return { allowed: true };
+};
+
+// Replace the text, keeping the previous version and dropping stale translations
+chatSchema.methods.edit = function(content) {
+  this.editHistory.push({ originalContent: this.originalContent, editedAt: new Date() });
+  this.originalContent = content;
+  this.content = content;
+  this.translations = new Map();
+  this.editedAt = new Date();
+};
+
+// Soft delete: keep the message as a tombstone without its content
+chatSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.originalContent = '';
+  this.content = '';
+  this.translations = new Map();
+  this.attachments = [];
+  this.editHistory = [];
+};
+
+// Unread counts and receipt updates for a recipient
+chatSchema.index({ 'receipts.user': 1, 'receipts.readAt': 1 });
+
+// Look up the message an attachment belongs to
+chatSchema.index({ 'attachments.key': 1 }, { sparse: true });
+
 const Chat = mongoose.models.Chat || mongoose.model('Chat', chatSchema);
 
 export default Chat;
\ No newline at end of file
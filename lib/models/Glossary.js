@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const MAX_GLOSSARY_TERMS = 500;
+export const MAX_TERM_LENGTH = 100;
+
+// A term with forced translations, language -> text
+const glossaryTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_TERM_LENGTH
+  },
+  translations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * Glossary of a room (managed by its admins) or of a user (their own).
+ * Applied when translating chat messages and call speech; see server/utils/glossary.js.
+ */
+const glossarySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['room', 'user'],
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  terms: [glossaryTermSchema],
+  // Terms kept as they are in every language
+  doNotTranslate: [{
+    type: String,
+    trim: true,
+    maxlength: MAX_TERM_LENGTH
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // server/utils/glossaryStore reads this collection by name
+  collection: 'glossaries'
+});
+
+glossarySchema.index({ scope: 1, room: 1 }, { unique: true, partialFilterExpression: { scope: 'room' } });
+glossarySchema.index({ scope: 1, user: 1 }, { unique: true, partialFilterExpression: { scope: 'user' } });
+
+glossarySchema.methods.toGlossary = function() {
+  return {
+    terms: this.terms.map(t => ({
+      term: t.term,
+      translations: Object.fromEntries(t.translations || []),
+      caseSensitive: t.caseSensitive
+    })),
+    doNotTranslate: [...this.doNotTranslate]
+  };
+};
+
+const Glossary = mongoose.models.Glossary || mongoose.model('Glossary', glossarySchema);
+
+export default Glossary;
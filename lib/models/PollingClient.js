@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A client of the HTTP long-polling transport (see lib/pollingManager)
+const pollingClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  username: String,
+  preferredLanguage: {
+    type: String,
+    default: 'en'
+  },
+  rooms: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Id of the last event queued for the client, and of the last one it acknowledged
+  lastEventId: {
+    type: Number,
+    default: 0
+  },
+  ackedEventId: {
+    type: Number,
+    default: 0
+  },
+  // Events were dropped: the client should refetch from the API
+  resync: {
+    type: Boolean,
+    default: false
+  },
+  // Stale clients are removed (with an offline announcement) by the manager;
+  // the TTL only catches those no instance got around to
+  lastSeen: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+const PollingClient = mongoose.models.PollingClient || mongoose.model('PollingClient', pollingClientSchema);
+
+export default PollingClient;
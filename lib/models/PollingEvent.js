@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// An event queued for a long-polling client (see lib/pollingManager)
+const pollingEventSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true
+  },
+  // Per-client sequence number, echoed back by the client as its cursor
+  eventId: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  // Events nobody picked up are of no use after a while
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+}, { minimize: false });
+
+pollingEventSchema.index({ clientId: 1, eventId: 1 }, { unique: true });
+
+const PollingEvent = mongoose.models.PollingEvent || mongoose.model('PollingEvent', pollingEventSchema);
+
+export default PollingEvent;
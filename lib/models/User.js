@@ -1,5 +1,37 @@
 import mongoose from 'mongoose';
 
+// A room or contact whose messages and speech the user wants in another language
+// than preferredLanguage, or untranslated ('original'); see server/utils/languageOverrides
+const languageOverrideSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  language: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// The voice translated speech is read to the user with in one language;
+// see server/utils/voicePreferences
+const voicePreferenceSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    required: true
+  },
+  voice: String,
+  gender: {
+    type: String,
+    enum: ['female', 'male']
+  },
+  style: String
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -20,6 +52,25 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'en'
   },
+  languageOverrides: {
+    type: [languageOverrideSchema],
+    default: []
+  },
+  ttsPreferences: {
+    voices: {
+      type: [voicePreferenceSchema],
+      default: []
+    },
+    // Percent up or down from the voice's default
+    rate: {
+      type: Number,
+      default: 0
+    },
+    pitch: {
+      type: Number,
+      default: 0
+    }
+  },
   socketId: String,
   status: {
     type: String,
@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import PollingClient from '@/lib/models/PollingClient';
+import PollingEvent from '@/lib/models/PollingEvent';
+
+/**
+ * Manager for the HTTP long-polling fallback transport.
+ *
+ * Clients that cannot hold a WebSocket (corporate proxies, serverless
+ * deployments without server.js) register a clientId and long-poll
+ * /api/polling/updates. Every client owns a bounded event queue; each event
+ * gets a monotonically increasing id which the client echoes back as its
+ * cursor, acknowledging everything up to and including that id.
+ *
+ * Clients and queued events are stored in MongoDB (PollingClient,
+ * PollingEvent), so an event sent through one serverless instance reaches a
+ * client long-polling another. A waiting poll is woken at once by events
+ * queued in its own process and checks the store every POLL_CHECK_MS for the
+ * rest.
+ *
+ * The singleton lives on `global.__pollingManager` (like `global.__io`) so that
+ * all API route bundles and the custom server.js share the same instance.
+ */
+
+// How long a long-poll request is held open when there is nothing to send
+const DEFAULT_WAIT_MS = 25000;
+const MAX_WAIT_MS = 30000;
+// How often a waiting poll looks for events queued by other instances
+const POLL_CHECK_MS = 1000;
+// A client that has not polled for this long is considered gone
+const CLIENT_TTL_MS = 60000;
+// Backpressure: per-client queue cap and per-response batch size
+const MAX_QUEUE_SIZE = 200;
+const MAX_EVENTS_PER_RESPONSE = 50;
+// Events where only the latest value per user matters; older ones are coalesced
+const COALESCED_EVENTS = new Set(['userTyping', 'userStatusChange']);
+
+// Events are stored as the JSON the client will receive (documents included)
+const toStoredData = (data) => (data === undefined ? null : JSON.parse(JSON.stringify(data)));
+
+const ensureConnected = async () => {
+  if (mongoose.connection.readyState !== 1) await connectDB();
+};
+
+class PollingManager {
+  constructor() {
+    // clientId -> pending long-poll in this process
+    this.waiters = new Map();
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupStaleClients().catch(err => console.warn('Polling client cleanup failed:', err.message));
+    }, CLIENT_TTL_MS / 2);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  /**
+   * Register (or refresh) a polling client.
+   * @returns {Promise<{ client: Object, isNewUser: boolean }>} isNewUser is true when this is
+   * the first live polling client for the user (used to broadcast presence)
+   */
+  async registerClient(clientId, { userId, username, preferredLanguage } = {}) {
+    await ensureConnected();
+    const existing = await PollingClient.findOne({ clientId }).lean();
+    if (existing && existing.userId !== String(userId)) {
+      throw new Error('Polling client belongs to another user');
+    }
+
+    const isNewUser = !existing && !(await this.isUserConnected(userId));
+    const client = await PollingClient.findOneAndUpdate(
+      { clientId },
+      {
+        $set: { lastSeen: new Date() },
+        $setOnInsert: {
+          userId: String(userId),
+          username: username || 'Unknown',
+          preferredLanguage: preferredLanguage || 'en'
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    if (!existing) {
+      console.log(`📡 Polling client registered: clientId=${clientId}, userId=${client.userId}`);
+    }
+    return { client, isNewUser };
+  }
+
+  async getClient(clientId) {
+    await ensureConnected();
+    return PollingClient.findOne({ clientId }).lean();
+  }
+
+  /**
+   * Remove a client and release any pending long-poll.
+   * @returns {Promise<boolean>} true when the user has no polling clients left
+   */
+  async removeClient(clientId) {
+    await ensureConnected();
+    const client = await PollingClient.findOneAndDelete({ clientId }).lean();
+    if (!client) return false;
+
+    this.releaseWaiter(clientId);
+    await PollingEvent.deleteMany({ clientId });
+    console.log(`📡 Polling client removed: clientId=${clientId}, userId=${client.userId}`);
+    return !(await this.isUserConnected(client.userId));
+  }
+
+  async isUserConnected(userId) {
+    await ensureConnected();
+    return Boolean(await PollingClient.exists({ userId: String(userId) }));
+  }
+
+  async getClientsForUser(userId) {
+    await ensureConnected();
+    return PollingClient.find({ userId: String(userId) }).lean();
+  }
+
+  async setPreferredLanguage(clientId, language) {
+    await ensureConnected();
+    await PollingClient.updateOne({ clientId }, { $set: { preferredLanguage: language } });
+  }
+
+  async joinRoom(clientId, roomId) {
+    if (!roomId) return false;
+    await ensureConnected();
+    const { matchedCount } = await PollingClient.updateOne({ clientId }, { $addToSet: { rooms: String(roomId) } });
+    return matchedCount > 0;
+  }
+
+  async leaveRoom(clientId, roomId) {
+    if (!roomId) return false;
+    await ensureConnected();
+    const { modifiedCount } = await PollingClient.updateOne({ clientId }, { $pull: { rooms: String(roomId) } });
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Queue an event for a single client, waking its pending long-poll.
+   * @returns {Promise<boolean>} false when the client is gone
+   */
+  async enqueue(client, event, data) {
+    await ensureConnected();
+    const { clientId } = client;
+
+    if (COALESCED_EVENTS.has(event) && data && data.userId) {
+      await PollingEvent.deleteMany({ clientId, event, 'data.userId': String(data.userId) });
+    }
+
+    const counter = await PollingClient.findOneAndUpdate(
+      { clientId },
+      { $inc: { lastEventId: 1 } },
+      { new: true, projection: { lastEventId: 1, ackedEventId: 1 } }
+    ).lean();
+    if (!counter) return false;
+
+    await PollingEvent.create({ clientId, eventId: counter.lastEventId, event, data: toStoredData(data) });
+
+    // Backpressure: drop the oldest events and ask the client to resync from the API
+    const oldestKept = counter.lastEventId - MAX_QUEUE_SIZE;
+    if (oldestKept > counter.ackedEventId) {
+      await PollingEvent.deleteMany({ clientId, eventId: { $lte: oldestKept } });
+      await PollingClient.updateOne(
+        { clientId },
+        { $set: { resync: true }, $max: { ackedEventId: oldestKept } }
+      );
+      console.warn(`⚠️ Polling queue overflow for client ${clientId}, dropped events up to ${oldestKept}`);
+    }
+
+    this.waiters.get(clientId)?.wake();
+    return true;
+  }
+
+  /**
+   * Queue events for every client of `filter`; failures are logged, not thrown,
+   * since emitting is fire-and-forget for most callers.
+   * @returns {Promise<number>} number of clients the event was queued for
+   */
+  async enqueueAll(filter, event, data) {
+    try {
+      await ensureConnected();
+      const clients = await PollingClient.find(filter).select('clientId').lean();
+      const queued = await Promise.all(clients.map(c => this.enqueue(c, event, data)));
+      return queued.filter(Boolean).length;
+    } catch (err) {
+      console.warn(`Failed to queue ${event} for polling clients:`, err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Emit to every polling client of a user.
+   * @returns {Promise<number>} number of clients the event was queued for
+   */
+  emitToUser(userId, event, data) {
+    return this.enqueueAll({ userId: String(userId) }, event, data);
+  }
+
+  /**
+   * Emit to every polling client that joined roomId.
+   * @param {Object} [opts] - { exceptClientId, exceptUserId }
+   */
+  emitToRoom(roomId, event, data, opts = {}) {
+    const filter = { rooms: String(roomId) };
+    if (opts.exceptClientId) filter.clientId = { $ne: opts.exceptClientId };
+    if (opts.exceptUserId) filter.userId = { $ne: String(opts.exceptUserId) };
+    return this.enqueueAll(filter, event, data);
+  }
+
+  broadcast(event, data, opts = {}) {
+    const filter = opts.exceptUserId ? { userId: { $ne: String(opts.exceptUserId) } } : {};
+    return this.enqueueAll(filter, event, data);
+  }
+
+  /**
+   * Acknowledge events up to `cursor` and return what is pending. If nothing is
+   * pending, hold the request open until an event arrives or `waitMs` elapses.
+   */
+  async poll(clientId, cursor, { waitMs = DEFAULT_WAIT_MS, signal } = {}) {
+    await ensureConnected();
+    const acked = parseInt(cursor, 10);
+    const update = { $set: { lastSeen: new Date() } };
+    if (Number.isFinite(acked)) update.$max = { ackedEventId: acked };
+    const client = await PollingClient.findOneAndUpdate({ clientId }, update, { new: true }).lean();
+    if (!client) {
+      throw new Error('Unknown polling client');
+    }
+    if (Number.isFinite(acked)) {
+      await PollingEvent.deleteMany({ clientId, eventId: { $lte: acked } });
+    }
+
+    // A newer poll supersedes an older one still waiting (e.g. after a page refresh)
+    this.releaseWaiter(clientId);
+
+    const timeout = Math.min(Math.max(parseInt(waitMs, 10) || DEFAULT_WAIT_MS, 0), MAX_WAIT_MS);
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const result = await this.drain(clientId);
+      if (!result || result.events.length > 0 || result.resync || Date.now() >= deadline || signal?.aborted) {
+        return result || { events: [], cursor: client.lastEventId, hasMore: false, resync: false };
+      }
+      const outcome = await this.wait(clientId, Math.min(POLL_CHECK_MS, deadline - Date.now()), signal);
+      if (outcome === 'released') {
+        return { events: [], cursor: result.cursor, hasMore: false, resync: false };
+      }
+    }
+  }
+
+  // Resolves 'woken', 'released' (superseded or removed) or 'timeout'
+  wait(clientId, ms, signal) {
+    return new Promise((resolve) => {
+      const finish = (outcome) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (this.waiters.get(clientId) === waiter) this.waiters.delete(clientId);
+        resolve(outcome);
+      };
+      const onAbort = () => finish('released');
+      const timer = setTimeout(() => finish('timeout'), ms);
+      const waiter = { wake: () => finish('woken'), release: () => finish('released') };
+      this.waiters.set(clientId, waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async drain(clientId) {
+    const client = await PollingClient.findOneAndUpdate(
+      { clientId },
+      { $set: { resync: false, lastSeen: new Date() } }
+    ).lean();
+    if (!client) return null;
+
+    const pending = await PollingEvent.find({ clientId, eventId: { $gt: client.ackedEventId } })
+      .sort({ eventId: 1 })
+      .limit(MAX_EVENTS_PER_RESPONSE + 1)
+      .lean();
+    const events = pending.slice(0, MAX_EVENTS_PER_RESPONSE);
+
+    return {
+      events: events.map(({ eventId, event, data }) => ({ id: eventId, event, data })),
+      // Echoed back by the client on the next poll to acknowledge these events
+      cursor: events.length ? events[events.length - 1].eventId : client.lastEventId,
+      hasMore: pending.length > events.length,
+      resync: client.resync
+    };
+  }
+
+  releaseWaiter(clientId) {
+    this.waiters.get(clientId)?.release();
+  }
+
+  async cleanupStaleClients() {
+    await ensureConnected();
+    const stale = await PollingClient.find({ lastSeen: { $lt: new Date(Date.now() - CLIENT_TTL_MS) } })
+      .select('clientId userId')
+      .lean();
+    for (const client of stale) {
+      const userGone = await this.removeClient(client.clientId);
+      if (userGone) await this.announcePresence(client.userId, 'offline');
+    }
+  }
+
+  /**
+   * Tell everyone (socket and polling clients) that a polling user came online or went away.
+   */
+  async announcePresence(userId, status) {
+    const payload = { userId: String(userId), status };
+    try {
+      if (global.__io) global.__io.emit('userStatusChange', payload);
+    } catch (emitErr) {
+      console.warn('Failed to emit polling presence via Socket.IO:', emitErr);
+    }
+    await this.broadcast('userStatusChange', payload, { exceptUserId: userId });
+  }
+}
+
+const pollingManager = global.__pollingManager || new PollingManager();
+global.__pollingManager = pollingManager;
+
+export default pollingManager;
@@ -0,0 +1,58 @@
+import pollingManager from '@/lib/pollingManager';
+
+/**
+ * Emit an event to every live connection of a user: Socket.IO sockets
+ * (via global.__io, set by server.js) and long-polling clients.
+ * @returns {Promise<number>} number of connections the event was sent to
+ */
+export const emitToUser = async (userId, event, payload) => {
+  const polling = pollingManager.emitToUser(userId, event, payload);
+  let delivered = 0;
+  try {
+    const io = global.__io;
+    if (io) {
+      const sockets = Array.from(io.of('/').sockets.values());
+      sockets.forEach(s => {
+        if (s.user && String(s.user.userId) === String(userId)) {
+          io.to(s.id).emit(event, payload);
+          delivered++;
+        }
+      });
+    }
+  } catch (emitErr) {
+    console.warn(`Failed to emit ${event} via Socket.IO:`, emitErr);
+  }
+  return delivered + await polling;
+};
+
+/**
+ * Whether the user currently has at least one live connection.
+ */
+export const isUserOnline = async (userId) => {
+  const io = global.__io;
+  const hasSocket = Boolean(io) && Array.from(io.of('/').sockets.values()).some(
+    s => s.user && String(s.user.userId) === String(userId)
+  );
+  if (hasSocket) return true;
+  try {
+    return await pollingManager.isUserConnected(userId);
+  } catch (err) {
+    console.warn('Failed to look up polling clients:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Emit an event to everyone joined to a room, over Socket.IO and long-polling.
+ * Resolves once the event is queued for polling clients.
+ */
+export const emitToRoom = async (roomId, event, payload) => {
+  const polling = pollingManager.emitToRoom(roomId, event, payload);
+  try {
+    const io = global.__io;
+    if (io) io.to(String(roomId)).emit(event, payload);
+  } catch (emitErr) {
+    console.warn(`Failed to emit ${event} via Socket.IO:`, emitErr);
+  }
+  await polling;
+};
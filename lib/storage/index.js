@@ -0,0 +1,151 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import createLocalDiskStorage from './localDiskStorage';
+
+/**
+ * Attachment storage.
+ *
+ * The adapter is chosen with ATTACHMENT_STORAGE (default: 'local'). An adapter
+ * implements save(key, buffer, metadata), getMetadata(key), read(key),
+ * createReadStream(key) and remove(key); register others (S3, GCS, ...) with
+ * registerStorageAdapter().
+ *
+ * Attachment URLs given to clients are signed and expire (see
+ * signAttachmentUrl), since <img> tags can't send the auth token.
+ */
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const DEFAULT_ALLOWED_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'text/vtt',
+  'application/x-subrip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip'
+];
+
+// Browsers often send an empty or generic type for these; fall back to the extension
+const EXTENSION_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+export const attachmentConfig = {
+  maxFileSize: (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB,
+  maxThumbnailSize: 512 * 1024,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+  imageTypes: IMAGE_TYPES
+};
+
+const adapters = {
+  local: createLocalDiskStorage
+};
+
+let storage = null;
+
+export const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+export const getStorage = () => {
+  if (storage) return storage;
+  const name = process.env.ATTACHMENT_STORAGE || 'local';
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage adapter: ${name}`);
+  }
+  storage = factory();
+  return storage;
+};
+
+export const isImageType = (mimeType) => IMAGE_TYPES.includes(mimeType);
+
+/**
+ * Resolve the effective MIME type of an upload from the browser-supplied type and its name.
+ */
+export const resolveMimeType = (file) => {
+  const type = (file.type || '').split(';')[0].trim().toLowerCase();
+  if (type && type !== 'application/octet-stream') return type;
+  const ext = (file.name || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return (ext && EXTENSION_TYPES[ext[0]]) || type || 'application/octet-stream';
+};
+
+// Magic numbers for the binary types we render inline; a mismatch means the declared type is lying
+const SIGNATURES = {
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]]
+};
+
+export const matchesSignature = (buffer, mimeType) => {
+  const signatures = SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(sig => sig.every((byte, i) => buffer[i] === byte));
+};
+
+export const createAttachmentKey = (name) => {
+  const ext = (name || '').toLowerCase().match(/\.[a-z0-9]{1,10}$/);
+  return `${randomUUID()}${ext ? ext[0] : ''}`;
+};
+
+export const getAttachmentUrl = (key) => `/api/chat/attachments/${key}`;
+
+// A signed URL stays the same for one period, so browsers can cache it, and
+// expires one to two periods after it was handed out
+const SIGNED_URL_PERIOD_MS = (parseFloat(process.env.ATTACHMENT_URL_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const urlSignature = (key, expires) => createHmac('sha256', process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET)
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+export const signAttachmentUrl = (key, now = Date.now()) => {
+  const expires = (Math.floor(now / SIGNED_URL_PERIOD_MS) + 2) * SIGNED_URL_PERIOD_MS;
+  return `${getAttachmentUrl(key)}?expires=${expires}&sig=${urlSignature(key, expires)}`;
+};
+
+/**
+ * Check the expires/sig query parameters of a signed attachment URL.
+ * @returns {number|null} when the URL expires, or null if it isn't valid (any more)
+ */
+export const verifyAttachmentSignature = (key, expires, sig) => {
+  const expiresAt = Number(expires);
+  if (!sig || !Number.isSafeInteger(expiresAt) || expiresAt <= Date.now()) return null;
+  const expected = Buffer.from(urlSignature(key, expiresAt));
+  const given = Buffer.from(String(sig));
+  return given.length === expected.length && timingSafeEqual(given, expected) ? expiresAt : null;
+};
+
+/**
+ * A message as a plain object with signed URLs for its attachments, to send to
+ * someone who may read it
+ */
+export const withSignedAttachmentUrls = (message) => {
+  const plain = typeof message?.toObject === 'function' ? message.toObject() : message;
+  if (!plain?.attachments?.length) return plain;
+  return {
+    ...plain,
+    attachments: plain.attachments.map(attachment => ({
+      ...attachment,
+      url: signAttachmentUrl(attachment.key),
+      ...(attachment.thumbnailKey ? { thumbnailUrl: signAttachmentUrl(attachment.thumbnailKey) } : {})
+    }))
+  };
+};
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Keys are generated server-side (uuid + extension); anything else is rejected
+const KEY_PATTERN = /^[a-f0-9-]{36}(\.[a-z0-9]{1,10})?$/i;
+
+/**
+ * Stores attachments as files in a local directory, with a JSON sidecar
+ * (`<key>.json`) holding the metadata captured at upload time.
+ */
+const createLocalDiskStorage = ({ directory } = {}) => {
+  const root = path.resolve(directory || process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads'));
+
+  const resolveKey = (key) => {
+    if (!KEY_PATTERN.test(String(key))) {
+      throw new Error('Invalid attachment key');
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer, metadata = {}) {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(root, { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+      await fsp.writeFile(`${filePath}.json`, JSON.stringify({ ...metadata, size: buffer.length }));
+    },
+
+    async getMetadata(key) {
+      try {
+        const raw = await fsp.readFile(`${resolveKey(key)}.json`, 'utf8');
+        return JSON.parse(raw);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async read(key) {
+      return fsp.readFile(resolveKey(key));
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      await fsp.rm(filePath, { force: true });
+      await fsp.rm(`${filePath}.json`, { force: true });
+    }
+  };
+};
+
+export default createLocalDiskStorage;
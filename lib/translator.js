@@ -0,0 +1,77 @@
+import { getTranslationProvider } from '@/server/utils/translationProviders';
+import { isEmptyGlossary, protectTerms, restoreTerms } from '@/server/utils/glossary';
+import translationCache from '@/lib/translationCache';
+
+/**
+ * Text translation for the Next.js routes. The actual service is the provider
+ * selected with TRANSLATION_PROVIDER (see server/utils/translationProviders).
+ */
+
+export const isTranslatorConfigured = () => getTranslationProvider().isConfigured();
+
+/**
+ * Translate a list of texts, one cache entry per text. Only the texts missing
+ * from lib/translationCache are sent to the provider.
+ * @param {Object} [options.glossary] - applied around the cache, which therefore
+ *   holds the placeholder form and stays valid when forced translations change
+ * @returns {Promise<Array<{text: string, detectedLanguage: string|null}>>} in input order
+ */
+export const translateTexts = async (texts, targetLang, sourceLang, { glossary } = {}) => {
+  if (!isEmptyGlossary(glossary)) {
+    const protectedTexts = texts.map(text => protectTerms(text, glossary, targetLang));
+    const results = await translateTexts(protectedTexts.map(p => p.text), targetLang, sourceLang);
+    return results.map((result, idx) => ({
+      ...result,
+      text: restoreTerms(result.text, protectedTexts[idx].replacements)
+    }));
+  }
+
+  const keys = texts.map(t => translationCache.makeKey(t, targetLang, sourceLang));
+  const cached = translationCache.getMany(keys);
+  const results = keys.map(k => (cached.has(k) ? { text: cached.get(k), detectedLanguage: sourceLang || null } : null));
+
+  // Translate each distinct uncached text once
+  const missing = [...new Set(texts.filter((t, i) => !results[i]))];
+  if (!missing.length) return results;
+
+  const provider = getTranslationProvider();
+  if (!provider.isConfigured()) {
+    const err = new Error('Translation service not configured');
+    err.code = 'TRANSLATOR_NOT_CONFIGURED';
+    throw err;
+  }
+
+  const translatedResults = await provider.translate(missing, targetLang, sourceLang);
+  const translated = new Map();
+  const toSet = new Map();
+  missing.forEach((text, idx) => {
+    translated.set(text, translatedResults[idx]);
+    toSet.set(translationCache.makeKey(text, targetLang, sourceLang), translatedResults[idx].text);
+  });
+  translationCache.setMany(toSet);
+
+  return results.map((r, i) => r || translated.get(texts[i]));
+};
+
+/**
+ * Detect the language of each text with the provider's detect capability.
+ * Never throws: texts that can't be detected (provider without detect, not
+ * configured, request failed) come back as null.
+ * @returns {Promise<Array<{language: string, score: number}|null>>} in input order
+ */
+export const detectLanguages = async (texts, { timeout = 3000 } = {}) => {
+  const provider = getTranslationProvider();
+  const pending = texts.map((text, idx) => ({ text, idx })).filter(({ text }) => text && text.trim());
+  const results = texts.map(() => null);
+  if (!pending.length || typeof provider.detect !== 'function' || !provider.isConfigured()) return results;
+
+  try {
+    const detected = await provider.detect(pending.map(p => p.text), { timeout });
+    pending.forEach(({ idx }, n) => {
+      if (detected[n]?.language) results[idx] = detected[n];
+    });
+  } catch (error) {
+    console.error('Language detection failed:', error.message);
+  }
+  return results;
+};
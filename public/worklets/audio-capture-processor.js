@@ -0,0 +1,220 @@
+/**
+ * Microphone capture for call translation, off the main thread.
+ *
+ * Loaded as an AudioWorklet module (see src/utils/audioCapture.js), where it
+ * registers the 'audio-capture' processor. The main thread imports
+ * CaptureFramer from here as well, for the ScriptProcessor fallback, so both
+ * paths cut audio the same way.
+ *
+ * CaptureFramer resamples the input to 16 kHz and either
+ * - 'utterance' mode: emits each utterance found by the VoiceActivityDetector
+ *   (voice-activity-detector.js, which takes its options), or
+ * - 'stream' mode: emits fixed-length frames continuously.
+ * While `suppressed` (translated speech playing on this device) the microphone
+ * is ignored: no utterances are emitted and stream frames carry silence.
+ *
+ * Messages posted to the main thread:
+ *   { type: 'utterance', pcm: Int16Array, durationMs }
+ *   { type: 'frame', pcm: Int16Array }
+ *   { type: 'idle' } - at most every idleIntervalMs while nobody speaks
+ * Messages accepted: { type: 'configure', options }, { type: 'flush' }, { type: 'reset' }
+ */
+
+import { VoiceActivityDetector } from './voice-activity-detector.js';
+
+export const CAPTURE_SAMPLE_RATE = 16000;
+
+const WINDOW_MS = 32;
+
+const DEFAULT_OPTIONS = {
+  mode: 'utterance',
+  // 'stream' mode frame length
+  frameMs: 100,
+  idleIntervalMs: 1000,
+  suppressed: false
+};
+
+const toInt16 = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  return pcm;
+};
+
+// Growable Float32 buffer
+class SampleBuffer {
+  constructor() {
+    this.data = new Float32Array(CAPTURE_SAMPLE_RATE);
+    this.length = 0;
+  }
+
+  append(samples, count = samples.length) {
+    if (this.length + count > this.data.length) {
+      const grown = new Float32Array(Math.max(this.data.length * 2, this.length + count));
+      grown.set(this.data.subarray(0, this.length));
+      this.data = grown;
+    }
+    this.data.set(samples.subarray(0, count), this.length);
+    this.length += count;
+  }
+
+  take() {
+    const samples = this.data.slice(0, this.length);
+    this.length = 0;
+    return samples;
+  }
+}
+
+export class CaptureFramer {
+  /**
+   * @param {number} inputSampleRate - the AudioContext's sample rate
+   * @param {Object} options - see DEFAULT_OPTIONS, plus VoiceActivityDetector options
+   * @param {Function} emit - (message, transfer) for the messages listed above
+   */
+  constructor(inputSampleRate, options, emit) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.emit = emit;
+    // Linear interpolation state: position in the input, where -1 is lastSample
+    this.step = inputSampleRate / CAPTURE_SAMPLE_RATE;
+    this.position = 0;
+    this.lastSample = 0;
+
+    this.windowSize = (CAPTURE_SAMPLE_RATE * WINDOW_MS) / 1000;
+    this.window = new Float32Array(this.windowSize);
+    this.windowLength = 0;
+    this.pending = new SampleBuffer();
+    this.idleMs = 0;
+    this.vad = new VoiceActivityDetector(WINDOW_MS, this.options, {
+      onUtterance: (samples, durationMs) => {
+        this.idleMs = 0;
+        const pcm = toInt16(samples);
+        this.emit({ type: 'utterance', pcm, durationMs }, [pcm.buffer]);
+      },
+      onIdle: (windowMs) => this.idle(windowMs)
+    });
+  }
+
+  configure(options) {
+    const suppressionChanged = 'suppressed' in options && Boolean(options.suppressed) !== this.options.suppressed;
+    this.options = { ...this.options, ...options, suppressed: Boolean(options.suppressed ?? this.options.suppressed) };
+    this.vad.configure(options);
+    if (suppressionChanged) {
+      // Keep what was said before playback started, but no pre-roll across it
+      this.vad.flush();
+      this.vad.reset();
+    }
+  }
+
+  idle(windowMs) {
+    this.idleMs += windowMs;
+    if (this.idleMs >= this.options.idleIntervalMs) {
+      this.idleMs = 0;
+      this.emit({ type: 'idle' });
+    }
+  }
+
+  resample(input) {
+    if (this.step === 1) return input;
+    const output = new Float32Array(Math.ceil((input.length - this.position) / this.step) + 1);
+    let count = 0;
+    while (this.position < input.length - 1) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const a = index < 0 ? this.lastSample : input[index];
+      output[count++] = a + (input[index + 1] - a) * fraction;
+      this.position += this.step;
+    }
+    this.position -= input.length;
+    this.lastSample = input[input.length - 1];
+    return output.subarray(0, count);
+  }
+
+  /**
+   * Feed one block of mono input samples.
+   * @param {Float32Array} input
+   */
+  push(input) {
+    const samples = this.resample(input);
+    let offset = 0;
+    while (offset < samples.length) {
+      const count = Math.min(this.windowSize - this.windowLength, samples.length - offset);
+      this.window.set(samples.subarray(offset, offset + count), this.windowLength);
+      this.windowLength += count;
+      offset += count;
+      if (this.windowLength === this.windowSize) {
+        this.processWindow(this.window);
+        this.windowLength = 0;
+      }
+    }
+  }
+
+  processWindow(window) {
+    const { mode, frameMs, suppressed } = this.options;
+    if (suppressed) window.fill(0);
+    if (mode === 'stream') {
+      this.pending.append(window);
+      if ((this.pending.length / CAPTURE_SAMPLE_RATE) * 1000 >= frameMs) {
+        const pcm = toInt16(this.pending.take());
+        this.emit({ type: 'frame', pcm }, [pcm.buffer]);
+      }
+      return;
+    }
+
+    if (suppressed) {
+      this.idle(WINDOW_MS);
+      return;
+    }
+    // The detector keeps windows, and this one is reused
+    this.vad.process(window.slice());
+  }
+
+  /**
+   * Emit what has been captured so far, if anything
+   */
+  flush() {
+    if (this.options.mode !== 'stream') {
+      this.vad.flush();
+      return;
+    }
+    if (!this.pending.length) return;
+    const pcm = toInt16(this.pending.take());
+    this.emit({ type: 'frame', pcm }, [pcm.buffer]);
+  }
+
+  /**
+   * Drop what has been captured so far
+   */
+  reset() {
+    this.pending.take();
+    this.windowLength = 0;
+    this.vad.reset();
+  }
+}
+
+if (typeof registerProcessor === 'function') {
+  class AudioCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      this.framer = new CaptureFramer(
+        sampleRate, // AudioWorkletGlobalScope
+        options.processorOptions || {},
+        (message, transfer) => this.port.postMessage(message, transfer || [])
+      );
+      this.port.onmessage = ({ data }) => {
+        if (data.type === 'configure') this.framer.configure(data.options);
+        if (data.type === 'flush') this.framer.flush();
+        if (data.type === 'reset') this.framer.reset();
+      };
+    }
+
+    process(inputs) {
+      const channel = inputs[0]?.[0];
+      if (channel && channel.length) this.framer.push(channel);
+      return true;
+    }
+  }
+
+  registerProcessor('audio-capture', AudioCaptureProcessor);
+}
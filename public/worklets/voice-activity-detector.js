@@ -0,0 +1,162 @@
+/**
+ * Voice activity detection for call capture, on 16 kHz windows from
+ * CaptureFramer (see audio-capture-processor.js).
+ *
+ * A window is speech when its energy is `sensitivityDb` above the noise floor,
+ * which follows the background level: quickly when it gets quieter, slowly
+ * when it gets louder (much more slowly during speech), so a steady office hum
+ * stops counting as speech after a few seconds.
+ *
+ * - Up to `preRollMs` of audio before the first speech window is kept, so the
+ *   first syllable isn't cut off
+ * - An utterance ends after `hangoverMs` without speech
+ * - Utterances with less than `minSpeechMs` of speech are dropped as noise
+ * - Utterances reaching `maxUtteranceMs` are split at the quietest window of
+ *   their last part, and the rest starts the next utterance
+ */
+
+export const DEFAULT_VAD_OPTIONS = {
+  sensitivityDb: 10,
+  hangoverMs: 300,
+  preRollMs: 200,
+  minSpeechMs: 200,
+  maxUtteranceMs: 15000
+};
+
+// Nothing quieter than this is speech, however low the noise floor
+const MIN_SPEECH_DB = -60;
+const MIN_NOISE_FLOOR_DB = -90;
+// Time the noise floor takes to follow a louder background
+const NOISE_RISE_MS = 3000;
+const NOISE_RISE_MS_IN_SPEECH = 30000;
+// Part of a long utterance searched for a place to split it
+const SPLIT_SEARCH_RATIO = 0.2;
+
+const concat = (windows) => {
+  const samples = new Float32Array(windows.reduce((total, w) => total + w.length, 0));
+  let offset = 0;
+  windows.forEach((w) => {
+    samples.set(w, offset);
+    offset += w.length;
+  });
+  return samples;
+};
+
+export class VoiceActivityDetector {
+  /**
+   * @param {number} windowMs - length of the windows given to process()
+   * @param {Object} options - see DEFAULT_VAD_OPTIONS
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onUtterance - (samples: Float32Array, durationMs)
+   * @param {Function} [callbacks.onIdle] - (windowMs) for each window outside an utterance
+   */
+  constructor(windowMs, options, { onUtterance, onIdle }) {
+    this.windowMs = windowMs;
+    this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+    this.onUtterance = onUtterance;
+    this.onIdle = onIdle;
+    this.noiseFloorDb = null;
+    this.reset();
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * @param {Float32Array} window - one window of samples, kept by reference
+   */
+  process(window) {
+    let energy = 0;
+    for (let i = 0; i < window.length; i++) energy += window[i] * window[i];
+    const levelDb = 10 * Math.log10(energy / window.length + 1e-12);
+    const speech = this.noiseFloorDb !== null
+      && levelDb > Math.max(this.noiseFloorDb + this.options.sensitivityDb, MIN_SPEECH_DB);
+    this.trackNoiseFloor(levelDb);
+
+    if (!this.windows.length) {
+      if (!speech) {
+        this.preRoll.push(window);
+        const keep = Math.floor(this.options.preRollMs / this.windowMs);
+        if (this.preRoll.length > keep) this.preRoll.splice(0, this.preRoll.length - keep);
+        this.onIdle?.(this.windowMs);
+        return;
+      }
+      // Pre-roll windows count as quiet, so a split never lands before the speech
+      this.windows = this.preRoll;
+      this.levels = this.preRoll.map(() => MIN_NOISE_FLOOR_DB);
+      this.preRoll = [];
+    }
+
+    this.windows.push(window);
+    this.levels.push(levelDb);
+    if (speech) {
+      this.speechMs += this.windowMs;
+      this.silentMs = 0;
+    } else {
+      this.silentMs += this.windowMs;
+    }
+
+    if (this.silentMs >= this.options.hangoverMs) {
+      this.flush();
+    } else if (this.windows.length * this.windowMs >= this.options.maxUtteranceMs) {
+      this.split();
+    }
+  }
+
+  trackNoiseFloor(levelDb) {
+    if (this.noiseFloorDb === null) {
+      this.noiseFloorDb = levelDb;
+      return;
+    }
+    const riseMs = this.windows.length ? NOISE_RISE_MS_IN_SPEECH : NOISE_RISE_MS;
+    const rate = levelDb < this.noiseFloorDb ? 0.5 : this.windowMs / riseMs;
+    this.noiseFloorDb = Math.max(
+      MIN_NOISE_FLOOR_DB,
+      this.noiseFloorDb + (levelDb - this.noiseFloorDb) * rate
+    );
+  }
+
+  // Emit a too long utterance up to its quietest recent window
+  split() {
+    const from = Math.floor(this.windows.length * (1 - SPLIT_SEARCH_RATIO));
+    let quietest = this.windows.length - 1;
+    for (let i = from; i < this.windows.length; i++) {
+      if (this.levels[i] < this.levels[quietest]) quietest = i;
+    }
+    const rest = this.windows.splice(quietest + 1);
+    const restLevels = this.levels.splice(quietest + 1);
+    this.emit(this.windows);
+    this.windows = rest;
+    this.levels = restLevels;
+    this.speechMs = rest.length * this.windowMs;
+    this.silentMs = 0;
+  }
+
+  emit(windows) {
+    if (!windows.length || this.speechMs < this.options.minSpeechMs) return;
+    this.onUtterance(concat(windows), windows.length * this.windowMs);
+  }
+
+  /**
+   * End the current utterance now, emitting it unless it is too short
+   */
+  flush() {
+    this.emit(this.windows);
+    this.windows = [];
+    this.levels = [];
+    this.speechMs = 0;
+    this.silentMs = 0;
+  }
+
+  /**
+   * Drop the current utterance and pre-roll; the noise floor is kept
+   */
+  reset() {
+    this.windows = [];
+    this.levels = [];
+    this.preRoll = [];
+    this.speechMs = 0;
+    this.silentMs = 0;
+  }
+}
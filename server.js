@@ -13,6 +13,8 @@ const forceSocketServer = process.env.FORCE_SOCKET_SERVER === 'true';
 
 // Log environment configuration
 console.log('🔑 Azure Configuration:');
+console.log('  SPEECH_PROVIDER:', envConfig.SPEECH_PROVIDER);
+console.log('  TRANSLATION_PROVIDER:', envConfig.TRANSLATION_PROVIDER);
 console.log('  AZURE_SPEECH_KEY:', envConfig.AZURE_SPEECH_KEY ? '✅ Loaded' : '❌ Missing');
 console.log('  AZURE_SPEECH_REGION:', envConfig.AZURE_SPEECH_REGION || '❌ Missing');
 console.log('  AZURE_TRANSLATOR_KEY:', envConfig.AZURE_TRANSLATOR_KEY ? '✅ Loaded' : '❌ Missing');
@@ -39,6 +41,26 @@ const findUserByUserId = (userId) => {
   return Object.values(users).find(user => user.userId === userId);
 };
 
+// Bridge to the HTTP long-polling transport (lib/pollingManager.js). The manager
+// registers itself on global.__pollingManager once the first /api/polling route loads.
+const getPollingManager = () => global.__pollingManager || null;
+
+// Relay an event to a user connected over long-polling; resolves true if delivered
+const relayToPollingUser = async (userId, event, payload) => {
+  const pollingManager = getPollingManager();
+  return pollingManager ? (await pollingManager.emitToUser(userId, event, payload)) > 0 : false;
+};
+
+const relayToPollingRoom = (roomId, event, payload) => {
+  const pollingManager = getPollingManager();
+  if (pollingManager) pollingManager.emitToRoom(roomId, event, payload);
+};
+
+const broadcastToPolling = (event, payload, exceptUserId) => {
+  const pollingManager = getPollingManager();
+  if (pollingManager) pollingManager.broadcast(event, payload, { exceptUserId });
+};
+
 // Global variables for singleton pattern
 let httpServer;
 let ioInstance;
@@ -170,6 +192,7 @@ const setupSocketHandlers = (io) => {
       userId,
       status: 'online'
     });
+    broadcastToPolling('userStatusChange', { userId, status: 'online' }, userId);
 
     // Initialize audio translation handlers
     handleAudioTranslation(io, socket, users);
@@ -238,9 +261,12 @@ const setupSocketHandlers = (io) => {
         const receiverUser = findUserByUserId(receiverId);
         if (receiverUser) {
           io.to(receiverUser.socketId).emit('receiveMessage', message);
+        } else {
+          relayToPollingUser(receiverId, 'receiveMessage', message);
         }
       } else if (roomId) {
         socket.to(roomId).emit('receiveMessage', message);
+        relayToPollingRoom(roomId, 'receiveMessage', message);
       }
 
       socket.emit('messageSent', { success: true, message });
@@ -252,12 +278,11 @@ const setupSocketHandlers = (io) => {
 
       if (receiverId) {
         const receiverUser = findUserByUserId(receiverId);
+        const payload = { userId, username: socket.user.username, isTyping };
         if (receiverUser) {
-          io.to(receiverUser.socketId).emit('userTyping', {
-            userId,
-            username: socket.user.username,
-            isTyping
-          });
+          io.to(receiverUser.socketId).emit('userTyping', payload);
+        } else {
+          relayToPollingUser(receiverId, 'userTyping', payload);
         }
       } else if (roomId) {
         socket.to(roomId).emit('userTyping', {
@@ -265,12 +290,14 @@ const setupSocketHandlers = (io) => {
           username: socket.user.username,
           isTyping
         });
+        relayToPollingRoom(roomId, 'userTyping', { userId, username: socket.user.username, isTyping, roomId });
       }
     });
 
     // WebRTC signaling - Call User
-    socket.on('callUser', (data) => {
-      const { to, offer, callType, roomId } = data;
+    socket.on('callUser', async (data) => {
+      // callId identifies the persisted CallSession record for 1:1 calls
+      const { to, offer, callType, roomId, callId } = data;
       console.log(`📞 Call initiated: from=${userId} to=${to}, callType=${callType}, roomId=${roomId}`);
 
       if (roomId) {
@@ -281,6 +308,13 @@ const setupSocketHandlers = (io) => {
           callType,
           roomId
         });
+        relayToPollingRoom(roomId, 'incomingCall', {
+          from: userId,
+          fromName: socket.user.username,
+          offer,
+          callType,
+          roomId
+        });
         console.log(`📤 Sent group call notification to room ${roomId}`);
       } else {
         const toUser = findUserByUserId(to);
@@ -291,7 +325,8 @@ const setupSocketHandlers = (io) => {
               from: userId,
               fromName: socket.user.username,
               offer,
-              callType
+              callType,
+              callId
             });
             socket.emit('incomingCallDelivered', { to, socketId: toUser.socketId });
           } else {
@@ -299,8 +334,17 @@ const setupSocketHandlers = (io) => {
             delete users[toUser.socketId];
             socket.emit('userUnavailable', { to });
           }
+        } else if (await relayToPollingUser(to, 'incomingCall', {
+          from: userId,
+          fromName: socket.user.username,
+          offer,
+          callType,
+          callId
+        })) {
+          socket.emit('incomingCallDelivered', { to });
         } else {
           console.log(`❌ Receiver not found for userId: ${to}`);
+          socket.emit('userUnavailable', { to });
         }
       }
     });
@@ -314,6 +358,7 @@ const setupSocketHandlers = (io) => {
           answer,
           roomId
         });
+        relayToPollingRoom(roomId, 'callAnswered', { from: userId, answer, roomId });
       } else {
         const toUser = findUserByUserId(to);
         if (toUser) {
@@ -321,6 +366,8 @@ const setupSocketHandlers = (io) => {
             from: userId,
             answer
           });
+        } else {
+          relayToPollingUser(to, 'callAnswered', { from: userId, answer });
         }
       }
     });
@@ -334,6 +381,7 @@ const setupSocketHandlers = (io) => {
           candidate,
           roomId
         });
+        relayToPollingRoom(roomId, 'iceCandidate', { from: userId, candidate, roomId });
       } else {
         const toUser = findUserByUserId(to);
         if (toUser) {
@@ -341,6 +389,8 @@ const setupSocketHandlers = (io) => {
             from: userId,
             candidate
           });
+        } else {
+          relayToPollingUser(to, 'iceCandidate', { from: userId, candidate });
         }
       }
     });
@@ -353,6 +403,8 @@ const setupSocketHandlers = (io) => {
           from: socket.user.userId, 
           callSessionId 
         });
+      } else {
+        relayToPollingUser(from, 'incomingCallAck', { from: socket.user.userId, callSessionId });
       }
     });
 
@@ -364,12 +416,15 @@ const setupSocketHandlers = (io) => {
           from: userId,
           roomId
         });
+        relayToPollingRoom(roomId, 'callEnded', { from: userId, roomId });
       } else {
         const toUser = findUserByUserId(to);
         if (toUser) {
           io.to(toUser.socketId).emit('callEnded', {
             from: userId
           });
+        } else {
+          relayToPollingUser(to, 'callEnded', { from: userId });
         }
       }
     });
@@ -470,6 +525,7 @@ const setupSocketHandlers = (io) => {
           userId,
           status: 'offline'
         });
+        broadcastToPolling('userStatusChange', { userId, status: 'offline' }, userId);
 
         // Clean up after 5 minutes
         setTimeout(() => {
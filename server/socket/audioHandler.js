@@ -7,56 +7,81 @@
 const { translateSpeech, recognizeSpeech, translateText } = require('../utils/speechTranslator');
 // ✅ NEW: Import optimized Speech Translation SDK (single API call)
 const { translateSpeechDirect } = require('../utils/speechTranslationSDK');
+const glossaryStore = require('../utils/glossaryStore');
+const languageOverrideStore = require('../utils/languageOverrideStore');
+const callTranscriptStore = require('../utils/callTranscriptStore');
+const loopbackGuard = require('../utils/loopbackGuard');
+const voicePreferenceStore = require('../utils/voicePreferenceStore');
+const { SpeechStreamSession } = require('../utils/speechStream');
+const { textToSpeech } = require('../utils/textToSpeechModule');
+const { decodeAudio, encodeAudio, setBinaryAudio } = require('../utils/audioPayload');
+const { decodeAudioUpload } = require('../utils/audioDecoder');
 // Server-side metrics
 const serverMetrics = require('../utils/performanceMetrics');
 
 /**
- * Compress audio data using simple downsampling for better stream handling
- * @param {Buffer} audioData - Raw audio buffer
- * @returns {Buffer} Compressed audio buffer
+ * The language a receiver wants the speaker's messages and speech in: their
+ * override for this contact, else their preferred language (else `requested`).
+ * null means the receiver keeps this conversation untranslated.
  */
-const compressAudio = (audioData) => {
-  // Simple compression: reduce sample rate by half (basic downsampling)
-  // For production, consider using Opus codec with node-opus library
-  if (!Buffer.isBuffer(audioData)) return audioData;
-  
-  const originalLength = audioData.length;
-  const compressed = Buffer.alloc(Math.floor(originalLength / 2));
-  
-  for (let i = 0; i < compressed.length; i++) {
-    compressed[i] = audioData[i * 2]; // Take every other byte
-  }
-  
-  console.log(`Audio compressed: ${originalLength} -> ${compressed.length} bytes`);
-  return compressed;
+const getReceiverLanguage = (receiverData, speakerId, requested) => languageOverrideStore.getConversationLanguage(
+  receiverData.userId,
+  { contactId: speakerId },
+  receiverData.preferredLanguage || requested || 'en'
+);
+
+/**
+ * Whether speech recognized from `speaker` is the echo of translated speech
+ * played to them in their call with `receiverId` (see loopbackGuard)
+ */
+const isTtsEcho = (speaker, receiverId, text) => {
+  if (!loopbackGuard.isEcho(loopbackGuard.directCallKey(speaker?.userId, receiverId), speaker?.userId, text)) return false;
+  console.log(`🔁 Dropped echo of translated speech: "${text}"`);
+  return true;
+};
+
+/**
+ * Note translated speech sent to `receiverId`, to recognize its echo later
+ */
+const recordTtsPlayback = (speaker, receiverId, ttsBuffer, text) => {
+  if (!ttsBuffer) return;
+  loopbackGuard.recordPlayback(loopbackGuard.directCallKey(speaker?.userId, receiverId), receiverId, text);
+};
+
+/**
+ * Save a final caption of a 1:1 call when the call's transcript is being recorded
+ */
+const recordDirectCaption = async (speaker, receiverId, segment) => {
+  const transcriptId = await callTranscriptStore.forDirectCall(speaker?.userId, receiverId);
+  await callTranscriptStore.addSegment(transcriptId, {
+    speaker: speaker?.userId,
+    speakerName: speaker?.username,
+    ...segment
+  });
 };
 
 const handleAudioTranslation = (io, socket, users) => {
-  // Add event listener for client-side ready state
-  socket.on('audioSystemReady', (data) => {
+  // Add event listener for client-side ready state.
+  // Clients offering { binaryAudio: true } get binary TTS audio from here on;
+  // the acknowledgement tells them they may upload binary audio too.
+  socket.on('audioSystemReady', (data, ack) => {
     console.log('Client audio system ready:', data);
     socket.audioSystemReady = true;
-  });
-  
-  // Handle compressed audio streams for better performance
-  socket.on('audioStream', (data) => {
-    // Compress audio data before processing
-    const compressed = compressAudio(data.audio);
-    // Continue with existing processing using compressed data
-    // ...existing handler...
-    console.log('Compressed audio stream received and processed');
+    setBinaryAudio(socket, data?.binaryAudio);
+    if (typeof ack === 'function') ack({ binaryAudio: socket.data.binaryAudio });
   });
   
   // NEW: Handle speech recognition only (voice-to-text)
   socket.on('recognizeSpeech', async (data) => {
     try {
-      const { audio, sourceLanguage, userId, requestId } = data;
+      const { audio, audioFormat, sourceLanguage, userId, requestId } = data;
       console.log('\n🎤 [SPEECH RECOGNITION] Voice to Text Only');
       console.log(`   📝 Language: ${sourceLanguage}`);
       console.log(`   🆔 Request: ${requestId || 'none'}`);
       
-      // Validate input data
-      if (!audio || audio.length < 100) {
+      // Validate input data (binary or base64)
+      const uploadedAudio = decodeAudio(audio);
+      if (!uploadedAudio) {
         console.warn('Invalid audio data received');
         socket.emit('error', { 
           message: 'Invalid audio data',
@@ -79,19 +104,16 @@ const handleAudioTranslation = (io, socket, users) => {
         return;
       }
       
-      // Convert base64 to buffer
+      // Opus uploads are decoded to the WAV the recognizer needs
       let audioBuffer;
       try {
-        audioBuffer = Buffer.from(audio, 'base64');
+        audioBuffer = await decodeAudioUpload(uploadedAudio, audioFormat);
       } catch (err) {
-        console.error('Error decoding audio data:', err);
-        socket.emit('error', { 
-          message: 'Invalid audio data format',
-          requestId
-        });
+        console.error('Error decoding audio:', err.message);
+        socket.emit('error', { message: err.message, requestId });
         return;
       }
-      
+
       // Recognize speech (voice-to-text only)
       const recognizedText = await recognizeSpeech(audioBuffer, sourceLanguage);
       
@@ -140,11 +162,12 @@ const handleAudioTranslation = (io, socket, users) => {
         return;
       }
       
-      // Get receiver's preferred language
+      // Get receiver's language for this conversation
       const receiverData = users[receiverSocketId];
-      targetLanguage = receiverData.preferredLanguage || targetLanguage || 'en';
+      const receiverLanguage = await getReceiverLanguage(receiverData, socket.user?.userId, targetLanguage);
+      targetLanguage = receiverLanguage || sourceLanguage;
       
-      console.log(`   🎯 Target language set to receiver's preference: ${targetLanguage}`);
+      console.log(`   🎯 Target language set to receiver's preference: ${receiverLanguage || 'untranslated'}`);
       
       // Validate input data
       if (!text || !text.trim()) {
@@ -156,8 +179,9 @@ const handleAudioTranslation = (io, socket, users) => {
         return;
       }
       
-      // Translate text
-      const translatedText = await translateText(text, sourceLanguage, targetLanguage);
+      // Translate text with the sender's glossary
+      const glossary = await glossaryStore.getGlossary({ userId: socket.user?.userId });
+      const translatedText = await translateText(text, sourceLanguage, targetLanguage, glossary);
       
       if (!translatedText) {
         console.log('Translation failed or empty result');
@@ -221,11 +245,14 @@ const handleAudioTranslation = (io, socket, users) => {
       const participantData = users[participantSocketId];
       
       // Use the preferredLanguage stored in the users object
-      // This is updated when user changes language via 'updateLanguagePreference' event
+      // This is updated when user changes language via 'updateLanguagePreference' event,
+      // unless the participant set a language for conversations with this user
+      const conversationLanguage = await getReceiverLanguage(participantData, socket.user?.userId);
       const participantInfo = {
         id: userId,
         name: participantData.username || 'Unknown',
-        preferredLanguage: participantData.preferredLanguage || 'en',
+        preferredLanguage: conversationLanguage || participantData.preferredLanguage || 'en',
+        translationDisabled: conversationLanguage === null,
         socketId: participantSocketId
       };
 
@@ -249,7 +276,7 @@ const handleAudioTranslation = (io, socket, users) => {
     const startTime = Date.now();
 
     try {
-      const { audio, sourceLanguage, targetLanguage, userId, requestId, timestamp } = data;
+      const { audio, audioFormat, sourceLanguage, targetLanguage, userId, requestId, timestamp } = data;
       console.log('\n🎯 [FULL SPEECH TRANSLATION - VOICE] Voice-to-Voice Pipeline');
       console.log(`   📝 ${sourceLanguage} → ${targetLanguage}`);
 
@@ -258,7 +285,8 @@ const handleAudioTranslation = (io, socket, users) => {
         console.log(`   ⏱️  Client processing: ${clientLatency}ms`);
       }
 
-      if (!audio || audio.length < 100) {
+      const uploadedAudio = decodeAudio(audio);
+      if (!uploadedAudio) {
         console.error('Invalid audio data received');
         socket.emit('error', { message: 'Invalid audio data', requestId });
         return;
@@ -271,18 +299,21 @@ const handleAudioTranslation = (io, socket, users) => {
         return;
       }
 
+      // Opus uploads are decoded to the WAV the recognizer needs
       let audioBuffer;
       try {
-        audioBuffer = Buffer.from(audio, 'base64');
+        audioBuffer = await decodeAudioUpload(uploadedAudio, audioFormat);
       } catch (err) {
-        console.error('Error converting audio from base64:', err);
-        socket.emit('error', { message: 'Invalid audio format', requestId });
+        console.error('Error decoding audio:', err.message);
+        socket.emit('error', { message: err.message, requestId });
         return;
       }
 
+      // With translation off for this conversation the receiver gets the transcript only
       const receiverData = users[receiverSocketId];
-      const finalTargetLanguage = receiverData.preferredLanguage || targetLanguage || 'en';
-      console.log(`   🎯 Target language set to receiver's preference: ${finalTargetLanguage}`);
+      const receiverLanguage = await getReceiverLanguage(receiverData, socket.user?.userId, targetLanguage);
+      const finalTargetLanguage = receiverLanguage || sourceLanguage;
+      console.log(`   🎯 Target language set to receiver's preference: ${receiverLanguage || 'untranslated'}`);
 
       // Use the optimized direct speech translation (single API call)
       const { translateSpeechDirect } = require('../utils/speechTranslationSDK');
@@ -320,21 +351,23 @@ const handleAudioTranslation = (io, socket, users) => {
         socket.emit('error', { message: 'Translation failed', requestId });
         return;
       }
+      if (isTtsEcho(socket.user, userId, result.original)) return;
 
       // Synthesize translated text into audio (voice-to-voice)
       let ttsBuffer = null;
       try {
-        ttsBuffer = await textToSpeech(result.translated, finalTargetLanguage);
+        if (receiverLanguage) {
+          const voiceOptions = await voicePreferenceStore.getVoiceOptions(userId, finalTargetLanguage);
+          ttsBuffer = await textToSpeech(result.translated, finalTargetLanguage, voiceOptions);
+        }
       } catch (ttsErr) {
         console.error('Text-to-speech failed:', ttsErr);
         // Fall back to sending only transcripts
       }
 
-      const audioBase64 = ttsBuffer ? ttsBuffer.toString('base64') : null;
-
       const finalResponseData = {
         text: { original: result.original || '', translated: result.translated || '' },
-        audio: audioBase64,
+        audio: encodeAudio(ttsBuffer, socket),
         isLocal: true,
         targetLanguage: finalTargetLanguage,
         requestId,
@@ -348,7 +381,18 @@ const handleAudioTranslation = (io, socket, users) => {
 
       // Send to receiver (remote)
       finalResponseData.isLocal = false;
+      finalResponseData.audio = encodeAudio(ttsBuffer, io.sockets.sockets.get(receiverSocketId));
       io.to(receiverSocketId).emit('translatedSpeech', finalResponseData);
+      recordTtsPlayback(socket.user, userId, ttsBuffer, result.translated);
+
+      recordDirectCaption(socket.user, userId, {
+        language: sourceLanguage,
+        text: result.original,
+        translations: receiverLanguage ? { [finalTargetLanguage]: result.translated } : {},
+        requestId,
+        audio: audioBuffer,
+        receivedAt: startTime
+      });
 
       console.log(`✅ Voice-to-voice complete: "${result.original}" → "${result.translated}" (${translateTime}ms)`);
     } catch (error) {
@@ -364,7 +408,7 @@ const handleAudioTranslation = (io, socket, users) => {
     const startTime = Date.now();
     
     try {
-      const { audio, sourceLanguage, targetLanguage, userId, requestId, timestamp } = data;
+      const { audio, audioFormat, sourceLanguage, targetLanguage, userId, requestId, timestamp } = data;
       console.log('\n🚀 [OPTIMIZED SPEECH TRANSLATION] Single API Call');
       console.log(`   📝 ${sourceLanguage} → ${targetLanguage}`);
       console.log(`   🆔 Request: ${requestId || 'none'}`);
@@ -374,7 +418,8 @@ const handleAudioTranslation = (io, socket, users) => {
         console.log(`   ⏱️  Client processing: ${clientLatency}ms`);
       }
       
-      if (!audio || audio.length < 100) {
+      const uploadedAudio = decodeAudio(audio);
+      if (!uploadedAudio) {
         console.error('Invalid audio data received');
         socket.emit('error', {
           message: 'Invalid audio data',
@@ -396,22 +441,22 @@ const handleAudioTranslation = (io, socket, users) => {
         return;
       }
       
+      // Opus uploads are decoded to the WAV the recognizer needs
       let audioBuffer;
       try {
-        audioBuffer = Buffer.from(audio, 'base64');
+        audioBuffer = await decodeAudioUpload(uploadedAudio, audioFormat);
       } catch (err) {
-        console.error('Error converting audio from base64:', err);
-        socket.emit('error', {
-          message: 'Invalid audio format',
-          requestId
-        });
+        console.error('Error decoding audio:', err.message);
+        socket.emit('error', { message: err.message, requestId });
         return;
       }
-      
+
+      // With translation off for this conversation the receiver gets the transcript only
       const receiverData = users[receiverSocketId];
-      const finalTargetLanguage = receiverData.preferredLanguage || targetLanguage || 'en';
+      const receiverLanguage = await getReceiverLanguage(receiverData, socket.user?.userId, targetLanguage);
+      const finalTargetLanguage = receiverLanguage || sourceLanguage;
       
-      console.log(`   🎯 Target language: ${finalTargetLanguage}`);
+      console.log(`   🎯 Target language: ${receiverLanguage || 'untranslated'}`);
       
       // ✅ OPTIMIZED: Single API call for speech translation
       const translationStartTime = Date.now();
@@ -475,6 +520,7 @@ const handleAudioTranslation = (io, socket, users) => {
         });
         return;
       }
+      if (isTtsEcho(socket.user, userId, result.original)) return;
       
       console.log(`✅ Complete: "${result.original}" → "${result.translated}" (${translationTime}ms)`);
       
@@ -489,7 +535,11 @@ const handleAudioTranslation = (io, socket, users) => {
         const { textToSpeech } = textToSpeechModule;
         console.log('textToSpeech function loaded:', typeof textToSpeech);
         console.log('Calling textToSpeech...');
-        ttsBuffer = await textToSpeech(result.translated, finalTargetLanguage);
+        // In the receiver's chosen voice
+        if (receiverLanguage) {
+          const voiceOptions = await voicePreferenceStore.getVoiceOptions(userId, finalTargetLanguage);
+          ttsBuffer = await textToSpeech(result.translated, finalTargetLanguage, voiceOptions);
+        }
         console.log(`✅ TTS completed, buffer size: ${ttsBuffer ? ttsBuffer.length : 'null'} bytes`);
       } catch (ttsErr) {
         console.error('❌ Text-to-speech failed:', ttsErr);
@@ -497,13 +547,11 @@ const handleAudioTranslation = (io, socket, users) => {
         // Continue without audio if TTS fails
       }
       
-      const audioBase64 = ttsBuffer ? ttsBuffer.toString('base64') : null;
       if (ttsBuffer) {
         console.log(`🔍 Audio buffer first 20 bytes: ${ttsBuffer.slice(0, 20).toString('hex')}`);
         console.log(`🔍 Audio buffer length: ${ttsBuffer.length}`);
-        console.log(`🔍 Base64 starts with: ${audioBase64.substring(0, 50)}`);
       }
-      console.log(`📤 Sending audio: ${audioBase64 ? 'YES' : 'NO'} (${audioBase64 ? audioBase64.length : 0} chars)`);
+      console.log(`📤 Sending audio: ${ttsBuffer ? 'YES' : 'NO'} (${ttsBuffer ? ttsBuffer.length : 0} bytes, ${socket.data.binaryAudio ? 'binary' : 'base64'})`);
       
       // Send final result
       // Record clientReceived timestamp just before emitting back
@@ -514,7 +562,7 @@ const handleAudioTranslation = (io, socket, users) => {
           original: result.original,
           translated: result.translated
         },
-        audio: audioBase64,
+        audio: encodeAudio(ttsBuffer, socket),
         isLocal: true,
         targetLanguage: finalTargetLanguage,
         requestId,
@@ -531,7 +579,18 @@ const handleAudioTranslation = (io, socket, users) => {
       socket.emit('translatedSpeech', finalResponseData);
       
   finalResponseData.isLocal = false;
+  finalResponseData.audio = encodeAudio(ttsBuffer, io.sockets.sockets.get(receiverSocketId));
   io.to(receiverSocketId).emit('translatedSpeech', finalResponseData);
+  recordTtsPlayback(socket.user, userId, ttsBuffer, result.translated);
+
+  recordDirectCaption(socket.user, userId, {
+    language: sourceLanguage,
+    text: result.original,
+    translations: receiverLanguage ? { [finalTargetLanguage]: result.translated } : {},
+    requestId,
+    audio: audioBuffer,
+    receivedAt: startTime
+  });
 
   // Complete server metric tracking
   serverMetrics.recordTimestamp(serverMetric, 'displayed');
@@ -548,6 +607,152 @@ const handleAudioTranslation = (io, socket, users) => {
       });
     }
   });
+
+  // Streaming mode: one continuous recognizer per speaker instead of one per chunk.
+  // The client sends startSpeechStream, then raw 16-bit PCM frames as binary
+  // speechStreamAudio messages, and stopSpeechStream when it is done.
+  let speechStream = null;
+  // Bumped by every start and stop, so a start still awaiting the receiver's
+  // language can tell it was superseded and close its recognizer
+  let speechStreamGeneration = 0;
+  let startingSessionId = null;
+
+  const closeSpeechStream = async () => {
+    if (!speechStream) return;
+    const closing = speechStream;
+    speechStream = null;
+    await closing.close();
+    console.log(`🛑 Speech stream ${closing.id} closed`);
+  };
+
+  const endSpeechStream = () => {
+    speechStreamGeneration++;
+    return closeSpeechStream();
+  };
+
+  socket.on('startSpeechStream', async (data = {}) => {
+    const { sessionId, sourceLanguage, targetLanguage, userId, sampleRate = 16000 } = data;
+    try {
+      if (!sessionId || !userId) {
+        socket.emit('speechStreamError', { sessionId, message: 'sessionId and userId are required' });
+        return;
+      }
+      const generation = ++speechStreamGeneration;
+      startingSessionId = String(sessionId);
+      await closeSpeechStream();
+
+      const receiverSocketId = Object.keys(users).find(key => users[key].userId === userId);
+      const receiverLanguage = receiverSocketId
+        ? await getReceiverLanguage(users[receiverSocketId], socket.user?.userId, targetLanguage)
+        : (targetLanguage || 'en');
+      const finalTargetLanguage = receiverLanguage || sourceLanguage;
+
+      const session = new SpeechStreamSession({
+        id: String(sessionId),
+        sourceLanguage,
+        targetLanguage: finalTargetLanguage,
+        sampleRate: Number(sampleRate),
+        onResult: async ({ segmentId, original, translated, isFinal, startedAt }) => {
+          const text = { original, translated: receiverLanguage ? translated : original };
+
+          if (!isFinal) {
+            socket.emit('translatedTextPartial', {
+              text,
+              audio: null,
+              isLocal: true,
+              targetLanguage: finalTargetLanguage,
+              requestId: segmentId,
+              segmentId,
+              timestamp: startedAt,
+              partial: true
+            });
+            return;
+          }
+
+          if (isTtsEcho(socket.user, userId, original)) return;
+
+          let ttsBuffer = null;
+          try {
+            if (receiverLanguage && text.translated) {
+              const voiceOptions = await voicePreferenceStore.getVoiceOptions(userId, finalTargetLanguage);
+              ttsBuffer = await textToSpeech(text.translated, finalTargetLanguage, voiceOptions);
+            }
+          } catch (ttsErr) {
+            console.error('Text-to-speech failed:', ttsErr);
+          }
+
+          const finalResponseData = {
+            text,
+            audio: encodeAudio(ttsBuffer, socket),
+            isLocal: true,
+            targetLanguage: finalTargetLanguage,
+            requestId: segmentId,
+            segmentId,
+            timestamp: startedAt,
+            partial: false,
+            metrics: { total: Date.now() - startedAt }
+          };
+          socket.emit('translatedSpeech', finalResponseData);
+
+          // The receiver may have reconnected since the stream started
+          const currentReceiverSocketId = Object.keys(users).find(
+            key => users[key].userId === userId && users[key].status !== 'offline'
+          );
+          if (currentReceiverSocketId) {
+            io.to(currentReceiverSocketId).emit('translatedSpeech', {
+              ...finalResponseData,
+              isLocal: false,
+              audio: encodeAudio(ttsBuffer, io.sockets.sockets.get(currentReceiverSocketId))
+            });
+            recordTtsPlayback(socket.user, userId, ttsBuffer, text.translated);
+          }
+
+          recordDirectCaption(socket.user, userId, {
+            language: sourceLanguage,
+            text: original,
+            translations: receiverLanguage ? { [finalTargetLanguage]: translated } : {},
+            requestId: segmentId,
+            receivedAt: startedAt
+          });
+        },
+        onError: (error) => {
+          socket.emit('speechStreamError', { sessionId, message: error.message });
+        }
+      });
+      if (generation !== speechStreamGeneration || socket.disconnected) {
+        // Another start, a stop or the end of the call came in meanwhile
+        await session.close();
+        console.log(`🛑 Speech stream ${sessionId} superseded while starting`);
+        return;
+      }
+      speechStream = session;
+      startingSessionId = null;
+
+      socket.emit('speechStreamStarted', { sessionId, targetLanguage: finalTargetLanguage });
+      console.log(`🎙️ Speech stream ${sessionId} started: ${sourceLanguage} → ${receiverLanguage || 'untranslated'}`);
+    } catch (error) {
+      console.error('Error starting speech stream:', error);
+      socket.emit('speechStreamError', { sessionId, message: error.message });
+    }
+  });
+
+  socket.on('speechStreamAudio', (data = {}) => {
+    if (!speechStream || String(data.sessionId) !== speechStream.id) return;
+    if (!speechStream.write(data.audio)) {
+      console.warn(`Speech stream ${speechStream.id}: invalid audio frame dropped`);
+    }
+  });
+
+  socket.on('stopSpeechStream', (data = {}) => {
+    const id = data.sessionId && String(data.sessionId);
+    if (!id || id === speechStream?.id || id === startingSessionId) {
+      endSpeechStream();
+    }
+  });
+
+  // A hung-up call or a dropped connection ends the stream, including one still starting
+  socket.on('endCall', () => endSpeechStream());
+  socket.on('disconnect', () => endSpeechStream());
 };
 
 module.exports = handleAudioTranslation;
\ No newline at end of file
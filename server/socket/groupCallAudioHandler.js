@@ -6,11 +6,30 @@
 const { recognizeSpeech, translateText } = require('../utils/speechTranslator');
 const { textToSpeech } = require('../utils/textToSpeechModule');
 const { translateSpeechToMultipleLanguages } = require('../utils/speechTranslationSDK');
+const glossaryStore = require('../utils/glossaryStore');
+const { glossaryApplies } = require('../utils/glossary');
+const languageOverrideStore = require('../utils/languageOverrideStore');
+const callTranscriptStore = require('../utils/callTranscriptStore');
+const loopbackGuard = require('../utils/loopbackGuard');
+const voicePreferenceStore = require('../utils/voicePreferenceStore');
+const { decodeAudio, encodeAudio } = require('../utils/audioPayload');
+const { decodeAudioUpload } = require('../utils/audioDecoder');
+
+/**
+ * The language a participant wants this call's chat room in: their override for
+ * the room, else their preferred language. null means they keep it untranslated.
+ */
+const getParticipantLanguage = (participant, chatRoomId, fallback) => languageOverrideStore.getConversationLanguage(
+  participant.userId,
+  { roomId: chatRoomId },
+  participant.preferredLanguage || fallback || 'en'
+);
 
 const handleGroupCallAudioTranslation = (io, socket, users) => {
   
   // Handle speech recognition for group calls (speaker's audio to text)
   socket.on('groupCallRecognizeSpeech', async (data) => {
+    const receivedAt = Date.now();
     try {
       const { audio, sourceLanguage, callRoomId, requestId, audioFormat } = data;
       const speakerId = socket.user.userId;
@@ -25,8 +44,9 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
       console.log(`   🆔 Request: ${requestId || 'none'}`);
       console.log(`   🎛️ Audio format: ${audioFormat || 'unknown'}`);
       
-      // Validate input data
-      if (!audio || audio.length < 100) {
+      // Validate input data (binary or base64)
+      const uploadedAudio = decodeAudio(audio);
+      if (!uploadedAudio) {
         console.warn('Invalid audio data received');
         socket.emit('groupCallError', { 
           message: 'Invalid audio data',
@@ -44,18 +64,16 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
         return;
       }
       
-      // Convert base64 to buffer
+      // Opus uploads are decoded to the WAV the recognizer needs
       let audioBuffer;
       try {
-        audioBuffer = Buffer.from(audio, 'base64');
+        audioBuffer = await decodeAudioUpload(uploadedAudio, audioFormat);
       } catch (err) {
-        console.error('Error decoding audio data:', err);
-        socket.emit('groupCallError', { 
-          message: 'Invalid audio data format',
-          requestId
-        });
+        console.error('Error decoding audio:', err.message);
+        socket.emit('groupCallError', { message: err.message, requestId });
         return;
       }
+
       // Debug: inspect audio buffer
       try {
         console.log('🔊 Incoming audio buffer size:', audioBuffer.length);
@@ -66,16 +84,18 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
         console.warn('Failed to inspect audio buffer:', dbgErr);
       }
       
-      // FAST PATH: Use optimized Azure Speech Translation SDK to do STT + multi-target translation in one call
+      // FAST PATH: Use the speech provider's speech translation to do STT + multi-target translation in one call
       // Collect preferred languages for participants (skip speaker)
+      // (participants who keep this room untranslated need no target)
+      const chatRoomId = await glossaryStore.getRoomIdForCall(callRoomId);
       const roomSocketList = await io.in(callRoomId).fetchSockets();
       const targetLanguages = [];
       for (const participantSocket of roomSocketList) {
         if (participantSocket.id === socket.id) continue;
         const participant = users[participantSocket.id];
         if (participant) {
-          const lang = participant.preferredLanguage || preferredSpeakerLanguage || 'en';
-          targetLanguages.push(lang);
+          const lang = await getParticipantLanguage(participant, chatRoomId, preferredSpeakerLanguage);
+          if (lang) targetLanguages.push(lang);
         }
       }
 
@@ -128,6 +148,12 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
         return;
       }
 
+      // Translated speech from the speaker's own speakers, picked up by their microphone
+      if (loopbackGuard.isEcho(loopbackGuard.groupCallKey(callRoomId), speakerId, recognizedText)) {
+        console.log(`🔁 Dropped echo of translated speech: "${recognizedText}"`);
+        return;
+      }
+
   console.log(`✅ Speech recognized: "${recognizedText}"`);
   // Ensure speakerName is set
   const safeSpeakerName = speakerName || 'Unknown';
@@ -164,54 +190,94 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
       // Proactively translate + TTS per language group and broadcast to participants
       (async () => {
         try {
+          // Save the caption when the call's transcript is being recorded; translations are added below
+          const segmentRequestId = requestId || `${speakerId}-${receivedAt}`;
+          const transcriptId = await callTranscriptStore.forGroupCall(callRoomId);
+          await callTranscriptStore.addSegment(transcriptId, {
+            speaker: speakerId,
+            speakerName: safeSpeakerName,
+            language: preferredSpeakerLanguage,
+            text: recognizedText,
+            translations: multiResult && multiResult.translations,
+            requestId: segmentRequestId,
+            audio: audioBuffer,
+            receivedAt
+          });
+
           // Build map: language -> [participantSocket]
           const langMap = new Map();
           for (const participantSocket of roomSockets) {
             if (participantSocket.id === socket.id) continue;
             const participant = users[participantSocket.id];
             if (!participant) continue;
-            const lang = (participant.preferredLanguage || preferredSpeakerLanguage || 'en').split('-')[0];
+            // Untranslated participants already have the original text
+            const participantLanguage = await getParticipantLanguage(participant, chatRoomId, preferredSpeakerLanguage);
+            if (!participantLanguage) continue;
+            const lang = participantLanguage.split('-')[0];
             if (!langMap.has(lang)) langMap.set(lang, []);
             langMap.get(lang).push(participantSocket);
           }
 
+          // The call's room glossary plus the speaker's own. Speech translation can't
+          // honour it, so languages it affects are re-translated from the transcript.
+          const glossary = await glossaryStore.getGlossary({ roomId: chatRoomId, userId: speakerId });
+
           // For each language, determine translated text (from multiResult if available) and synthesize once
           for (const [lang, socketsForLang] of langMap.entries()) {
             let finalText = recognizedText;
             try {
-              if (multiResult && multiResult.translations && multiResult.translations[lang]) {
+              const sourceLang = (preferredSpeakerLanguage || 'en').split('-')[0];
+              if (lang !== sourceLang && glossaryApplies(recognizedText, glossary, lang)) {
+                const translated = await translateText(recognizedText, preferredSpeakerLanguage, lang, glossary);
+                if (translated) finalText = translated;
+              } else if (multiResult && multiResult.translations && multiResult.translations[lang]) {
                 finalText = multiResult.translations[lang];
-              } else if (lang !== (preferredSpeakerLanguage || 'en').split('-')[0]) {
+              } else if (lang !== sourceLang) {
                 // Fallback to single translation
-                const translated = await translateText(recognizedText, preferredSpeakerLanguage, lang);
+                const translated = await translateText(recognizedText, preferredSpeakerLanguage, lang, glossary);
                 if (translated) finalText = translated;
               }
             } catch (tErr) {
               console.error('Translation error for language', lang, tErr);
             }
+            if (finalText !== recognizedText) {
+              await callTranscriptStore.addTranslation(transcriptId, segmentRequestId, lang, finalText);
+            }
 
-            // Synthesize once per language
-            let ttsBuffer = null;
-            try {
-              ttsBuffer = await textToSpeech(finalText, lang);
-            } catch (ttsErr) {
-              console.error('TTS error for language', lang, ttsErr);
+            // Participants of this language group by the voice they chose
+            const voiceGroups = new Map(); // voice options key -> { voiceOptions, sockets }
+            for (const pSocket of socketsForLang) {
+              const voiceOptions = await voicePreferenceStore.getVoiceOptions(users[pSocket.id]?.userId, lang);
+              const voiceKey = JSON.stringify(voiceOptions);
+              if (!voiceGroups.has(voiceKey)) voiceGroups.set(voiceKey, { voiceOptions, sockets: [] });
+              voiceGroups.get(voiceKey).sockets.push(pSocket);
             }
 
-            const audioBase64 = ttsBuffer ? ttsBuffer.toString('base64') : null;
+            for (const { voiceOptions, sockets } of voiceGroups.values()) {
+              // Synthesize once per language and voice
+              let ttsBuffer = null;
+              try {
+                ttsBuffer = await textToSpeech(finalText, lang, voiceOptions);
+              } catch (ttsErr) {
+                console.error('TTS error for language', lang, ttsErr);
+              }
 
-            // Broadcast to all participants in this language group
-            for (const pSocket of socketsForLang) {
-              pSocket.emit('groupCallTranslatedSpeech', {
-                originalText: recognizedText,
-                translatedText: finalText,
-                audio: audioBase64,
-                sourceLanguage: preferredSpeakerLanguage,
-                targetLanguage: lang,
-                speakerId,
-                speakerName,
-                requestId
-              });
+              // Broadcast to all participants in this group
+              for (const pSocket of sockets) {
+                if (ttsBuffer) {
+                  loopbackGuard.recordPlayback(loopbackGuard.groupCallKey(callRoomId), users[pSocket.id]?.userId, finalText);
+                }
+                pSocket.emit('groupCallTranslatedSpeech', {
+                  originalText: recognizedText,
+                  translatedText: finalText,
+                  audio: encodeAudio(ttsBuffer, pSocket),
+                  sourceLanguage: preferredSpeakerLanguage,
+                  targetLanguage: lang,
+                  speakerId,
+                  speakerName,
+                  requestId
+                });
+              }
             }
           }
 
@@ -233,7 +299,7 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
   // Handle translation request for received text in group calls
   socket.on('groupCallTranslateText', async (data) => {
     try {
-      const { text, sourceLanguage, targetLanguage, speakerId, speakerName, requestId } = data;
+      const { text, sourceLanguage, targetLanguage, speakerId, speakerName, requestId, callRoomId } = data;
       const listenerId = socket.user.userId;
       const listenerName = socket.user.username;
       
@@ -247,6 +313,16 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
         console.warn('Empty text for translation');
         return;
       }
+
+      // Only participants of the call may use its glossary and add to its transcript
+      if (!callRoomId || !socket.rooms.has(callRoomId)) {
+        console.warn(`Translation request for a call ${listenerId} has not joined: ${callRoomId}`);
+        socket.emit('groupCallError', {
+          message: 'Not a participant of this call',
+          requestId
+        });
+        return;
+      }
       
       // If target language is same as source, no translation needed
       if (sourceLanguage === targetLanguage) {
@@ -262,8 +338,17 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
         return;
       }
       
-      // Translate text server-side
-      const translatedText = await translateText(text, sourceLanguage, targetLanguage);
+      // Translate text server-side, with the call room's and the speaker's glossary
+      const glossary = await glossaryStore.getGlossary({
+        roomId: await glossaryStore.getRoomIdForCall(callRoomId),
+        userId: speakerId
+      });
+      const translatedText = await translateText(text, sourceLanguage, targetLanguage, glossary);
+      if (translatedText) {
+        const transcriptId = await callTranscriptStore.forGroupCall(callRoomId);
+        // The text comes from the client: keep it only if it is what was recorded
+        await callTranscriptStore.addTranslation(transcriptId, requestId, targetLanguage, translatedText, text);
+      }
 
       if (!translatedText) {
         console.error('Translation failed');
@@ -279,18 +364,19 @@ const handleGroupCallAudioTranslation = (io, socket, users) => {
       // Generate server-side TTS and send audio back to listener
       let ttsBuffer = null;
       try {
-        ttsBuffer = await textToSpeech(translatedText, targetLanguage);
+        const voiceOptions = await voicePreferenceStore.getVoiceOptions(listenerId, targetLanguage);
+        ttsBuffer = await textToSpeech(translatedText, targetLanguage, voiceOptions);
       } catch (ttsErr) {
         console.error('TTS failed for group call translation:', ttsErr);
       }
 
-      const audioBase64 = ttsBuffer ? ttsBuffer.toString('base64') : null;
+      if (ttsBuffer) loopbackGuard.recordPlayback(loopbackGuard.groupCallKey(callRoomId), listenerId, translatedText);
 
       // Emit a combined payload (text + audio) to the requesting listener only
       socket.emit('groupCallTranslatedSpeech', {
         originalText: text,
         translatedText,
-        audio: audioBase64,
+        audio: encodeAudio(ttsBuffer, socket),
         sourceLanguage,
         targetLanguage,
         speakerId,
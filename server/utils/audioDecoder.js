@@ -0,0 +1,126 @@
+const { spawn } = require('child_process');
+const { config } = require('./env');
+const { isValidWavFormat, encodeWav } = require('./wavUtils');
+
+/**
+ * Decoding of uploaded call audio into the WAV the speech provider recognizes.
+ *
+ * Clients either send 16-bit PCM WAV, which is passed through, or MediaRecorder
+ * Opus recordings in WebM or Ogg, which ffmpeg (FFMPEG_PATH) decodes to 16 kHz
+ * mono 16-bit PCM. The upload's `audioFormat` (a MIME type such as
+ * `audio/webm;codecs=opus`, or just `webm`) picks the decoder; without it the
+ * format is recognized from the data.
+ */
+
+const RECOGNIZER_SAMPLE_RATE = 16000;
+// ffmpeg gets this long per upload before it is killed
+const DECODE_TIMEOUT_MS = 10000;
+
+const AUDIO_UPLOAD_FORMATS = {
+  wav: {
+    mimeTypes: ['audio/wav', 'audio/wave', 'audio/x-wav'],
+    matches: (buffer) => isValidWavFormat(buffer)
+  },
+  webm: {
+    mimeTypes: ['audio/webm'],
+    // EBML header
+    matches: (buffer) => buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3,
+    ffmpegFormat: 'webm'
+  },
+  ogg: {
+    mimeTypes: ['audio/ogg'],
+    matches: (buffer) => buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS',
+    ffmpegFormat: 'ogg'
+  }
+};
+
+const SUPPORTED_LIST = 'wav, webm or ogg (Opus)';
+
+// 'audio/webm;codecs=opus' -> 'webm'; undefined when not supported
+const formatNameOf = (audioFormat) => {
+  const type = String(audioFormat).split(';')[0].trim().toLowerCase();
+  return Object.keys(AUDIO_UPLOAD_FORMATS).find(name => (
+    name === type || AUDIO_UPLOAD_FORMATS[name].mimeTypes.includes(type)
+  ));
+};
+
+/**
+ * The upload format of some audio: the declared one after checking that the
+ * data is in it, else whichever format the data looks like.
+ * @throws {Error} for unsupported, mismatched or unrecognizable audio
+ */
+const resolveAudioFormat = (buffer, audioFormat) => {
+  if (audioFormat) {
+    const name = formatNameOf(audioFormat);
+    if (!name) {
+      throw new Error(`Unsupported audio format '${audioFormat}'; send ${SUPPORTED_LIST}`);
+    }
+    if (!AUDIO_UPLOAD_FORMATS[name].matches(buffer)) {
+      throw new Error(`Audio is not valid ${name} data`);
+    }
+    return name;
+  }
+
+  const sniffed = Object.keys(AUDIO_UPLOAD_FORMATS).find(name => AUDIO_UPLOAD_FORMATS[name].matches(buffer));
+  if (!sniffed) {
+    throw new Error(`Unrecognized audio data; send ${SUPPORTED_LIST} and set audioFormat`);
+  }
+  return sniffed;
+};
+
+const decodeWithFfmpeg = (buffer, name) => new Promise((resolve, reject) => {
+  const ffmpeg = spawn(config.FFMPEG_PATH, [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', AUDIO_UPLOAD_FORMATS[name].ffmpegFormat, '-i', 'pipe:0',
+    '-f', 's16le', '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(RECOGNIZER_SAMPLE_RATE),
+    'pipe:1'
+  ]);
+  const output = [];
+  let stderr = '';
+
+  const timer = setTimeout(() => {
+    ffmpeg.kill('SIGKILL');
+    reject(new Error(`Decoding ${name} audio timed out`));
+  }, DECODE_TIMEOUT_MS);
+
+  ffmpeg.stdout.on('data', (chunk) => output.push(chunk));
+  ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+  ffmpeg.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error.code === 'ENOENT'
+      ? new Error(`Decoding ${name} audio needs ffmpeg; install it or set FFMPEG_PATH`)
+      : error);
+  });
+  ffmpeg.on('close', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) {
+      const reason = stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`;
+      reject(new Error(`Could not decode ${name} audio: ${reason}`));
+      return;
+    }
+    resolve(encodeWav(Buffer.concat(output), RECOGNIZER_SAMPLE_RATE, 1));
+  });
+
+  // ffmpeg may stop reading early on broken input; its exit code reports that
+  ffmpeg.stdin.on('error', () => {});
+  ffmpeg.stdin.end(buffer);
+});
+
+/**
+ * Turn an uploaded audio buffer into WAV for the speech provider.
+ * @param {Buffer} buffer - see decodeAudio in audioPayload.js
+ * @param {string} [audioFormat] - MIME type or format name sent by the client
+ * @returns {Promise<Buffer>} WAV audio
+ * @throws {Error} with a message fit for the client when the audio can't be used
+ */
+const decodeAudioUpload = async (buffer, audioFormat) => {
+  const name = resolveAudioFormat(buffer, audioFormat);
+  if (!AUDIO_UPLOAD_FORMATS[name].ffmpegFormat) return buffer;
+  return decodeWithFfmpeg(buffer, name);
+};
+
+module.exports = {
+  AUDIO_UPLOAD_FORMATS,
+  resolveAudioFormat,
+  decodeAudioUpload
+};
@@ -0,0 +1,57 @@
+/**
+ * Audio payloads of the call socket events.
+ *
+ * Clients that offer it in `audioSystemReady` ({ binaryAudio: true }) exchange
+ * audio as binary attachments: they upload an ArrayBuffer or typed array and
+ * receive TTS audio as an ArrayBuffer. Other clients keep sending and getting
+ * base64 strings, which every audio event still accepts.
+ */
+
+// About 100 base64 characters, the smallest upload worth recognizing
+const MIN_AUDIO_BYTES = 75;
+
+/**
+ * Binary audio as a Buffer, without copying; null for anything else.
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} audio
+ */
+const toBuffer = (audio) => {
+  if (Buffer.isBuffer(audio)) return audio;
+  if (audio instanceof ArrayBuffer) return Buffer.from(audio);
+  if (ArrayBuffer.isView(audio)) return Buffer.from(audio.buffer, audio.byteOffset, audio.byteLength);
+  return null;
+};
+
+/**
+ * An uploaded audio payload, binary or base64, as a Buffer.
+ * @returns {Buffer|null} null when missing, malformed or too short to hold speech
+ */
+const decodeAudio = (audio) => {
+  const buffer = typeof audio === 'string' ? Buffer.from(audio, 'base64') : toBuffer(audio);
+  return buffer && buffer.length >= MIN_AUDIO_BYTES ? buffer : null;
+};
+
+/**
+ * Record what a socket offered in audioSystemReady.
+ */
+const setBinaryAudio = (socket, enabled) => {
+  socket.data.binaryAudio = Boolean(enabled);
+};
+
+/**
+ * Audio for a socket: the Buffer itself when it takes binary audio, else base64.
+ * Also works with the RemoteSockets returned by fetchSockets().
+ * @param {Buffer|null} buffer
+ * @param {Object} [socket]
+ */
+const encodeAudio = (buffer, socket) => {
+  if (!buffer) return null;
+  return socket?.data?.binaryAudio ? buffer : buffer.toString('base64');
+};
+
+module.exports = {
+  MIN_AUDIO_BYTES,
+  toBuffer,
+  decodeAudio,
+  setBinaryAudio,
+  encodeAudio
+};
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { getCollection, toObjectId } = require('./rawCollections');
+const { parseWav, getWavDurationMs } = require('./wavUtils');
+
+/**
+ * Writes call captions into transcripts (see lib/models/CallTranscript) while
+ * recording is switched on for the call.
+ *
+ * The socket handlers only know a Socket.IO call room (group calls) or the two
+ * users (1:1 calls), so the active transcript is looked up from those and
+ * cached briefly. Shared through `global.__callTranscriptStore` so that the API
+ * route switching recording on or off takes effect immediately.
+ */
+
+const CACHE_TTL_MS = 15 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+// Mirrors MAX_TRANSCRIPT_SEGMENTS in lib/models/CallTranscript.js
+const MAX_SEGMENTS = 5000;
+const LANGUAGE_KEY = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+/**
+ * Length of a WAV chunk in ms, to date the start of what was said in it.
+ */
+const audioDurationMs = (audioBuffer) => {
+  const wav = audioBuffer ? parseWav(audioBuffer) : null;
+  return wav ? getWavDurationMs(wav) : 0;
+};
+
+class CallTranscriptStore {
+  constructor() {
+    // cache key -> { transcriptId, loadedAt }
+    this.active = new Map();
+  }
+
+  async cached(key, load) {
+    const cached = this.active.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.transcriptId;
+
+    try {
+      const transcriptId = await load();
+      this.active.set(key, { transcriptId, loadedAt: Date.now() });
+      if (this.active.size > MAX_CACHE_ENTRIES) this.active.delete(this.active.keys().next().value);
+      return transcriptId;
+    } catch (error) {
+      console.error(`Failed to look up call transcript (${key}):`, error.message);
+      return null;
+    }
+  }
+
+  async recordingFor(filter) {
+    const transcripts = await getCollection('calltranscripts');
+    const transcript = await transcripts.findOne({ ...filter, recording: true }, { projection: { _id: 1 } });
+    return transcript ? transcript._id : null;
+  }
+
+  /**
+   * Id of the recording transcript of a group call, or null.
+   */
+  forGroupCall(callRoomId) {
+    if (!callRoomId) return Promise.resolve(null);
+    return this.cached(`group:${callRoomId}`, async () => {
+      const groupCalls = await getCollection('groupcalls');
+      const call = await groupCalls.findOne({ callRoomId }, { projection: { _id: 1 } });
+      return call ? this.recordingFor({ groupCall: call._id }) : null;
+    });
+  }
+
+  /**
+   * Id of the recording transcript of the answered 1:1 call between two users, or null.
+   */
+  forDirectCall(userId, otherUserId) {
+    const a = toObjectId(userId);
+    const b = toObjectId(otherUserId);
+    if (!a || !b) return Promise.resolve(null);
+    const key = `direct:${[String(a), String(b)].sort().join(':')}`;
+    return this.cached(key, async () => {
+      const callSessions = await getCollection('callsessions');
+      const call = await callSessions.findOne(
+        { status: 'answered', $or: [{ caller: a, receiver: b }, { caller: b, receiver: a }] },
+        { projection: { _id: 1 }, sort: { startedAt: -1 } }
+      );
+      return call ? this.recordingFor({ callSession: call._id }) : null;
+    });
+  }
+
+  // Recording was switched on or off somewhere: look transcripts up again
+  invalidate() {
+    this.active.clear();
+  }
+
+  /**
+   * Append a caption. `receivedAt` is when the audio chunk arrived; the segment
+   * starts the chunk's duration earlier.
+   * @param {Object} segment - { speaker, speakerName, language, text, translations?, requestId?, audio?, receivedAt? }
+   */
+  async addSegment(transcriptId, { speaker, speakerName, language, text, translations = {}, requestId, audio, receivedAt = Date.now() }) {
+    if (!transcriptId || !text) return;
+    const cleanTranslations = {};
+    for (const [lang, translated] of Object.entries(translations || {})) {
+      if (LANGUAGE_KEY.test(lang) && translated) cleanTranslations[lang] = translated;
+    }
+
+    try {
+      const transcripts = await getCollection('calltranscripts');
+      await transcripts.updateOne(
+        { _id: transcriptId, recording: true, [`segments.${MAX_SEGMENTS - 1}`]: { $exists: false } },
+        {
+          $push: {
+            segments: {
+              _id: new mongoose.Types.ObjectId(),
+              speaker: toObjectId(speaker),
+              speakerName,
+              language,
+              text,
+              translations: cleanTranslations,
+              requestId: requestId ? String(requestId) : undefined,
+              startedAt: new Date(receivedAt - audioDurationMs(audio)),
+              endedAt: new Date()
+            }
+          },
+          $currentDate: { updatedAt: true }
+        }
+      );
+    } catch (error) {
+      console.error('Failed to save call transcript segment:', error.message);
+    }
+  }
+
+  /**
+   * Record a translation of an earlier segment, found by its request id. With
+   * `sourceText` (a translation a client asked for), only if that is what the
+   * segment says.
+   */
+  async addTranslation(transcriptId, requestId, language, text, sourceText) {
+    if (!transcriptId || !requestId || !text || !LANGUAGE_KEY.test(language)) return;
+    const segment = { requestId: String(requestId) };
+    if (sourceText !== undefined) segment.text = sourceText;
+    try {
+      const transcripts = await getCollection('calltranscripts');
+      await transcripts.updateOne(
+        { _id: transcriptId, segments: { $elemMatch: segment } },
+        { $set: { [`segments.$.translations.${language}`]: text } }
+      );
+    } catch (error) {
+      console.error('Failed to save call transcript translation:', error.message);
+    }
+  }
+}
+
+const callTranscriptStore = global.__callTranscriptStore || new CallTranscriptStore();
+global.__callTranscriptStore = callTranscriptStore;
+
+module.exports = callTranscriptStore;
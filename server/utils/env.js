@@ -19,8 +19,10 @@ if (dotenvPath) {
   }
 }
 
-// Validate required environment variables early
-const required = ['AZURE_SPEECH_KEY', 'AZURE_SPEECH_REGION'];
+// Validate required environment variables early. Azure Speech credentials are
+// only needed when the Azure speech provider is in use.
+const speechProvider = process.env.SPEECH_PROVIDER || 'azure';
+const required = speechProvider === 'azure' ? ['AZURE_SPEECH_KEY', 'AZURE_SPEECH_REGION'] : [];
 const missing = required.filter((k) => !process.env[k]);
 if (missing.length) {
   // Throw early — caller can catch when running in environments like tests
@@ -34,9 +36,22 @@ const config = {
   AZURE_SPEECH_KEY: process.env.AZURE_SPEECH_KEY || '',
   AZURE_SPEECH_REGION: process.env.AZURE_SPEECH_REGION || '',
   AZURE_SPEECH_ENDPOINT: process.env.AZURE_SPEECH_ENDPOINT || '',
+  // Speech (STT/TTS/speech translation) provider: 'azure' or 'mock' (offline)
+  SPEECH_PROVIDER: speechProvider,
+  SPEECH_MOCK_FIXTURES: process.env.SPEECH_MOCK_FIXTURES || '',
+  SPEECH_MOCK_DEFAULT_TRANSCRIPT: process.env.SPEECH_MOCK_DEFAULT_TRANSCRIPT || '',
+  SPEECH_MOCK_TTS: process.env.SPEECH_MOCK_TTS || 'tone',
+  // ffmpeg binary used to decode Opus (WebM/Ogg) audio uploads
+  FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
   AZURE_TRANSLATOR_KEY: process.env.AZURE_TRANSLATOR_KEY || '',
   AZURE_TRANSLATOR_REGION: process.env.AZURE_TRANSLATOR_REGION || '',
   AZURE_TRANSLATOR_ENDPOINT: process.env.AZURE_TRANSLATOR_ENDPOINT || 'https://api.cognitive.microsofttranslator.com',
+  // Text translation provider: 'azure' or 'local' (offline, deterministic)
+  TRANSLATION_PROVIDER: process.env.TRANSLATION_PROVIDER || 'azure',
+  LOCAL_TRANSLATION_DICTIONARY: process.env.LOCAL_TRANSLATION_DICTIONARY || '',
+  LOCAL_TRANSLATION_SOURCE_LANGUAGE: process.env.LOCAL_TRANSLATION_SOURCE_LANGUAGE || 'en',
+  // Post-call summarizer: 'local' (extractive, offline)
+  SUMMARIZER: process.env.SUMMARIZER || 'local',
   // MongoDB connection string
   MONGO_URI: process.env.MONGO_URI || 'mongodb://localhost:27017/vaani',
 
@@ -61,6 +76,8 @@ const config = {
   TRANSLATION_CACHE_TTL_MS: parseInt(process.env.TRANSLATION_CACHE_TTL_MS || String(5 * 60 * 1000), 10),
   TRANSLATION_CACHE_MAX_ITEMS: parseInt(process.env.TRANSLATION_CACHE_MAX_ITEMS || '500', 10),
   HTTP_TIMEOUT_MS: parseInt(process.env.HTTP_TIMEOUT_MS || String(20 * 1000), 10),
+  // Recognitions matching translated speech played to the speaker this recently are dropped as echo
+  LOOPBACK_WINDOW_MS: parseInt(process.env.LOOPBACK_WINDOW_MS || String(20 * 1000), 10),
  };
 
 // Small helper to require critical vars at runtime
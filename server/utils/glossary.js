@@ -0,0 +1,148 @@
+/**
+ * Glossaries: forced translations and do-not-translate terms.
+ *
+ * A glossary is { terms: [{ term, translations: { [lang]: text }, caseSensitive }], doNotTranslate: [term] }.
+ * Before a text goes to the translator, every glossary term found in it is swapped
+ * for a placeholder token the translator leaves alone; afterwards each token is
+ * replaced by the term's forced translation for the target language, or by the
+ * term itself for do-not-translate terms. Terms without a translation for the
+ * target language are left to the translator.
+ */
+
+const EMPTY_GLOSSARY = { terms: [], doNotTranslate: [] };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toPlain = (translations) => (translations instanceof Map ? Object.fromEntries(translations) : (translations || {}));
+
+const forcedTranslation = (term, targetLang) => {
+  const translations = toPlain(term.translations);
+  return translations[targetLang] ?? translations[targetLang.split('-')[0]];
+};
+
+/**
+ * Combine glossaries; on duplicate terms the earlier glossary wins.
+ */
+const mergeGlossaries = (...glossaries) => {
+  const seen = new Set();
+  const merged = { terms: [], doNotTranslate: [] };
+  for (const glossary of glossaries) {
+    if (!glossary) continue;
+    for (const term of glossary.terms || []) {
+      const key = term.term.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.terms.push({ term: term.term, translations: toPlain(term.translations), caseSensitive: Boolean(term.caseSensitive) });
+    }
+    for (const term of glossary.doNotTranslate || []) {
+      const key = term.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.doNotTranslate.push(term);
+    }
+  }
+  return merged;
+};
+
+const isEmptyGlossary = (glossary) => !glossary || (!(glossary.terms || []).length && !(glossary.doNotTranslate || []).length);
+
+/**
+ * The (term -> replacement) rules that apply when translating into targetLang,
+ * longest terms first so "Vaani Pro" wins over "Vaani".
+ */
+const getRules = (glossary, targetLang) => {
+  if (isEmptyGlossary(glossary)) return [];
+  const rules = [];
+  for (const term of glossary.terms || []) {
+    const replacement = forcedTranslation(term, targetLang);
+    if (replacement !== undefined) rules.push({ term: term.term, replacement, caseSensitive: Boolean(term.caseSensitive) });
+  }
+  for (const term of glossary.doNotTranslate || []) {
+    rules.push({ term, replacement: null, caseSensitive: false });
+  }
+  return rules
+    .filter(rule => rule.term && rule.term.trim())
+    .sort((a, b) => b.term.length - a.term.length);
+};
+
+// Whole-word match: no letter or digit directly before or after the term
+const ruleRegExp = (rule) => new RegExp(
+  `(?<![\\p{L}\\p{N}])${escapeRegExp(rule.term)}(?![\\p{L}\\p{N}])`,
+  rule.caseSensitive ? 'gu' : 'giu'
+);
+
+const placeholder = (index) => `__G${index}__`;
+// Translators sometimes add spaces inside the token or change its case
+const PLACEHOLDER_PATTERN = /_\s?_\s?G\s?(\d+)\s?_\s?_/gi;
+
+/**
+ * Replace glossary terms in text with placeholder tokens.
+ * @returns {{ text: string, replacements: string[] }} replacements[i] is what token i becomes
+ */
+const protectTerms = (text, glossary, targetLang) => {
+  const replacements = [];
+  let protectedText = text;
+  for (const rule of getRules(glossary, targetLang)) {
+    protectedText = protectedText.replace(ruleRegExp(rule), (match) => {
+      replacements.push(rule.replacement ?? match);
+      return placeholder(replacements.length - 1);
+    });
+  }
+  return { text: protectedText, replacements };
+};
+
+const restoreTerms = (text, replacements) => {
+  if (!replacements.length) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (token, index) => replacements[Number(index)] ?? token);
+};
+
+/**
+ * Whether translating text into targetLang would use the glossary.
+ */
+const glossaryApplies = (text, glossary, targetLang) => getRules(glossary, targetLang).some(rule => ruleRegExp(rule).test(text));
+
+/**
+ * Translate texts with a glossary applied.
+ * @param {Function} translate - (texts) => Promise<string[]>, called with the protected texts
+ * @returns {Promise<string[]>}
+ */
+const translateWithGlossary = async (texts, targetLang, glossary, translate) => {
+  const protectedTexts = texts.map(text => protectTerms(text, glossary, targetLang));
+  const translated = await translate(protectedTexts.map(p => p.text));
+  return translated.map((text, idx) => restoreTerms(text, protectedTexts[idx].replacements));
+};
+
+/**
+ * Terms added, removed or changed between two versions of a glossary,
+ * i.e. the ones whose existing translations may now be wrong.
+ */
+const changedTerms = (before, after) => {
+  const describe = (glossary) => {
+    const entries = new Map();
+    for (const term of (glossary && glossary.terms) || []) {
+      entries.set(term.term, JSON.stringify([toPlain(term.translations), Boolean(term.caseSensitive)]));
+    }
+    for (const term of (glossary && glossary.doNotTranslate) || []) {
+      entries.set(term, 'dnt');
+    }
+    return entries;
+  };
+  const old = describe(before);
+  const current = describe(after);
+  const changed = new Set();
+  for (const [term, value] of current) if (old.get(term) !== value) changed.add(term);
+  for (const term of old.keys()) if (!current.has(term)) changed.add(term);
+  return [...changed];
+};
+
+module.exports = {
+  EMPTY_GLOSSARY,
+  escapeRegExp,
+  mergeGlossaries,
+  isEmptyGlossary,
+  protectTerms,
+  restoreTerms,
+  glossaryApplies,
+  translateWithGlossary,
+  changedTerms
+};
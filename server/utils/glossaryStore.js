@@ -0,0 +1,93 @@
+const { getCollection, toObjectId } = require('./rawCollections');
+const { mergeGlossaries, EMPTY_GLOSSARY } = require('./glossary');
+
+/**
+ * Loads room and user glossaries (see lib/models/Glossary) for the translation
+ * paths, with a short in-memory cache.
+ *
+ * The socket handlers in server.js have no models, so this reads the collections
+ * directly (see rawCollections). The singleton lives on `global.__glossaryStore` (like
+ * `global.__pollingManager`) so that glossary edits made through the API routes
+ * invalidate what the socket handlers see.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+class GlossaryStore {
+  constructor() {
+    // `${scope}:${id}` -> { glossary, loadedAt }
+    this.glossaries = new Map();
+    // group call room id -> chat room id
+    this.callRooms = new Map();
+  }
+
+  remember(map, key, value) {
+    map.set(key, value);
+    if (map.size > MAX_CACHE_ENTRIES) map.delete(map.keys().next().value);
+  }
+
+  /**
+   * Glossary of one room or user; an empty glossary when there is none or loading fails.
+   * @param {'room'|'user'} scope
+   */
+  async load(scope, id) {
+    const objectId = toObjectId(id);
+    if (!objectId) return EMPTY_GLOSSARY;
+
+    const key = `${scope}:${id}`;
+    const cached = this.glossaries.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.glossary;
+
+    try {
+      const glossaries = await getCollection('glossaries');
+      const doc = await glossaries.findOne({ scope, [scope]: objectId }, { projection: { terms: 1, doNotTranslate: 1 } });
+      const glossary = doc ? { terms: doc.terms || [], doNotTranslate: doc.doNotTranslate || [] } : EMPTY_GLOSSARY;
+      this.remember(this.glossaries, key, { glossary, loadedAt: Date.now() });
+      return glossary;
+    } catch (error) {
+      console.error(`Failed to load ${scope} glossary ${id}:`, error.message);
+      return EMPTY_GLOSSARY;
+    }
+  }
+
+  invalidate(scope, id) {
+    this.glossaries.delete(`${scope}:${id}`);
+  }
+
+  /**
+   * The glossary for a speaker or sender, optionally in a room. Room terms take
+   * precedence over the user's own.
+   */
+  async getGlossary({ roomId, userId } = {}) {
+    const [roomGlossary, userGlossary] = await Promise.all([
+      roomId ? this.load('room', roomId) : EMPTY_GLOSSARY,
+      userId ? this.load('user', userId) : EMPTY_GLOSSARY
+    ]);
+    return mergeGlossaries(roomGlossary, userGlossary);
+  }
+
+  /**
+   * Chat room a group call (by its Socket.IO call room id) belongs to.
+   */
+  async getRoomIdForCall(callRoomId) {
+    if (!callRoomId) return null;
+    if (this.callRooms.has(callRoomId)) return this.callRooms.get(callRoomId);
+
+    try {
+      const groupCalls = await getCollection('groupcalls');
+      const call = await groupCalls.findOne({ callRoomId }, { projection: { roomId: 1 } });
+      const roomId = call && call.roomId ? String(call.roomId) : null;
+      if (roomId) this.remember(this.callRooms, callRoomId, roomId);
+      return roomId;
+    } catch (error) {
+      console.error(`Failed to resolve room of group call ${callRoomId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+const glossaryStore = global.__glossaryStore || new GlossaryStore();
+global.__glossaryStore = glossaryStore;
+
+module.exports = glossaryStore;
@@ -0,0 +1,62 @@
+const { getCollection, toObjectId } = require('./rawCollections');
+const { resolveConversationLanguage } = require('./languageOverrides');
+
+/**
+ * Cached User.languageOverrides for the socket handlers, which only know a
+ * user's preferredLanguage from the connection (users[socket.id]).
+ *
+ * Shared through `global.__languageOverrideStore` so that the API route that
+ * edits overrides can invalidate what the socket handlers see.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+class LanguageOverrideStore {
+  constructor() {
+    // userId -> { overrides, loadedAt }
+    this.overrides = new Map();
+  }
+
+  /**
+   * A user's overrides; none when the user can't be loaded.
+   */
+  async load(userId) {
+    const objectId = toObjectId(userId);
+    if (!objectId) return [];
+
+    const key = String(userId);
+    const cached = this.overrides.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.overrides;
+
+    try {
+      const users = await getCollection('users');
+      const user = await users.findOne({ _id: objectId }, { projection: { languageOverrides: 1 } });
+      const overrides = (user && user.languageOverrides) || [];
+      this.overrides.set(key, { overrides, loadedAt: Date.now() });
+      if (this.overrides.size > MAX_CACHE_ENTRIES) this.overrides.delete(this.overrides.keys().next().value);
+      return overrides;
+    } catch (error) {
+      console.error(`Failed to load language overrides of user ${userId}:`, error.message);
+      return [];
+    }
+  }
+
+  invalidate(userId) {
+    this.overrides.delete(String(userId));
+  }
+
+  /**
+   * The language a user wants a conversation in (see resolveConversationLanguage).
+   * @returns {Promise<string|null>} null to leave it untranslated
+   */
+  async getConversationLanguage(userId, conversation, preferredLanguage) {
+    const overrides = await this.load(userId);
+    return resolveConversationLanguage(overrides, conversation, preferredLanguage);
+  }
+}
+
+const languageOverrideStore = global.__languageOverrideStore || new LanguageOverrideStore();
+global.__languageOverrideStore = languageOverrideStore;
+
+module.exports = languageOverrideStore;
@@ -0,0 +1,34 @@
+/**
+ * Per-conversation language overrides (User.languageOverrides).
+ *
+ * An override names a room or a contact and the language the user wants that
+ * conversation in, replacing User.preferredLanguage for it. The language
+ * NO_TRANSLATION ('original') leaves the conversation untranslated.
+ *
+ * Shared by the Next.js routes and the socket handlers.
+ */
+
+const NO_TRANSLATION = 'original';
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a?._id || a) === String(b?._id || b);
+
+/**
+ * The override for a conversation, if any.
+ * @param {Array} overrides - User.languageOverrides
+ * @param {{roomId?: string, contactId?: string}} conversation
+ */
+const findOverride = (overrides, { roomId, contactId } = {}) => (overrides || []).find(override => (
+  roomId ? sameId(override.room, roomId) : sameId(override.contact, contactId)
+));
+
+/**
+ * The language a conversation should be shown or spoken in for a user.
+ * @returns {string|null} language code, or null to leave it untranslated
+ */
+const resolveConversationLanguage = (overrides, conversation, preferredLanguage) => {
+  const override = findOverride(overrides, conversation);
+  if (!override) return preferredLanguage || 'en';
+  return override.language === NO_TRANSLATION ? null : override.language;
+};
+
+module.exports = { NO_TRANSLATION, findOverride, resolveConversationLanguage };
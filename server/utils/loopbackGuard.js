@@ -0,0 +1,91 @@
+const { config } = require('./env');
+
+/**
+ * Remembers the translated speech (TTS) played to each call participant, so a
+ * recognition of their microphone that is just that speech coming back out of
+ * their speakers can be dropped instead of being translated again.
+ *
+ * Texts are compared by character bigrams, ignoring case, accents, punctuation
+ * and spacing, so this works for unsegmented scripts too. A recognition matches
+ * when most of its bigrams occur in one recent TTS text; recognizers usually
+ * catch only part of the echo, so the TTS text may be longer.
+ */
+
+const MATCH_RATIO = 0.8;
+// A bigram or two is too little to tell echo from a short reply
+const MIN_BIGRAMS = 3;
+const MAX_ENTRIES_PER_CALL = 20;
+// Calls kept before stale ones are swept
+const MAX_CALLS = 500;
+
+const normalize = (text) => String(text || '')
+  .toLocaleLowerCase()
+  .normalize('NFD')
+  .replace(/[^\p{L}\p{N}]+/gu, '');
+
+const bigrams = (text) => {
+  const chars = Array.from(normalize(text));
+  const result = new Set();
+  for (let i = 0; i < chars.length - 1; i++) result.add(chars[i] + chars[i + 1]);
+  return result;
+};
+
+class LoopbackGuard {
+  constructor(windowMs = config.LOOPBACK_WINDOW_MS) {
+    this.windowMs = windowMs;
+    // call key -> [{ listenerId, bigrams, at }]
+    this.played = new Map();
+  }
+
+  directCallKey(userA, userB) {
+    return `direct:${[String(userA), String(userB)].sort().join(':')}`;
+  }
+
+  groupCallKey(callRoomId) {
+    return `group:${callRoomId}`;
+  }
+
+  recent(callKey) {
+    const cutoff = Date.now() - this.windowMs;
+    const entries = (this.played.get(callKey) || []).filter(entry => entry.at >= cutoff);
+    if (entries.length) {
+      this.played.set(callKey, entries);
+    } else {
+      this.played.delete(callKey);
+    }
+    return entries;
+  }
+
+  /**
+   * Note TTS audio of `text` sent to `listenerId` in a call
+   */
+  recordPlayback(callKey, listenerId, text) {
+    if (!callKey || !listenerId || !text) return;
+    if (this.played.size >= MAX_CALLS) {
+      [...this.played.keys()].forEach(key => this.recent(key));
+    }
+    const entries = this.recent(callKey);
+    entries.push({ listenerId: String(listenerId), bigrams: bigrams(text), at: Date.now() });
+    this.played.set(callKey, entries.slice(-MAX_ENTRIES_PER_CALL));
+  }
+
+  /**
+   * Whether `text`, recognized from `speakerId`'s microphone, is TTS recently
+   * played to them in this call
+   */
+  isEcho(callKey, speakerId, text) {
+    if (!callKey || !speakerId) return false;
+    const recognized = bigrams(text);
+    if (recognized.size < MIN_BIGRAMS) return false;
+    return this.recent(callKey).some(({ listenerId, bigrams: played }) => {
+      if (listenerId !== String(speakerId)) return false;
+      let shared = 0;
+      recognized.forEach((bigram) => {
+        if (played.has(bigram)) shared++;
+      });
+      return shared / recognized.size >= MATCH_RATIO;
+    });
+  }
+}
+
+module.exports = new LoopbackGuard();
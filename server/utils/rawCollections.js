@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { config } = require('./env');
+
+/**
+ * Direct collection access for the socket side of server.js, which can't use
+ * the ESM models in lib/models. Connects on first use if the Next.js routes
+ * haven't already.
+ */
+
+const getCollection = async (name) => {
+  const { readyState } = mongoose.connection;
+  if (readyState === 2) {
+    await mongoose.connection.asPromise();
+  } else if (readyState !== 1) {
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI || process.env.MONGO_URL || config.MONGO_URI);
+  }
+  return mongoose.connection.collection(name);
+};
+
+const toObjectId = (id) => (mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : null);
+
+module.exports = { getCollection, toObjectId };
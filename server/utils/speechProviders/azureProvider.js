@@ -0,0 +1,445 @@
+const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { config, requireEnv } = require('../env');
+const { languageKey } = require('../voicePreferences');
+
+const voiceMap = {
+  'en': 'en-US-JennyNeural',
+  'hi': 'hi-IN-SwaraNeural',
+  'es': 'es-ES-ElviraNeural',
+  'fr': 'fr-FR-DeniseNeural',
+  'de': 'de-DE-KatjaNeural',
+  'it': 'it-IT-ElsaNeural',
+  'ja': 'ja-JP-NanamiNeural',
+  'ko': 'ko-KR-SunHiNeural',
+  'pt': 'pt-BR-FranciscaNeural',
+  'ru': 'ru-RU-SvetlanaNeural',
+  'zh': 'zh-CN-XiaoxiaoNeural',
+  'ar': 'ar-SA-ZariyahNeural',
+  'ta': 'ta-IN-PallaviNeural',
+  'te': 'te-IN-ShrutiNeural',
+  'bn': 'bn-IN-TanishaaNeural',
+  'gu': 'gu-IN-DhwaniNeural',
+  'kn': 'kn-IN-SapnaNeural',
+  'ml': 'ml-IN-SobhanaNeural',
+  'mr': 'mr-IN-AarohiNeural',
+  'pa': 'pa-IN-VaaniNeural',
+  'ur': 'ur-IN-GulNeural'
+};
+
+const getVoiceFromLanguage = (languageCode) => {
+  if (!languageCode) return null;
+  const code = languageCode.toLowerCase().split('-')[0];
+  return voiceMap[code] || null;
+};
+
+const VOICE_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+const VOICE_GENDERS = {
+  [sdk.SynthesisVoiceGender.Female]: 'female',
+  [sdk.SynthesisVoiceGender.Male]: 'male'
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const signedPercent = (value) => `${value >= 0 ? '+' : ''}${value}%`;
+
+// The text to speak, with the style and prosody asked for
+const speechBody = (text, { style, rate = 0, pitch = 0 }) => {
+  let body = escapeXml(text);
+  if (rate || pitch) body = `<prosody rate="${signedPercent(rate)}" pitch="${signedPercent(pitch)}">${body}</prosody>`;
+  if (style) body = `<mstts:express-as style="${escapeXml(style)}">${body}</mstts:express-as>`;
+  return body;
+};
+
+// Push the PCM payload of a WAV buffer (after the 44-byte header) to an SDK stream
+const pushWavAudio = (audioBuffer) => {
+  const pushStream = sdk.AudioInputStream.createPushStream();
+  const chunkSize = 32768;
+  for (let i = 44; i < audioBuffer.length; i += chunkSize) {
+    pushStream.write(audioBuffer.slice(i, Math.min(i + chunkSize, audioBuffer.length)));
+  }
+  pushStream.close();
+  return sdk.AudioConfig.fromStreamInput(pushStream);
+};
+
+// Run a continuous recognizer until the session stops, it is canceled or timeoutMs passes
+const runRecognizer = (recognizer, { onRecognizing, onRecognized, timeoutMs, getResult }) => new Promise((resolve, reject) => {
+  let done = false;
+
+  const stopRecognition = () => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    try {
+      recognizer.stopContinuousRecognitionAsync(() => {
+        try { recognizer.close(); } catch (e) {}
+        resolve(getResult());
+      });
+    } catch (e) {
+      resolve(getResult());
+    }
+  };
+
+  if (onRecognizing) {
+    recognizer.recognizing = (s, e) => {
+      try { onRecognizing(e.result); } catch (err) { /* ignore partial handler errors */ }
+    };
+  }
+  recognizer.recognized = (s, e) => onRecognized(e.result);
+  recognizer.canceled = (s, e) => {
+    if (e && e.reason === sdk.CancellationReason.Error) {
+      done = true;
+      clearTimeout(timer);
+      try { recognizer.close(); } catch (err) {}
+      reject(new Error(e.errorDetails || 'Recognition canceled'));
+      return;
+    }
+    stopRecognition();
+  };
+  recognizer.sessionStopped = () => stopRecognition();
+
+  // Safety timeout
+  const timer = setTimeout(() => stopRecognition(), timeoutMs);
+
+  try {
+    recognizer.startContinuousRecognitionAsync();
+  } catch (e) {
+    clearTimeout(timer);
+    reject(e);
+  }
+});
+
+/**
+ * Azure Speech Service. Needs AZURE_SPEECH_KEY and AZURE_SPEECH_REGION.
+ */
+const createAzureSpeechProvider = () => {
+  const key = config.AZURE_SPEECH_KEY;
+  const region = config.AZURE_SPEECH_REGION;
+  const endpoint = config.AZURE_SPEECH_ENDPOINT || `https://${region}.api.cognitive.microsoft.com/sts/v1.0/issuetoken`;
+
+  console.log('Azure Speech Service Configuration:');
+  console.log('Region:', region);
+  console.log('Endpoint:', endpoint);
+  console.log('Key:', key ? '****' + key.slice(-4) : 'Not configured');
+
+  // Reuse configs to avoid recreation overhead
+  const configPool = new Map(); // key -> { config, created }
+  const CONFIG_MAX_AGE = 600000; // 10 minutes
+
+  const pooledConfig = (poolKey, create) => {
+    const entry = configPool.get(poolKey);
+    if (entry && Date.now() - entry.created < CONFIG_MAX_AGE) return entry.config;
+    const created = create();
+    configPool.set(poolKey, { config: created, created: Date.now() });
+    return created;
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [poolKey, { created }] of configPool.entries()) {
+      if (now - created > CONFIG_MAX_AGE) configPool.delete(poolKey);
+    }
+  }, 300000).unref();
+
+  const applyTimeouts = (speechConfig) => {
+    speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_InitialSilenceTimeoutMs, '3000');
+    speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, '500');
+    speechConfig.enableDictation();
+  };
+
+  const getSpeechConfig = (locale) => pooledConfig(`stt|${locale}`, () => {
+    const speechConfig = sdk.SpeechConfig.fromSubscription(requireEnv('AZURE_SPEECH_KEY'), requireEnv('AZURE_SPEECH_REGION'));
+    speechConfig.speechRecognitionLanguage = locale;
+    applyTimeouts(speechConfig);
+    return speechConfig;
+  });
+
+  const getTranslationConfig = (locale, targetCodes) => pooledConfig(`translate|${locale}|${targetCodes.join(',')}`, () => {
+    const translationConfig = sdk.SpeechTranslationConfig.fromSubscription(requireEnv('AZURE_SPEECH_KEY'), requireEnv('AZURE_SPEECH_REGION'));
+    translationConfig.speechRecognitionLanguage = locale;
+    targetCodes.forEach((t) => translationConfig.addTargetLanguage(t));
+    applyTimeouts(translationConfig);
+    return translationConfig;
+  });
+
+  // Every voice of the service, listed once a day
+  let voiceList = null; // { voices: Promise, loadedAt }
+  const listVoices = () => {
+    if (voiceList && Date.now() - voiceList.loadedAt < VOICE_LIST_TTL_MS) return voiceList.voices;
+    const speechConfig = sdk.SpeechConfig.fromSubscription(requireEnv('AZURE_SPEECH_KEY'), requireEnv('AZURE_SPEECH_REGION'));
+    const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
+    const voices = synthesizer.getVoicesAsync('')
+      .then((result) => {
+        if (result.reason !== sdk.ResultReason.VoicesListRetrieved) {
+          throw new Error(result.errorDetails || 'Could not list voices');
+        }
+        return result.voices.map(voice => ({
+          name: voice.shortName,
+          displayName: voice.localName || voice.displayName,
+          locale: voice.locale,
+          gender: VOICE_GENDERS[voice.gender] || null,
+          styles: voice.styleList || []
+        }));
+      })
+      .finally(() => synthesizer.close());
+    voiceList = { voices, loadedAt: Date.now() };
+    voices.catch(() => {
+      // List again next time
+      voiceList = null;
+    });
+    return voices;
+  };
+
+  const getVoices = async (language) => {
+    const key = languageKey(language);
+    return (await listVoices()).filter(voice => languageKey(voice.locale) === key);
+  };
+
+  // The voice to speak `language` with: the one asked for, else one of the asked
+  // gender (in the default voice's locale if there is one), else the default
+  const pickVoice = async (language, { voice, gender }) => {
+    const defaultVoice = getVoiceFromLanguage(language);
+    if (voice && languageKey(voice) === languageKey(language)) return voice;
+    if (gender) {
+      try {
+        const voices = (await getVoices(language)).filter(v => v.gender === gender);
+        const defaultLocale = defaultVoice && defaultVoice.split('-').slice(0, 2).join('-');
+        const match = voices.find(v => v.locale === defaultLocale) || voices[0];
+        if (match) return match.name;
+      } catch (error) {
+        console.warn(`Could not pick a ${gender} voice for ${language}:`, error.message);
+      }
+    }
+    return defaultVoice;
+  };
+
+  const speakSsml = (speechConfig, ssml) => {
+    const tempFileName = path.join(os.tmpdir(), `tts_temp_${Date.now()}.mp3`);
+    const audioConfig = sdk.AudioConfig.fromAudioFileOutput(tempFileName);
+    const synthesizer = new sdk.SpeechSynthesizer(speechConfig, audioConfig);
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        synthesizer.close();
+        reject(new Error('Text-to-speech operation timed out'));
+      }, 30000);
+
+      const finishWithError = (err) => {
+        try { if (fs.existsSync(tempFileName)) fs.unlinkSync(tempFileName); } catch (e) {}
+        reject(err);
+      };
+
+      // If the file exists but is still empty, retry a few times with short backoff
+      const MAX_RETRIES = 5;
+      const RETRY_DELAY_MS = 200;
+      const checkFile = (attempt) => {
+        try {
+          if (fs.existsSync(tempFileName) && fs.statSync(tempFileName).size > 0) {
+            const audioData = fs.readFileSync(tempFileName);
+            try { fs.unlinkSync(tempFileName); } catch (e) {}
+            resolve(audioData);
+            return;
+          }
+        } catch (fileError) {
+          // ignore and retry
+        }
+
+        if (attempt < MAX_RETRIES) {
+          setTimeout(() => checkFile(attempt + 1), RETRY_DELAY_MS);
+        } else {
+          finishWithError(new Error('Generated audio file is empty (0 bytes) after retries'));
+        }
+      };
+
+      synthesizer.speakSsmlAsync(
+        ssml,
+        () => {
+          clearTimeout(timeoutId);
+          synthesizer.close();
+          checkFile(1);
+        },
+        error => {
+          clearTimeout(timeoutId);
+          synthesizer.close();
+          finishWithError(error);
+        }
+      );
+    });
+  };
+
+  return {
+    name: 'azure',
+
+    isConfigured: () => Boolean(key && region),
+
+    speechToText: async (audioBuffer, locale) => {
+      const recognizer = new sdk.SpeechRecognizer(getSpeechConfig(locale), pushWavAudio(audioBuffer));
+      let recognizedText = '';
+      return runRecognizer(recognizer, {
+        timeoutMs: 5000,
+        onRecognized: (result) => {
+          if (result && result.reason === sdk.ResultReason.RecognizedSpeech) {
+            const segment = result.text && result.text.trim();
+            if (segment) recognizedText += (recognizedText ? ' ' : '') + segment;
+          }
+        },
+        getResult: () => recognizedText.trim()
+      });
+    },
+
+    translateSpeech: async (audioBuffer, locale, targetCodes, onPartialResult = null, { timeoutMs = 7000 } = {}) => {
+      const recognizer = new sdk.TranslationRecognizer(getTranslationConfig(locale, targetCodes), pushWavAudio(audioBuffer));
+      let recognizedText = '';
+      const translations = {};
+      const readTranslations = (result) => Object.fromEntries(
+        targetCodes.map((c) => [c, (result.translations && result.translations.get(c)) || ''])
+      );
+
+      return runRecognizer(recognizer, {
+        timeoutMs,
+        onRecognizing: (result) => {
+          if (onPartialResult && result && result.reason === sdk.ResultReason.TranslatingSpeech) {
+            const original = (result.text || '').trim();
+            if (original) onPartialResult({ original, translations: readTranslations(result), isFinal: false });
+          }
+        },
+        onRecognized: (result) => {
+          if (result && result.reason === sdk.ResultReason.TranslatedSpeech) {
+            const original = (result.text || '').trim();
+            if (!original) return;
+            const segment = readTranslations(result);
+            recognizedText += (recognizedText ? ' ' : '') + original;
+            targetCodes.forEach((c) => {
+              translations[c] = translations[c] ? `${translations[c]} ${segment[c]}` : segment[c];
+            });
+            if (onPartialResult) onPartialResult({ original, translations: segment, isFinal: true });
+          }
+        },
+        getResult: () => ({ original: recognizedText.trim(), translations })
+      });
+    },
+
+    createTranslationStream: (locale, targetCodes, { sampleRate = 16000, onPartial, onFinal, onError }) => {
+      const pushStream = sdk.AudioInputStream.createPushStream(sdk.AudioStreamFormat.getWaveFormatPCM(sampleRate, 16, 1));
+      const recognizer = new sdk.TranslationRecognizer(
+        getTranslationConfig(locale, targetCodes),
+        sdk.AudioConfig.fromStreamInput(pushStream)
+      );
+      const readResult = (result) => ({
+        original: (result.text || '').trim(),
+        translations: Object.fromEntries(
+          targetCodes.map((c) => [c, (result.translations && result.translations.get(c)) || ''])
+        )
+      });
+
+      let closed = false;
+      let resolveStopped;
+      const stopped = new Promise((resolve) => { resolveStopped = resolve; });
+
+      recognizer.recognizing = (s, e) => {
+        if (e.result && e.result.reason === sdk.ResultReason.TranslatingSpeech && e.result.text) {
+          onPartial(readResult(e.result));
+        }
+      };
+      recognizer.recognized = (s, e) => {
+        if (e.result && e.result.reason === sdk.ResultReason.TranslatedSpeech && e.result.text) {
+          onFinal(readResult(e.result));
+        }
+      };
+      recognizer.canceled = (s, e) => {
+        if (e && e.reason === sdk.CancellationReason.Error) {
+          onError(new Error(e.errorDetails || 'Recognition canceled'));
+        }
+        resolveStopped();
+      };
+      recognizer.sessionStopped = () => resolveStopped();
+
+      recognizer.startContinuousRecognitionAsync(undefined, (err) => {
+        onError(new Error(err));
+        resolveStopped();
+      });
+
+      return {
+        write: (pcm) => {
+          if (!closed) pushStream.write(pcm);
+        },
+        // End of audio: wait for the last utterance to be recognized, then release the recognizer
+        close: async () => {
+          if (closed) return;
+          closed = true;
+          pushStream.close();
+          await Promise.race([stopped, new Promise((resolve) => setTimeout(resolve, 3000))]);
+          await new Promise((resolve) => {
+            try {
+              recognizer.stopContinuousRecognitionAsync(resolve, resolve);
+            } catch (e) {
+              resolve();
+            }
+          });
+          try { recognizer.close(); } catch (e) {}
+        }
+      };
+    },
+
+    getVoices,
+
+    textToSpeech: async (text, language, voiceOptions = {}) => {
+      const speechConfig = sdk.SpeechConfig.fromSubscription(requireEnv('AZURE_SPEECH_KEY'), requireEnv('AZURE_SPEECH_REGION'));
+      speechConfig.setServiceProperty('endpoint', endpoint, sdk.ServicePropertyChannel.UriQueryParameter);
+
+      const standardizedLanguage = language || 'en-US';
+      const voiceName = await pickVoice(standardizedLanguage, voiceOptions);
+      if (!voiceName) {
+        console.warn(`No voice found for language: ${standardizedLanguage}, falling back to English`);
+      }
+      speechConfig.speechSynthesisVoiceName = voiceName || 'en-US-JennyNeural';
+      console.log(`🔍 TTS: Using voice: ${speechConfig.speechSynthesisVoiceName}`);
+      speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio16Khz128KBitRateMonoMp3;
+
+      const ssmlLangCode = standardizedLanguage.includes('-') ? standardizedLanguage : (voiceName ? voiceName.split('-').slice(0, 2).join('-') : standardizedLanguage + '-' + standardizedLanguage.toUpperCase());
+      const ssml = `
+        <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${ssmlLangCode}">
+          <voice name="${escapeXml(speechConfig.speechSynthesisVoiceName)}">
+            ${speechBody(text, voiceOptions)}
+          </voice>
+        </speak>
+      `;
+
+      return speakSsml(speechConfig, ssml);
+    },
+
+    testConnection: async () => {
+      if (!key || !region) {
+        console.error('Azure Speech Service credentials not configured for connection test');
+        return false;
+      }
+
+      const speechConfig = sdk.SpeechConfig.fromSubscription(key, region);
+      speechConfig.speechSynthesisVoiceName = 'en-US-JennyNeural';
+      const synthesizer = new sdk.SpeechSynthesizer(speechConfig);
+
+      const result = await new Promise((resolve, reject) => {
+        synthesizer.speakTextAsync('Test',
+          result => {
+            synthesizer.close();
+            resolve(result);
+          },
+          error => {
+            synthesizer.close();
+            reject(error);
+          }
+        );
+      });
+
+      return result && result.reason === sdk.ResultReason.SynthesizingAudioCompleted;
+    }
+  };
+};
+
+module.exports = createAzureSpeechProvider;
@@ -0,0 +1,50 @@
+const { config } = require('../env');
+const createAzureSpeechProvider = require('./azureProvider');
+const createMockSpeechProvider = require('./mockProvider');
+
+/**
+ * Speech providers (speech-to-text, speech translation and text-to-speech).
+ *
+ * The provider is chosen with SPEECH_PROVIDER (default: 'azure'). A provider
+ * implements:
+ *   name
+ *   isConfigured() -> boolean
+ *   speechToText(wavBuffer, locale) -> Promise<string>   ('' when nothing was recognized)
+ *   translateSpeech(wavBuffer, locale, targetCodes, onPartialResult?, { timeoutMs }?)
+ *     -> Promise<{ original, translations: { [code]: text } }>
+ *     onPartialResult receives { original, translations, isFinal }
+ *   createTranslationStream(locale, targetCodes, { sampleRate, onPartial, onFinal, onError })
+ *     -> { write(pcmBuffer), close() -> Promise }   (optional)
+ *     one continuous recognizer fed 16-bit mono PCM; onPartial / onFinal receive
+ *     { original, translations } for the utterance in progress / just completed
+ *   textToSpeech(text, language, voiceOptions?) -> Promise<Buffer>   (encoded audio: MP3 or WAV)
+ *     voiceOptions: { voice?, gender?, style?, rate?, pitch? } (see voicePreferences.js)
+ *   getVoices(language) -> Promise<[{ name, displayName, locale, gender, styles }]>   (optional)
+ *     the voices for a language code, gender 'female' / 'male' / null
+ *   testConnection() -> Promise<boolean>   (optional)
+ * Register others with registerSpeechProvider().
+ */
+
+const providers = {
+  azure: createAzureSpeechProvider,
+  mock: createMockSpeechProvider
+};
+
+let provider = null;
+
+const registerSpeechProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const getSpeechProvider = () => {
+  if (provider) return provider;
+  const name = config.SPEECH_PROVIDER;
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown speech provider: ${name}`);
+  }
+  provider = factory();
+  return provider;
+};
+
+module.exports = { registerSpeechProvider, getSpeechProvider };
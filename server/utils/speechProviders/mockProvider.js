@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../env');
+const { parseWav, getWavDurationMs, getPeakLevel, encodeWav } = require('../wavUtils');
+const { getTranslationProvider } = require('../translationProviders');
+const { languageKey } = require('../voicePreferences');
+
+/**
+ * Offline speech engine for development, CI and exercising the socket audio
+ * handlers without Azure.
+ *
+ * Speech-to-text: SPEECH_MOCK_FIXTURES points at a directory of WAV fixtures
+ * with a transcripts.json next to them, e.g.
+ *   { "hello.wav": "Hello, how are you?", "namaste.wav": { "hi": "नमस्ते", "en": "Hello" } }
+ * (a per-language object is looked up by the recognition language). Incoming audio
+ * is matched on its PCM data, so sending a fixture's bytes returns its script.
+ * Silent audio recognizes nothing; any other audio returns
+ * SPEECH_MOCK_DEFAULT_TRANSCRIPT (empty: nothing recognized).
+ *
+ * Speech translation runs the mock STT and then the configured text
+ * translation provider. Text-to-speech returns a 16 kHz mono WAV whose length
+ * follows the text, containing a tone or silence (SPEECH_MOCK_TTS). Every
+ * language has a female and a male voice ('<code>-mock-female' / '-male'),
+ * which set the tone's pitch; rate and pitch change its length and pitch.
+ *
+ * Translation streams split the incoming PCM into utterances at pauses of
+ * STREAM_END_SILENCE_MS and recognize each one like a WAV chunk, without its
+ * trailing silence (so streaming a fixture followed by silence matches it).
+ * They report final results only.
+ */
+
+const SAMPLE_RATE = 16000;
+const MS_PER_CHARACTER = 70;
+const MIN_SPEECH_MS = 500;
+const MAX_SPEECH_MS = 15000;
+const TONE_HZ = { female: 440, male: 220 };
+const TONE_AMPLITUDE = 0.2;
+// Peak level below which audio counts as silence
+const SILENCE_LEVEL = 0.01;
+// A pause this long ends an utterance in a translation stream; longer speech is cut here
+const STREAM_END_SILENCE_MS = 600;
+const STREAM_MAX_UTTERANCE_MS = 15000;
+
+const hashPcm = (data) => crypto.createHash('sha1').update(data).digest('hex');
+
+const loadFixtures = (dir) => {
+  const fixtures = new Map(); // pcm hash -> transcript (string or { lang: text })
+  if (!dir) return fixtures;
+
+  const root = path.resolve(process.cwd(), dir);
+  try {
+    const transcripts = JSON.parse(fs.readFileSync(path.join(root, 'transcripts.json'), 'utf8'));
+    for (const [file, transcript] of Object.entries(transcripts)) {
+      const wav = parseWav(fs.readFileSync(path.join(root, file)));
+      if (!wav) {
+        console.warn(`Mock speech fixture ${file} is not a WAV file, skipping`);
+        continue;
+      }
+      fixtures.set(hashPcm(wav.data), transcript);
+    }
+  } catch (error) {
+    console.error(`Failed to load mock speech fixtures from ${dir}:`, error.message);
+  }
+  return fixtures;
+};
+
+const pickTranscript = (transcript, locale) => {
+  if (typeof transcript === 'string') return transcript;
+  const code = (locale || '').split('-')[0];
+  return transcript[locale] || transcript[code] || Object.values(transcript)[0] || '';
+};
+
+const mockVoices = (language) => {
+  const code = languageKey(language);
+  return [
+    { name: `${code}-mock-female`, displayName: 'Mock (female)', locale: code, gender: 'female', styles: ['cheerful', 'calm'] },
+    { name: `${code}-mock-male`, displayName: 'Mock (male)', locale: code, gender: 'male', styles: [] }
+  ];
+};
+
+const synthesize = (text, withTone, { voice, gender, rate = 0, pitch = 0 } = {}) => {
+  const baseMs = Math.min(Math.max(text.length * MS_PER_CHARACTER, MIN_SPEECH_MS), MAX_SPEECH_MS);
+  const durationMs = baseMs / (1 + rate / 100);
+  const samples = new Int16Array(Math.round((durationMs / 1000) * SAMPLE_RATE));
+  if (withTone) {
+    const voiceGender = voice ? (voice.endsWith('-mock-male') ? 'male' : 'female') : gender;
+    const toneHz = (TONE_HZ[voiceGender] || TONE_HZ.female) * (1 + pitch / 100);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.round(Math.sin((2 * Math.PI * toneHz * i) / SAMPLE_RATE) * TONE_AMPLITUDE * 32767);
+    }
+  }
+  return encodeWav(samples, SAMPLE_RATE);
+};
+
+const createMockSpeechProvider = () => {
+  const fixtures = loadFixtures(config.SPEECH_MOCK_FIXTURES);
+
+  const speechToText = async (audioBuffer, locale) => {
+    const wav = parseWav(audioBuffer);
+    if (!wav || getWavDurationMs(wav) === 0) return '';
+
+    const transcript = fixtures.get(hashPcm(wav.data));
+    if (transcript !== undefined) return pickTranscript(transcript, locale);
+    if (getPeakLevel(wav) < SILENCE_LEVEL) return '';
+    return config.SPEECH_MOCK_DEFAULT_TRANSCRIPT;
+  };
+
+  const translateSpeech = async (audioBuffer, locale, targetCodes) => {
+    const original = await speechToText(audioBuffer, locale);
+    const translations = {};
+    if (!original) return { original, translations };
+
+    const translator = getTranslationProvider();
+    const sourceCode = locale.split('-')[0];
+    for (const code of targetCodes) {
+      if (code === sourceCode || !translator.isConfigured()) {
+        translations[code] = original;
+      } else {
+        const [result] = await translator.translate([original], code, sourceCode);
+        translations[code] = result.text;
+      }
+    }
+    return { original, translations };
+  };
+
+  return {
+    name: 'mock',
+
+    isConfigured: () => true,
+
+    speechToText,
+
+    translateSpeech: async (audioBuffer, locale, targetCodes, onPartialResult = null) => {
+      const result = await translateSpeech(audioBuffer, locale, targetCodes);
+      if (result.original && onPartialResult) onPartialResult({ ...result, isFinal: true });
+      return result;
+    },
+
+    createTranslationStream: (locale, targetCodes, { sampleRate = 16000, onFinal, onError }) => {
+      const bytesPerMs = (sampleRate * 2) / 1000;
+      let frames = []; // PCM of the current utterance, up to its last voiced frame
+      let pendingSilence = [];
+      let voicedMs = 0;
+      let silenceMs = 0;
+      let closed = false;
+      // Utterances are recognized one after another so results keep their order
+      let queue = Promise.resolve();
+
+      const flush = () => {
+        if (!frames.length) return queue;
+        const wav = encodeWav(Buffer.concat(frames), sampleRate);
+        frames = [];
+        pendingSilence = [];
+        voicedMs = 0;
+        silenceMs = 0;
+        queue = queue.then(async () => {
+          try {
+            const result = await translateSpeech(wav, locale, targetCodes);
+            if (result.original) onFinal(result);
+          } catch (error) {
+            onError(error);
+          }
+        });
+        return queue;
+      };
+
+      return {
+        write: (pcm) => {
+          if (closed || !pcm.length) return;
+          const frameMs = pcm.length / bytesPerMs;
+          const silent = getPeakLevel({ bitsPerSample: 16, data: pcm }) < SILENCE_LEVEL;
+
+          if (!silent) {
+            // Pauses inside an utterance belong to it
+            frames.push(...pendingSilence, pcm);
+            pendingSilence = [];
+            voicedMs += silenceMs + frameMs;
+            silenceMs = 0;
+            if (voicedMs >= STREAM_MAX_UTTERANCE_MS) flush();
+          } else if (frames.length) {
+            pendingSilence.push(pcm);
+            silenceMs += frameMs;
+            if (silenceMs >= STREAM_END_SILENCE_MS) flush();
+          }
+        },
+        close: async () => {
+          if (closed) return;
+          closed = true;
+          await flush();
+        }
+      };
+    },
+
+    getVoices: async (language) => mockVoices(language),
+
+    textToSpeech: async (text, language, voiceOptions) => synthesize(text, config.SPEECH_MOCK_TTS !== 'silence', voiceOptions || {}),
+
+    testConnection: async () => true
+  };
+};
+
+module.exports = createMockSpeechProvider;
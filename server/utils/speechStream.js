@@ -0,0 +1,105 @@
+const { getSpeechProvider } = require('./speechProviders');
+const { toSpeechLocale, toLanguageCode } = require('./speechTranslationSDK');
+const { getPeakLevel } = require('./wavUtils');
+const { toBuffer } = require('./audioPayload');
+
+// Frames larger than this are refused (about 2 s of 48 kHz audio)
+const MAX_FRAME_BYTES = 192000;
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 22050, 24000, 32000, 44100, 48000];
+// Frames quieter than this don't start an utterance's timing
+const SPEECH_LEVEL = 0.01;
+
+/**
+ * Streaming speech translation for one speaker.
+ *
+ * Instead of a fresh recognizer per WAV chunk, the speaker's client streams
+ * 16-bit mono PCM frames into one continuous recognizer of the speech provider
+ * (see createTranslationStream in speechProviders). Each utterance gets a
+ * segment id, `<sessionId>:<n>`, shared by its partial results and its final
+ * result, so clients can replace a partial caption in place.
+ */
+class SpeechStreamSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - session id chosen by the client
+   * @param {string} options.sourceLanguage - what the speaker speaks
+   * @param {string} options.targetLanguage - what to translate to
+   * @param {number} [options.sampleRate]
+   * @param {Function} options.onResult - ({ segmentId, original, translated, isFinal, startedAt })
+   * @param {Function} [options.onError]
+   */
+  constructor({ id, sourceLanguage, targetLanguage, sampleRate = 16000, onResult, onError }) {
+    const provider = getSpeechProvider();
+    if (typeof provider.createTranslationStream !== 'function') {
+      throw new Error(`Speech provider ${provider.name} does not support streaming`);
+    }
+    if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate)) {
+      throw new Error(`Unsupported sample rate: ${sampleRate}`);
+    }
+
+    this.id = id;
+    this.sourceLanguage = sourceLanguage;
+    this.targetLanguage = targetLanguage;
+    this.sequence = 0;
+    // When the current utterance's first frame arrived
+    this.utteranceStartedAt = null;
+    this.closed = false;
+
+    const targetCode = toLanguageCode(targetLanguage);
+    const report = (result, isFinal) => {
+      const segmentId = `${this.id}:${this.sequence}`;
+      const startedAt = this.utteranceStartedAt || Date.now();
+      if (isFinal) {
+        this.sequence++;
+        this.utteranceStartedAt = null;
+      }
+      onResult({
+        segmentId,
+        original: result.original,
+        translated: result.translations[targetCode] || '',
+        isFinal,
+        startedAt
+      });
+    };
+
+    this.stream = provider.createTranslationStream(toSpeechLocale(sourceLanguage), [targetCode], {
+      sampleRate,
+      onPartial: (result) => report(result, false),
+      onFinal: (result) => report(result, true),
+      onError: (error) => {
+        console.error(`Speech stream ${this.id} failed:`, error.message);
+        if (onError) onError(error);
+      }
+    });
+  }
+
+  /**
+   * Feed a frame of PCM audio. Returns false when the frame was refused.
+   * @param {Buffer|ArrayBuffer|Uint8Array} frame
+   */
+  write(frame) {
+    if (this.closed || !frame) return false;
+    const pcm = toBuffer(frame);
+    if (!pcm || !pcm.length || pcm.length > MAX_FRAME_BYTES || pcm.length % 2 !== 0) return false;
+    if (!this.utteranceStartedAt && getPeakLevel({ bitsPerSample: 16, data: pcm }) >= SPEECH_LEVEL) {
+      this.utteranceStartedAt = Date.now();
+    }
+    this.stream.write(pcm);
+    return true;
+  }
+
+  /**
+   * Stop streaming; resolves once the last utterance has been reported.
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    try {
+      await this.stream.close();
+    } catch (error) {
+      console.error(`Failed to close speech stream ${this.id}:`, error.message);
+    }
+  }
+}
+
+module.exports = { SpeechStreamSession };
@@ -1,15 +1,12 @@
-const sdk = require('microsoft-cognitiveservices-speech-sdk');
-const { config, requireEnv } = require('./env');
+const crypto = require('crypto');
 const { retry } = require('./retry');
 const cache = require('./translationCache');
-
-// Ensure required envs are present when this module is used
-const SPEECH_KEY = requireEnv('AZURE_SPEECH_KEY');
-const SPEECH_REGION = requireEnv('AZURE_SPEECH_REGION');
+const { getSpeechProvider } = require('./speechProviders');
+const { isValidWavFormat } = require('./wavUtils');
 
 /**
- * Map language codes to Azure Speech Service locale codes
- * Azure requires locale-specific codes for speech recognition (e.g., 'en-US', 'hi-IN')
+ * Map language codes to speech locale codes
+ * Speech recognition requires locale-specific codes (e.g., 'en-US', 'hi-IN')
  * but only language codes for translation targets (e.g., 'en', 'hi')
  */
 const LANGUAGE_LOCALE_MAP = {
@@ -57,21 +54,8 @@ const toLanguageCode = (locale) => {
   return locale.split('-')[0];
 };
 
-// Simple in-memory pool for SpeechTranslationConfig per (key, region, sourceLocale + targets)
-const configPool = new Map();
-function getTranslationConfig(sourceLocale, targetLangCodes = []) {
-  const key = [SPEECH_KEY, SPEECH_REGION, sourceLocale, targetLangCodes.join(',')].join('|');
-  if (configPool.has(key)) return configPool.get(key);
-  const c = sdk.SpeechTranslationConfig.fromSubscription(SPEECH_KEY, SPEECH_REGION);
-  c.speechRecognitionLanguage = sourceLocale;
-  targetLangCodes.forEach((t) => c.addTargetLanguage(t));
-  // Conservative timeouts
-  c.setProperty(sdk.PropertyId.SpeechServiceConnection_InitialSilenceTimeoutMs, '3000');
-  c.setProperty(sdk.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, '500');
-  c.enableDictation();
-  configPool.set(key, c);
-  return c;
-}
+// Hash the whole clip: buffers of the same length share their WAV header
+const hashAudio = (audioBuffer) => crypto.createHash('sha1').update(audioBuffer).digest('hex');
 
 // Helper to create a small stable key for cache
 function makeCacheKey(prefix, data) {
@@ -93,8 +77,8 @@ function makeCacheKey(prefix, data) {
  */
 
 /**
- * Translate speech directly to target language using Azure Speech Translation SDK
- * This is FASTER than separate speech-to-text + text-translation
+ * Translate speech directly to target language with the speech provider's speech translation
+ * (SPEECH_PROVIDER). This is FASTER than separate speech-to-text + text-translation
  * 
  * @param {Buffer} audioBuffer - WAV audio buffer
  * @param {string} sourceLanguage - Source language code (e.g., 'en-US')
@@ -119,80 +103,23 @@ const translateSpeechDirect = async (audioBuffer, sourceLanguage, targetLanguage
     return { original: '', translated: '', error: 'Audio too short' };
   }
 
-  const cacheKey = makeCacheKey('stt_translate', { hash: audioBuffer.toString('base64').slice(0, 64), sourceLocale, targetLangCode });
+  const cacheKey = makeCacheKey('stt_translate', { hash: hashAudio(audioBuffer), sourceLocale, targetLangCode });
   const cached = cache.get(cacheKey);
   if (cached) return { original: cached.original, translated: cached.translated, error: null };
 
   const run = async () => {
-    // Use a pooled translation config to avoid recreating objects
-    const translationConfig = getTranslationConfig(sourceLocale, [targetLangCode]);
-
-    const pushStream = sdk.AudioInputStream.createPushStream();
-    const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
-    const recognizer = new sdk.TranslationRecognizer(translationConfig, audioConfig);
-
-    // Write audio in chunks for streaming SDK
-    const chunkSize = 32768;
-    for (let i = 44; i < audioBuffer.length; i += chunkSize) {
-      const chunk = audioBuffer.slice(i, Math.min(i + chunkSize, audioBuffer.length));
-      pushStream.write(chunk);
-    }
-    pushStream.close();
-
-    return await new Promise((resolve, reject) => {
-      let recognizedText = '';
-      let translatedText = '';
-
-      recognizer.recognizing = (s, e) => {
-        try {
-          if (e.result && e.result.reason === sdk.ResultReason.TranslatingSpeech) {
-            const partialOriginal = (e.result.text || '').trim();
-            const partialTranslation = e.result.translations ? e.result.translations.get(targetLangCode) : '';
-            if (partialOriginal && onPartialResult) {
-              onPartialResult({ original: partialOriginal, translated: partialTranslation || '', isFinal: false });
-            }
-          }
-        } catch (err) { /* ignore partial handler errors */ }
-      };
-
-      recognizer.recognized = (s, e) => {
-        if (e.result && e.result.reason === sdk.ResultReason.TranslatedSpeech) {
-          const original = (e.result.text || '').trim();
-          const translation = (e.result.translations && e.result.translations.get(targetLangCode)) || '';
-          if (original) {
-            recognizedText += (recognizedText ? ' ' : '') + original;
-            translatedText += (translatedText ? ' ' : '') + translation;
-            if (onPartialResult) onPartialResult({ original, translated: translation || '', isFinal: true });
-          }
-        }
-      };
-
-      recognizer.canceled = (s, e) => {
-        if (e && e.reason === sdk.CancellationReason.Error) {
-          reject(new Error(e.errorDetails || 'Recognition canceled'));
-        }
-        stopRecognition();
-      };
-
-      recognizer.sessionStopped = () => stopRecognition();
-
-      const stopRecognition = () => {
-        try {
-          recognizer.stopContinuousRecognitionAsync(() => {
-            try { recognizer.close(); } catch (e) {}
-            resolve({ original: recognizedText.trim(), translated: translatedText.trim() });
-          });
-        } catch (e) {
-          // fallback resolve
-          resolve({ original: recognizedText.trim(), translated: translatedText.trim() });
-        }
-      };
-
-      // Safety timeout
-      const timer = setTimeout(() => stopRecognition(), 7000);
-
-      recognizer.startContinuousRecognitionAsync();
-    });
+    const result = await getSpeechProvider().translateSpeech(
+      audioBuffer,
+      sourceLocale,
+      [targetLangCode],
+      onPartialResult && ((partial) => onPartialResult({
+        original: partial.original,
+        translated: partial.translations[targetLangCode] || '',
+        isFinal: partial.isFinal
+      })),
+      { timeoutMs: 7000 }
+    );
+    return { original: result.original, translated: result.translations[targetLangCode] || '' };
   };
 
   try {
@@ -225,57 +152,11 @@ const translateSpeechToMultipleLanguages = async (audioBuffer, sourceLanguage, t
   const sourceLocale = toSpeechLocale(sourceLanguage);
   const targetCodes = targetLanguages.map((l) => toLanguageCode(l));
 
-  const cacheKey = makeCacheKey('stt_translate_multi', { hash: audioBuffer.toString('base64').slice(0, 64), sourceLocale, targetCodes });
+  const cacheKey = makeCacheKey('stt_translate_multi', { hash: hashAudio(audioBuffer), sourceLocale, targetCodes });
   const cached = cache.get(cacheKey);
   if (cached) return { original: cached.original, translations: cached.translations, error: null };
 
-  const run = async () => {
-    const translationConfig = getTranslationConfig(sourceLocale, targetCodes);
-    const pushStream = sdk.AudioInputStream.createPushStream();
-    const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
-    const recognizer = new sdk.TranslationRecognizer(translationConfig, audioConfig);
-
-    const chunkSize = 32768;
-    for (let i = 44; i < audioBuffer.length; i += chunkSize) {
-      pushStream.write(audioBuffer.slice(i, Math.min(i + chunkSize, audioBuffer.length)));
-    }
-    pushStream.close();
-
-    return await new Promise((resolve, reject) => {
-      let recognizedText = '';
-      const translations = {};
-
-      recognizer.recognized = (s, e) => {
-        if (e.result && e.result.reason === sdk.ResultReason.TranslatedSpeech) {
-          recognizedText = (e.result.text || '').trim();
-          targetCodes.forEach((c) => {
-            translations[c] = (e.result.translations && e.result.translations.get(c)) || '';
-          });
-        }
-      };
-
-      recognizer.canceled = (s, e) => {
-        if (e && e.reason === sdk.CancellationReason.Error) reject(new Error(e.errorDetails || 'Canceled'));
-        stopRecognition();
-      };
-
-      recognizer.sessionStopped = () => stopRecognition();
-
-      const stopRecognition = () => {
-        try {
-          recognizer.stopContinuousRecognitionAsync(() => {
-            try { recognizer.close(); } catch (e) {}
-            resolve({ original: recognizedText, translations });
-          });
-        } catch (e) {
-          resolve({ original: recognizedText, translations });
-        }
-      };
-
-      setTimeout(() => stopRecognition(), 8000);
-      recognizer.startContinuousRecognitionAsync();
-    });
-  };
+  const run = () => getSpeechProvider().translateSpeech(audioBuffer, sourceLocale, targetCodes, null, { timeoutMs: 8000 });
 
   try {
     const result = await retry(run, { retries: 2, minDelay: 300, maxDelay: 2000 });
@@ -286,13 +167,6 @@ const translateSpeechToMultipleLanguages = async (audioBuffer, sourceLanguage, t
   }
 };
 
-// Helper function to validate WAV format
-const isValidWavFormat = (buffer) => {
-  return buffer.length >= 44 && 
-         buffer.slice(0, 4).toString('ascii') === 'RIFF' && 
-         buffer.slice(8, 12).toString('ascii') === 'WAVE';
-};
-
 module.exports = {
   translateSpeechDirect,
   translateSpeechToMultipleLanguages,
@@ -1,10 +1,4 @@
-const sdk = require("microsoft-cognitiveservices-speech-sdk");
-
-// Azure Speech Service configuration
-const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
-const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
-
-// Language code mapping for Azure Speech Service
+// Language code mapping for speech locales
 // Maps short codes (fr, en) to full locale codes (fr-FR, en-US)
 const languageCodeMap = {
   // Major languages
@@ -112,25 +106,19 @@ const speechToText = async (audioBuffer, sourceLanguage, onPartialResult = null)
   }
 }
 
-// ✅ OPTIMIZED: Keep-alive agent for Azure API connection pooling
-const https = require('https');
-const keepAliveAgent = new https.Agent({
-  keepAlive: true,
-  keepAliveMsecs: 30000,
-  maxSockets: 50,
-  maxFreeSockets: 10,
-  timeout: 60000
-});
+const { getTranslationProvider } = require('./translationProviders');
+const { isEmptyGlossary, translateWithGlossary } = require('./glossary');
 
 /**
- * Translate text using Azure Translator API with CONNECTION POOLING
+ * Translate text with the configured translation provider (TRANSLATION_PROVIDER)
  * @param {string} text - Text to translate
  * @param {string} sourceLanguage - Source language code (short code like 'en', 'hi')
  * @param {string} targetLanguage - Target language code (short code like 'fr', 'es')
+ * @param {Object} [glossary] - Forced translations / do-not-translate terms (see glossary.js)
  * @returns {Promise<{text: string, error: string|null}>}
  */
 // Detailed translator: returns structured { text, error }
-const translateTextDetailed = async (text, sourceLanguage, targetLanguage) => {
+const translateTextDetailed = async (text, sourceLanguage, targetLanguage, glossary) => {
   try {
     if (!text || !text.trim()) {
       return { text: '', error: 'No text to translate' };
@@ -141,16 +129,9 @@ const translateTextDetailed = async (text, sourceLanguage, targetLanguage) => {
       return { text: text, error: null };
     }
 
-    const axios = require('axios');
-    const { v4: uuidv4 } = require('uuid');
-    
-    // Azure Translator configuration
-    const TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-    const TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-    const TRANSLATOR_ENDPOINT = process.env.AZURE_TRANSLATOR_ENDPOINT;
-
-    if (!TRANSLATOR_KEY || !TRANSLATOR_ENDPOINT) {
-      console.warn('⚠️ Azure Translator credentials not configured, returning original text');
+    const provider = getTranslationProvider();
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ Translation provider '${provider.name}' not configured, returning original text`);
       return { text: text, error: null };
     }
 
@@ -173,34 +154,16 @@ const translateTextDetailed = async (text, sourceLanguage, targetLanguage) => {
       return { text: text, error: null };
     }
 
-    const url = `${TRANSLATOR_ENDPOINT}/translate`;
-    const params = {
-      'api-version': '3.0',
-      'from': sourceCode,
-      'to': targetCode
-    };
-
     console.log(`🌐 Translating: "${text}" from ${sourceCode} to ${targetCode}`);
 
-    // ✅ OPTIMIZED: Add timeout and keep-alive agent for connection pooling
-    const response = await axios({
-      method: 'post',
-      url: url,
-      params: params,
-      headers: {
-        'Ocp-Apim-Subscription-Key': TRANSLATOR_KEY,
-        'Ocp-Apim-Subscription-Region': TRANSLATOR_REGION,
-        'Content-Type': 'application/json',
-        'X-ClientTraceId': uuidv4()
-      },
-      data: [{
-        text: text
-      }],
-      timeout: 3000, // 3 second timeout for translation
-      httpsAgent: keepAliveAgent // Use connection pooling
-    });
-
-    const translatedText = response.data[0].translations[0].text;
+    // Short timeout: this runs in the live call pipeline
+    const translate = async (texts) => {
+      const results = await provider.translate(texts, targetCode, sourceCode, { timeout: 3000 });
+      return results.map(result => result.text);
+    };
+    const [translatedText] = isEmptyGlossary(glossary)
+      ? await translate([text])
+      : await translateWithGlossary([text], targetCode, glossary, translate);
     console.log(`✅ Translation result: "${translatedText}"`);
     
     return { text: translatedText, error: null };
@@ -212,8 +175,8 @@ const translateTextDetailed = async (text, sourceLanguage, targetLanguage) => {
 
 // Public translator: simple string-returning wrapper to keep API convenient.
 // Returns translated string or empty string on error.
-const translateText = async (text, sourceLanguage, targetLanguage) => {
-  const result = await translateTextDetailed(text, sourceLanguage, targetLanguage);
+const translateText = async (text, sourceLanguage, targetLanguage, glossary) => {
+  const result = await translateTextDetailed(text, sourceLanguage, targetLanguage, glossary);
   return result.text || '';
 };
 
@@ -308,12 +271,13 @@ const recognizeSpeech = async (audioBuffer, sourceLanguage) => {
  * @param {string} text - Text to translate
  * @param {string} sourceLanguage - Source language code
  * @param {string} targetLanguage - Target language code
+ * @param {Object} [glossary] - Room/user glossary to apply
  * @returns {Promise<string>} - Translated text
  */
-const translateTextOnly = async (text, sourceLanguage, targetLanguage) => {
+const translateTextOnly = async (text, sourceLanguage, targetLanguage, glossary) => {
   try {
     // translateText returns a string (translated text) or '' on error
-    const translated = await translateText(text, sourceLanguage, targetLanguage);
+    const translated = await translateText(text, sourceLanguage, targetLanguage, glossary);
     return translated || '';
   } catch (error) {
     console.error('Text translation error:', error);
@@ -0,0 +1,42 @@
+const { config } = require('../env');
+const createLocalSummarizer = require('./localSummarizer');
+
+/**
+ * Call summarizers, used for the summary posted after a group call.
+ *
+ * The summarizer is chosen with SUMMARIZER (default: 'local'). A summarizer
+ * implements:
+ *   name
+ *   language -> language it works in; transcripts are translated into it first
+ *              (optional: otherwise the language most of the call was in)
+ *   isConfigured() -> boolean
+ *   summarize({ segments: [{ speakerName, text }], participants: [name], language })
+ *     -> Promise<{ keyPoints: [string], decisions: [string],
+ *                  actionItems: [{ text, assignee }] }>
+ * All segment texts are in `language`; an action item's assignee is one of
+ * `participants`, or null when nobody was named.
+ * Register others with registerSummarizer().
+ */
+
+const summarizers = {
+  local: createLocalSummarizer
+};
+
+let summarizer = null;
+
+const registerSummarizer = (name, factory) => {
+  summarizers[name] = factory;
+};
+
+const getSummarizer = () => {
+  if (summarizer) return summarizer;
+  const name = config.SUMMARIZER;
+  const factory = summarizers[name];
+  if (!factory) {
+    throw new Error(`Unknown summarizer: ${name}`);
+  }
+  summarizer = factory();
+  return summarizer;
+};
+
+module.exports = { registerSummarizer, getSummarizer };
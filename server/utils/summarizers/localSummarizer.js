@@ -0,0 +1,110 @@
+/**
+ * Offline extractive summarizer.
+ *
+ * Key points are the sentences whose words come up most across the call.
+ * Decisions and action items are sentences with cue phrases ("we agreed",
+ * "will", "needs to", ...); an action item is assigned to the participant it
+ * names, or to the speaker for "I will ...". The cues are English, so
+ * transcripts are translated to English before summarizing.
+ */
+
+const MAX_KEY_POINTS = 5;
+const MAX_DECISIONS = 10;
+const MAX_ACTION_ITEMS = 15;
+// Sentences shorter than this (in words) are chatter, not key points
+const MIN_KEY_POINT_WORDS = 5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with',
+  'by', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'it', 'its', "it's", 'this', 'that',
+  'these', 'those', 'i', "i'm", 'me', 'my', 'we', 'our', 'us', 'you', 'your', 'he', 'she', 'they', 'them',
+  'their', 'his', 'her', 'do', 'does', 'did', 'have', 'has', 'had', 'will', "i'll", "we'll", 'would',
+  'can', 'could', 'should', 'not', 'no', 'yes', 'ok', 'okay', 'just', 'also', 'very', 'really', 'there',
+  'here', 'what', 'which', 'who', 'how', 'when', 'where', 'why', 'all', 'any', 'some', 'about', 'up',
+  'out', 'into', 'than', 'too', 'more', 'like', 'yeah', 'um', 'uh', 'right', 'well', 'know', 'think'
+]);
+
+const DECISION_CUES = /\b(decided|decide|agreed|agree|decision|approved|settled|going with|go with|final|let's|lets)\b/i;
+const ACTION_CUES = /\b(will|'ll|need to|needs to|has to|have to|should|must|please|can you|could you|follow up|take care of|action item|to-?do|by (today|tomorrow|monday|tuesday|wednesday|thursday|friday|next week|end of))\b/i;
+const SELF_ASSIGNED = /^\s*(i will|i'll|i can|i am going to|i'm going to|let me)\b/i;
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?।。？！])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The first participant named in the sentence, by full name or first word of it
+const findAssignee = (sentence, participants) => participants.find(name => {
+  const candidates = [name, name.split(/[\s._-]+/)[0]].filter(candidate => candidate.length > 1);
+  return candidates.some(candidate => new RegExp(`(^|[^\\p{L}])${escapeRegExp(candidate)}($|[^\\p{L}])`, 'iu').test(sentence));
+}) || null;
+
+const createLocalSummarizer = () => ({
+  name: 'local',
+
+  language: 'en',
+
+  isConfigured: () => true,
+
+  summarize: async ({ segments, participants = [] }) => {
+    const sentences = [];
+    segments.forEach(segment => splitSentences(segment.text || '').forEach(text => {
+      sentences.push({ text, speakerName: segment.speakerName, index: sentences.length });
+    }));
+
+    const frequencies = new Map();
+    sentences.forEach(({ text }) => tokenize(text).forEach(word => {
+      if (!STOPWORDS.has(word)) frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }));
+
+    const decisions = [];
+    const actionItems = [];
+    const used = new Set();
+
+    sentences.forEach(sentence => {
+      const named = findAssignee(sentence.text, participants);
+      const selfAssigned = SELF_ASSIGNED.test(sentence.text) && participants.includes(sentence.speakerName);
+      const assignee = named || (selfAssigned ? sentence.speakerName : null);
+
+      if (ACTION_CUES.test(sentence.text) && (assignee || /\b(action item|to-?do|follow up)\b/i.test(sentence.text))) {
+        if (actionItems.length < MAX_ACTION_ITEMS) {
+          actionItems.push({ text: sentence.text, assignee });
+          used.add(sentence.index);
+        }
+      } else if (DECISION_CUES.test(sentence.text) && decisions.length < MAX_DECISIONS) {
+        decisions.push(sentence.text);
+        used.add(sentence.index);
+      }
+    });
+
+    // Score by how common the sentence's words are in the whole call
+    const seen = new Set();
+    const keyPoints = sentences
+      .filter(sentence => !used.has(sentence.index))
+      .map(sentence => {
+        const words = tokenize(sentence.text);
+        const content = words.filter(word => !STOPWORDS.has(word));
+        const score = content.reduce((sum, word) => sum + frequencies.get(word), 0) / Math.sqrt(words.length || 1);
+        return { ...sentence, words: words.length, score };
+      })
+      .filter(sentence => sentence.words >= MIN_KEY_POINT_WORDS)
+      .sort((a, b) => b.score - a.score)
+      .filter(sentence => {
+        const key = sentence.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_KEY_POINTS)
+      .sort((a, b) => a.index - b.index)
+      .map(sentence => sentence.text);
+
+    return { keyPoints, decisions, actionItems };
+  }
+});
+
+module.exports = createLocalSummarizer;
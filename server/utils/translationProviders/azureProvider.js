@@ -0,0 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('../env');
+const { instance: http } = require('../httpClient');
+
+// Azure accepts up to 1000 elements / 50,000 characters per request; stay well below
+const MAX_BATCH_ITEMS = 100;
+const MAX_BATCH_CHARS = 40000;
+
+// Split texts into request-sized chunks
+const chunkTexts = (texts) => {
+  const chunks = [];
+  let current = [];
+  let chars = 0;
+  for (const text of texts) {
+    if (current.length && (current.length >= MAX_BATCH_ITEMS || chars + text.length > MAX_BATCH_CHARS)) {
+      chunks.push(current);
+      current = [];
+      chars = 0;
+    }
+    current.push(text);
+    chars += text.length;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Azure Translator (Cognitive Services Text Translation v3).
+ * Needs AZURE_TRANSLATOR_KEY and AZURE_TRANSLATOR_ENDPOINT (+ AZURE_TRANSLATOR_REGION).
+ */
+const createAzureProvider = () => {
+  const key = config.AZURE_TRANSLATOR_KEY;
+  const region = config.AZURE_TRANSLATOR_REGION;
+  const endpoint = config.AZURE_TRANSLATOR_ENDPOINT;
+
+  const headers = () => ({
+    'Ocp-Apim-Subscription-Key': key,
+    'Ocp-Apim-Subscription-Region': region,
+    'Content-Type': 'application/json',
+    'X-ClientTraceId': uuidv4()
+  });
+
+  const requestTranslations = async (texts, targetLang, sourceLang, options) => {
+    const params = {
+      'api-version': '3.0',
+      'to': targetLang
+    };
+    if (sourceLang) {
+      params.from = sourceLang;
+    }
+
+    const response = await http.post(`${endpoint}/translate`, texts.map(text => ({ text })), {
+      params,
+      headers: headers(),
+      timeout: options.timeout
+    });
+
+    return response.data.map(item => ({
+      text: item.translations[0].text,
+      detectedLanguage: item.detectedLanguage?.language || sourceLang || null
+    }));
+  };
+
+  return {
+    name: 'azure',
+
+    isConfigured: () => Boolean(key && endpoint),
+
+    translate: async (texts, targetLang, sourceLang, options = {}) => {
+      const results = [];
+      for (const chunk of chunkTexts(texts)) {
+        results.push(...await requestTranslations(chunk, targetLang, sourceLang, options));
+      }
+      return results;
+    },
+
+    detect: async (texts, options = {}) => {
+      const results = [];
+      for (const chunk of chunkTexts(texts)) {
+        const response = await http.post(`${endpoint}/detect`, chunk.map(text => ({ text })), {
+          params: { 'api-version': '3.0' },
+          headers: headers(),
+          timeout: options.timeout
+        });
+        results.push(...response.data.map(item => ({ language: item.language, score: item.score })));
+      }
+      return results;
+    },
+
+    getLanguages: async () => {
+      const response = await http.get(`${endpoint}/languages`, {
+        params: { 'api-version': '3.0', scope: 'translation' },
+        headers: headers()
+      });
+      return response.data.translation || {};
+    }
+  };
+};
+
+module.exports = createAzureProvider;
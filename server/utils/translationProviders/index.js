@@ -0,0 +1,42 @@
+const { config } = require('../env');
+const createAzureProvider = require('./azureProvider');
+const createLocalProvider = require('./localProvider');
+
+/**
+ * Text translation providers.
+ *
+ * The provider is chosen with TRANSLATION_PROVIDER (default: 'azure'). A provider
+ * implements:
+ *   name
+ *   isConfigured() -> boolean
+ *   translate(texts, targetLang, sourceLang?, { timeout }?)
+ *     -> Promise<Array<{ text, detectedLanguage }>> in input order
+ *   detect(texts, { timeout }?)
+ *     -> Promise<Array<{ language, score }>> in input order, score 0-1   (optional)
+ *   getLanguages() -> Promise<{ [code]: { name, nativeName, dir } }>   (optional)
+ * Register others with registerTranslationProvider().
+ */
+
+const providers = {
+  azure: createAzureProvider,
+  local: createLocalProvider
+};
+
+let provider = null;
+
+const registerTranslationProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const getTranslationProvider = () => {
+  if (provider) return provider;
+  const name = config.TRANSLATION_PROVIDER;
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+  provider = factory();
+  return provider;
+};
+
+module.exports = { registerTranslationProvider, getTranslationProvider };
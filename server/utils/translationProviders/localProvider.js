@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../env');
+
+/**
+ * Offline, deterministic translator for development and CI.
+ *
+ * Texts found in the dictionary (LOCAL_TRANSLATION_DICTIONARY, a JSON file of
+ * { "<targetLang>": { "<source text>": "<translation>" } }) are replaced by their
+ * entry; matching ignores case and surrounding whitespace. Anything else is echoed
+ * back tagged with the target language, e.g. "[hi] Hello", so translated output
+ * is always recognisable without calling a real service.
+ *
+ * Language detection recognises texts that are dictionary translations, and
+ * otherwise guesses from the script. Latin script is reported as
+ * LOCAL_TRANSLATION_SOURCE_LANGUAGE with a low score, since it can't tell
+ * English from French.
+ */
+
+const normalize = (text) => text.trim().toLowerCase();
+
+// Scripts that (mostly) identify one language; the score reflects how ambiguous it is
+const SCRIPT_LANGUAGES = [
+  { pattern: /[\u3040-\u30ff]/, language: 'ja', score: 0.9 },
+  { pattern: /[\uac00-\ud7af]/, language: 'ko', score: 0.95 },
+  { pattern: /[\u4e00-\u9fff]/, language: 'zh-Hans', score: 0.8 },
+  { pattern: /[\u0900-\u097f]/, language: 'hi', score: 0.7 },
+  { pattern: /[\u0980-\u09ff]/, language: 'bn', score: 0.8 },
+  { pattern: /[\u0a00-\u0a7f]/, language: 'pa', score: 0.9 },
+  { pattern: /[\u0a80-\u0aff]/, language: 'gu', score: 0.95 },
+  { pattern: /[\u0b80-\u0bff]/, language: 'ta', score: 0.95 },
+  { pattern: /[\u0c00-\u0c7f]/, language: 'te', score: 0.95 },
+  { pattern: /[\u0c80-\u0cff]/, language: 'kn', score: 0.95 },
+  { pattern: /[\u0d00-\u0d7f]/, language: 'ml', score: 0.95 },
+  { pattern: /[\u0600-\u06ff]/, language: 'ar', score: 0.6 },
+  { pattern: /[\u0590-\u05ff]/, language: 'he', score: 0.9 },
+  { pattern: /[\u0e00-\u0e7f]/, language: 'th', score: 0.95 },
+  { pattern: /[\u0370-\u03ff]/, language: 'el', score: 0.95 },
+  { pattern: /[\u0400-\u04ff]/, language: 'ru', score: 0.6 }
+];
+const LATIN_SCORE = 0.3;
+
+const loadDictionary = (file) => {
+  if (!file) return {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+    const dictionary = {};
+    for (const [lang, entries] of Object.entries(raw)) {
+      dictionary[lang] = new Map(Object.entries(entries).map(([source, target]) => [normalize(source), target]));
+    }
+    return dictionary;
+  } catch (error) {
+    console.error(`Failed to load local translation dictionary ${file}:`, error.message);
+    return {};
+  }
+};
+
+const createLocalProvider = () => {
+  const dictionary = loadDictionary(config.LOCAL_TRANSLATION_DICTIONARY);
+
+  const translateOne = (text, targetLang, sourceLang) => {
+    if (sourceLang && sourceLang.split('-')[0] === targetLang.split('-')[0]) return text;
+    const entries = dictionary[targetLang] || dictionary[targetLang.split('-')[0]];
+    const entry = entries?.get(normalize(text));
+    if (entry !== undefined) return entry;
+    return `[${targetLang}] ${text}`;
+  };
+
+  // Reverse lookup: translation text -> its language
+  const knownTranslations = new Map();
+  for (const [lang, entries] of Object.entries(dictionary)) {
+    for (const translation of entries.values()) {
+      knownTranslations.set(normalize(translation), lang);
+    }
+  }
+
+  const detectOne = (text) => {
+    const known = knownTranslations.get(normalize(text));
+    if (known) return { language: known, score: 1 };
+    const script = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(text));
+    if (script) return { language: script.language, score: script.score };
+    return { language: config.LOCAL_TRANSLATION_SOURCE_LANGUAGE, score: LATIN_SCORE };
+  };
+
+  return {
+    name: 'local',
+
+    isConfigured: () => true,
+
+    translate: async (texts, targetLang, sourceLang) => texts.map(text => ({
+      text: translateOne(text, targetLang, sourceLang),
+      detectedLanguage: sourceLang || config.LOCAL_TRANSLATION_SOURCE_LANGUAGE
+    })),
+
+    detect: async (texts) => texts.map(detectOne)
+  };
+};
+
+module.exports = createLocalProvider;
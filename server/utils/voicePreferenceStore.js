@@ -0,0 +1,61 @@
+const { getCollection, toObjectId } = require('./rawCollections');
+const { EMPTY_PREFERENCES, resolveVoiceOptions } = require('./voicePreferences');
+
+/**
+ * Cached User.ttsPreferences for the socket handlers, so translated speech is
+ * synthesized with the listener's voice, rate and pitch.
+ *
+ * Shared through `global.__voicePreferenceStore` so that the API route that
+ * edits preferences can invalidate what the socket handlers see.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+class VoicePreferenceStore {
+  constructor() {
+    // userId -> { preferences, loadedAt }
+    this.preferences = new Map();
+  }
+
+  /**
+   * A user's preferences; the defaults when the user can't be loaded.
+   */
+  async load(userId) {
+    const objectId = toObjectId(userId);
+    if (!objectId) return EMPTY_PREFERENCES;
+
+    const key = String(userId);
+    const cached = this.preferences.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.preferences;
+
+    try {
+      const users = await getCollection('users');
+      const user = await users.findOne({ _id: objectId }, { projection: { ttsPreferences: 1 } });
+      const preferences = (user && user.ttsPreferences) || EMPTY_PREFERENCES;
+      this.preferences.set(key, { preferences, loadedAt: Date.now() });
+      if (this.preferences.size > MAX_CACHE_ENTRIES) this.preferences.delete(this.preferences.keys().next().value);
+      return preferences;
+    } catch (error) {
+      console.error(`Failed to load voice preferences of user ${userId}:`, error.message);
+      return EMPTY_PREFERENCES;
+    }
+  }
+
+  invalidate(userId) {
+    this.preferences.delete(String(userId));
+  }
+
+  /**
+   * The textToSpeech voice options for speaking `language` to a user
+   * (see resolveVoiceOptions); null for the provider's default voice.
+   */
+  async getVoiceOptions(userId, language) {
+    return resolveVoiceOptions(await this.load(userId), language);
+  }
+}
+
+const voicePreferenceStore = global.__voicePreferenceStore || new VoicePreferenceStore();
+global.__voicePreferenceStore = voicePreferenceStore;
+
+module.exports = voicePreferenceStore;
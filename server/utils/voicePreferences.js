@@ -0,0 +1,105 @@
+/**
+ * Text-to-speech voice preferences (User.ttsPreferences):
+ *   { voices: [{ language, voice?, gender?, style? }], rate, pitch }
+ *
+ * - voices: per language code ('es'), the speech provider voice to use, or a
+ *   gender to pick one by; plus a speaking style for voices that have styles
+ * - rate, pitch: percent up or down from the voice's default, for all languages
+ *
+ * Shared by the Next.js routes and the socket handlers.
+ */
+
+const VOICE_GENDERS = ['female', 'male'];
+const RATE_RANGE = { min: -50, max: 100 };
+const PITCH_RANGE = { min: -50, max: 50 };
+const MAX_VOICE_PREFERENCES = 50;
+
+const LANGUAGE_CODE = /^[a-z]{2,3}$/;
+const VOICE_NAME = /^[A-Za-z0-9][A-Za-z0-9:_-]{0,99}$/;
+const STYLE_NAME = /^[A-Za-z0-9_-]{1,50}$/;
+
+const EMPTY_PREFERENCES = { voices: [], rate: 0, pitch: 0 };
+
+/**
+ * 'es-MX' -> 'es', the key voices are chosen by
+ */
+const languageKey = (language) => String(language || '').toLowerCase().split('-')[0];
+
+const parseVoice = (entry) => {
+  const language = languageKey(entry?.language);
+  if (!LANGUAGE_CODE.test(language)) return { error: 'Each voice needs a language code' };
+  const { voice, gender, style } = entry;
+  if (voice !== undefined && voice !== null && !VOICE_NAME.test(voice)) return { error: `Invalid voice for ${language}` };
+  if (gender !== undefined && gender !== null && !VOICE_GENDERS.includes(gender)) {
+    return { error: `gender must be one of ${VOICE_GENDERS.join(', ')}` };
+  }
+  if (style !== undefined && style !== null && !STYLE_NAME.test(style)) return { error: `Invalid style for ${language}` };
+
+  const parsed = { language };
+  if (voice) parsed.voice = voice;
+  if (gender) parsed.gender = gender;
+  if (style) parsed.style = style;
+  return { voice: parsed };
+};
+
+const parsePercent = (value, { min, max }, name) => {
+  if (value === undefined || value === null) return { value: 0 };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${name} must be a whole percentage from ${min} to ${max}` };
+  }
+  return { value: number };
+};
+
+/**
+ * Validate preferences from a request body. A language listed twice keeps its
+ * last entry; entries choosing nothing are dropped.
+ * @returns {{preferences: Object}|{error: string}}
+ */
+const parseVoicePreferences = (body) => {
+  const voices = body?.voices ?? [];
+  if (!Array.isArray(voices)) return { error: 'voices must be an array' };
+  if (voices.length > MAX_VOICE_PREFERENCES) return { error: `At most ${MAX_VOICE_PREFERENCES} voices` };
+
+  const byLanguage = new Map();
+  for (const entry of voices) {
+    const { voice, error } = parseVoice(entry);
+    if (error) return { error };
+    if (voice.voice || voice.gender || voice.style) byLanguage.set(voice.language, voice);
+  }
+
+  const rate = parsePercent(body?.rate, RATE_RANGE, 'rate');
+  if (rate.error) return { error: rate.error };
+  const pitch = parsePercent(body?.pitch, PITCH_RANGE, 'pitch');
+  if (pitch.error) return { error: pitch.error };
+
+  return { preferences: { voices: [...byLanguage.values()], rate: rate.value, pitch: pitch.value } };
+};
+
+/**
+ * The synthesis options for speaking `language` to a user with these
+ * preferences, or null when they leave everything to the provider's default.
+ * @returns {{voice?: string, gender?: string, style?: string, rate: number, pitch: number}|null}
+ */
+const resolveVoiceOptions = (preferences, language) => {
+  const { voices = [], rate = 0, pitch = 0 } = preferences || EMPTY_PREFERENCES;
+  const key = languageKey(language);
+  const { voice, gender, style } = voices.find(entry => entry.language === key) || {};
+  if (!voice && !gender && !style && !rate && !pitch) return null;
+
+  const options = { rate, pitch };
+  if (voice) options.voice = voice;
+  if (gender) options.gender = gender;
+  if (style) options.style = style;
+  return options;
+};
+
+module.exports = {
+  VOICE_GENDERS,
+  RATE_RANGE,
+  PITCH_RANGE,
+  EMPTY_PREFERENCES,
+  languageKey,
+  parseVoicePreferences,
+  resolveVoiceOptions
+};
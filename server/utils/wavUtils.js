@@ -0,0 +1,96 @@
+/**
+ * Minimal RIFF/WAVE helpers for 16-bit PCM audio.
+ */
+
+const isValidWavFormat = (buffer) => {
+  return Buffer.isBuffer(buffer) &&
+         buffer.length >= 44 &&
+         buffer.slice(0, 4).toString('ascii') === 'RIFF' &&
+         buffer.slice(8, 12).toString('ascii') === 'WAVE';
+};
+
+/**
+ * Read the fmt and data chunks of a WAV buffer. Unknown chunks (LIST, fact, ...)
+ * are skipped, so files written by other tools parse as well.
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, data: Buffer}|null}
+ */
+const parseWav = (buffer) => {
+  if (!isValidWavFormat(buffer)) return null;
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.slice(offset, offset + 4).toString('ascii');
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ' && body + 16 <= buffer.length) {
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; take what is there
+      const end = size && body + size <= buffer.length ? body + size : buffer.length;
+      data = buffer.slice(body, end);
+      break;
+    }
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !data) return null;
+  return { ...format, data };
+};
+
+/**
+ * Duration of the PCM data in milliseconds.
+ */
+const getWavDurationMs = (wav) => {
+  const bytesPerSecond = wav.sampleRate * wav.channels * (wav.bitsPerSample / 8);
+  return bytesPerSecond ? Math.round((wav.data.length / bytesPerSecond) * 1000) : 0;
+};
+
+/**
+ * Peak absolute sample value of 16-bit PCM data, 0..1.
+ */
+const getPeakLevel = (wav) => {
+  if (wav.bitsPerSample !== 16) return 1;
+  let peak = 0;
+  for (let i = 0; i + 1 < wav.data.length; i += 2) {
+    const sample = Math.abs(wav.data.readInt16LE(i));
+    if (sample > peak) peak = sample;
+  }
+  return peak / 32768;
+};
+
+/**
+ * Wrap 16-bit PCM samples in a WAV container.
+ * @param {Int16Array|Buffer} samples
+ */
+const encodeWav = (samples, sampleRate = 16000, channels = 1) => {
+  const data = Buffer.isBuffer(samples) ? samples : Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+module.exports = {
+  isValidWavFormat,
+  parseWav,
+  getWavDurationMs,
+  getPeakLevel,
+  encodeWav
+};
@@ -0,0 +1,242 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from '../contexts/TranslationContext';
+import MissedCallInbox from './MissedCallInbox';
+import CallTranscriptViewer from './CallTranscriptViewer';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+const PAGE_SIZE = 30;
+
+const STATUS_LABELS = {
+  ringing: 'Ringing',
+  answered: 'In progress',
+  active: 'In progress',
+  ended: 'Ended',
+  missed: 'Missed',
+  rejected: 'Declined',
+  declined: 'Declined',
+  joined: 'Joined',
+  left: 'Joined',
+  invited: 'Missed'
+};
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+};
+
+const formatCallTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// For group calls the user's own participant status is the interesting outcome
+const getOutcome = (call) => {
+  if (call.kind === 'group' && call.direction === 'incoming' && call.participantStatus) {
+    return call.participantStatus;
+  }
+  return call.status;
+};
+
+const CallHistory = ({
+  users,
+  rooms,
+  selectUser,
+  selectRoom,
+  missedCallCount = 0,
+  onMissedCallCountChange,
+  missedCallRefreshKey
+}) => {
+  const { t } = useTranslation();
+  // 'all' shows the call log, 'missed' the missed-call inbox
+  const [view, setView] = useState(missedCallCount > 0 ? 'missed' : 'all');
+  const [calls, setCalls] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [transcriptCall, setTranscriptCall] = useState(null);
+
+  const fetchCalls = async (before) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const token = localStorage.getItem('token');
+      const params = { limit: PAGE_SIZE };
+      if (before) params.before = before;
+      const res = await axios.get(`${API_URL}/chat/calls/history`, {
+        headers: { 'x-auth-token': token },
+        params
+      });
+      const data = res.data || { calls: [] };
+      setCalls(prev => (before ? [...prev, ...data.calls] : data.calls));
+      setHasMore(Boolean(data.hasMore));
+    } catch (err) {
+      console.error('Error fetching call history:', err);
+      setError(err.response?.data?.message || 'Failed to load call history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (view === 'all') fetchCalls();
+  }, [view]);
+
+  const openCall = (call) => {
+    if (call.kind === 'group') {
+      const room = rooms.find(r => r._id === (call.room?._id || call.room));
+      if (room) selectRoom(room);
+    } else {
+      const peerId = call.peer?._id || call.peer;
+      const contact = users.find(u => String(u.id) === String(peerId));
+      if (contact) selectUser(contact);
+    }
+  };
+
+  const viewToggle = (
+    <div className="flex items-center space-x-2 px-4 pb-2">
+      <button
+        className={`px-3 py-1 rounded-full text-xs font-semibold ${view === 'all' ? 'bg-emerald-100 text-emerald-800' : 'text-gray-500'}`}
+        onClick={() => setView('all')}
+      >
+        {t('allCalls')}
+      </button>
+      <button
+        className={`px-3 py-1 rounded-full text-xs font-semibold flex items-center ${view === 'missed' ? 'bg-emerald-100 text-emerald-800' : 'text-gray-500'}`}
+        onClick={() => setView('missed')}
+      >
+        {t('missedCalls')}
+        {missedCallCount > 0 && (
+          <span className="ml-1 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs">
+            {missedCallCount}
+          </span>
+        )}
+      </button>
+    </div>
+  );
+
+  if (view === 'missed') {
+    return (
+      <div>
+        {viewToggle}
+        <MissedCallInbox
+          users={users}
+          rooms={rooms}
+          selectUser={selectUser}
+          selectRoom={selectRoom}
+          onUnreadCountChange={onMissedCallCountChange}
+          refreshKey={missedCallRefreshKey}
+        />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div>
+        {viewToggle}
+        <div className="p-4 text-center text-sm text-red-600">
+          {error}
+          <button className="block mx-auto mt-2 text-emerald-600 hover:underline" onClick={() => fetchCalls()}>
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!loading && calls.length === 0) {
+    return (
+      <div>
+        {viewToggle}
+        <div className="p-4 text-center text-sm text-gray-500">{t('noCalls')}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-2">
+      {viewToggle}
+      <ul className="space-y-0.5">
+        {calls.map(call => {
+          const outcome = getOutcome(call);
+          const isMissed = ['missed', 'invited'].includes(outcome) && call.direction === 'incoming';
+          const name = call.kind === 'group' ? call.room?.name || 'Group' : call.peer?.username || 'Unknown';
+
+          return (
+            <li
+              key={`${call.kind}-${call._id}`}
+              className="flex items-center p-3 rounded-xl cursor-pointer transition-all duration-200 hover:bg-gray-100"
+              onClick={() => openCall(call)}
+            >
+              <div className={`w-12 h-12 rounded-full text-white flex items-center justify-center text-lg font-semibold shadow-md bg-gradient-to-br ${call.kind === 'group' ? 'from-blue-400 to-blue-600' : 'from-emerald-400 to-emerald-600'}`}>
+                {name[0]?.toUpperCase() || '?'}
+              </div>
+              <div className="ml-3 flex-1 min-w-0">
+                <div className="flex items-center justify-between">
+                  <div className={`font-semibold truncate ${isMissed ? 'text-red-600' : 'text-gray-900'}`}>{name}</div>
+                  <div className="text-xs text-gray-500 ml-2 shrink-0">{formatCallTime(call.startedAt)}</div>
+                </div>
+                <div className="text-sm text-gray-500 flex items-center space-x-1">
+                  <span title={call.direction}>{call.direction === 'outgoing' ? '↗' : '↙'}</span>
+                  <span>{call.callType === 'audio' ? 'Audio' : 'Video'}</span>
+                  <span>·</span>
+                  <span className={isMissed ? 'text-red-500' : ''}>{STATUS_LABELS[outcome] || outcome}</span>
+                  {call.duration > 0 && (
+                    <>
+                      <span>·</span>
+                      <span>{formatDuration(call.duration)}</span>
+                    </>
+                  )}
+                  {call.hasTranscript && (
+                    <>
+                      <span>·</span>
+                      <button
+                        className="text-emerald-600 hover:underline"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setTranscriptCall(call);
+                        }}
+                      >
+                        {t('transcript')}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {loading && <div className="p-3 text-center text-sm text-gray-500">{t('loading')}</div>}
+      {!loading && hasMore && (
+        <button
+          className="w-full p-3 text-sm text-emerald-600 hover:bg-gray-50"
+          onClick={() => fetchCalls(calls[calls.length - 1]?.startedAt)}
+        >
+          Load more
+        </button>
+      )}
+      {transcriptCall && (
+        <CallTranscriptViewer
+          call={transcriptCall}
+          title={transcriptCall.kind === 'group' ? transcriptCall.room?.name || 'Group' : transcriptCall.peer?.username || 'Unknown'}
+          onClose={() => setTranscriptCall(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CallHistory;
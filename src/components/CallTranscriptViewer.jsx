@@ -0,0 +1,149 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from '../contexts/TranslationContext';
+import { saveBlob } from '../utils/attachments';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+const FORMATS = ['txt', 'srt', 'vtt'];
+
+const transcriptUrl = (call) => (call.kind === 'group'
+  ? `${API_URL}/chat/group-call/${call._id}/transcript`
+  : `${API_URL}/chat/calls/${call._id}/transcript`);
+
+const formatOffset = (ms) => {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Caption transcript of a past call, shown in its original words or in any
+ * language it was translated to, with plain text / SRT / WebVTT downloads.
+ */
+const CallTranscriptViewer = ({ call, title, onClose }) => {
+  const { t, languages, currentLanguage } = useTranslation();
+  const [transcript, setTranscript] = useState(null);
+  const [lang, setLang] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!call) return;
+    const fetchTranscript = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await axios.get(transcriptUrl(call), {
+          headers: { 'x-auth-token': localStorage.getItem('token') }
+        });
+        const data = res.data.transcript;
+        setTranscript(data);
+        // Default to the reader's language when the call was translated into it
+        const hasOwnLanguage = data.segments.some(s => s.translations[currentLanguage]);
+        setLang(hasOwnLanguage ? currentLanguage : '');
+      } catch (err) {
+        console.error('Error fetching call transcript:', err);
+        setError(err.response?.data?.message || 'Failed to load transcript');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTranscript();
+  }, [call]);
+
+  const download = async (format) => {
+    try {
+      const res = await axios.get(transcriptUrl(call), {
+        headers: { 'x-auth-token': localStorage.getItem('token') },
+        params: lang ? { format, lang } : { format },
+        responseType: 'blob'
+      });
+      const prefix = call.kind === 'group' ? 'group-call' : 'call';
+      saveBlob(res.data, `${prefix}-${call._id}${lang ? `.${lang}` : ''}.${format}`);
+    } catch (err) {
+      console.error('Error downloading call transcript:', err);
+    }
+  };
+
+  if (!call) return null;
+
+  const translatedLanguages = transcript
+    ? [...new Set(transcript.segments.flatMap(s => Object.keys(s.translations)))]
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <div className="p-6 pb-3">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-xl font-semibold text-gray-900">{t('transcript')}: {title}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {transcript && (
+            <div className="flex items-center justify-between">
+              <select
+                value={lang}
+                onChange={(e) => setLang(e.target.value)}
+                className="text-sm border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">{t('originalLanguage')}</option>
+                {translatedLanguages.map(code => (
+                  <option key={code} value={code}>{languages?.[code]?.name || code}</option>
+                ))}
+              </select>
+              <div className="flex space-x-2">
+                {FORMATS.map(format => (
+                  <button
+                    key={format}
+                    onClick={() => download(format)}
+                    className="px-3 py-1 text-xs font-semibold rounded-full bg-emerald-100 text-emerald-800 hover:bg-emerald-200"
+                  >
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 pb-6 overflow-y-auto">
+          {loading && <div className="p-3 text-center text-sm text-gray-500">{t('loading')}</div>}
+          {error && <div className="p-3 text-center text-sm text-red-600">{error}</div>}
+          {transcript && transcript.segments.length === 0 && (
+            <div className="p-3 text-center text-sm text-gray-500">{t('noTranscriptSegments')}</div>
+          )}
+          <ul className="space-y-3">
+            {transcript?.segments.map(segment => {
+              const translated = lang && segment.translations[lang];
+              return (
+                <li key={segment._id} className="text-sm">
+                  <div className="flex items-center space-x-2 text-xs text-gray-500">
+                    <span className="font-mono">{formatOffset(segment.startMs)}</span>
+                    <span className="font-semibold text-gray-700">{segment.speakerName || 'Unknown'}</span>
+                    {segment.language && <span>({segment.language})</span>}
+                  </div>
+                  <div className="text-gray-900">{translated || segment.text}</div>
+                  {translated && <div className="text-xs text-gray-400 italic">{segment.text}</div>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CallTranscriptViewer;
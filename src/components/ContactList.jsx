@@ -2,6 +2,8 @@
 
 import React, { useState } from 'react';
 import { useTranslation } from '../contexts/TranslationContext';
+import CallHistory from './CallHistory';
+import MessageSearch from './MessageSearch';
 
 const ContactList = ({ 
     users, 
@@ -13,12 +15,27 @@ const ContactList = ({
     createRoom, 
     showSidebar,
     onManageGroup,
-    user 
+    user,
+    missedCallCount = 0,
+    onMissedCallCountChange,
+    missedCallRefreshKey,
+    unreadCounts = { contacts: {}, rooms: {} },
+    onJumpToMessage
 }) => {
     const { t } = useTranslation();
 
-    // Tabs state: show groups or contacts
-    const [showGroups, setShowGroups] = useState(false);
+    // Tabs state: 'contacts', 'groups' or 'calls'
+    const [activeTab, setActiveTab] = useState('contacts');
+    const showGroups = activeTab === 'groups';
+    // Message search replaces the list while a query is typed
+    const [searchQuery, setSearchQuery] = useState('');
+    const isSearching = Boolean(onJumpToMessage) && searchQuery.trim().length >= 2;
+
+    const UnreadBadge = ({ count }) => (count > 0 ? (
+        <span className="ml-2 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-emerald-500 text-white text-xs font-semibold">
+            {count > 99 ? '99+' : count}
+        </span>
+    ) : null);
 
     // Helper function to format last seen time
     const formatLastSeen = (lastSeen) => {
@@ -39,21 +56,32 @@ const ContactList = ({
         <aside className={`fixed lg:static w-80 bg-white h-full z-20 transform transition-transform duration-300 ease-in-out ${showSidebar ? 'translate-x-0' : '-translate-x-full lg:translate-x-0'} shadow-lg`}>
             <div className="flex flex-col h-full">
                 <div className="p-4 bg-gray-50 border-b">
-                    {/* Tabs: Contacts / Groups */}
+                    {/* Tabs: Contacts / Groups / Calls */}
                     <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-2">
                             <button
-                                className={`px-3 py-1 rounded-md text-sm font-semibold ${!showGroups ? 'text-gray-800' : 'text-gray-500'}`}
-                                onClick={() => setShowGroups(false)}
+                                className={`px-3 py-1 rounded-md text-sm font-semibold ${activeTab === 'contacts' ? 'text-gray-800' : 'text-gray-500'}`}
+                                onClick={() => setActiveTab('contacts')}
                             >
                                 {t('contacts')}
                             </button>
                             <button
                                 className={`px-3 py-1 rounded-md text-sm font-semibold ${showGroups ? 'text-gray-800' : 'text-gray-500'}`}
-                                onClick={() => setShowGroups(true)}
+                                onClick={() => setActiveTab('groups')}
                             >
                                 {t('groups')}
                             </button>
+                            <button
+                                className={`px-3 py-1 rounded-md text-sm font-semibold ${activeTab === 'calls' ? 'text-gray-800' : 'text-gray-500'}`}
+                                onClick={() => setActiveTab('calls')}
+                            >
+                                {t('calls')}
+                                {missedCallCount > 0 && (
+                                    <span className="ml-1 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs">
+                                        {missedCallCount}
+                                    </span>
+                                )}
+                            </button>
                         </div>
                         {/* Create group button only shown on Groups tab */}
                         {showGroups ? (
@@ -78,8 +106,13 @@ const ContactList = ({
                         <div className="relative">
                             <input
                                 type="text"
-                                placeholder="Search..."
+                                placeholder={t('searchMessages')}
                                 className="w-full pl-10 pr-4 py-2 bg-gray-100 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Escape') setSearchQuery('');
+                                }}
                             />
                             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-gray-400 absolute left-3 top-2.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
@@ -87,8 +120,26 @@ const ContactList = ({
                         </div>
                     </div>
 
-                    {/* Conditional: show Contacts or Groups */}
-                    {!showGroups ? (
+                    {/* Conditional: show search results, Contacts, Groups or Calls */}
+                    {isSearching ? (
+                        <MessageSearch
+                            query={searchQuery}
+                            users={users}
+                            rooms={rooms}
+                            user={user}
+                            onSelectResult={onJumpToMessage}
+                        />
+                    ) : activeTab === 'calls' ? (
+                        <CallHistory
+                            users={users}
+                            rooms={rooms}
+                            selectUser={selectUser}
+                            selectRoom={selectRoom}
+                            missedCallCount={missedCallCount}
+                            onMissedCallCountChange={onMissedCallCountChange}
+                            missedCallRefreshKey={missedCallRefreshKey}
+                        />
+                    ) : !showGroups ? (
                         <div className="px-2">
                             <ul className="space-y-0.5">
                                 {users.map(user => (
@@ -126,6 +177,8 @@ const ContactList = ({
                                                         <span>{t('offline')}</span>
                                                     </>
                                                 )}
+                                                <span className="flex-1" />
+                                                <UnreadBadge count={unreadCounts.contacts?.[user.id]} />
                                             </div>
                                         </div>
                                     </li>
@@ -180,7 +233,10 @@ const ContactList = ({
                                                     )}
                                                 </div>
                                             </div>
-                                            <div className="text-sm text-gray-500">{room.participants?.length || 0} members</div>
+                                            <div className="text-sm text-gray-500 flex items-center justify-between">
+                                                <span>{room.participants?.length || 0} members</span>
+                                                <UnreadBadge count={unreadCounts.rooms?.[room._id]} />
+                                            </div>
                                         </div>
                                     </li>
                                     );
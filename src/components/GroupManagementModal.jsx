@@ -88,7 +88,27 @@ const GroupManagementModal = ({ isOpen, onClose, room, users, currentUserId, onR
       }
     } catch (error) {
       console.error('Error removing member:', error);
-      alert('Failed to remove member');
+      alert('Failed to remove member: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleAdmin = async (userId, makeAdmin) => {
+    setIsLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.patch(`${API_URL}/chat/rooms/${room._id}/members`, {
+        userId,
+        action: makeAdmin ? 'promote' : 'demote'
+      }, {
+        headers: { 'x-auth-token': token }
+      });
+
+      onRoomUpdate(res.data);
+    } catch (error) {
+      console.error('Error updating admin rights:', error);
+      alert('Failed to update admin rights: ' + (error.response?.data?.error || error.message));
     } finally {
       setIsLoading(false);
     }
@@ -186,19 +206,33 @@ const GroupManagementModal = ({ isOpen, onClose, room, users, currentUserId, onR
                         </div>
                       </div>
 
-                      {/* Remove button for admins or self */}
-                      {(isAdmin || isCurrentUser) && (
-                        <button
-                          onClick={() => handleRemoveMember(user._id)}
-                          disabled={isLoading}
-                          className="text-red-600 hover:text-red-800 disabled:text-gray-400"
-                          title={isCurrentUser ? 'Leave group' : 'Remove member'}
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                          </svg>
-                        </button>
-                      )}
+                      <div className="flex items-center space-x-2">
+                        {/* Promote/demote (Admin only, not for self) */}
+                        {isAdmin && !isCurrentUser && (
+                          <button
+                            onClick={() => handleToggleAdmin(user._id, !isGroupAdmin)}
+                            disabled={isLoading}
+                            className="text-xs px-2 py-1 rounded-md text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:text-gray-400"
+                            title={isGroupAdmin ? 'Remove admin rights' : 'Make admin'}
+                          >
+                            {isGroupAdmin ? 'Dismiss admin' : 'Make admin'}
+                          </button>
+                        )}
+
+                        {/* Remove button for admins or self */}
+                        {(isAdmin || isCurrentUser) && (
+                          <button
+                            onClick={() => handleRemoveMember(user._id)}
+                            disabled={isLoading}
+                            className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                            title={isCurrentUser ? 'Leave group' : 'Remove member'}
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        )}
+                      </div>
                     </div>
                   );
                 })}
@@ -5,6 +5,11 @@ import { useTranslation } from '../contexts/TranslationContext';
 import { getIceServers } from '../utils/webrtcConfig';
 import CallControls from './VideoCallComponents/CallControls';
 import useGroupCallAudioProcessing from '../hooks/useGroupCallAudioProcessing';
+import useCallTranscriptRecording from '../hooks/useCallTranscriptRecording';
+import useAudioMixer from '../hooks/useAudioMixer';
+import useVadSettings from '../hooks/useVadSettings';
+import ListeningModeSelector from './VideoCallComponents/ListeningModeSelector';
+import VoiceDetectionSettings from './VideoCallComponents/VoiceDetectionSettings';
 // Server-side TTS handled by socket event 'groupCallTranslatedSpeech'
 
 /**
@@ -13,13 +18,15 @@ import useGroupCallAudioProcessing from '../hooks/useGroupCallAudioProcessing';
  */
 const GroupVideoCall = ({
   socket,
+  callId,
   callRoomId,
   roomName,
   currentUserId,
   onEndCall,
   callType = 'video'
 }) => {
-  const { currentLanguage } = useTranslation();
+  const { currentLanguage, t } = useTranslation();
+  const { recording, summarize, changedBy, toggleRecording, toggleSummary } = useCallTranscriptRecording(socket, 'group', callId);
   
   // State
   const [participants, setParticipants] = useState(new Map());
@@ -32,6 +39,13 @@ const GroupVideoCall = ({
   const localVideoRef = useRef(null);
   const peerConnectionsRef = useRef(new Map()); // Map<socketId, RTCPeerConnection>
   const audioContextRef = useRef(null);
+
+  // Remote voices play through the mixer, keyed by user so that each speaker's
+  // voice is ducked under their own translated speech
+  const { mixer, listeningMode, setListeningMode } = useAudioMixer(
+    Array.from(participants.values()).map(participant => ({ id: participant.userId, stream: participant.stream }))
+  );
+  const { vadSettings, updateVadSettings, resetVadSettings } = useVadSettings();
   
   // Use audio processing hook for translation/transcription
   const { transcripts } = useGroupCallAudioProcessing(
@@ -40,7 +54,9 @@ const GroupVideoCall = ({
     callRoomId,
     currentLanguage,
     currentUserId,
-    isMuted
+    isMuted,
+    mixer,
+    vadSettings
   );
   
   // Initialize local stream
@@ -122,12 +138,8 @@ const GroupVideoCall = ({
         console.log(`📥 Received track from ${username} (${socketId})`);
         const remoteStream = event.streams[0];
         
-        // IMPORTANT: Mute all audio tracks from remote streams
-        // Only video will be displayed; audio will come from translated synthesis
-        remoteStream.getAudioTracks().forEach(track => {
-          track.enabled = false;
-          console.log(`🔇 Muted audio track from ${username} - will use translated audio instead`);
-        });
+        // The video element stays muted; the AudioMixer plays the audio,
+        // depending on the listening mode
         
         setParticipants(prev => {
           const updated = new Map(prev);
@@ -448,12 +460,29 @@ const GroupVideoCall = ({
       
       {/* Call Controls */}
       <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/50 to-transparent p-6 z-10">
+        <div className="flex items-center justify-center space-x-3 text-xs mb-2">
+          {recording && (
+            <span className="text-red-300">
+              ● {t('recordingTranscript')}{changedBy?.username ? ` (${changedBy.username})` : ''}
+            </span>
+          )}
+          <ListeningModeSelector listeningMode={listeningMode} onChange={setListeningMode} />
+          <VoiceDetectionSettings vadSettings={vadSettings} onChange={updateVadSettings} onReset={resetVadSettings} />
+          {callId && (
+            <label className="flex items-center space-x-1 text-gray-200 cursor-pointer">
+              <input type="checkbox" checked={summarize} onChange={toggleSummary} />
+              <span>{t('summarizeAfterCall')}</span>
+            </label>
+          )}
+        </div>
         <CallControls
           toggleMute={toggleMute}
           toggleCamera={toggleCamera}
           endCall={handleEndCall}
           isMuted={isMuted}
           isCameraOff={isCameraOff}
+          toggleTranscript={callId ? toggleRecording : undefined}
+          isRecordingTranscript={recording}
         />
       </div>
     </div>
@@ -1,11 +1,211 @@
 'use client'
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Select from 'react-select';
 import axios from 'axios';
+import { RATE_RANGE, PITCH_RANGE, EMPTY_PREFERENCES, languageKey } from '../../server/utils/voicePreferences';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
 
+// Voice select values for "any voice of this gender"
+const GENDER_PREFIX = 'gender:';
+
+// Drop unset fields, so clearing a choice removes it from the saved preferences
+const compactVoice = (entry) => Object.fromEntries(Object.entries(entry).filter(([, value]) => value));
+
+/**
+ * Which voice, style, rate and pitch translated speech is read to this user
+ * with; the voice and style are per language, rate and pitch apply to all.
+ */
+const VoicePreferences = ({ selectedLanguage }) => {
+  const [open, setOpen] = useState(false);
+  const [voices, setVoices] = useState([]);
+  const [preferences, setPreferences] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const previewRef = useRef(null);
+
+  const language = languageKey(selectedLanguage);
+
+  useEffect(() => {
+    if (!open || preferences) return;
+    axios.get(`${API_URL}/auth/voice`)
+      .then(response => setPreferences(response.data))
+      .catch(err => {
+        console.error('Error fetching voice preferences:', err);
+        setPreferences(EMPTY_PREFERENCES);
+        setStatus('Failed to load your voice settings');
+      });
+  }, [open, preferences]);
+
+  useEffect(() => {
+    if (!open || !selectedLanguage) return;
+    let cancelled = false;
+    axios.get(`${API_URL}/translator/voices`, { params: { language: selectedLanguage } })
+      .then(response => !cancelled && setVoices(response.data.voices))
+      .catch(err => {
+        console.error('Error fetching voices:', err);
+        if (!cancelled) setVoices([]);
+      });
+    return () => { cancelled = true; };
+  }, [open, selectedLanguage]);
+
+  // Stop a preview that is still playing when the panel goes away
+  useEffect(() => () => previewRef.current?.pause(), []);
+
+  const current = preferences || EMPTY_PREFERENCES;
+  const entry = current.voices.find(v => v.language === language) || { language };
+  const chosenVoice = voices.find(v => v.name === entry.voice);
+  const voiceValue = entry.voice || (entry.gender ? `${GENDER_PREFIX}${entry.gender}` : '');
+
+  const update = (changes) => {
+    setStatus(null);
+    setPreferences({ ...current, ...changes });
+  };
+
+  const updateEntry = (changes) => {
+    const updated = compactVoice({ ...entry, ...changes, language });
+    const others = current.voices.filter(v => v.language !== language);
+    update({ voices: Object.keys(updated).length > 1 ? [...others, updated] : others });
+  };
+
+  const handleVoiceChange = (value) => {
+    if (value.startsWith(GENDER_PREFIX)) {
+      updateEntry({ voice: null, gender: value.slice(GENDER_PREFIX.length), style: null });
+    } else {
+      updateEntry({ voice: value || null, gender: null, style: null });
+    }
+  };
+
+  const save = async () => {
+    try {
+      setBusy(true);
+      const response = await axios.put(`${API_URL}/auth/voice`, current);
+      setPreferences(response.data);
+      setStatus('Saved');
+    } catch (err) {
+      console.error('Error saving voice preferences:', err);
+      setStatus(err.response?.data?.error || 'Failed to save voice settings');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const preview = async () => {
+    try {
+      setBusy(true);
+      setStatus(null);
+      const response = await axios.post(
+        `${API_URL}/translator/voices/preview`,
+        { ...entry, language: selectedLanguage, rate: current.rate, pitch: current.pitch },
+        { responseType: 'arraybuffer' }
+      );
+      const url = URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      previewRef.current?.pause();
+      const audio = new Audio(url);
+      previewRef.current = audio;
+      audio.onended = () => URL.revokeObjectURL(url);
+      await audio.play();
+    } catch (err) {
+      console.error('Error previewing voice:', err);
+      setStatus('Failed to preview voice');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(value => !value)}
+        className="px-2 py-1.5 rounded-lg text-sm hover:bg-emerald-700 transition-colors"
+        aria-expanded={open}
+      >
+        Voice
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 p-4 space-y-3 rounded-md shadow-lg bg-white text-gray-700 text-sm ring-1 ring-black ring-opacity-5 z-40">
+          {!preferences ? (
+            <div className="text-gray-500">Loading voice settings...</div>
+          ) : (
+            <>
+              <label className="block">
+                <span className="block mb-1 font-medium">Voice</span>
+                <select
+                  value={voiceValue}
+                  onChange={(e) => handleVoiceChange(e.target.value)}
+                  className="w-full border border-gray-300 rounded px-2 py-1"
+                >
+                  <option value="">Default</option>
+                  <option value={`${GENDER_PREFIX}female`}>Any female voice</option>
+                  <option value={`${GENDER_PREFIX}male`}>Any male voice</option>
+                  {voices.map(v => (
+                    <option key={v.name} value={v.name}>
+                      {v.displayName} ({v.locale}{v.gender ? `, ${v.gender}` : ''})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {chosenVoice?.styles?.length > 0 && (
+                <label className="block">
+                  <span className="block mb-1 font-medium">Style</span>
+                  <select
+                    value={entry.style || ''}
+                    onChange={(e) => updateEntry({ style: e.target.value || null })}
+                    className="w-full border border-gray-300 rounded px-2 py-1"
+                  >
+                    <option value="">Default</option>
+                    {chosenVoice.styles.map(style => (
+                      <option key={style} value={style}>{style}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {[
+                { key: 'rate', label: 'Speed', range: RATE_RANGE },
+                { key: 'pitch', label: 'Pitch', range: PITCH_RANGE }
+              ].map(({ key, label, range }) => (
+                <label key={key} className="block">
+                  <span className="flex justify-between font-medium">
+                    <span>{label}</span>
+                    <span>{current[key] > 0 ? '+' : ''}{current[key]}%</span>
+                  </span>
+                  <input
+                    type="range"
+                    min={range.min}
+                    max={range.max}
+                    step={5}
+                    value={current[key]}
+                    onChange={(e) => update({ [key]: Number(e.target.value) })}
+                    className="w-full"
+                  />
+                </label>
+              ))}
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={preview}
+                  disabled={busy}
+                  className="px-3 py-1 rounded border border-emerald-600 text-emerald-600 hover:bg-emerald-50 disabled:opacity-50"
+                >
+                  Preview
+                </button>
+                <button
+                  onClick={save}
+                  disabled={busy}
+                  className="px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+                >
+                  Save
+                </button>
+                {status && <span className="text-gray-500">{status}</span>}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export const LanguagePreferences = ({ selectedLanguage, onLanguageChange }) => {
   const [languages, setLanguages] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -83,24 +283,27 @@ export const LanguagePreferences = ({ selectedLanguage, onLanguageChange }) => {
   }
 
   return (
-    <div className=" w-48">
-      <Select
-        value={languages.find(lang => lang.value === selectedLanguage)}
-        onChange={handleLanguageChange}
-        options={languages}
-        className="basic-single text-black"
-        classNamePrefix="select"
-        isSearchable={true}
-        name="language"
-        placeholder="Language"
-        components={{ Option: customOption }}
-        formatOptionLabel={(option) => (
-          <div className="flex items-center">
-            <span className="font-medium">{option.label}</span>
-            <span className="text-gray-500 ml-2 text-sm">({option.nativeName})</span>
-          </div>
-        )}
-      />
+    <div className="flex items-center space-x-2">
+      <div className=" w-48">
+        <Select
+          value={languages.find(lang => lang.value === selectedLanguage)}
+          onChange={handleLanguageChange}
+          options={languages}
+          className="basic-single text-black"
+          classNamePrefix="select"
+          isSearchable={true}
+          name="language"
+          placeholder="Language"
+          components={{ Option: customOption }}
+          formatOptionLabel={(option) => (
+            <div className="flex items-center">
+              <span className="font-medium">{option.label}</span>
+              <span className="text-gray-500 ml-2 text-sm">({option.nativeName})</span>
+            </div>
+          )}
+        />
+      </div>
+      <VoicePreferences selectedLanguage={selectedLanguage} />
     </div>
   );
 };
\ No newline at end of file
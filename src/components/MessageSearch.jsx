@@ -0,0 +1,159 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from '../contexts/TranslationContext';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const formatResultTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric', year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric' });
+};
+
+// Render a snippet with its [start, end) highlight ranges wrapped in <mark>
+const HighlightedSnippet = ({ snippet }) => {
+  const parts = [];
+  let cursor = 0;
+  snippet.highlights.forEach(([start, end], i) => {
+    if (start < cursor) return; // overlapping terms
+    if (start > cursor) parts.push(snippet.text.slice(cursor, start));
+    parts.push(<mark key={i} className="bg-yellow-200 text-gray-900 rounded-sm">{snippet.text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.text.slice(cursor));
+  return <>{parts}</>;
+};
+
+const MessageSearch = ({ query, users, rooms, user, onSelectResult }) => {
+  const { t } = useTranslation();
+  // '' for everywhere, 'user:<id>' or 'room:<id>' for one conversation
+  const [conversation, setConversation] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const search = async (before) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const token = localStorage.getItem('token');
+      const params = { q: query.trim(), limit: PAGE_SIZE };
+      if (before) params.before = before;
+      if (conversation.startsWith('user:')) params.userId = conversation.slice(5);
+      if (conversation.startsWith('room:')) params.roomId = conversation.slice(5);
+      if (from) params.from = new Date(`${from}T00:00:00`).toISOString();
+      if (to) params.to = new Date(`${to}T23:59:59.999`).toISOString();
+
+      const res = await axios.get(`${API_URL}/chat/search`, {
+        headers: { 'x-auth-token': token },
+        params
+      });
+      const data = res.data || { results: [] };
+      setResults(prev => (before ? [...prev, ...data.results] : data.results));
+      setHasMore(Boolean(data.hasMore));
+    } catch (err) {
+      console.error('Error searching messages:', err);
+      setError(err.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(() => search(), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, conversation, from, to]);
+
+  const conversationName = (message) => {
+    if (message.isGroupMessage) {
+      return rooms.find(r => r._id === message.room)?.name || 'Group';
+    }
+    const myId = String(user?.id || user?._id);
+    const peer = String(message.sender?._id) === myId ? message.receiver : message.sender;
+    return peer?.username || users.find(u => String(u.id) === String(peer?._id || peer))?.name || 'Unknown';
+  };
+
+  return (
+    <div className="px-2">
+      <div className="px-2 pb-2 space-y-2">
+        <select
+          className="w-full text-sm bg-gray-100 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={conversation}
+          onChange={(e) => setConversation(e.target.value)}
+        >
+          <option value="">{t('allConversations')}</option>
+          {users.map(u => <option key={`user:${u.id}`} value={`user:${u.id}`}>{u.name}</option>)}
+          {rooms.map(r => <option key={`room:${r._id}`} value={`room:${r._id}`}>{r.name}</option>)}
+        </select>
+        <div className="flex items-center space-x-2 text-xs text-gray-500">
+          <input
+            type="date"
+            className="flex-1 min-w-0 bg-gray-100 rounded-lg px-2 py-1 focus:outline-none"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+          <span>–</span>
+          <input
+            type="date"
+            className="flex-1 min-w-0 bg-gray-100 rounded-lg px-2 py-1 focus:outline-none"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {error && <div className="p-4 text-center text-sm text-red-600">{error}</div>}
+
+      {!error && !loading && results.length === 0 && (
+        <div className="p-4 text-center text-sm text-gray-500">{t('noSearchResults')}</div>
+      )}
+
+      <ul className="space-y-0.5">
+        {results.map(result => (
+          <li
+            key={result.message._id}
+            className="p-3 rounded-xl cursor-pointer transition-all duration-200 hover:bg-gray-100"
+            onClick={() => onSelectResult(result)}
+          >
+            <div className="flex items-center justify-between">
+              <div className="font-semibold text-gray-900 truncate">{conversationName(result.message)}</div>
+              <div className="text-xs text-gray-500 ml-2 shrink-0">{formatResultTime(result.message.timestamp)}</div>
+            </div>
+            <div className="text-sm text-gray-600 break-words">
+              {result.message.isGroupMessage && result.message.sender?.username && (
+                <span className="font-medium">{result.message.sender.username}: </span>
+              )}
+              <HighlightedSnippet snippet={result.snippet} />
+            </div>
+            {result.matchedLanguage && (
+              <div className="text-xs text-blue-600 mt-0.5">Translated ({result.matchedLanguage})</div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {loading && <div className="p-3 text-center text-sm text-gray-500">{t('loading')}</div>}
+      {!loading && hasMore && (
+        <button
+          className="w-full p-3 text-sm text-emerald-600 hover:bg-gray-50"
+          onClick={() => search(results[results.length - 1]?.message.timestamp)}
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageSearch;
@@ -3,6 +3,112 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { useTranslation } from '../contexts/TranslationContext';
 import CallButtons from './CallButtons';
+import { getMessageStatus } from '../utils/messageStatus';
+import {
+    downloadTranslatedAttachment,
+    formatFileSize,
+    getDownloadUrl,
+    isImageAttachment,
+    isTranslatableAttachment
+} from '../utils/attachments';
+
+// Mirrors MESSAGE_EDIT_WINDOW_MS in lib/models/Chat.js
+const EDIT_WINDOW_MS = (parseFloat(process.env.NEXT_PUBLIC_MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Text as written by the sender (content may already be translated by the server)
+const sourceContent = (msg) => msg.originalContent ?? msg.content ?? '';
+
+// Mirrors MIN_DETECTION_CONFIDENCE in lib/messageTranslations.js
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Language the server detected in the message text, if it is confident about it
+const detectedLanguageOf = (msg) => (
+    msg.detectedLanguage && msg.languageConfidence >= MIN_DETECTION_CONFIDENCE ? msg.detectedLanguage : null
+);
+
+const baseLanguage = (lang) => (lang || '').split('-')[0].toLowerCase();
+
+const canModifyMessage = (msg) => !msg.isDeleted && Boolean(msg._id) &&
+    Date.now() - new Date(msg.timestamp).getTime() <= EDIT_WINDOW_MS;
+
+const TranslatedDownloadButton = ({ attachment, language, isCurrentUser }) => {
+    const [downloading, setDownloading] = useState(false);
+
+    const download = async () => {
+        setDownloading(true);
+        try {
+            await downloadTranslatedAttachment(attachment, language);
+        } catch (error) {
+            console.error('Failed to download translated attachment:', error);
+            alert('Could not translate this file. Please try again.');
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={download}
+            disabled={downloading}
+            className={`text-xs underline ${isCurrentUser ? 'text-emerald-100' : 'text-blue-600'} disabled:opacity-60`}
+        >
+            {downloading ? 'Translating...' : `Download translated (${language})`}
+        </button>
+    );
+};
+
+const MessageAttachments = ({ attachments, isCurrentUser, language }) => (
+    <div className="space-y-2 mb-1">
+        {attachments.map(attachment => (
+            isImageAttachment(attachment) ? (
+                <a
+                    key={attachment.key}
+                    href={attachment.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block"
+                    title={attachment.name}
+                >
+                    <img
+                        src={attachment.thumbnailUrl || attachment.url}
+                        alt={attachment.name}
+                        width={attachment.width}
+                        height={attachment.height}
+                        loading="lazy"
+                        className="rounded-lg max-h-64 w-auto h-auto object-cover"
+                    />
+                </a>
+            ) : (
+                <div key={attachment.key} className="space-y-1">
+                    <a
+                        href={getDownloadUrl(attachment.url)}
+                        download={attachment.name}
+                        className={`flex items-center space-x-3 rounded-lg p-2 ${
+                            isCurrentUser ? 'bg-emerald-600 hover:bg-emerald-700' : 'bg-gray-100 hover:bg-gray-200'
+                        } transition-colors`}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                        </svg>
+                        <div className="min-w-0">
+                            <div className="text-sm font-medium truncate">{attachment.name}</div>
+                            <div className={`text-xs ${isCurrentUser ? 'text-emerald-100' : 'text-gray-500'}`}>
+                                {formatFileSize(attachment.size)}
+                            </div>
+                        </div>
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                        </svg>
+                    </a>
+                    {isTranslatableAttachment(attachment) && language && (
+                        <TranslatedDownloadButton attachment={attachment} language={language} isCurrentUser={isCurrentUser} />
+                    )}
+                </div>
+            )
+        ))}
+    </div>
+);
 
 const MessageSection = ({
     selectedUser,
@@ -12,6 +118,16 @@ const MessageSection = ({
     setMessage,
     sendMessage,
     handleFileChange,
+    pendingAttachments = [],
+    removePendingAttachment,
+    uploadingAttachment = false,
+    editMessage,
+    deleteMessage,
+    highlightMessageId,
+    hasNewerMessages = false,
+    onLoadLatest,
+    conversationLanguage,
+    onConversationLanguageChange,
     isTyping,
     user,
     startCall,
@@ -19,7 +135,11 @@ const MessageSection = ({
     formatTime,
     onManageGroup
 }) => {
-    const { t, translateText, translateTexts, currentLanguage } = useTranslation();
+    const { t, translateMessages, currentLanguage, languages, availableLanguages } = useTranslation();
+    // Language messages are shown in: a per-conversation override (null = untranslated) or the UI language
+    const targetLanguage = conversationLanguage === undefined ? currentLanguage : conversationLanguage;
+
+    const languageName = (code) => languages?.[code]?.name || languages?.[baseLanguage(code)]?.name || code;
     const fileInputRef = useRef(null);
     const messageInputRef = useRef(null);
     const messagesEndRef = useRef(null);
@@ -31,6 +151,8 @@ const MessageSection = ({
     const observerRef = useRef(null);
     const inFlightRef = useRef(new Set()); // track messageIds currently being translated
     const translateTimerRef = useRef(null);
+    const [editingMessageId, setEditingMessageId] = useState(null);
+    const [editText, setEditText] = useState('');
 
     // Debug logging
     useEffect(() => {
@@ -48,12 +170,20 @@ const MessageSection = ({
     };
 
     useEffect(() => {
+        // After jumping to a search result keep it in view instead of the newest message
+        if (highlightMessageId) {
+            const target = messagesContainerRef.current?.querySelector(`[data-message-id="${highlightMessageId}"]`);
+            if (target) {
+                target.scrollIntoView({ behavior: "smooth", block: "center" });
+                return;
+            }
+        }
         scrollToBottom();
-    }, [messages, isTyping]);
+    }, [messages, isTyping, highlightMessageId]);
 
-    // Lazy batch translation effect using translateTexts from context
+    // Lazy batch translation effect using translateMessages from context
     useEffect(() => {
-        if (!messages.length || typeof window === 'undefined') return;
+        if (!messages.length || !targetLanguage || typeof window === 'undefined') return;
 
         // Debounced translator to coalesce rapid visible-id changes
         const scheduleTranslate = () => {
@@ -62,41 +192,46 @@ const MessageSection = ({
                 // Find visible messages that are not yet translated and not in-flight
                 const messagesToTranslate = messages.filter(msg => {
                     const messageId = msg._id || msg.id;
-                    return visibleMessageIds.has(messageId) && !translatedMessages.has(messageId) && !inFlightRef.current.has(messageId);
+                    // Already delivered in this language by the server
+                    if (msg.translatedLanguage === targetLanguage) return false;
+                    // Edited messages have a stale translation and are translated again
+                    const translated = translatedMessages.get(messageId);
+                    const isStale = !translated || translated.originalContent !== sourceContent(msg);
+                    return !msg.isDeleted && visibleMessageIds.has(messageId) && isStale && !inFlightRef.current.has(messageId);
                 });
 
                 if (messagesToTranslate.length === 0) return;
 
+                // Limit to 30 per call
+                const batch = messagesToTranslate.slice(0, 30);
+
                 try {
                     // Mark as in-flight
-                    messagesToTranslate.forEach(m => inFlightRef.current.add(m._id || m.id));
+                    batch.forEach(m => inFlightRef.current.add(m._id || m.id));
 
-                    const texts = messagesToTranslate.map(m => m.content || '');
-                    // Limit to 30 per call
-                    const batch = texts.slice(0, 30);
-                    const results = await translateTexts(batch, currentLanguage);
+                    const results = await translateMessages(batch, targetLanguage);
 
-                    messagesToTranslate.slice(0, results.length).forEach((msg, idx) => {
+                    batch.forEach((msg, idx) => {
                         const messageId = msg._id || msg.id;
-                        const translatedContent = results[idx] || msg.content;
+                        const translatedContent = results[idx] || sourceContent(msg);
                         setTranslatedMessages(prev => new Map(prev).set(messageId, {
                             content: translatedContent,
-                            originalContent: msg.content
+                            originalContent: sourceContent(msg)
                         }));
                         inFlightRef.current.delete(messageId);
                     });
 
                     // If there were more messages beyond the sliced 30, schedule another run
-                    if (messagesToTranslate.length > results.length) {
+                    if (messagesToTranslate.length > batch.length) {
                         scheduleTranslate();
                     }
                 } catch (error) {
                     console.error('Batch translation failed:', error);
-                    messagesToTranslate.forEach((msg) => {
+                    batch.forEach((msg) => {
                         const messageId = msg._id || msg.id;
                         setTranslatedMessages(prev => new Map(prev).set(messageId, {
-                            content: msg.content,
-                            originalContent: msg.content
+                            content: sourceContent(msg),
+                            originalContent: sourceContent(msg)
                         }));
                         inFlightRef.current.delete(messageId);
                     });
@@ -112,7 +247,7 @@ const MessageSection = ({
                 translateTimerRef.current = null;
             }
         };
-    }, [messages, visibleMessageIds, currentLanguage, translateText, translateTexts, translatedMessages]);
+    }, [messages, visibleMessageIds, targetLanguage, translateMessages, translatedMessages]);
 
     // Intersection Observer setup
     useEffect(() => {
@@ -175,7 +310,30 @@ const MessageSection = ({
     useEffect(() => {
         setTranslatedMessages(new Map());
         setVisibleMessageIds(new Set());
-    }, [currentLanguage]);
+    }, [targetLanguage]);
+
+    const startEditing = (msg) => {
+        setEditingMessageId(msg._id);
+        setEditText(msg.originalContent ?? msg.content ?? '');
+    };
+
+    const cancelEditing = () => {
+        setEditingMessageId(null);
+        setEditText('');
+    };
+
+    const saveEdit = async () => {
+        if (!editMessage || !editingMessageId) return;
+        const saved = await editMessage(editingMessageId, editText);
+        if (saved) cancelEditing();
+    };
+
+    const handleDelete = (msg) => {
+        if (!deleteMessage) return;
+        if (window.confirm(t('confirmDeleteMessage'))) {
+            deleteMessage(msg._id);
+        }
+    };
 
     const handleKeyPress = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -248,6 +406,24 @@ const MessageSection = ({
                                 </button>
                             ) : null;
                         })()}
+                        {onConversationLanguageChange && (
+                            <select
+                                value={conversationLanguage === undefined ? '' : (conversationLanguage || 'original')}
+                                onChange={(e) => onConversationLanguageChange(e.target.value)}
+                                className="text-sm text-gray-600 border border-gray-200 rounded-lg px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-emerald-300"
+                                title={t('conversationLanguage')}
+                            >
+                                <option value="">{t('defaultLanguage')}</option>
+                                <option value="original">{t('dontTranslate')}</option>
+                                {availableLanguages
+                                    .concat(conversationLanguage && !availableLanguages.some(l => l.value === conversationLanguage)
+                                        ? [{ value: conversationLanguage, label: languageName(conversationLanguage) }]
+                                        : [])
+                                    .map(lang => (
+                                        <option key={lang.value} value={lang.value}>{lang.label}</option>
+                                    ))}
+                            </select>
+                        )}
                         <CallButtons
                             onAudioCall={() => {
                                 if (selectedRoom && startGroupCall) {
@@ -273,22 +449,63 @@ const MessageSection = ({
                 {messages.map((msg, index) => {
                     const isCurrentUser = msg.sender?._id === user?._id || msg.sender === user?._id;
                     const messageId = msg._id || msg.id || `temp-${index}`;
-                    const translatedMessage = translatedMessages.get(messageId);
+                    const cachedTranslation = translatedMessages.get(messageId);
+                    // Server-translated content is used as is; a cached translation of a previous version of an edited message is ignored
+                    const translatedMessage = !targetLanguage
+                        ? null
+                        : msg.translatedLanguage === targetLanguage
+                        ? { content: msg.content, originalContent: sourceContent(msg) }
+                        : (cachedTranslation && cachedTranslation.originalContent === sourceContent(msg) ? cachedTranslation : null);
+                    const isEditing = editingMessageId && editingMessageId === msg._id;
+                    const showActions = isCurrentUser && !isEditing && (editMessage || deleteMessage) && canModifyMessage(msg);
                     const displayContent = translatedMessage ? translatedMessage.content : msg.content;
                     const isTranslated = translatedMessage && translatedMessage.originalContent !== translatedMessage.content;
+                    // Worth pointing out when the message was translated, or isn't in the sender's usual language
+                    const detectedLanguage = detectedLanguageOf(msg);
+                    const showDetectedLanguage = detectedLanguage && !msg.isDeleted && (
+                        isTranslated || baseLanguage(detectedLanguage) !== baseLanguage(msg.sender?.preferredLanguage)
+                    );
                     
                     return (
                             <div
                                 key={messageId}
                                 data-message-id={messageId}
-                                className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}
+                                className={`group flex items-center ${isCurrentUser ? 'justify-end' : 'justify-start'}`}
                             >
+                            {showActions && (
+                                <div className="mr-2 flex space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    {editMessage && (
+                                        <button
+                                            type="button"
+                                            onClick={() => startEditing(msg)}
+                                            className="p-1 text-gray-400 hover:text-gray-700 rounded-full hover:bg-gray-200"
+                                            title={t('edit')}
+                                        >
+                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536M9 13l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 16.536a2 2 0 01-.878.507L8 18l.957-3.658A2 2 0 019 13z" />
+                                            </svg>
+                                        </button>
+                                    )}
+                                    {deleteMessage && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDelete(msg)}
+                                            className="p-1 text-gray-400 hover:text-red-600 rounded-full hover:bg-gray-200"
+                                            title={t('delete')}
+                                        >
+                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                            </svg>
+                                        </button>
+                                    )}
+                                </div>
+                            )}
                             <div
                                 className={`max-w-[70%] rounded-2xl px-4 py-3 ${
                                     isCurrentUser
                                         ? 'bg-emerald-500 text-white rounded-br-none'
                                         : 'bg-white text-gray-800 rounded-bl-none'
-                                } shadow-md hover:shadow-lg transition-shadow duration-200`}
+                                } ${messageId === highlightMessageId ? 'ring-2 ring-yellow-400' : ''} shadow-md hover:shadow-lg transition-shadow duration-200`}
                             >
                                 {/* Translation indicator */}
                                 {isTranslated && !isCurrentUser && (
@@ -300,13 +517,49 @@ const MessageSection = ({
                                     </div>
                                 )}
                                 
-                                {/* Message content with enhanced readability */}
-                                <div className="break-words text-[15px] leading-relaxed whitespace-pre-wrap">
-                                    {displayContent}
-                                </div>
+                                {msg.attachments?.length > 0 && (
+                                    <MessageAttachments attachments={msg.attachments} isCurrentUser={isCurrentUser} language={targetLanguage} />
+                                )}
+
+                                {msg.isDeleted ? (
+                                    <div className="text-[15px] italic opacity-70">{t('messageDeleted')}</div>
+                                ) : isEditing ? (
+                                    <form
+                                        onSubmit={(e) => { e.preventDefault(); saveEdit(); }}
+                                        className="space-y-2"
+                                    >
+                                        <textarea
+                                            className="w-full min-w-[12rem] rounded-lg p-2 text-gray-800 text-[15px] focus:outline-none"
+                                            value={editText}
+                                            onChange={(e) => setEditText(e.target.value)}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Escape') cancelEditing();
+                                                if (e.key === 'Enter' && !e.shiftKey) {
+                                                    e.preventDefault();
+                                                    saveEdit();
+                                                }
+                                            }}
+                                            rows={2}
+                                            autoFocus
+                                        />
+                                        <div className="flex justify-end space-x-2 text-xs">
+                                            <button type="button" onClick={cancelEditing} className="px-2 py-1 rounded hover:bg-emerald-600">
+                                                {t('cancel')}
+                                            </button>
+                                            <button type="submit" className="px-2 py-1 rounded bg-white text-emerald-700 font-semibold">
+                                                {t('save')}
+                                            </button>
+                                        </div>
+                                    </form>
+                                ) : displayContent && (
+                                    /* Message content with enhanced readability */
+                                    <div className="break-words text-[15px] leading-relaxed whitespace-pre-wrap">
+                                        {displayContent}
+                                    </div>
+                                )}
                                 
                                 {/* Show original text on hover for translated messages */}
-                                {isTranslated && translatedMessage.originalContent && (
+                                {isTranslated && !msg.isDeleted && translatedMessage.originalContent && (
                                     <div className="mt-2 pt-2 border-t border-gray-200/30">
                                         <div className="text-xs opacity-70 italic">
                                             Original: {translatedMessage.originalContent}
@@ -317,12 +570,30 @@ const MessageSection = ({
                                 <div className={`text-[11px] mt-1 flex items-center justify-end space-x-1 ${
                                     isCurrentUser ? 'text-emerald-100' : 'text-gray-500'
                                 }`}>
-                                    <span>{formatTime ? formatTime(msg.timestamp) : new Date(msg.timestamp).toLocaleTimeString()}</span>
-                                    {isCurrentUser && (
-                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                        </svg>
+                                    {showDetectedLanguage && (
+                                        <span title={`${Math.round(msg.languageConfidence * 100)}%`}>
+                                            {t('detected')}: {languageName(detectedLanguage)}
+                                        </span>
                                     )}
+                                    {msg.editedAt && !msg.isDeleted && <span>{t('edited')}</span>}
+                                    <span>{formatTime ? formatTime(msg.timestamp) : new Date(msg.timestamp).toLocaleTimeString()}</span>
+                                    {isCurrentUser && !msg.isDeleted && (() => {
+                                        const status = getMessageStatus(msg);
+                                        return (
+                                            <span title={t(status)} className={status === 'read' ? 'text-sky-200' : ''}>
+                                                {status === 'sent' ? (
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                                                    </svg>
+                                                ) : (
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-5" fill="none" viewBox="0 0 28 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2 13l4 4L16 7" />
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15l2 2L24 7" />
+                                                    </svg>
+                                                )}
+                                            </span>
+                                        );
+                                    })()}
                                 </div>
                             </div>
                         </div>
@@ -340,11 +611,59 @@ const MessageSection = ({
                         </div>
                     </div>
                 )}
+                {hasNewerMessages && onLoadLatest && (
+                    <div className="flex justify-center">
+                        <button
+                            type="button"
+                            onClick={onLoadLatest}
+                            className="px-4 py-2 text-sm bg-white text-emerald-700 rounded-full shadow-md hover:bg-emerald-50"
+                        >
+                            {t('jumpToLatest')}
+                        </button>
+                    </div>
+                )}
                 <div ref={messagesEndRef}></div>
             </div>
 
             {/* Fixed input area at bottom */}
             <div className="bg-white p-4 shadow-lg">
+                {(pendingAttachments.length > 0 || uploadingAttachment) && (
+                    <div className="flex flex-wrap gap-2 mb-3">
+                        {pendingAttachments.map(attachment => (
+                            <div
+                                key={attachment.key}
+                                className="flex items-center space-x-2 bg-gray-100 rounded-lg pl-2 pr-1 py-1 max-w-xs"
+                            >
+                                {isImageAttachment(attachment) && (attachment.thumbnailUrl || attachment.url) ? (
+                                    <img
+                                        src={attachment.thumbnailUrl || attachment.url}
+                                        alt={attachment.name}
+                                        className="h-8 w-8 rounded object-cover"
+                                    />
+                                ) : null}
+                                <div className="min-w-0">
+                                    <div className="text-sm text-gray-800 truncate">{attachment.name}</div>
+                                    <div className="text-xs text-gray-500">{formatFileSize(attachment.size)}</div>
+                                </div>
+                                {removePendingAttachment && (
+                                    <button
+                                        type="button"
+                                        onClick={() => removePendingAttachment(attachment.key)}
+                                        className="p-1 text-gray-400 hover:text-gray-700 rounded-full hover:bg-gray-200"
+                                        title="Remove"
+                                    >
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                        </svg>
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                        {uploadingAttachment && (
+                            <div className="flex items-center text-sm text-gray-500 px-2">{t('uploading')}</div>
+                        )}
+                    </div>
+                )}
                 <form 
                     onSubmit={(e) => { e.preventDefault(); sendMessage(); }}
                     className="flex items-center space-x-2"
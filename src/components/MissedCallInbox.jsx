@@ -0,0 +1,188 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from '../contexts/TranslationContext';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+const PAGE_SIZE = 30;
+
+const formatCallTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const MissedCallInbox = ({ users, rooms, selectUser, selectRoom, onUnreadCountChange, refreshKey }) => {
+  const { t } = useTranslation();
+  const [notifications, setNotifications] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const authHeaders = () => ({ 'x-auth-token': localStorage.getItem('token') });
+
+  const updateUnreadCount = (count) => {
+    if (typeof count === 'number' && onUnreadCountChange) onUnreadCountChange(count);
+  };
+
+  const fetchNotifications = async (before) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = { limit: PAGE_SIZE, filter: 'missed' };
+      if (before) params.before = before;
+      const res = await axios.get(`${API_URL}/chat/calls/notifications`, {
+        headers: authHeaders(),
+        params
+      });
+      const data = res.data || { notifications: [] };
+      setNotifications(prev => (before ? [...prev, ...data.notifications] : data.notifications));
+      setHasMore(Boolean(data.hasMore));
+      updateUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching missed calls:', err);
+      setError(err.response?.data?.message || 'Failed to load missed calls');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // refreshKey changes when a new missedCall event arrives
+  useEffect(() => {
+    fetchNotifications();
+  }, [refreshKey]);
+
+  const markRead = async (notification) => {
+    if (notification.read) return;
+    try {
+      const res = await axios.patch(`${API_URL}/chat/calls/notifications/${notification._id}`, { read: true }, {
+        headers: authHeaders()
+      });
+      setNotifications(prev => prev.map(n => (n._id === notification._id ? { ...n, read: true } : n)));
+      updateUnreadCount(res.data.unreadCount);
+    } catch (err) {
+      console.error('Error marking missed call read:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      const res = await axios.post(`${API_URL}/chat/calls/notifications/read`, {}, {
+        headers: authHeaders()
+      });
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      updateUnreadCount(res.data.unreadCount);
+    } catch (err) {
+      console.error('Error marking missed calls read:', err);
+    }
+  };
+
+  const dismiss = async (notification) => {
+    try {
+      const res = await axios.delete(`${API_URL}/chat/calls/notifications/${notification._id}`, {
+        headers: authHeaders()
+      });
+      setNotifications(prev => prev.filter(n => n._id !== notification._id));
+      updateUnreadCount(res.data.unreadCount);
+    } catch (err) {
+      console.error('Error dismissing missed call:', err);
+    }
+  };
+
+  const openNotification = (notification) => {
+    markRead(notification);
+    if (notification.kind === 'group') {
+      const room = rooms.find(r => r._id === (notification.room?._id || notification.room));
+      if (room) selectRoom(room);
+    } else {
+      const callerId = notification.caller?._id || notification.caller;
+      const contact = users.find(u => String(u.id) === String(callerId));
+      if (contact) selectUser(contact);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="p-4 text-center text-sm text-red-600">
+        {error}
+        <button className="block mx-auto mt-2 text-emerald-600 hover:underline" onClick={() => fetchNotifications()}>
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!loading && notifications.length === 0) {
+    return <div className="p-4 text-center text-sm text-gray-500">{t('noMissedCalls')}</div>;
+  }
+
+  return (
+    <div className="px-2">
+      {notifications.some(n => !n.read) && (
+        <div className="flex justify-end px-2 pb-1">
+          <button className="text-xs text-emerald-600 hover:underline" onClick={markAllRead}>
+            {t('markAllRead')}
+          </button>
+        </div>
+      )}
+      <ul className="space-y-0.5">
+        {notifications.map(notification => {
+          const name = notification.kind === 'group'
+            ? notification.room?.name || 'Group'
+            : notification.caller?.username || 'Unknown';
+
+          return (
+            <li
+              key={notification._id}
+              className={`flex items-center p-3 rounded-xl cursor-pointer transition-all duration-200 hover:bg-gray-100 ${notification.read ? '' : 'bg-red-50'}`}
+              onClick={() => openNotification(notification)}
+            >
+              <div className="w-12 h-12 rounded-full bg-gradient-to-br from-red-400 to-red-600 text-white flex items-center justify-center text-lg font-semibold shadow-md">
+                {name[0]?.toUpperCase() || '?'}
+              </div>
+              <div className="ml-3 flex-1 min-w-0">
+                <div className="flex items-center justify-between">
+                  <div className={`truncate ${notification.read ? 'text-gray-900' : 'font-semibold text-red-600'}`}>{name}</div>
+                  <div className="text-xs text-gray-500 ml-2 shrink-0">{formatCallTime(notification.createdAt)}</div>
+                </div>
+                <div className="text-sm text-gray-500 flex items-center justify-between">
+                  <span>
+                    Missed {notification.callType === 'audio' ? 'audio' : 'video'} call
+                    {notification.kind === 'group' && notification.caller?.username ? ` from ${notification.caller.username}` : ''}
+                  </span>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      dismiss(notification);
+                    }}
+                    className="text-gray-400 hover:text-gray-700 p-1 rounded-full hover:bg-gray-200"
+                    title="Dismiss"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {loading && <div className="p-3 text-center text-sm text-gray-500">{t('loading')}</div>}
+      {!loading && hasMore && (
+        <button
+          className="w-full p-3 text-sm text-emerald-600 hover:bg-gray-50"
+          onClick={() => fetchNotifications(notifications[notifications.length - 1]?.createdAt)}
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MissedCallInbox;
@@ -3,8 +3,13 @@
 import React from 'react';
 import { useTranslation } from '../contexts/TranslationContext';
 import useAudioProcessing from '../hooks/useAudioProcessing';
+import useCallTranscriptRecording from '../hooks/useCallTranscriptRecording';
+import useAudioMixer from '../hooks/useAudioMixer';
+import useVadSettings from '../hooks/useVadSettings';
 import VideoStreams from './VideoCallComponents/VideoStreams';
 import CallControls from './VideoCallComponents/CallControls';
+import ListeningModeSelector from './VideoCallComponents/ListeningModeSelector';
+import VoiceDetectionSettings from './VideoCallComponents/VoiceDetectionSettings';
 
 /**
  * VideoCall component to handle video calls with real-time translation
@@ -25,9 +30,14 @@ const VideoCall = ({
   isCameraOff,
   peerConnection,
   socket,
-  selectedUser
+  selectedUser,
+  callRecordId
 }) => {
-  const { currentLanguage, languages } = useTranslation();
+  const { currentLanguage, languages, t } = useTranslation();
+  const { recording, changedBy, toggleRecording } = useCallTranscriptRecording(socket, 'direct', callRecordId);
+  // The remote voice plays through the mixer, which ducks it under translated speech
+  const { mixer, listeningMode, setListeningMode } = useAudioMixer([{ id: 'remote', stream: remoteStream }]);
+  const { vadSettings, updateVadSettings, resetVadSettings } = useVadSettings();
   
   // Use our custom hook for audio processing and translation only when socket is connected
   const audioProcessingEnabled = socket && socket.connected;
@@ -38,7 +48,9 @@ const VideoCall = ({
     socket, 
     selectedUser,
     currentLanguage,
-    peerConnection
+    peerConnection,
+    mixer,
+    vadSettings
   ) : {
     localOriginal: '',
     localTranslated: '',
@@ -75,15 +87,37 @@ const VideoCall = ({
         remoteTranslated={remoteTranslated}
         yourLanguage={currentLanguage}
         yourLanguageName={yourLanguageName}
+        remoteAudioMixed
       />
 
-      {/* Call controls (mute, camera, end call) */}
+      <div className="absolute top-4 left-4 z-20 flex flex-col items-start space-y-1">
+        <ListeningModeSelector
+          listeningMode={listeningMode}
+          onChange={setListeningMode}
+          className="bg-black/50 px-2 py-1 rounded"
+        />
+        <VoiceDetectionSettings
+          vadSettings={vadSettings}
+          onChange={updateVadSettings}
+          onReset={resetVadSettings}
+        />
+      </div>
+
+      {recording && (
+        <div className="absolute top-4 left-1/2 transform -translate-x-1/2 z-20 bg-red-600/80 text-white text-xs px-3 py-1 rounded-full">
+          ● {t('recordingTranscript')}{changedBy?.username ? ` (${changedBy.username})` : ''}
+        </div>
+      )}
+
+      {/* Call controls (mute, camera, transcript, end call) */}
       <CallControls
         toggleMute={toggleMute}
         toggleCamera={toggleCamera}
         endCall={endCall}
         isMuted={isMuted}
         isCameraOff={isCameraOff}
+        toggleTranscript={callRecordId ? toggleRecording : undefined}
+        isRecordingTranscript={recording}
       />
     </div>
   );
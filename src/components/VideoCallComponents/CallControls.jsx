@@ -4,9 +4,18 @@ import React from 'react';
 import callSoundPlayer from '../../utils/callSounds';
 
 /**
- * Component for video call control buttons
+ * Component for video call control buttons. The transcript button is only
+ * shown when toggleTranscript is passed.
  */
-const CallControls = ({ toggleMute, toggleCamera, endCall, isMuted, isCameraOff }) => {
+const CallControls = ({
+  toggleMute,
+  toggleCamera,
+  endCall,
+  isMuted,
+  isCameraOff,
+  toggleTranscript,
+  isRecordingTranscript = false
+}) => {
   return (
     <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex space-x-4 z-20">
       <button
@@ -39,6 +48,19 @@ const CallControls = ({ toggleMute, toggleCamera, endCall, isMuted, isCameraOff
         </svg>
       </button>
       
+      {toggleTranscript && (
+        <button
+          onClick={toggleTranscript}
+          className={`p-4 rounded-full ${isRecordingTranscript ? 'bg-red-500' : 'bg-gray-600'} text-white shadow-lg hover:opacity-90 transition-opacity`}
+          aria-label={isRecordingTranscript ? "Stop recording transcript" : "Record transcript"}
+          title={isRecordingTranscript ? "Stop recording transcript" : "Record transcript"}
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className={`h-6 w-6 ${isRecordingTranscript ? 'animate-pulse' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+          </svg>
+        </button>
+      )}
+
       <button
         onClick={() => {
           callSoundPlayer.stopAll();
@@ -0,0 +1,36 @@
+'use client'
+
+import React from 'react';
+import { useTranslation } from '../../contexts/TranslationContext';
+import { LISTENING_MODES } from '../../services/AudioMixer';
+
+const MODE_LABELS = {
+  mixed: 'listenMixed',
+  translated: 'listenTranslated',
+  original: 'listenOriginal'
+};
+
+/**
+ * Lets the listener choose what they hear of the other participants:
+ * original voices, translated speech, or both with the original ducked.
+ */
+const ListeningModeSelector = ({ listeningMode, onChange, className = '' }) => {
+  const { t } = useTranslation();
+
+  return (
+    <label className={`flex items-center space-x-1 text-xs text-gray-200 ${className}`}>
+      <span>{t('listeningMode')}</span>
+      <select
+        value={listeningMode}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-black/60 text-white rounded px-1 py-0.5 border border-gray-600"
+      >
+        {LISTENING_MODES.map(mode => (
+          <option key={mode} value={mode}>{t(MODE_LABELS[mode])}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ListeningModeSelector;
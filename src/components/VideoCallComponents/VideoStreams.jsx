@@ -7,6 +7,8 @@ import TranscriptOverlay from './TranscriptOverlay';
 /**
  * Component to display local and remote video streams during calls
  * Displays simple overlays for transcripts/translations — avoids client-side TTS
+ * With remoteAudioMixed the remote video is muted because its audio is played
+ * through an AudioMixer instead.
  */
 const VideoStreams = ({ 
   localVideoRef, 
@@ -18,7 +20,8 @@ const VideoStreams = ({
   remoteTranscript = '',
   remoteTranslated = '',
   yourLanguage = 'en',
-  yourLanguageName = 'Your Language'
+  yourLanguageName = 'Your Language',
+  remoteAudioMixed = false
 }) => {
   // Setup video streams when components receive new streams
   useEffect(() => {
@@ -34,7 +37,7 @@ const VideoStreams = ({
         
         // Set new stream
         ref.current.srcObject = stream;
-        ref.current.muted = isLocal; // Only mute local video
+        ref.current.muted = isLocal || remoteAudioMixed; // Only mute local video, or remote audio the mixer plays
         ref.current.playsInline = true;
         ref.current.autoplay = true;
         
@@ -86,7 +89,7 @@ const VideoStreams = ({
       cleanupVideo(localVideoRef);
       cleanupVideo(remoteVideoRef);
     };
-  }, [localStream, remoteStream, localVideoRef, remoteVideoRef]);
+  }, [localStream, remoteStream, localVideoRef, remoteVideoRef, remoteAudioMixed]);
 
   return (
     <>
@@ -0,0 +1,52 @@
+'use client'
+
+import React, { useState } from 'react';
+import { useTranslation } from '../../contexts/TranslationContext';
+import { VAD_SETTINGS } from '../../utils/audioCapture';
+
+/**
+ * Panel for tuning how the microphone is cut into sentences for translation
+ * (see useVadSettings). Changes apply to the running call right away.
+ */
+const VoiceDetectionSettings = ({ vadSettings, onChange, onReset, className = '' }) => {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className={`relative text-xs text-gray-200 ${className}`}>
+      <button
+        onClick={() => setOpen(value => !value)}
+        className="px-2 py-0.5 rounded border border-gray-600 bg-black/60 hover:bg-black/80"
+        aria-expanded={open}
+      >
+        {t('voiceDetection')}
+      </button>
+      {open && (
+        <div className="absolute left-0 top-full mt-1 w-64 p-3 space-y-2 rounded bg-black/80 border border-gray-600 shadow-lg">
+          {VAD_SETTINGS.map(({ key, label, min, max, step, unit }) => (
+            <label key={key} className="block">
+              <span className="flex justify-between">
+                <span>{t(label)}</span>
+                <span>{vadSettings[key]} {unit}</span>
+              </span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={vadSettings[key]}
+                onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+                className="w-full"
+              />
+            </label>
+          ))}
+          <button onClick={onReset} className="text-emerald-400 hover:text-emerald-300">
+            {t('resetToDefaults')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceDetectionSettings;
@@ -37,6 +37,49 @@ const UI_TRANSLATIONS = {
     offline: 'Offline',
     contacts: 'Contacts',
     groups: 'Groups',
+    calls: 'Calls',
+    noCalls: 'No calls yet',
+    allCalls: 'All',
+    missedCalls: 'Missed',
+    noMissedCalls: 'No missed calls',
+    markAllRead: 'Mark all as read',
+    transcript: 'Transcript',
+    recordTranscript: 'Record transcript',
+    stopRecordingTranscript: 'Stop recording transcript',
+    recordingTranscript: 'Recording transcript',
+    originalLanguage: 'Original',
+    noTranscriptSegments: 'Nothing was said while recording',
+    summarizeAfterCall: 'Post a summary when the call ends',
+    listeningMode: 'Hear',
+    listenMixed: 'Both (original quieter)',
+    listenTranslated: 'Translation only',
+    listenOriginal: 'Original only',
+    voiceDetection: 'Voice detection',
+    vadSensitivity: 'Sensitivity (above background)',
+    vadHangover: 'Pause that ends a sentence',
+    vadPreRoll: 'Audio kept before speech',
+    vadMinSpeech: 'Shortest speech sent',
+    vadMaxUtterance: 'Longest sentence',
+    resetToDefaults: 'Reset to defaults',
+    uploading: 'Uploading...',
+    edit: 'Edit',
+    delete: 'Delete',
+    save: 'Save',
+    cancel: 'Cancel',
+    edited: 'edited',
+    detected: 'detected',
+    conversationLanguage: 'Language for this conversation',
+    defaultLanguage: 'My language',
+    dontTranslate: "Don't translate",
+    messageDeleted: 'This message was deleted',
+    confirmDeleteMessage: 'Delete this message for everyone?',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read',
+    searchMessages: 'Search messages...',
+    noSearchResults: 'No messages found',
+    allConversations: 'All conversations',
+    jumpToLatest: 'Jump to latest messages',
     groupChat: 'Group Chat',
     logout: 'Logout',
     loading: 'Loading...',
@@ -307,6 +350,55 @@ export const TranslationProvider = ({ children }) => {
     }
   };
 
+  // Translate stored chat messages by id; the server persists each translation on the message
+  const translateMessages = async (messages, targetLang = currentLanguage) => {
+    if (!messages || messages.length === 0) return [];
+
+    const sourceOf = (msg) => msg.originalContent ?? msg.content ?? '';
+    const results = messages.map(msg => {
+      const text = sourceOf(msg);
+      if (!text.trim()) return text;
+      const cacheKey = `${text}:auto:${targetLang}`;
+      return translationCache.has(cacheKey) ? translationCache.get(cacheKey) : null;
+    });
+
+    const uncached = messages.filter((msg, index) => results[index] === null && msg._id);
+    if (uncached.length === 0) {
+      return results.map((result, index) => result ?? sourceOf(messages[index]));
+    }
+
+    try {
+      if (typeof window === 'undefined') return messages.map(sourceOf);
+      const token = localStorage.getItem('token');
+      if (!token) return messages.map(sourceOf);
+
+      const response = await axios.post(
+        `${API_URL}/chat/translate`,
+        {
+          messageIds: uncached.map(msg => msg._id),
+          targetLang
+        },
+        {
+          headers: {
+            'x-auth-token': token
+          }
+        }
+      );
+
+      const translations = response.data.translations || {};
+      return messages.map((msg, index) => {
+        if (results[index] !== null) return results[index];
+        const translation = translations[msg._id];
+        if (translation === undefined) return sourceOf(msg);
+        translationCache.set(`${sourceOf(msg)}:auto:${targetLang}`, translation);
+        return translation;
+      });
+    } catch (error) {
+      console.error('Message translation error:', error);
+      return results.map((result, index) => result ?? sourceOf(messages[index]));
+    }
+  };
+
   // Function to get UI translations
   const t = (key) => {
     const translations = UI_TRANSLATIONS[currentLanguage] || UI_TRANSLATIONS.en;
@@ -318,6 +410,7 @@ export const TranslationProvider = ({ children }) => {
     changeLanguage,
     translateText,
     translateTexts,
+    translateMessages,
     t,
     availableLanguages: AVAILABLE_LANGUAGES,
     languages  // Full language data from Azure
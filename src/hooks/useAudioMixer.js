@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import AudioMixer, { getSavedListeningMode, saveListeningMode } from '../services/AudioMixer';
+
+/**
+ * An AudioMixer for the current call, routing the given remote streams, plus
+ * the listener's chosen listening mode (remembered in this browser).
+ * @param {Array<{id: string, stream: MediaStream}>} remoteStreams
+ */
+const useAudioMixer = (remoteStreams) => {
+  const mixerRef = useRef(null);
+  if (!mixerRef.current) {
+    mixerRef.current = new AudioMixer();
+  }
+  const mixer = mixerRef.current;
+  // The default mode on the first render, like the server renders it; the saved one after mount
+  const [listeningMode, setMode] = useState(mixer.mode);
+
+  useEffect(() => {
+    mixer.setMode(getSavedListeningMode());
+    setMode(mixer.mode);
+  }, [mixer]);
+
+  // Re-sync only when an id or stream changes, not on every new array
+  const remoteStreamsRef = useRef(remoteStreams);
+  remoteStreamsRef.current = remoteStreams;
+  const streamsKey = remoteStreams.map(({ id, stream }) => `${id}:${stream?.id || ''}`).join(',');
+  useEffect(() => {
+    mixer.syncRemoteStreams(remoteStreamsRef.current);
+  }, [mixer, streamsKey]);
+
+  useEffect(() => () => mixer.close(), [mixer]);
+
+  const setListeningMode = useCallback((mode) => {
+    mixer.setMode(mode);
+    saveListeningMode(mixer.mode);
+    setMode(mixer.mode);
+  }, [mixer]);
+
+  return { mixer, listeningMode, setListeningMode };
+};
+
+export default useAudioMixer;
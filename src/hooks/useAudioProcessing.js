@@ -1,9 +1,52 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react';
-import { createOptimizedAudioContext, hasSound, convertToInt16, createWavBuffer, convertToBase64 } from '../utils/audioProcessing';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  createOptimizedAudioContext,
+  announceAudioSystem,
+  audioPayloadToBlob,
+  getOpusRecordingType,
+  UtteranceRecorder,
+  buildAudioUpload
+} from '../utils/audioProcessing';
+import { createAudioCapture, PlaybackSuppressor, CAPTURE_SAMPLE_RATE, DEFAULT_VAD_OPTIONS } from '../utils/audioCapture';
 import performanceMetrics from '../utils/performanceMetrics';
 
+// Streaming mode: PCM frames go to one server-side recognizer per speaker
+// instead of a WAV chunk per pause (see startSpeechStream in audioHandler.js)
+const STREAMING_SPEECH = process.env.NEXT_PUBLIC_SPEECH_STREAMING === 'true';
+// Audio per speechStreamAudio message
+const STREAM_FRAME_MS = 100;
+
+// Helper to play a single audio element and await its end or error
+const playAudioAndWait = (audioEl) => {
+  return new Promise((resolve) => {
+    const onEnded = () => {
+      try { audioEl.pause(); audioEl.src = ''; } catch (e) {}
+      audioEl.removeEventListener('ended', onEnded);
+      audioEl.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = (err) => {
+      console.warn('TTS playback error', err);
+      audioEl.removeEventListener('ended', onEnded);
+      audioEl.removeEventListener('error', onError);
+      try { audioEl.pause(); audioEl.src = ''; } catch (e) {}
+      resolve();
+    };
+    audioEl.addEventListener('ended', onEnded);
+    audioEl.addEventListener('error', onError);
+    // try to play; if blocked, resolve immediately so queue continues
+    audioEl.play().then(() => {
+      // playing; wait for events
+    }).catch((err) => {
+      console.warn('🔇 TTS autoplay blocked or failed:', err);
+      // resolve to continue queue
+      onError(err);
+    });
+  });
+};
+
 /**
  * OPTIMIZED: Ultra-low latency audio processing
  * Key improvements:
@@ -13,7 +56,16 @@ import performanceMetrics from '../utils/performanceMetrics';
  * 4. Optimistic UI updates
  * 5. Performance metrics tracking
  */
-const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, currentLanguage, peerConnection = null) => {
+const useAudioProcessing = (
+  localStream,
+  remoteStream,
+  socket,
+  selectedUser,
+  currentLanguage,
+  peerConnection = null,
+  audioMixer = null, // plays translated speech over the ducked remote voice (see useAudioMixer)
+  vadSettings = DEFAULT_VAD_OPTIONS // voice detection parameters (see useVadSettings)
+) => {
   // Separate tracking for local vs remote
   const [localOriginal, setLocalOriginal] = useState('');
   const [localTranslated, setLocalTranslated] = useState('');
@@ -26,19 +78,30 @@ const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, cur
   const [localTranscript, setLocalTranscript] = useState('');
   const [remoteTranscript, setRemoteTranscript] = useState('');
   const [callParticipant, setCallParticipant] = useState(null);
+  // Falls back to chunked mode when the server can't stream
+  const [streamingEnabled, setStreamingEnabled] = useState(STREAMING_SPEECH);
   
   // Audio processing refs
   const audioContextRef = useRef(null);
   const sourceNodeRef = useRef(null);
-  const processorNodeRef = useRef(null);
-  
-  // Performance optimization refs
-  const lastProcessTimeRef = useRef(0);
-  const pendingAudioRef = useRef([]);
-  const isProcessingRef = useRef(false);
+  const captureRef = useRef(null);
+  // Bumped by cleanup, so that a setup finishing after it stops again
+  const setupIdRef = useRef(0);
+  // Read at setup; changes are applied to the running capture
+  const vadSettingsRef = useRef(vadSettings);
+  const streamSessionRef = useRef(null);
+  // Whether the server accepted binary audio frames in audioSystemReady
+  const binaryAudioRef = useRef(false);
+  // Records Opus uploads when NEXT_PUBLIC_AUDIO_UPLOAD_FORMAT=opus
+  const recorderRef = useRef(null);
+  // Keeps the microphone from re-capturing translated speech played here
+  const suppressorRef = useRef(null);
+  if (!suppressorRef.current) {
+    suppressorRef.current = new PlaybackSuppressor(() => captureRef.current, () => recorderRef.current?.discard());
+  }
 
   // TTS playback queue - ensure only one audio plays at a time
-  const ttsQueueRef = useRef([]); // array of { base64, meta }
+  const ttsQueueRef = useRef([]); // array of { audio, meta }
   const isPlayingRef = useRef(false);
   const runnerRunningRef = useRef(false); // ensures single runner
   const currentAudioElRef = useRef(null);
@@ -47,108 +110,35 @@ const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, cur
   const currentMetricRef = useRef(null);
 
   useEffect(() => {
-    if (typeof window === 'undefined') return;
-    
-    if (socket?.connected) {
-      socket.emit('audioSystemReady', { ready: true });
+    if (typeof window === 'undefined' || !socket) return;
+
+    const announce = () => {
+      binaryAudioRef.current = false;
+      announceAudioSystem(socket, (binary) => {
+        binaryAudioRef.current = binary;
+      });
       console.log('✅ Audio system ready');
-    }
+    };
+
+    if (socket.connected) announce();
+    // A reconnect is a new connection on the server, which has to be told again
+    socket.on('connect', announce);
+    return () => socket.off('connect', announce);
   }, [socket, peerConnection]);
 
-  const getTargetUser = () => {
+  const getTargetUser = useCallback(() => {
     return callParticipant || selectedUser;
-  };
+  }, [callParticipant, selectedUser]);
 
   useEffect(() => {
     if (!socket?.connected || !selectedUser?.id) return;
     socket.emit('getCallParticipantInfo', { userId: selectedUser.id });
   }, [socket, selectedUser]);
 
-  const setupAudioProcessing = async () => {
-    try {
-      audioContextRef.current = createOptimizedAudioContext();
-      const audioTrack = localStream.getAudioTracks()[0];
-      
-      if (!audioTrack) {
-        console.error('No audio track found');
-        return;
-      }
-      
-      sourceNodeRef.current = audioContextRef.current.createMediaStreamSource(
-        new MediaStream([audioTrack])
-      );
-      
-      setupOptimizedScriptProcessor();
-    } catch (error) {
-      console.error('Audio processing setup failed:', error);
-    }
-  };
-
-  /**
-   * OPTIMIZED: Reduced latency audio processor
-   * Key changes:
-   * - Smaller buffer (512 samples = ~32ms at 16kHz)
-   * - Reduced silence threshold (3 chunks = ~96ms)
-   * - Minimum audio reduced to 0.3s
-   * - Debounced processing
-   */
-  const setupOptimizedScriptProcessor = () => {
-    // CRITICAL: Use 512 buffer size for ~32ms latency (was 2048 = ~128ms)
-    processorNodeRef.current = audioContextRef.current.createScriptProcessor(512, 1, 1);
-    let audioBuffer = new Float32Array();
-    let silenceCounter = 0;
-    
-    // OPTIMIZED: Reduce thresholds for faster response
-    const SILENCE_THRESHOLD = 2; // ~64ms of silence (was 96ms)
-    const MIN_AUDIO_LENGTH = audioContextRef.current.sampleRate * 0.3; // 0.3s min (was 0.5s)
-    const MIN_PROCESS_INTERVAL = 150; // Minimum 150ms between sends
-    
-    processorNodeRef.current.onaudioprocess = (e) => {
-      if (!socket?.connected || isProcessingRef.current) return;
-  
-      const inputData = e.inputBuffer.getChannelData(0);
-      const hasCurrentSound = hasSound(inputData, 0.003); // Lower threshold
-      
-      if (hasCurrentSound) {
-        const newBuffer = new Float32Array(audioBuffer.length + inputData.length);
-        newBuffer.set(audioBuffer);
-        newBuffer.set(inputData, audioBuffer.length);
-        audioBuffer = newBuffer;
-        silenceCounter = 0;
-      } else if (audioBuffer.length > 0) {
-        silenceCounter++;
-        
-        // Check if enough silence and minimum audio length
-        if (silenceCounter >= SILENCE_THRESHOLD && audioBuffer.length >= MIN_AUDIO_LENGTH) {
-          const now = Date.now();
-          const timeSinceLastProcess = now - lastProcessTimeRef.current;
-          
-          // Debounce to prevent too frequent sends
-          if (timeSinceLastProcess >= MIN_PROCESS_INTERVAL) {
-            isProcessingRef.current = true;
-            lastProcessTimeRef.current = now;
-            
-            const bufferToProcess = audioBuffer;
-            audioBuffer = new Float32Array();
-            silenceCounter = 0;
-            
-            sendAudioForTranslation(bufferToProcess)
-              .finally(() => {
-                isProcessingRef.current = false;
-              });
-          }
-        }
-      }
-    };
-  
-    sourceNodeRef.current.connect(processorNodeRef.current);
-    processorNodeRef.current.connect(audioContextRef.current.destination);
-  };
-
   /**
    * OPTIMIZED: Faster audio transmission with performance tracking
    */
-  const sendAudioForTranslation = async (audioData) => {
+  const sendAudioForTranslation = useCallback(async (pcm) => {
     try {
       if (!socket?.connected) return;
       
@@ -164,46 +154,230 @@ const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, cur
       currentMetricRef.current = metric;
       
       // Convert and send immediately - no delays
-      const pcmData = convertToInt16(audioData);
-      const wavBuffer = createWavBuffer(pcmData);
-      const base64Audio = await convertToBase64(wavBuffer);
+      const { audio, audioFormat } = await buildAudioUpload(pcm, recorderRef.current, binaryAudioRef.current);
       
       performanceMetrics.recordTimestamp(metric, 'audioProcessed');
       
       // Single event for entire pipeline (optimized)
       socket.emit('translateSpeechOptimized', {
-        audio: base64Audio,
+        audio,
+        audioFormat,
         sourceLanguage: currentLanguage,
         targetLanguage,
         userId: targetUserId,
-        sampleRate: 16000,
-        encoding: 'WAV',
+        sampleRate: CAPTURE_SAMPLE_RATE,
         requestId,
         timestamp: Date.now() // For latency tracking
       });
     } catch (error) {
       console.error('Error sending audio:', error);
     }
-  };
+  }, [socket, currentLanguage, getTargetUser]);
+
+  /**
+   * Utterance mode: the capture pipeline (an AudioWorklet, see utils/audioCapture)
+   * finds speech with the voice activity detector and each utterance is sent
+   * for translation.
+   */
+  const setupUtteranceCapture = useCallback(() => createAudioCapture(audioContextRef.current, sourceNodeRef.current, {
+    mode: 'utterance',
+    ...vadSettingsRef.current,
+    suppressed: suppressorRef.current.active,
+    onUtterance: (pcm) => {
+      if (socket?.connected) sendAudioForTranslation(pcm);
+    },
+    onIdle: () => recorderRef.current?.trimSilence()
+  }), [socket, sendAudioForTranslation]);
 
-  const cleanupAudioProcessing = () => {
-    if (processorNodeRef.current) {
-      processorNodeRef.current.disconnect();
-      processorNodeRef.current = null;
+  /**
+   * Streaming mode: open a speech stream and send every captured frame
+   * (STREAM_FRAME_MS of 16 kHz PCM). The server decides where utterances start and end.
+   */
+  const setupStreamingCapture = useCallback(() => {
+    const targetUser = getTargetUser();
+    const sessionId = `stream-${Date.now()}`;
+    streamSessionRef.current = sessionId;
+
+    socket.emit('startSpeechStream', {
+      sessionId,
+      sourceLanguage: currentLanguage,
+      targetLanguage: targetUser?.preferredLanguage || 'en',
+      userId: targetUser?.id,
+      sampleRate: CAPTURE_SAMPLE_RATE
+    });
+
+    return createAudioCapture(audioContextRef.current, sourceNodeRef.current, {
+      mode: 'stream',
+      frameMs: STREAM_FRAME_MS,
+      suppressed: suppressorRef.current.active,
+      onFrame: (pcm) => {
+        if (socket?.connected) socket.emit('speechStreamAudio', { sessionId, audio: pcm.buffer });
+      }
+    });
+  }, [socket, currentLanguage, getTargetUser]);
+
+  const setupAudioProcessing = useCallback(async () => {
+    const setupId = setupIdRef.current;
+    try {
+      audioContextRef.current = createOptimizedAudioContext();
+      const audioTrack = localStream.getAudioTracks()[0];
+      
+      if (!audioTrack) {
+        console.error('No audio track found');
+        return;
+      }
+      
+      sourceNodeRef.current = audioContextRef.current.createMediaStreamSource(
+        new MediaStream([audioTrack])
+      );
+      
+      let capture;
+      if (streamingEnabled) {
+        capture = await setupStreamingCapture();
+      } else {
+        const opusType = getOpusRecordingType();
+        recorderRef.current?.stop();
+        recorderRef.current = opusType ? new UtteranceRecorder(new MediaStream([audioTrack]), opusType) : null;
+        capture = await setupUtteranceCapture();
+      }
+
+      if (setupId !== setupIdRef.current) {
+        capture.stop();
+        return;
+      }
+      captureRef.current = capture;
+      console.log(`🎙️ Audio capture running (${capture.kind})`);
+    } catch (error) {
+      console.error('Audio processing setup failed:', error);
+    }
+  }, [localStream, streamingEnabled, setupStreamingCapture, setupUtteranceCapture]);
+
+  const cleanupAudioProcessing = useCallback(() => {
+    setupIdRef.current++;
+    if (streamSessionRef.current) {
+      socket?.emit('stopSpeechStream', { sessionId: streamSessionRef.current });
+      streamSessionRef.current = null;
+    }
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      recorderRef.current = null;
+    }
+    if (captureRef.current) {
+      captureRef.current.stop();
+      captureRef.current = null;
     }
     if (sourceNodeRef.current) {
       sourceNodeRef.current.disconnect();
       sourceNodeRef.current = null;
     }
-  };
+  }, [socket]);
 
+  // Restarts capture when the stream, socket, target user, language or mode changes
   useEffect(() => {
     if (!localStream || !socket?.connected) return;
     setupAudioProcessing();
     return () => {
       cleanupAudioProcessing();
     };
-  }, [localStream, socket, callParticipant, currentLanguage]);
+  }, [localStream, socket, setupAudioProcessing, cleanupAudioProcessing]);
+
+  useEffect(() => {
+    vadSettingsRef.current = vadSettings;
+    captureRef.current?.configure(vadSettings);
+  }, [vadSettings]);
+
+  useEffect(() => {
+    if (!socket || !streamingEnabled) return;
+    const handleStreamError = (data) => {
+      if (!data || data.sessionId !== streamSessionRef.current) return;
+      console.warn('Speech streaming unavailable, sending audio in chunks:', data.message);
+      streamSessionRef.current = null;
+      setStreamingEnabled(false);
+    };
+    socket.on('speechStreamError', handleStreamError);
+    return () => socket.off('speechStreamError', handleStreamError);
+  }, [socket, streamingEnabled]);
+
+  // Runner loop that consumes the queue sequentially
+  const runTtsQueueRunner = useCallback(async () => {
+    console.log('▶️ TTS runner started');
+    isPlayingRef.current = true;
+    while (ttsQueueRef.current.length > 0) {
+      const next = ttsQueueRef.current.shift();
+      if (!next) break;
+      const { audio, meta } = next;
+      console.log('▶️ TTS runner playing next, remaining:', ttsQueueRef.current.length, meta?.requestId || '');
+      // Defensive: ensure any prior audio is stopped
+      if (currentAudioElRef.current) {
+        try {
+          currentAudioElRef.current.pause();
+          currentAudioElRef.current.src = '';
+        } catch (e) {}
+        currentAudioElRef.current = null;
+      }
+      let audioUrl = null;
+      try {
+        if (audioMixer) {
+          // Ducks the remote voice while the translation plays
+          console.log('🔊 TTS playback started for', meta?.requestId || '', 'via mixer');
+          await suppressorRef.current.during(audioMixer.playTranslated(audio));
+        } else {
+          const audioBlob = audioPayloadToBlob(audio, 'audio/mpeg');
+          audioUrl = URL.createObjectURL(audioBlob);
+          const audioEl = new Audio(audioUrl);
+          currentAudioElRef.current = audioEl;
+          console.log('🔊 TTS playback started for', meta?.requestId || '', 'bytes', audioBlob.size);
+          // await audio end or error
+          await suppressorRef.current.during(playAudioAndWait(audioEl));
+        }
+        console.log('⏹️ TTS playback ended for', meta?.requestId || '');
+        currentAudioElRef.current = null;
+      } catch (err) {
+        console.error('Error in TTS runner playback:', err);
+        currentAudioElRef.current = null;
+      } finally {
+        if (audioUrl) URL.revokeObjectURL(audioUrl);
+      }
+      // small gap between audios
+      await new Promise((res) => setTimeout(res, 50));
+    }
+    isPlayingRef.current = false;
+    runnerRunningRef.current = false;
+  }, [audioMixer]);
+
+  // Stop and clean up queue and any playing audio
+  const stopAndCleanupTts = useCallback(() => {
+    // Clear queue
+    ttsQueueRef.current = [];
+    audioMixer?.stopTranslated();
+    suppressorRef.current.clear();
+    // Stop current audio
+    const audioEl = currentAudioElRef.current;
+    if (audioEl) {
+      try {
+        audioEl.pause();
+        audioEl.src = '';
+        // remove listeners if present by replacing with new element
+        try { audioEl.removeAttribute && audioEl.removeAttribute('src'); } catch (e) {}
+      } catch (e) {}
+      currentAudioElRef.current = null;
+    }
+    isPlayingRef.current = false;
+    runnerRunningRef.current = false;
+  }, [audioMixer]);
+
+  // Enqueue TTS audio (ArrayBuffer or base64 string) with optional metadata
+  const enqueueTtsAudio = useCallback((audio, meta = {}) => {
+    if (!audio) return;
+    ttsQueueRef.current.push({ audio, meta });
+    console.log('🔔 TTS enqueued, queue length:', ttsQueueRef.current.length, meta?.requestId || '');
+    // Start the runner if not already running
+    if (!runnerRunningRef.current) {
+      runnerRunningRef.current = true;
+      // run without awaiting so it processes asynchronously
+      runTtsQueueRunner();
+    }
+  }, [runTtsQueueRunner]);
 
   // OPTIMIZED: Event listeners with latency tracking and partial results
   useEffect(() => {
@@ -291,11 +465,10 @@ const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, cur
           
           // Play translated audio when provided (final result)
           if (data.audio && !partial) {
-            console.log(`🔊 Client received audio for playback: ${data.audio.length} chars`);
+            console.log(`🔊 Client received audio for playback: ${data.audio.byteLength ?? `${data.audio.length} chars`}`);
             // Enqueue audio for sequential playback
             try {
-              const audioBase64 = data.audio;
-              enqueueTtsAudio(audioBase64, { requestId, timestamp, text: text.translated });
+              enqueueTtsAudio(data.audio, { requestId, timestamp, text: text.translated });
             } catch (err) {
               console.error('❌ Error enqueueing translated audio:', err);
             }
@@ -347,107 +520,7 @@ const useAudioProcessing = (localStream, remoteStream, socket, selectedUser, cur
       // cleanup any queued or playing audio
       stopAndCleanupTts();
     };
-  }, [socket, currentLanguage]);
-
-  // Enqueue a base64 audio string (TTS) with optional metadata
-  const enqueueTtsAudio = (base64Audio, meta = {}) => {
-    if (!base64Audio) return;
-    ttsQueueRef.current.push({ base64: base64Audio, meta });
-    console.log('🔔 TTS enqueued, queue length:', ttsQueueRef.current.length, meta?.requestId || '');
-    // Start the runner if not already running
-    if (!runnerRunningRef.current) {
-      runnerRunningRef.current = true;
-      // run without awaiting so it processes asynchronously
-      runTtsQueueRunner();
-    }
-  };
-
-  // Helper to play a single audio element and await its end or error
-  const playAudioAndWait = (audioEl) => {
-    return new Promise((resolve) => {
-      const onEnded = () => {
-        try { audioEl.pause(); audioEl.src = ''; } catch (e) {}
-        audioEl.removeEventListener('ended', onEnded);
-        audioEl.removeEventListener('error', onError);
-        resolve();
-      };
-      const onError = (err) => {
-        console.warn('TTS playback error', err);
-        audioEl.removeEventListener('ended', onEnded);
-        audioEl.removeEventListener('error', onError);
-        try { audioEl.pause(); audioEl.src = ''; } catch (e) {}
-        resolve();
-      };
-      audioEl.addEventListener('ended', onEnded);
-      audioEl.addEventListener('error', onError);
-      // try to play; if blocked, resolve immediately so queue continues
-      audioEl.play().then(() => {
-        // playing; wait for events
-      }).catch((err) => {
-        console.warn('🔇 TTS autoplay blocked or failed:', err);
-        // resolve to continue queue
-        onError(err);
-      });
-    });
-  };
-
-  // Runner loop that consumes the queue sequentially
-  const runTtsQueueRunner = async () => {
-    console.log('▶️ TTS runner started');
-    isPlayingRef.current = true;
-    while (ttsQueueRef.current.length > 0) {
-      const next = ttsQueueRef.current.shift();
-      if (!next) break;
-      const { base64, meta } = next;
-      console.log('▶️ TTS runner playing next, remaining:', ttsQueueRef.current.length, meta?.requestId || '');
-      // Defensive: ensure any prior audio is stopped
-      if (currentAudioElRef.current) {
-        try {
-          currentAudioElRef.current.pause();
-          currentAudioElRef.current.src = '';
-        } catch (e) {}
-        currentAudioElRef.current = null;
-      }
-      try {
-        const audioUrl = `data:audio/mp3;base64,${base64}`;
-        const audioEl = new Audio(audioUrl);
-        currentAudioElRef.current = audioEl;
-        console.log('🔊 TTS playback started for', meta?.requestId || '', 'url len', audioUrl.length);
-        // await audio end or error
-        // eslint-disable-next-line no-await-in-loop
-        await playAudioAndWait(audioEl);
-        console.log('⏹️ TTS playback ended for', meta?.requestId || '');
-        currentAudioElRef.current = null;
-      } catch (err) {
-        console.error('Error in TTS runner playback:', err);
-        currentAudioElRef.current = null;
-      }
-      // small gap between audios
-      // eslint-disable-next-line no-await-in-loop
-      await new Promise((res) => setTimeout(res, 50));
-    }
-    isPlayingRef.current = false;
-    runnerRunningRef.current = false;
-  };
-
-  // Stop and clean up queue and any playing audio
-  const stopAndCleanupTts = () => {
-    // Clear queue
-    ttsQueueRef.current = [];
-    // Stop current audio
-    const audioEl = currentAudioElRef.current;
-    if (audioEl) {
-      try {
-        audioEl.pause();
-        audioEl.src = '';
-        // remove listeners if present by replacing with new element
-        try { audioEl.removeAttribute && audioEl.removeAttribute('src'); } catch (e) {}
-      } catch (e) {}
-      currentAudioElRef.current = null;
-    }
-    isPlayingRef.current = false;
-    runnerRunningRef.current = false;
-  };
+  }, [socket, currentLanguage, enqueueTtsAudio, stopAndCleanupTts]);
 
   return {
     transcribedText,
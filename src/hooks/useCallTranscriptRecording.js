@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+
+const transcriptUrl = (kind, callId) => (kind === 'group'
+  ? `${API_URL}/chat/group-call/${callId}/transcript`
+  : `${API_URL}/chat/calls/${callId}/transcript`);
+
+/**
+ * Opt-in caption recording for the current call. Any participant can switch it
+ * on or off; everyone in the call follows along via `callTranscriptRecording`.
+ * Group calls can also ask for a summary to be posted into the room afterwards
+ * (`callSummaryRequested`), which switches recording on.
+ * @param {Object} socket - Socket.IO client
+ * @param {'direct'|'group'} kind
+ * @param {string} callId - CallSession id (1:1) or GroupCall id
+ */
+const useCallTranscriptRecording = (socket, kind, callId) => {
+  const [recording, setRecording] = useState(false);
+  const [summarize, setSummarize] = useState(false);
+  const [changedBy, setChangedBy] = useState(null);
+  const [updating, setUpdating] = useState(false);
+
+  // Pick up the state when joining a call someone is already recording
+  useEffect(() => {
+    if (!callId) return undefined;
+    let cancelled = false;
+    axios.get(transcriptUrl(kind, callId), {
+      headers: { 'x-auth-token': localStorage.getItem('token') }
+    }).then(res => {
+      if (cancelled) return;
+      setRecording(Boolean(res.data.transcript?.recording));
+      setSummarize(Boolean(res.data.transcript?.summarize));
+    }).catch(err => {
+      // 404: nobody has recorded this call yet
+      if (err.response?.status !== 404) console.error('Error loading call transcript state:', err);
+    });
+    return () => { cancelled = true; };
+  }, [kind, callId]);
+
+  useEffect(() => {
+    if (!socket || !callId) return undefined;
+    const handleRecording = (data) => {
+      if (data.kind !== kind || String(data.callId) !== String(callId)) return;
+      setRecording(data.recording);
+      setChangedBy(data.changedBy || null);
+    };
+    const handleSummaryRequested = (data) => {
+      if (kind !== 'group' || String(data.callId) !== String(callId)) return;
+      setSummarize(data.summarize);
+    };
+    socket.on('callTranscriptRecording', handleRecording);
+    socket.on('callSummaryRequested', handleSummaryRequested);
+    return () => {
+      socket.off('callTranscriptRecording', handleRecording);
+      socket.off('callSummaryRequested', handleSummaryRequested);
+    };
+  }, [socket, kind, callId]);
+
+  const toggleRecording = useCallback(async () => {
+    if (!callId || updating) return;
+    setUpdating(true);
+    try {
+      const res = await axios.put(transcriptUrl(kind, callId), { recording: !recording }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setRecording(res.data.recording);
+    } catch (err) {
+      console.error('Error changing call transcript recording:', err);
+    } finally {
+      setUpdating(false);
+    }
+  }, [kind, callId, recording, updating]);
+
+  const toggleSummary = useCallback(async () => {
+    if (kind !== 'group' || !callId || updating) return;
+    setUpdating(true);
+    try {
+      const res = await axios.put(`${API_URL}/chat/group-call/${callId}/summary`, { enabled: !summarize }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setSummarize(res.data.summarize);
+      setRecording(res.data.recording);
+    } catch (err) {
+      console.error('Error changing call summary request:', err);
+    } finally {
+      setUpdating(false);
+    }
+  }, [kind, callId, summarize, updating]);
+
+  return { recording, summarize, changedBy, updating, toggleRecording, toggleSummary };
+};
+
+export default useCallTranscriptRecording;
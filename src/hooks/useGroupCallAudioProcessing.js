@@ -1,5 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
-import { createOptimizedAudioContext, hasSound, convertToInt16, createWavBuffer, convertToBase64 } from '../utils/audioProcessing';
+import {
+  createOptimizedAudioContext,
+  announceAudioSystem,
+  audioPayloadToBlob,
+  getOpusRecordingType,
+  UtteranceRecorder,
+  buildAudioUpload
+} from '../utils/audioProcessing';
+import { createAudioCapture, PlaybackSuppressor, DEFAULT_VAD_OPTIONS } from '../utils/audioCapture';
 import performanceMetrics from '../utils/performanceMetrics';
 
 
@@ -13,14 +21,20 @@ const useGroupCallAudioProcessing = (
   callRoomId,
   currentLanguage,
   currentUserId,
-  isMuted = false
+  isMuted = false,
+  audioMixer = null, // plays translated speech over the ducked speaker (see useAudioMixer)
+  vadSettings = DEFAULT_VAD_OPTIONS // voice detection parameters (see useVadSettings)
 ) => {
   const [transcripts, setTranscripts] = useState([]);
 
   // Audio processing refs
   const audioContextRef = useRef(null);
   const sourceNodeRef = useRef(null);
-  const processorNodeRef = useRef(null);
+  const captureRef = useRef(null);
+  // Bumped by cleanup, so that a setup finishing after it stops again
+  const setupIdRef = useRef(0);
+  // Read at setup; changes are applied to the running capture
+  const vadSettingsRef = useRef(vadSettings);
 
   // Track processed text to prevent duplicates
   const processedTextIdsRef = useRef(new Set());
@@ -28,6 +42,29 @@ const useGroupCallAudioProcessing = (
   // Performance metrics for profiling group call overhead
   const currentMetricRef = useRef(null);
 
+  // Whether the server accepted binary audio frames in audioSystemReady
+  const binaryAudioRef = useRef(false);
+  // Records Opus uploads when NEXT_PUBLIC_AUDIO_UPLOAD_FORMAT=opus
+  const recorderRef = useRef(null);
+  // Keeps the microphone from re-capturing translated speech played here
+  const suppressorRef = useRef(null);
+  if (!suppressorRef.current) {
+    suppressorRef.current = new PlaybackSuppressor(() => captureRef.current, () => recorderRef.current?.discard());
+  }
+
+  useEffect(() => {
+    if (!socket) return;
+    const announce = () => {
+      binaryAudioRef.current = false;
+      announceAudioSystem(socket, (binary) => {
+        binaryAudioRef.current = binary;
+      });
+    };
+    if (socket.connected) announce();
+    socket.on('connect', announce);
+    return () => socket.off('connect', announce);
+  }, [socket]);
+
   // Handle mute state changes
   useEffect(() => {
     if (isMuted) {
@@ -39,6 +76,11 @@ const useGroupCallAudioProcessing = (
     }
   }, [isMuted]);
 
+  useEffect(() => {
+    vadSettingsRef.current = vadSettings;
+    captureRef.current?.configure(vadSettings);
+  }, [vadSettings]);
+
   // Initialize audio processing for local stream only
   useEffect(() => {
     if (!localStream || !socket?.connected || isMuted) return;
@@ -55,6 +97,7 @@ const useGroupCallAudioProcessing = (
 
   // Setup audio processing (same as 1-to-1 calling)
   const setupAudioProcessing = async () => {
+    const setupId = setupIdRef.current;
     try {
       // Initialize audio context
       audioContextRef.current = createOptimizedAudioContext();
@@ -69,63 +112,34 @@ const useGroupCallAudioProcessing = (
         new MediaStream([audioTrack])
       );
 
-      setupScriptProcessor();
+      const opusType = getOpusRecordingType();
+      recorderRef.current?.stop();
+      recorderRef.current = opusType ? new UtteranceRecorder(new MediaStream([audioTrack]), opusType) : null;
+      const capture = await setupCapture();
+
+      if (setupId !== setupIdRef.current) {
+        capture.stop();
+        return;
+      }
+      captureRef.current = capture;
     } catch (error) {
       console.error('Audio processing setup failed:', error);
     }
   };
 
-  // Script processor for local audio with instant recognition
-  const setupScriptProcessor = () => {
-    // Use smaller buffer size for faster processing (2048 = ~46ms at 44.1kHz)
-    processorNodeRef.current = audioContextRef.current.createScriptProcessor(2048, 1, 1);
-    let audioBuffer = new Float32Array();
-    let isProcessing = false;
-    let silenceCounter = 0;
-    const SILENCE_THRESHOLD = 10; // ~460ms of silence before sending
-    const MIN_AUDIO_LENGTH = audioContextRef.current.sampleRate * 0.5; // Minimum 0.5 seconds
-
-    processorNodeRef.current.onaudioprocess = (e) => {
-      // Skip if not connected or already processing
-      if (!socket?.connected || isProcessing) return;
-
-      const inputData = e.inputBuffer.getChannelData(0);
-      
-      // Check if current chunk has sound
-      const hasCurrentSound = hasSound(inputData);
-      
-      if (hasCurrentSound) {
-        // Add audio data to buffer
-        const newBuffer = new Float32Array(audioBuffer.length + inputData.length);
-        newBuffer.set(audioBuffer);
-        newBuffer.set(inputData, audioBuffer.length);
-        audioBuffer = newBuffer;
-        silenceCounter = 0; // Reset silence counter when sound is detected
-      } else if (audioBuffer.length > 0) {
-        // Increment silence counter
-        silenceCounter++;
-        
-        // If we have enough silence and minimum audio length, process the audio
-        if (silenceCounter >= SILENCE_THRESHOLD && audioBuffer.length >= MIN_AUDIO_LENGTH) {
-          isProcessing = true;
-          const bufferToProcess = audioBuffer;
-          audioBuffer = new Float32Array(); // Clear buffer immediately
-          silenceCounter = 0;
-          
-          sendAudioForRecognition(bufferToProcess)
-            .finally(() => {
-              isProcessing = false;
-            });
-        }
-      }
-    };
-
-    sourceNodeRef.current.connect(processorNodeRef.current);
-    processorNodeRef.current.connect(audioContextRef.current.destination);
-  };
+  // Utterances found by the voice activity detector (see utils/audioCapture) go to recognition
+  const setupCapture = () => createAudioCapture(audioContextRef.current, sourceNodeRef.current, {
+    mode: 'utterance',
+    ...vadSettingsRef.current,
+    suppressed: suppressorRef.current.active,
+    onUtterance: (pcm) => {
+      if (socket?.connected) sendAudioForRecognition(pcm);
+    },
+    onIdle: () => recorderRef.current?.trimSilence()
+  });
 
   // Send local audio for speech recognition (same as 1-to-1 calling)
-  const sendAudioForRecognition = async (audioData) => {
+  const sendAudioForRecognition = async (pcm) => {
     try {
       // Start performance tracking for group call overhead reduction
       const requestId = `group-${Date.now()}`;
@@ -146,10 +160,8 @@ const useGroupCallAudioProcessing = (
 
       console.log('ðŸ“¤ Sending local audio for group call speech recognition');
 
-      // Convert to PCM and create WAV buffer
-      const pcmData = convertToInt16(audioData);
-      const wavBuffer = createWavBuffer(pcmData);
-      const base64Audio = await convertToBase64(wavBuffer);
+      // WAV of the captured samples, or the recorded Opus file
+      const { audio, audioFormat } = await buildAudioUpload(pcm, recorderRef.current, binaryAudioRef.current);
 
       performanceMetrics.recordTimestamp(currentMetricRef.current, 'audioProcessed');
 
@@ -158,7 +170,8 @@ const useGroupCallAudioProcessing = (
 
       // Send to server for speech recognition
       socket.emit('groupCallRecognizeSpeech', {
-        audio: base64Audio,
+        audio,
+        audioFormat,
         sourceLanguage: currentLanguage,
         callRoomId,
         requestId
@@ -174,9 +187,14 @@ const useGroupCallAudioProcessing = (
 
   // Cleanup functions
   const cleanupAudioProcessing = () => {
-    if (processorNodeRef.current) {
-      processorNodeRef.current.disconnect();
-      processorNodeRef.current = null;
+    setupIdRef.current++;
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      recorderRef.current = null;
+    }
+    if (captureRef.current) {
+      captureRef.current.stop();
+      captureRef.current = null;
     }
     if (sourceNodeRef.current) {
       sourceNodeRef.current.disconnect();
@@ -215,7 +233,8 @@ const useGroupCallAudioProcessing = (
         targetLanguage: currentLanguage,
         speakerId,
         speakerName,
-        requestId
+        requestId,
+        callRoomId
       });
     };
 
@@ -242,13 +261,23 @@ const useGroupCallAudioProcessing = (
         timestamp: new Date()
       }].slice(-50));
 
-      // If audio is provided, play it using a hidden audio element
-      if (audio) {
+      // If audio is provided, play it through the mixer or a hidden audio element,
+      // with capture suppressed meanwhile
+      if (audio && audioMixer) {
+        suppressorRef.current.during(audioMixer.playTranslated(audio, { speakerId }))
+          .catch(err => console.error('Failed to play TTS audio:', err));
+      } else if (audio) {
         try {
-          const audioBlob = b64toBlob(audio, 'audio/mpeg');
-          const url = URL.createObjectURL(audioBlob);
+          const url = URL.createObjectURL(audioPayloadToBlob(audio, 'audio/mpeg'));
           const a = new Audio(url);
-          a.play().catch(err => console.warn('Audio play failed:', err));
+          suppressorRef.current.during(new Promise((resolve) => {
+            a.addEventListener('ended', resolve);
+            a.addEventListener('error', resolve);
+            a.play().catch((err) => {
+              console.warn('Audio play failed:', err);
+              resolve();
+            });
+          })).finally(() => URL.revokeObjectURL(url));
         } catch (err) {
           console.error('Failed to play TTS audio:', err);
         }
@@ -269,29 +298,9 @@ const useGroupCallAudioProcessing = (
       socket.off('groupCallOriginalText', handleOriginalText);
       socket.off('groupCallTranslatedSpeech', handleTranslatedSpeech);
       socket.off('groupCallError', handleError);
+      suppressorRef.current.clear();
     };
-  }, [socket, currentLanguage, currentUserId, callRoomId]);
-
-
-  // Utility: convert base64 to Blob (client-side)
-  const b64toBlob = (b64Data, contentType = '', sliceSize = 512) => {
-    const byteCharacters = atob(b64Data);
-    const byteArrays = [];
-
-    for (let offset = 0; offset < byteCharacters.length; offset += sliceSize) {
-      const slice = byteCharacters.slice(offset, offset + sliceSize);
-
-      const byteNumbers = new Array(slice.length);
-      for (let i = 0; i < slice.length; i++) {
-        byteNumbers[i] = slice.charCodeAt(i);
-      }
-
-      const byteArray = new Uint8Array(byteNumbers);
-      byteArrays.push(byteArray);
-    }
-
-    return new Blob(byteArrays, { type: contentType });
-  };
+  }, [socket, currentLanguage, currentUserId, callRoomId, audioMixer]);
 
   return {
     transcripts
@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_VAD_OPTIONS, getSavedVadSettings, saveVadSettings } from '../utils/audioCapture';
+
+/**
+ * The user's voice detection settings for call capture, remembered in this browser
+ */
+const useVadSettings = () => {
+  // Defaults on the first render, like the server renders them; the saved ones after mount
+  const [vadSettings, setSettings] = useState(DEFAULT_VAD_OPTIONS);
+
+  useEffect(() => {
+    setSettings(getSavedVadSettings());
+  }, []);
+
+  const updateVadSettings = useCallback((changes) => {
+    setSettings(current => saveVadSettings({ ...current, ...changes }));
+  }, []);
+
+  const resetVadSettings = useCallback(() => {
+    setSettings(saveVadSettings(DEFAULT_VAD_OPTIONS));
+  }, []);
+
+  return { vadSettings, updateVadSettings, resetVadSettings };
+};
+
+export default useVadSettings;
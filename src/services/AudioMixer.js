@@ -1,153 +1,251 @@
-// class AudioMixer {
-//   constructor() {
-//     // Initialize AudioContext on constructor
-//     this.audioContext = null;
-//     this.destination = null;
-//     this.audioElement = null;
-    
-//     if (typeof window !== 'undefined') {
-//       this.initAudioContext();
-//     }
-//   }
-
-//   // Add method to initialize AudioContext
-//   initAudioContext() {
-//     try {
-//       if (typeof window === 'undefined') return;
-      
-//       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-//       this.destination = this.audioContext.createMediaStreamDestination();
-//       console.log('AudioContext initialized successfully:', this.audioContext.state);
-//     } catch (error) {
-//       console.error('Failed to initialize AudioContext:', error);
-//     }
-//   }
-
-//   // Add method to ensure AudioContext is active
-//   async ensureAudioContextActive() {
-//     if (!this.audioContext) {
-//       this.initAudioContext();
-//     }
-    
-//     if (this.audioContext && this.audioContext.state === 'suspended') {
-//       try {
-//         console.log('Resuming suspended audio context');
-//         await this.audioContext.resume();
-//         console.log('AudioContext resumed successfully:', this.audioContext.state);
-//       } catch (error) {
-//         console.error('Failed to resume AudioContext:', error);
-//         // Re-initialize if resume fails
-//         this.initAudioContext();
-//       }
-//     }
-//     return this.audioContext && this.audioContext.state === 'running';
-//   }
-
-//   async createMixedStream(translatedAudioBuffer) {
-//     try {
-//       // Ensure audio context is active
-//       await this.ensureAudioContextActive();
-      
-//       // Create buffer source for translated audio
-//       const source = this.audioContext.createBufferSource();
-//       source.buffer = translatedAudioBuffer;
-
-//       // Create gain node for volume control
-//       const gainNode = this.audioContext.createGain();
-//       gainNode.gain.value = 1.0;
-
-//       // Connect nodes
-//       source.connect(gainNode);
-//       gainNode.connect(this.destination);
-
-//       // Start playback
-//       source.start(0);
-
-//       // Return the mixed stream
-//       return this.destination.stream;
-//     } catch (error) {
-//       console.error('Error creating mixed stream:', error);
-//       throw error;
-//     }
-//   }
-
-//   // Revised playTranslatedAudio method with better error handling
-//   async playTranslatedAudio(audioData) {
-//     try {
-//       console.log('AudioMixer: Starting playTranslatedAudio method');
-      
-//       // Ensure audio context is active before proceeding
-//       const contextActive = await this.ensureAudioContextActive();
-//       if (!contextActive) {
-//         console.error('AudioMixer: Failed to activate AudioContext');
-//         throw new Error('Failed to activate AudioContext');
-//       }
-      
-//       console.log('AudioMixer: AudioContext is active:', this.audioContext.state);
-      
-//       // Convert base64 to ArrayBuffer if needed
-//       let arrayBuffer;
-//       if (typeof audioData === 'string') {
-//         console.log('AudioMixer: Converting base64 to ArrayBuffer');
-//         // Remove data URL prefix if present
-//         const base64Data = audioData.replace(/^data:audio\/\w+;base64,/, '');
-//         const binaryString = atob(base64Data);
-//         const bytes = new Uint8Array(binaryString.length);
-//         for (let i = 0; i < binaryString.length; i++) {
-//           bytes[i] = binaryString.charCodeAt(i);
-//         }
-//         arrayBuffer = bytes.buffer;
-//       } else {
-//         arrayBuffer = audioData;
-//       }
-      
-//       console.log('AudioMixer: ArrayBuffer size:', arrayBuffer.byteLength);
-      
-//       // Decode audio data
-//       const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-      
-//       // Create buffer source
-//       const source = this.audioContext.createBufferSource();
-//       source.buffer = audioBuffer;
-      
-//       // Create gain node
-//       const gainNode = this.audioContext.createGain();
-//       gainNode.gain.value = 1.0;
-      
-//       // Connect nodes
-//       source.connect(gainNode);
-//       gainNode.connect(this.audioContext.destination);
-      
-//       // Start playback
-//       source.start(0);
-      
-//       console.log('AudioMixer: Audio playback started');
-      
-//       return new Promise((resolve) => {
-//         source.onended = () => {
-//           console.log('AudioMixer: Audio playback ended');
-//           resolve();
-//         };
-//       });
-//     } catch (error) {
-//       console.error('AudioMixer: Error in playTranslatedAudio:', error);
-//       throw error;
-//     }
-//   }
-
-//   // Clean up resources
-//   cleanup() {
-//     if (this.audioContext) {
-//       this.audioContext.close();
-//       this.audioContext = null;
-//     }
-    
-//     if (this.audioElement) {
-//       this.audioElement.pause();
-//       this.audioElement.src = '';
-//       this.audioElement = null;
-//     }
-//   }
-// }
-
-// export default AudioMixer;
\ No newline at end of file
+import { audioPayloadToBlob } from '../utils/audioProcessing';
+
+/**
+ * Mixes what a listener hears in a call: the remote participants' original
+ * voices and the translated speech (server TTS) for them.
+ *
+ * Remote streams are routed through Web Audio, so the <video> elements showing
+ * them stay muted. The listening mode decides what is audible:
+ * - 'mixed': both; a speaker's original voice is ducked to `duckLevel` while
+ *   translated speech plays and restored afterwards
+ * - 'translated': translated speech only
+ * - 'original': original voices only; translated speech is skipped
+ *
+ * Where the browser allows, the mix is played through an <audio> element
+ * instead of the AudioContext's destination: Chrome's WebRTC echo cancellation
+ * only takes media element and peer connection playback as its reference, so
+ * translated speech played by Web Audio directly would reach the microphone.
+ */
+
+export const LISTENING_MODES = ['mixed', 'translated', 'original'];
+
+const parsedDuckLevel = parseFloat(process.env.NEXT_PUBLIC_AUDIO_DUCK_LEVEL);
+export const DEFAULT_DUCK_LEVEL = Number.isFinite(parsedDuckLevel)
+  ? Math.min(Math.max(parsedDuckLevel, 0), 1)
+  : 0.2;
+
+// Time constant of gain changes, so ducking fades instead of clicking
+const GAIN_SMOOTHING_SECONDS = 0.05;
+const LISTENING_MODE_KEY = 'callListeningMode';
+// Ducking key for translated speech that isn't tied to one remote stream
+const ALL_REMOTES = '*';
+
+/**
+ * The listening mode this browser last chose ('mixed' by default)
+ */
+export const getSavedListeningMode = () => {
+  if (typeof window === 'undefined') return 'mixed';
+  const saved = localStorage.getItem(LISTENING_MODE_KEY);
+  return LISTENING_MODES.includes(saved) ? saved : 'mixed';
+};
+
+export const saveListeningMode = (mode) => {
+  localStorage.setItem(LISTENING_MODE_KEY, mode);
+};
+
+class AudioMixer {
+  /**
+   * @param {Object} [options]
+   * @param {'mixed'|'translated'|'original'} [options.mode]
+   * @param {number} [options.duckLevel] - original voice gain (0..1) under translated speech
+   */
+  constructor({ mode = 'mixed', duckLevel = DEFAULT_DUCK_LEVEL } = {}) {
+    this.mode = LISTENING_MODES.includes(mode) ? mode : 'mixed';
+    this.duckLevel = duckLevel;
+    this.audioContext = null;
+    this.output = null;
+    this.outputElement = null;
+    this.translatedGain = null;
+    this.remotes = new Map(); // id -> { stream, gain, source, connect }
+    this.ducking = new Map(); // remote id (or ALL_REMOTES) -> translations playing over it
+    this.playing = new Set(); // AudioBufferSourceNodes of translated speech
+  }
+
+  // Created on first use, so the mixer can be constructed while rendering
+  getContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass({ latencyHint: 'interactive' });
+      this.output = this.routeOutput(this.audioContext);
+      this.translatedGain = this.audioContext.createGain();
+      this.translatedGain.connect(this.output);
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(err => console.warn('AudioMixer: could not resume audio:', err));
+    }
+    return this.audioContext;
+  }
+
+  // The node everything is mixed into, played through an <audio> element where possible
+  routeOutput(context) {
+    const output = context.createGain();
+    if (typeof context.createMediaStreamDestination !== 'function') {
+      output.connect(context.destination);
+      return output;
+    }
+    const destination = context.createMediaStreamDestination();
+    output.connect(destination);
+    const element = new Audio();
+    element.srcObject = destination.stream;
+    element.play().catch((err) => {
+      // e.g. autoplay blocked for elements: play through the context instead
+      console.warn('AudioMixer: playing without echo cancellation reference:', err);
+      element.srcObject = null;
+      output.disconnect();
+      output.connect(context.destination);
+    });
+    this.outputElement = element;
+    return output;
+  }
+
+  // Gain of a remote's original voice under the current mode and ducking
+  originalLevel(id) {
+    if (this.mode === 'translated') return 0;
+    if (this.mode === 'original') return 1;
+    return this.ducking.has(ALL_REMOTES) || this.ducking.has(id) ? this.duckLevel : 1;
+  }
+
+  applyLevels() {
+    if (!this.audioContext) return;
+    const now = this.audioContext.currentTime;
+    this.remotes.forEach((remote, id) => {
+      remote.gain.gain.cancelScheduledValues(now);
+      remote.gain.gain.setTargetAtTime(this.originalLevel(id), now, GAIN_SMOOTHING_SECONDS);
+    });
+  }
+
+  /**
+   * Route a remote participant's audio through the mixer. A stream whose audio
+   * track arrives later is connected when it does.
+   * @param {string} id - used to duck this stream while its translation plays
+   * @param {MediaStream} stream
+   */
+  addRemoteStream(id, stream) {
+    this.removeRemoteStream(id);
+    const context = this.getContext();
+    const gain = context.createGain();
+    gain.gain.value = this.originalLevel(id);
+    gain.connect(this.output);
+
+    const remote = { stream, gain, source: null };
+    remote.connect = () => {
+      if (remote.source || !stream.getAudioTracks().length) return;
+      remote.source = context.createMediaStreamSource(stream);
+      remote.source.connect(gain);
+    };
+    stream.addEventListener('addtrack', remote.connect);
+    remote.connect();
+    this.remotes.set(id, remote);
+  }
+
+  removeRemoteStream(id) {
+    const remote = this.remotes.get(id);
+    if (!remote) return;
+    remote.stream.removeEventListener('addtrack', remote.connect);
+    remote.source?.disconnect();
+    remote.gain.disconnect();
+    this.remotes.delete(id);
+  }
+
+  /**
+   * Make the routed streams match `streams`, adding and removing as needed
+   * @param {Array<{id: string, stream: MediaStream}>} streams
+   */
+  syncRemoteStreams(streams) {
+    const wanted = new Map(streams.filter(({ stream }) => stream).map(({ id, stream }) => [id, stream]));
+    [...this.remotes.entries()].forEach(([id, remote]) => {
+      if (wanted.get(id) !== remote.stream) this.removeRemoteStream(id);
+    });
+    wanted.forEach((stream, id) => {
+      if (!this.remotes.has(id)) this.addRemoteStream(id, stream);
+    });
+  }
+
+  setMode(mode) {
+    if (!LISTENING_MODES.includes(mode)) return;
+    this.mode = mode;
+    if (mode === 'original') this.stopTranslated();
+    this.applyLevels();
+  }
+
+  setDuckLevel(level) {
+    this.duckLevel = Math.min(Math.max(level, 0), 1);
+    this.applyLevels();
+  }
+
+  /**
+   * Play translated speech, ducking the original voice of `speakerId` (every
+   * remote when not given) while it plays. Skipped in 'original' mode.
+   * @param {ArrayBuffer|string} audio - TTS audio, binary or base64
+   * @param {Object} [options]
+   * @param {string} [options.speakerId] - id the speaker's stream was added with
+   * @returns {Promise<void>} resolves when playback ended or was stopped
+   */
+  async playTranslated(audio, { speakerId } = {}) {
+    if (!audio || this.mode === 'original') return;
+    const context = this.getContext();
+    // decodeAudioData detaches the buffer it is given
+    const data = typeof audio === 'string'
+      ? await audioPayloadToBlob(audio, 'audio/mpeg').arrayBuffer()
+      : audio.slice(0);
+    const buffer = await context.decodeAudioData(data);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.translatedGain);
+
+    const key = speakerId || ALL_REMOTES;
+    this.ducking.set(key, (this.ducking.get(key) || 0) + 1);
+    this.applyLevels();
+    this.playing.add(source);
+    try {
+      await new Promise((resolve) => {
+        source.onended = resolve;
+        source.start();
+      });
+    } finally {
+      this.playing.delete(source);
+      source.disconnect();
+      const remaining = (this.ducking.get(key) || 1) - 1;
+      if (remaining > 0) {
+        this.ducking.set(key, remaining);
+      } else {
+        this.ducking.delete(key);
+      }
+      this.applyLevels();
+    }
+  }
+
+  /**
+   * Stop any translated speech that is playing
+   */
+  stopTranslated() {
+    this.playing.forEach((source) => {
+      try {
+        source.stop();
+      } catch (e) {
+        // already stopped
+      }
+    });
+  }
+
+  // Clean up resources; the mixer can be used again afterwards
+  close() {
+    this.stopTranslated();
+    [...this.remotes.keys()].forEach(id => this.removeRemoteStream(id));
+    this.ducking.clear();
+    if (this.outputElement) {
+      this.outputElement.pause();
+      this.outputElement.srcObject = null;
+      this.outputElement = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+      this.output = null;
+      this.translatedGain = null;
+    }
+  }
+}
+
+export default AudioMixer;
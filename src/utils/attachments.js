@@ -0,0 +1,98 @@
+import axios from 'axios';
+
+// Client helpers for chat attachments (see /api/chat/attachments)
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+
+const THUMBNAIL_MAX_DIMENSION = 320;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+// Text documents the server can translate (lib/documentTranslation.js)
+const TRANSLATABLE_TYPES = ['text/plain', 'text/markdown', 'application/x-subrip', 'text/vtt'];
+
+export const isImageAttachment = (attachment) => IMAGE_TYPES.includes(attachment?.mimeType || attachment?.type);
+
+export const isTranslatableAttachment = (attachment) => TRANSLATABLE_TYPES.includes(attachment?.mimeType);
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Download link for an attachment URL (images are otherwise served inline)
+export const getDownloadUrl = (url) => `${url}${url.includes('?') ? '&' : '?'}download=1`;
+
+/**
+ * Render a small JPEG preview of an image file in the browser.
+ * @returns {Promise<{blob: Blob, width: number, height: number}|null>} null if the image can't be decoded
+ */
+export const createImageThumbnail = (file) => new Promise((resolve) => {
+  if (typeof window === 'undefined' || !isImageAttachment(file)) {
+    resolve(null);
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+
+  img.onload = () => {
+    const width = img.naturalWidth;
+    const height = img.naturalHeight;
+    const scale = Math.min(1, THUMBNAIL_MAX_DIMENSION / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const ctx = canvas.getContext('2d');
+    // JPEG has no alpha; paint transparent areas white instead of black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob((blob) => {
+      URL.revokeObjectURL(url);
+      resolve(blob ? { blob, width, height } : null);
+    }, 'image/jpeg', 0.8);
+  };
+
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    resolve(null);
+  };
+
+  img.src = url;
+});
+
+/**
+ * Save a downloaded blob under fileName via a temporary link.
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download a text attachment translated into `lang`. Goes through axios because
+ * the translation endpoint needs the auth header.
+ */
+export const downloadTranslatedAttachment = async (attachment, lang) => {
+  const token = localStorage.getItem('token');
+  const res = await axios.get(`${API_URL}/chat/attachments/${attachment.key}/translation`, {
+    headers: { 'x-auth-token': token },
+    params: { lang },
+    responseType: 'blob'
+  });
+
+  const dot = attachment.name.lastIndexOf('.');
+  const fileName = dot > 0
+    ? `${attachment.name.slice(0, dot)}.${lang}${attachment.name.slice(dot)}`
+    : `${attachment.name}.${lang}`;
+  saveBlob(res.data, fileName);
+};
@@ -0,0 +1,190 @@
+import { CaptureFramer, CAPTURE_SAMPLE_RATE } from '../../public/worklets/audio-capture-processor';
+import { DEFAULT_VAD_OPTIONS } from '../../public/worklets/voice-activity-detector';
+
+export { CAPTURE_SAMPLE_RATE, DEFAULT_VAD_OPTIONS };
+
+// Served as-is from public/ so the worklet module isn't bundled
+const WORKLET_URL = '/worklets/audio-capture-processor.js';
+const FALLBACK_BUFFER_SIZE = 512;
+
+// AudioContexts that already loaded the worklet module
+const loadedContexts = new WeakSet();
+
+const VAD_SETTINGS_KEY = 'voiceDetectionSettings';
+
+/**
+ * Voice detection parameters the user can tune, with their slider ranges
+ * (see public/worklets/voice-activity-detector.js for what they do)
+ */
+export const VAD_SETTINGS = [
+  { key: 'sensitivityDb', label: 'vadSensitivity', min: 3, max: 25, step: 1, unit: 'dB' },
+  { key: 'hangoverMs', label: 'vadHangover', min: 64, max: 1500, step: 32, unit: 'ms' },
+  { key: 'preRollMs', label: 'vadPreRoll', min: 0, max: 500, step: 32, unit: 'ms' },
+  { key: 'minSpeechMs', label: 'vadMinSpeech', min: 64, max: 1000, step: 32, unit: 'ms' },
+  { key: 'maxUtteranceMs', label: 'vadMaxUtterance', min: 3000, max: 30000, step: 1000, unit: 'ms' }
+];
+
+const clampVadSettings = (settings) => Object.fromEntries(VAD_SETTINGS.map(({ key, min, max }) => {
+  const value = Number(settings?.[key]);
+  return [key, Number.isFinite(value) ? Math.min(Math.max(value, min), max) : DEFAULT_VAD_OPTIONS[key]];
+}));
+
+/**
+ * The voice detection settings this browser last saved (defaults otherwise)
+ */
+export const getSavedVadSettings = () => {
+  if (typeof window === 'undefined') return { ...DEFAULT_VAD_OPTIONS };
+  try {
+    return clampVadSettings(JSON.parse(localStorage.getItem(VAD_SETTINGS_KEY)) || DEFAULT_VAD_OPTIONS);
+  } catch (e) {
+    return { ...DEFAULT_VAD_OPTIONS };
+  }
+};
+
+/**
+ * Save voice detection settings, returning them as stored (within range)
+ */
+export const saveVadSettings = (settings) => {
+  const saved = clampVadSettings(settings);
+  localStorage.setItem(VAD_SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+const canUseWorklet = (audioContext) => typeof AudioWorkletNode !== 'undefined' && Boolean(audioContext.audioWorklet);
+
+/**
+ * Start capturing a microphone source for translation: 16 kHz PCM cut into
+ * utterances (or frames in 'stream' mode), see
+ * public/worklets/audio-capture-processor.js. Runs in an AudioWorklet where
+ * the browser has one, else on a ScriptProcessorNode on the main thread.
+ *
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} sourceNode - the microphone source
+ * @param {Object} options - CaptureFramer and VoiceActivityDetector options plus the callbacks below
+ * @param {Function} [options.onUtterance] - (pcm: Int16Array, durationMs)
+ * @param {Function} [options.onFrame] - (pcm: Int16Array), 'stream' mode
+ * @param {Function} [options.onIdle] - called about every second while nobody speaks
+ * @returns {Promise<{kind: string, sampleRate: number, configure: Function, flush: Function, reset: Function, stop: Function}>}
+ */
+export const createAudioCapture = async (audioContext, sourceNode, options = {}) => {
+  const { onUtterance, onFrame, onIdle, ...framerOptions } = options;
+  const handleMessage = (message) => {
+    if (message.type === 'utterance') onUtterance?.(message.pcm, message.durationMs);
+    if (message.type === 'frame') onFrame?.(message.pcm);
+    if (message.type === 'idle') onIdle?.();
+  };
+
+  if (canUseWorklet(audioContext)) {
+    try {
+      if (!loadedContexts.has(audioContext)) {
+        await audioContext.audioWorklet.addModule(WORKLET_URL);
+        loadedContexts.add(audioContext);
+      }
+      const node = new AudioWorkletNode(audioContext, 'audio-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: framerOptions
+      });
+      node.port.onmessage = ({ data }) => handleMessage(data);
+      sourceNode.connect(node);
+      // Outputs silence; connected so the browser keeps processing it
+      node.connect(audioContext.destination);
+
+      return {
+        kind: 'worklet',
+        sampleRate: CAPTURE_SAMPLE_RATE,
+        configure: (changes) => node.port.postMessage({ type: 'configure', options: changes }),
+        flush: () => node.port.postMessage({ type: 'flush' }),
+        reset: () => node.port.postMessage({ type: 'reset' }),
+        stop: () => {
+          node.port.onmessage = null;
+          sourceNode.disconnect(node);
+          node.disconnect();
+        }
+      };
+    } catch (error) {
+      console.warn('AudioWorklet capture unavailable, using ScriptProcessor:', error);
+    }
+  }
+
+  const framer = new CaptureFramer(audioContext.sampleRate, framerOptions, handleMessage);
+  const processor = audioContext.createScriptProcessor(FALLBACK_BUFFER_SIZE, 1, 1);
+  processor.onaudioprocess = (e) => framer.push(e.inputBuffer.getChannelData(0));
+  sourceNode.connect(processor);
+  processor.connect(audioContext.destination);
+
+  return {
+    kind: 'script-processor',
+    sampleRate: CAPTURE_SAMPLE_RATE,
+    configure: (changes) => framer.configure(changes),
+    flush: () => framer.flush(),
+    reset: () => framer.reset(),
+    stop: () => {
+      processor.onaudioprocess = null;
+      sourceNode.disconnect(processor);
+      processor.disconnect();
+    }
+  };
+};
+
+// Room echo of translated speech can reach the microphone a little after playback ends
+const PLAYBACK_TAIL_MS = 300;
+
+/**
+ * Suppresses capture while translated speech plays on this device, so the
+ * microphone doesn't pick it up and send it back to be translated again.
+ * Overlapping playbacks are counted; capture resumes PLAYBACK_TAIL_MS after the last.
+ */
+export class PlaybackSuppressor {
+  /**
+   * @param {Function} getCapture - returns the running capture, if any
+   * @param {Function} [onResume] - called when capture resumes, e.g. to drop recorded echo
+   */
+  constructor(getCapture, onResume) {
+    this.getCapture = getCapture;
+    this.onResume = onResume;
+    this.playing = 0;
+    this.active = false;
+    this.resumeTimer = null;
+  }
+
+  begin() {
+    this.playing++;
+    clearTimeout(this.resumeTimer);
+    if (this.active) return;
+    this.active = true;
+    this.getCapture()?.configure({ suppressed: true });
+  }
+
+  end() {
+    this.playing = Math.max(this.playing - 1, 0);
+    if (this.playing) return;
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.active = false;
+      this.getCapture()?.configure({ suppressed: false });
+      this.onResume?.();
+    }, PLAYBACK_TAIL_MS);
+  }
+
+  /**
+   * Suppress capture until `playback` settles
+   * @param {Promise} playback
+   * @returns {Promise} playback
+   */
+  during(playback) {
+    this.begin();
+    return Promise.resolve(playback).finally(() => this.end());
+  }
+
+  // Stop suppressing now, e.g. when playback was cut short
+  clear() {
+    clearTimeout(this.resumeTimer);
+    this.playing = 0;
+    if (this.active) {
+      this.active = false;
+      this.getCapture()?.configure({ suppressed: false });
+    }
+  }
+}
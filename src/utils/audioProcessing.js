@@ -59,6 +59,43 @@ export const convertToBase64 = async (buffer) => {
   return btoa(chunks.join(''));
 };
 
+/**
+ * Tell the server the audio system is ready and offer binary audio frames.
+ * onResult(true) once the server accepts; servers that don't acknowledge (and
+ * the polling transport) keep base64.
+ * @param {Object} socket - Socket.IO client
+ * @param {Function} onResult - (binaryAudio: boolean)
+ */
+export const announceAudioSystem = (socket, onResult) => {
+  socket.emit('audioSystemReady', { ready: true, binaryAudio: true }, (response) => {
+    onResult(Boolean(response?.binaryAudio));
+  });
+};
+
+/**
+ * An audio upload in the negotiated form: the bytes themselves or base64
+ * @param {Uint8Array} bytes
+ * @param {boolean} binary
+ * @returns {Promise<Uint8Array|string>}
+ */
+export const encodeAudioPayload = async (bytes, binary) => (binary ? bytes : convertToBase64(bytes));
+
+/**
+ * A received audio payload (ArrayBuffer or base64 string) as a Blob
+ * @param {ArrayBuffer|string} audio
+ * @param {string} type - MIME type
+ * @returns {Blob}
+ */
+export const audioPayloadToBlob = (audio, type) => {
+  if (typeof audio !== 'string') return new Blob([audio], { type });
+  const decoded = atob(audio);
+  const bytes = new Uint8Array(decoded.length);
+  for (let i = 0; i < decoded.length; i++) {
+    bytes[i] = decoded.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
 /**
  * Convert Float32Array audio data to Int16Array
  * @param {Float32Array} audioData - Audio data in float format
@@ -73,16 +110,6 @@ export const convertToInt16 = (audioData) => {
   return pcmData;
 };
 
-/**
- * Check if audio buffer contains actual sound (not just silence)
- * @param {Float32Array} buffer - Audio buffer to check
- * @param {number} threshold - Threshold for sound detection (default: 0.005)
- * @returns {boolean} - True if sound is detected, false otherwise
- */
-export const hasSound = (buffer, threshold = 0.005) => {
-  return buffer.some(sample => Math.abs(sample) > threshold);
-};
-
 /**
  * Initialize an audio context with optimal settings
  * @returns {AudioContext} - Initialized audio context
@@ -95,3 +122,103 @@ export const createOptimizedAudioContext = () => {
     latencyHint: 'interactive'
   });
 };
+
+// Opus uploads (NEXT_PUBLIC_AUDIO_UPLOAD_FORMAT=opus): containers in order of preference
+const OPUS_RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'];
+// Silence recorded before an utterance is dropped beyond this
+const MAX_LEADING_SILENCE_MS = 3000;
+
+/**
+ * The MediaRecorder type for Opus uploads, or null when they are off or the
+ * browser can't record Opus (WAV is uploaded then)
+ * @returns {string|null}
+ */
+export const getOpusRecordingType = () => {
+  if (process.env.NEXT_PUBLIC_AUDIO_UPLOAD_FORMAT !== 'opus') return null;
+  if (typeof MediaRecorder === 'undefined') return null;
+  return OPUS_RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+/**
+ * Records a microphone track as one self-contained Opus file per utterance,
+ * for the server to decode. MediaRecorder chunks after the first can't be
+ * decoded on their own, so the recorder is restarted at every cut instead of
+ * recording with a timeslice.
+ */
+export class UtteranceRecorder {
+  /**
+   * @param {MediaStream} stream - the microphone track
+   * @param {string} mimeType - from getOpusRecordingType()
+   */
+  constructor(stream, mimeType) {
+    this.stream = stream;
+    this.mimeType = mimeType;
+    this.start();
+  }
+
+  start() {
+    const chunks = [];
+    this.recorder = new MediaRecorder(this.stream, { mimeType: this.mimeType, audioBitsPerSecond: 24000 });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    this.chunks = chunks;
+    this.startedAt = Date.now();
+    this.recorder.start();
+  }
+
+  /**
+   * Finish the current file and start recording the next one
+   * @returns {Promise<Uint8Array>} the finished file
+   */
+  cut() {
+    const { recorder, chunks } = this;
+    const finished = new Promise((resolve) => {
+      recorder.onstop = async () => {
+        resolve(new Uint8Array(await new Blob(chunks, { type: this.mimeType }).arrayBuffer()));
+      };
+    });
+    recorder.stop();
+    this.start();
+    return finished;
+  }
+
+  /**
+   * Drop the silence recorded while nobody speaks, so files stay short
+   */
+  trimSilence() {
+    if (Date.now() - this.startedAt < MAX_LEADING_SILENCE_MS) return;
+    this.discard();
+  }
+
+  /**
+   * Drop everything recorded since the last cut
+   */
+  discard() {
+    this.recorder.ondataavailable = null;
+    this.recorder.stop();
+    this.start();
+  }
+
+  stop() {
+    this.recorder.ondataavailable = null;
+    if (this.recorder.state !== 'inactive') this.recorder.stop();
+  }
+}
+
+/**
+ * The upload for one utterance: the recorder's Opus file when one is running,
+ * else a WAV of the captured PCM
+ * @param {Int16Array} pcm - the utterance as captured (16 kHz, see utils/audioCapture)
+ * @param {UtteranceRecorder|null} recorder
+ * @param {boolean} binary - whether the server accepted binary audio
+ * @returns {Promise<{audio: Uint8Array|string, audioFormat: string}>}
+ */
+export const buildAudioUpload = async (pcm, recorder, binary) => {
+  if (recorder) {
+    const file = await recorder.cut();
+    return { audio: await encodeAudioPayload(file, binary), audioFormat: recorder.mimeType };
+  }
+  const wavBuffer = createWavBuffer(pcm);
+  return { audio: await encodeAudioPayload(wavBuffer, binary), audioFormat: 'audio/wav' };
+};
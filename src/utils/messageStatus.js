@@ -0,0 +1,34 @@
+// Delivery/read state of chat messages, from the per-recipient receipts kept by the server
+
+/**
+ * 'read' once every recipient has read the message, 'delivered' once it reached
+ * every recipient, otherwise 'sent'. Messages from before receipts existed are 'sent'.
+ */
+export const getMessageStatus = (message) => {
+  const receipts = message?.receipts || [];
+  if (receipts.length === 0) return 'sent';
+  if (receipts.every(r => r.readAt)) return 'read';
+  if (receipts.every(r => r.deliveredAt || r.readAt)) return 'delivered';
+  return 'sent';
+};
+
+/**
+ * Apply a messageDelivered/messageRead event ({ messageIds, userId, at }) to a list of messages.
+ */
+export const applyReceiptEvent = (messages, { messageIds = [], userId, at }, status) => {
+  const ids = new Set(messageIds.map(String));
+  const field = status === 'read' ? 'readAt' : 'deliveredAt';
+
+  return messages.map(m => {
+    if (!ids.has(String(m._id || m.id)) || !m.receipts) return m;
+    return {
+      ...m,
+      receipts: m.receipts.map(r => {
+        if (String(r.user?._id || r.user) !== String(userId)) return r;
+        const updated = { ...r, [field]: r[field] || at };
+        if (status === 'read' && !updated.deliveredAt) updated.deliveredAt = at;
+        return updated;
+      })
+    };
+  });
+};
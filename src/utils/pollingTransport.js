@@ -0,0 +1,202 @@
+/**
+ * HTTP long-polling transport
+ *
+ * A minimal socket-like client (on/off/onAny/emit/disconnect) backed by the
+ * /api/polling routes. socketManager switches to it when Socket.IO cannot
+ * connect at all (no custom server, proxies that block both WebSocket and
+ * the engine.io polling endpoint).
+ */
+const API_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
+
+const POLL_WAIT_MS = 25000;
+const MAX_BACKOFF_MS = 15000;
+
+const createClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `poll-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PollingTransport {
+  constructor({ token, apiUrl = API_URL } = {}) {
+    this.token = token;
+    this.apiUrl = apiUrl;
+    this.id = createClientId();
+    this.connected = false;
+    this.active = false;
+    this.cursor = null;
+    this.failures = 0;
+    this.abortController = null;
+    // Rooms are re-joined automatically if the server forgets this client (e.g. restart)
+    this.rooms = new Set();
+    // event -> Set of handlers
+    this.handlers = new Map();
+    this.anyHandlers = new Set();
+  }
+
+  connect() {
+    if (this.active) return this;
+    this.active = true;
+    this.pollLoop();
+    return this;
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    if (!handler) {
+      this.handlers.delete(event);
+      return this;
+    }
+    const handlerSet = this.handlers.get(event);
+    if (handlerSet) {
+      handlerSet.delete(handler);
+      if (handlerSet.size === 0) this.handlers.delete(event);
+    }
+    return this;
+  }
+
+  onAny(handler) {
+    this.anyHandlers.add(handler);
+    return this;
+  }
+
+  fire(event, ...args) {
+    this.anyHandlers.forEach(handler => {
+      try { handler(event, ...args); } catch (e) { console.error('Polling onAny handler error:', e); }
+    });
+    const handlerSet = this.handlers.get(event);
+    if (!handlerSet) return;
+    Array.from(handlerSet).forEach(handler => {
+      try {
+        handler(...args);
+      } catch (e) {
+        console.error(`Polling handler error for '${event}':`, e);
+      }
+    });
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      'x-auth-token': this.token
+    };
+  }
+
+  async post(path, body) {
+    const res = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ clientId: this.id, ...body })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || data.msg || `Request failed with status ${res.status}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Send an event. joinRoom/leaveRoom map to /polling/room, everything else to /polling/send.
+   */
+  emit(event, data) {
+    let request;
+    if (event === 'joinRoom' || event === 'leaveRoom') {
+      const roomId = data;
+      if (event === 'joinRoom') this.rooms.add(roomId);
+      else this.rooms.delete(roomId);
+      request = this.post('/polling/room', { roomId, action: event === 'joinRoom' ? 'join' : 'leave' });
+    } else {
+      request = this.post('/polling/send', { event, data });
+    }
+
+    request.catch(err => {
+      console.warn(`Polling emit '${event}' failed:`, err.message);
+    });
+    return this;
+  }
+
+  async pollLoop() {
+    while (this.active) {
+      this.abortController = new AbortController();
+      try {
+        const params = new URLSearchParams({ clientId: this.id, wait: String(POLL_WAIT_MS) });
+        if (this.cursor !== null) params.set('cursor', String(this.cursor));
+
+        const res = await fetch(`${this.apiUrl}/polling/updates?${params.toString()}`, {
+          headers: this.headers(),
+          cache: 'no-store',
+          signal: this.abortController.signal
+        });
+
+        if (res.status === 401) {
+          this.fire('connect_error', new Error('Unauthorized'));
+          this.disconnect('unauthorized');
+          return;
+        }
+        if (!res.ok) {
+          throw new Error(`Polling failed with status ${res.status}`);
+        }
+
+        const body = await res.json();
+        this.failures = 0;
+        this.cursor = body.cursor;
+
+        // `connected` is only set when the server (re-)registered this client
+        if (body.connected) {
+          this.rooms.forEach(roomId => this.emit('joinRoom', roomId));
+        }
+        if (!this.connected) {
+          this.connected = true;
+          this.fire('connect');
+        }
+
+        if (body.resync && typeof window !== 'undefined' && window.CustomEvent) {
+          // Events were dropped server-side; let the app refetch state over REST
+          window.dispatchEvent(new CustomEvent('app:pollingResync'));
+        }
+
+        (body.events || []).forEach(({ event, data }) => this.fire(event, data));
+      } catch (err) {
+        if (!this.active) return;
+        this.failures++;
+        if (this.connected) {
+          this.connected = false;
+          this.fire('disconnect', 'transport error');
+        }
+        this.fire('connect_error', err);
+        await delay(Math.min(1000 * 2 ** (this.failures - 1), MAX_BACKOFF_MS));
+      }
+    }
+  }
+
+  disconnect(reason = 'io client disconnect') {
+    if (!this.active) return this;
+    this.active = false;
+    if (this.abortController) this.abortController.abort();
+
+    // Best effort: let the server announce us offline right away
+    fetch(`${this.apiUrl}/polling/updates?clientId=${encodeURIComponent(this.id)}`, {
+      method: 'DELETE',
+      headers: this.headers(),
+      keepalive: true
+    }).catch(() => {});
+
+    if (this.connected) {
+      this.connected = false;
+      this.fire('disconnect', reason);
+    }
+    return this;
+  }
+}
+
+export default PollingTransport;
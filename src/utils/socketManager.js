@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import PollingTransport from './pollingTransport';
 
 /**
  * Socket.IO Connection Manager for Next.js
@@ -18,6 +19,8 @@ class SocketManager {
     this.attemptCount = 0;
     this.maxAttempts = 10;
     this.useWebSocket = true;
+    // Last resort when Socket.IO cannot connect at all: HTTP long-polling via /api/polling
+    this.useHttpPolling = process.env.NEXT_PUBLIC_TRANSPORT === 'polling';
   }
 
   /**
@@ -39,6 +42,14 @@ class SocketManager {
       this.cleanup();
     }
 
+    if (this.useHttpPolling) {
+      console.log('Connecting with HTTP long-polling transport');
+      this.socket = new PollingTransport({ token: this.token });
+      this.setupListeners();
+      this.socket.connect();
+      return;
+    }
+
     const transportOptions = this.useWebSocket 
       ? ['polling', 'websocket']
       : ['polling'];
@@ -93,6 +104,11 @@ class SocketManager {
         console.log('Switching to polling-only mode');
         this.useWebSocket = false;
         this.connect();
+      } else if (this.attemptCount >= 6 && !this.useHttpPolling) {
+        console.log('Switching to HTTP long-polling transport');
+        this.useHttpPolling = true;
+        this.attemptCount = 0;
+        this.connect();
       }
     });
 